@@ -0,0 +1,81 @@
+-- API key store tables
+--
+-- Backs API_KEY_STORE=supabase: API keys (stored as SHA-256 hashes) with
+-- their scopes, rate limit and monthly quotas, and a usage counter per
+-- key and month.
+--
+-- The API reaches these tables with SUPABASE_SERVICE_ROLE_KEY only. RLS
+-- is enabled without policies and anon/authenticated have no grants, so
+-- the tables are neither readable through PostgREST with the anon key
+-- nor discovered as queryable tables by the chat API.
+--
+-- Run this in the Supabase SQL editor (or psql) once per project.
+
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  key_prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL DEFAULT '{}',
+  role text,
+  rate_limit_per_minute integer,
+  gemini_monthly_quota integer,
+  otp_monthly_quota integer,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  rotated_at timestamptz,
+  revoked_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS public.api_key_usage (
+  key_id uuid NOT NULL REFERENCES public.api_keys (id) ON DELETE CASCADE,
+  period text NOT NULL, -- calendar month, YYYY-MM (UTC)
+  gemini_calls integer NOT NULL DEFAULT 0,
+  otp_sends integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (key_id, period)
+);
+
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.api_key_usage ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON public.api_keys, public.api_key_usage FROM anon, authenticated;
+
+-- Adds to a usage counter atomically and returns the new value
+CREATE OR REPLACE FUNCTION public.increment_api_key_usage(
+  target_key uuid,
+  target_period text,
+  metric text,
+  amount integer DEFAULT 1
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  total integer;
+BEGIN
+  IF metric NOT IN ('gemini', 'otp') THEN
+    RAISE EXCEPTION 'Unknown usage metric: %', metric;
+  END IF;
+
+  INSERT INTO public.api_key_usage AS usage (key_id, period, gemini_calls, otp_sends)
+  VALUES (
+    target_key,
+    target_period,
+    CASE WHEN metric = 'gemini' THEN amount ELSE 0 END,
+    CASE WHEN metric = 'otp' THEN amount ELSE 0 END
+  )
+  ON CONFLICT (key_id, period) DO UPDATE SET
+    gemini_calls = usage.gemini_calls + EXCLUDED.gemini_calls,
+    otp_sends = usage.otp_sends + EXCLUDED.otp_sends
+  RETURNING CASE WHEN metric = 'gemini' THEN usage.gemini_calls ELSE usage.otp_sends END INTO total;
+
+  RETURN total;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.increment_api_key_usage(uuid, text, text, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.increment_api_key_usage(uuid, text, text, integer) TO service_role;
+
+-- Make the tables and function visible to the API without a restart
+NOTIFY pgrst, 'reload schema';
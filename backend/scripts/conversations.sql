@@ -0,0 +1,67 @@
+-- Conversation store tables
+--
+-- Backs CONVERSATION_STORE=supabase: chat conversations, their messages
+-- in order, and the SQL and results of each answered turn. Results are
+-- stored as returned to the client, with personal data already redacted.
+--
+-- The API reaches these tables with SUPABASE_SERVICE_ROLE_KEY only. RLS
+-- is enabled without policies and anon/authenticated have no grants, so
+-- the tables are neither readable through PostgREST with the anon key
+-- nor discovered as queryable tables by the chat API.
+--
+-- Run this in the Supabase SQL editor (or psql) once per project.
+
+CREATE TABLE IF NOT EXISTS public.conversations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id text, -- user:<Supabase user id> or key:<API key id>; null without either
+  title text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Rolling summary of the messages that no longer fit the history budget
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS summary text NOT NULL DEFAULT '';
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS pinned_facts jsonb NOT NULL DEFAULT '[]'; -- filters, chosen entities, preferences
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS summarized_count integer NOT NULL DEFAULT 0; -- leading messages the summary covers
+
+CREATE INDEX IF NOT EXISTS conversations_owner_idx ON public.conversations (owner_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.conversation_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  seq bigint GENERATED ALWAYS AS IDENTITY, -- message order
+  conversation_id uuid NOT NULL REFERENCES public.conversations (id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('user', 'assistant')),
+  content text NOT NULL,
+  clarification jsonb, -- { question, options, originalQuestion } when the answer asked one
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS conversation_messages_conversation_idx ON public.conversation_messages (conversation_id, seq);
+
+CREATE TABLE IF NOT EXISTS public.conversation_queries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id uuid NOT NULL UNIQUE REFERENCES public.conversation_messages (id) ON DELETE CASCADE,
+  conversation_id uuid NOT NULL REFERENCES public.conversations (id) ON DELETE CASCADE,
+  sql text,
+  success boolean NOT NULL,
+  row_count integer NOT NULL DEFAULT 0,
+  capped boolean NOT NULL DEFAULT false,
+  data jsonb NOT NULL DEFAULT '[]', -- result rows as sent to the client
+  error text,
+  attempts jsonb NOT NULL DEFAULT '[]', -- every generated query, see the chat response's attempts
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- SQL as the model generated it, before access control and the cost cap rewrote it; follow-ups are compared with it
+ALTER TABLE public.conversation_queries ADD COLUMN IF NOT EXISTS generated_sql text;
+
+CREATE INDEX IF NOT EXISTS conversation_queries_conversation_idx ON public.conversation_queries (conversation_id);
+
+ALTER TABLE public.conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.conversation_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.conversation_queries ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON public.conversations, public.conversation_messages, public.conversation_queries FROM anon, authenticated;
+
+-- Make the tables visible to the API without a restart
+NOTIFY pgrst, 'reload schema';
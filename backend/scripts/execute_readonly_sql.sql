@@ -0,0 +1,67 @@
+-- Read-only SQL execution function
+--
+-- Backs QUERY_EXECUTION_MODE=rpc: the API sends a validated SELECT (or
+-- WITH ... SELECT) statement here instead of translating it into
+-- PostgREST query-builder calls, so CTEs, window functions and subqueries
+-- run natively.
+--
+-- Safety layers, in addition to the API's own validation:
+-- - transaction_read_only: any write inside the statement fails (the API
+--   also calls the function with GET, which PostgREST runs read-only)
+-- - statement_timeout: long-running statements are cancelled
+--   (PostgREST applies function settings to the calling transaction)
+-- - max_rows: the result is capped and flagged as truncated
+-- - SECURITY INVOKER: the caller's role and RLS policies still apply
+--
+-- Run this in the Supabase SQL editor (or psql) once per project.
+-- Adjust the timeout with:
+--   ALTER FUNCTION public.execute_readonly_sql(text, integer) SET statement_timeout TO '10s';
+
+CREATE OR REPLACE FUNCTION public.execute_readonly_sql(query text, max_rows integer DEFAULT 1000)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+SET statement_timeout TO '5s'
+AS $$
+DECLARE
+  result_rows jsonb;
+  fetched integer;
+BEGIN
+  IF query IS NULL OR btrim(query) = '' THEN
+    RAISE EXCEPTION 'query must not be empty';
+  END IF;
+
+  IF max_rows IS NULL OR max_rows < 1 THEN
+    RAISE EXCEPTION 'max_rows must be a positive integer';
+  END IF;
+
+  -- Lasts until the end of the calling transaction
+  SET LOCAL transaction_read_only = on;
+
+  -- Wrapping the statement as a subquery also rejects anything that is
+  -- not a single query expression (multiple statements, DDL, ...)
+  EXECUTE format(
+    'SELECT coalesce(jsonb_agg(to_jsonb(result_row)), ''[]''::jsonb) FROM (SELECT * FROM (%s) AS query_result LIMIT %s) AS result_row',
+    rtrim(btrim(query), ';'),
+    max_rows + 1
+  ) INTO result_rows;
+
+  fetched := jsonb_array_length(result_rows);
+
+  IF fetched > max_rows THEN
+    result_rows := result_rows - max_rows;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'rows', result_rows,
+    'truncated', fetched > max_rows
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.execute_readonly_sql(text, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.execute_readonly_sql(text, integer) TO anon, authenticated, service_role;
+
+-- Make the function visible to the API without a restart
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,51 @@
+-- Query plan function
+--
+-- Lets the API estimate what a generated query will cost before running
+-- it (see src/services/costEstimator.js). The statement is planned, not
+-- executed: EXPLAIN without ANALYZE reads no table data.
+--
+-- The statement is wrapped exactly as execute_readonly_sql() runs it,
+-- row cap included, so the estimate matches the real execution. Wrapping
+-- it as a subquery also rejects anything that is not a single query
+-- expression.
+--
+-- Run this in the Supabase SQL editor (or psql) once per project.
+-- Without it, the API falls back to heuristics on table size, filters
+-- and joins.
+
+CREATE OR REPLACE FUNCTION public.explain_readonly_sql(query text, max_rows integer DEFAULT 1000)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+SET statement_timeout TO '5s'
+AS $$
+DECLARE
+  plan jsonb;
+BEGIN
+  IF query IS NULL OR btrim(query) = '' THEN
+    RAISE EXCEPTION 'query must not be empty';
+  END IF;
+
+  IF max_rows IS NULL OR max_rows < 1 THEN
+    RAISE EXCEPTION 'max_rows must be a positive integer';
+  END IF;
+
+  -- Lasts until the end of the calling transaction
+  SET LOCAL transaction_read_only = on;
+
+  EXECUTE format(
+    'EXPLAIN (FORMAT JSON) SELECT * FROM (%s) AS query_result LIMIT %s',
+    rtrim(btrim(query), ';'),
+    max_rows + 1
+  ) INTO plan;
+
+  RETURN plan;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.explain_readonly_sql(text, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.explain_readonly_sql(text, integer) TO anon, authenticated, service_role;
+
+-- Make the function visible to the API without a restart
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,121 @@
+-- Schema introspection function
+--
+-- Used by the Supabase adapter to describe tables without a direct
+-- database connection: columns with types, nullability, defaults, comments
+-- and enum values, primary keys, foreign keys and indexes. Only relations
+-- the calling role can SELECT from are returned.
+--
+-- The body is the query in src/adapters/postgresIntrospection.js (used by
+-- the postgres adapter); keep both in sync.
+--
+-- Run this in the Supabase SQL editor (or psql) once per project.
+
+CREATE OR REPLACE FUNCTION public.introspect_schema(target_schema text DEFAULT 'public', target_table text DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = pg_catalog
+AS $$
+  SELECT tables FROM (
+    WITH relations AS (
+      SELECT c.oid, c.relname, c.relkind, c.reltuples, obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1
+        AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+        AND ($2::text IS NULL OR c.relname = $2::text)
+        AND has_table_privilege(c.oid, 'SELECT')
+    ),
+    columns AS (
+      SELECT a.attrelid AS oid,
+        jsonb_agg(jsonb_build_object(
+          'name', a.attname,
+          'type', format_type(a.atttypid, a.atttypmod),
+          'udtName', t.typname,
+          'nullable', NOT a.attnotnull,
+          'default', pg_get_expr(d.adbin, d.adrelid),
+          'comment', col_description(a.attrelid, a.attnum),
+          'enumValues', (
+            SELECT jsonb_agg(e.enumlabel ORDER BY e.enumsortorder)
+            FROM pg_enum e
+            WHERE e.enumtypid = a.atttypid
+          )
+        ) ORDER BY a.attnum) AS columns
+      FROM pg_attribute a
+      JOIN pg_type t ON t.oid = a.atttypid
+      LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+      WHERE a.attrelid IN (SELECT oid FROM relations)
+        AND a.attnum > 0
+        AND NOT a.attisdropped
+      GROUP BY a.attrelid
+    ),
+    constraint_columns AS (
+      SELECT con.oid, con.conrelid, con.conname, con.contype, con.confrelid,
+        (SELECT jsonb_agg(a.attname ORDER BY k.ord)
+         FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+         JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum) AS columns,
+        (SELECT jsonb_agg(a.attname ORDER BY k.ord)
+         FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+         JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum) AS referenced_columns
+      FROM pg_constraint con
+      WHERE con.conrelid IN (SELECT oid FROM relations)
+        AND con.contype IN ('p', 'f')
+    ),
+    foreign_keys AS (
+      SELECT cc.conrelid AS oid,
+        jsonb_agg(jsonb_build_object(
+          'name', cc.conname,
+          'columns', cc.columns,
+          'referencedSchema', rn.nspname,
+          'referencedTable', rc.relname,
+          'referencedColumns', cc.referenced_columns
+        ) ORDER BY cc.conname) AS foreign_keys
+      FROM constraint_columns cc
+      JOIN pg_class rc ON rc.oid = cc.confrelid
+      JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+      WHERE cc.contype = 'f'
+      GROUP BY cc.conrelid
+    ),
+    indexes AS (
+      SELECT i.indrelid AS oid,
+        jsonb_agg(jsonb_build_object(
+          'name', ic.relname,
+          'unique', i.indisunique,
+          'primary', i.indisprimary,
+          'columns', (
+            SELECT coalesce(jsonb_agg(a.attname ORDER BY k.ord), '[]'::jsonb)
+            FROM unnest(i.indkey) WITH ORDINALITY AS k(attnum, ord)
+            JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+          ),
+          'definition', pg_get_indexdef(i.indexrelid)
+        ) ORDER BY ic.relname) AS indexes
+      FROM pg_index i
+      JOIN pg_class ic ON ic.oid = i.indexrelid
+      WHERE i.indrelid IN (SELECT oid FROM relations)
+      GROUP BY i.indrelid
+    )
+    SELECT coalesce(jsonb_agg(jsonb_build_object(
+      'table', r.relname,
+      'kind', CASE r.relkind WHEN 'v' THEN 'view' WHEN 'm' THEN 'materialized view' WHEN 'f' THEN 'foreign table' ELSE 'table' END,
+      'comment', r.comment,
+      'columns', coalesce(c.columns, '[]'::jsonb),
+      'primaryKey', coalesce(pk.columns, '[]'::jsonb),
+      'foreignKeys', coalesce(fk.foreign_keys, '[]'::jsonb),
+      'indexes', coalesce(ix.indexes, '[]'::jsonb),
+      -- reltuples is -1 until the table is first vacuumed or analyzed
+      'rowEstimate', CASE WHEN r.reltuples >= 0 THEN r.reltuples::bigint END
+    ) ORDER BY r.relname), '[]'::jsonb) AS tables
+    FROM relations r
+    LEFT JOIN columns c ON c.oid = r.oid
+    LEFT JOIN constraint_columns pk ON pk.conrelid = r.oid AND pk.contype = 'p'
+    LEFT JOIN foreign_keys fk ON fk.oid = r.oid
+    LEFT JOIN indexes ix ON ix.oid = r.oid
+  ) AS introspection;
+$$;
+
+REVOKE ALL ON FUNCTION public.introspect_schema(text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.introspect_schema(text, text) TO anon, authenticated, service_role;
+
+-- Make the function visible to the API without a restart
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,89 @@
+-- LLM usage table
+--
+-- Backs LLM_USAGE_STORE=supabase: one row per LLM call (SQL generation,
+-- answers, conversation summaries) with the model, tokens in and out,
+-- latency, retries and estimated cost, and a function aggregating them
+-- by API key, day and model for GET /api/admin/usage.
+--
+-- The API reaches this table with SUPABASE_SERVICE_ROLE_KEY only. RLS
+-- is enabled without policies and anon/authenticated have no grants, so
+-- the table is neither readable through PostgREST with the anon key nor
+-- discovered as a queryable table by the chat API.
+--
+-- Run this in the Supabase SQL editor (or psql) once per project.
+
+CREATE TABLE IF NOT EXISTS public.llm_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  day date NOT NULL, -- UTC day of the call
+  api_key_id text, -- API key the call was made for; null without one
+  user_id text, -- signed-in Supabase user, if any
+  stage text NOT NULL, -- sql, answer or summary
+  provider text NOT NULL,
+  model text NOT NULL,
+  input_tokens integer,
+  output_tokens integer,
+  tokens_estimated boolean NOT NULL DEFAULT false, -- counted from the text when the provider reported none
+  latency_ms integer NOT NULL,
+  retries integer NOT NULL DEFAULT 0,
+  estimated_cost double precision, -- USD; null for models without a price
+  success boolean NOT NULL,
+  error text
+);
+
+CREATE INDEX IF NOT EXISTS llm_usage_day_idx ON public.llm_usage (day, api_key_id);
+
+ALTER TABLE public.llm_usage ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON public.llm_usage FROM anon, authenticated;
+
+-- Calls, tokens, latency and cost per API key, day, provider and model
+CREATE OR REPLACE FUNCTION public.llm_usage_summary(
+  from_day date,
+  to_day date,
+  target_key text DEFAULT NULL
+)
+RETURNS TABLE (
+  api_key_id text,
+  day date,
+  provider text,
+  model text,
+  calls bigint,
+  failures bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  retries bigint,
+  latency_ms bigint,
+  estimated_cost double precision,
+  unpriced_calls bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  SELECT
+    usage.api_key_id,
+    usage.day,
+    usage.provider,
+    usage.model,
+    count(*),
+    count(*) FILTER (WHERE NOT usage.success),
+    coalesce(sum(usage.input_tokens), 0),
+    coalesce(sum(usage.output_tokens), 0),
+    sum(usage.retries),
+    sum(usage.latency_ms),
+    coalesce(sum(usage.estimated_cost), 0),
+    count(*) FILTER (WHERE usage.estimated_cost IS NULL)
+  FROM public.llm_usage AS usage
+  WHERE usage.day BETWEEN from_day AND to_day
+    AND (target_key IS NULL OR usage.api_key_id = target_key)
+  GROUP BY usage.api_key_id, usage.day, usage.provider, usage.model
+  ORDER BY usage.day, usage.api_key_id, usage.model;
+$$;
+
+REVOKE ALL ON FUNCTION public.llm_usage_summary(date, date, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.llm_usage_summary(date, date, text) TO service_role;
+
+-- Make the table and function visible to the API without a restart
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,39 @@
+-- DDL change notifications
+--
+-- Sends NOTIFY ddl after every CREATE / ALTER / DROP / COMMENT, so a backend
+-- started with SCHEMA_NOTIFY_CHANNEL=ddl drops its schema cache right away
+-- instead of waiting for SCHEMA_CACHE_TTL_MS. The payload is the command
+-- tag and the affected object, e.g. "ALTER TABLE public.items".
+--
+-- Event triggers must be created by a superuser (the "postgres" role on
+-- Supabase). Run this in the Supabase SQL editor (or psql) once per
+-- database.
+
+CREATE OR REPLACE FUNCTION public.notify_ddl_change()
+RETURNS event_trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  change record;
+BEGIN
+  IF TG_EVENT = 'sql_drop' THEN
+    FOR change IN SELECT object_type, object_identity FROM pg_event_trigger_dropped_objects() WHERE original LOOP
+      PERFORM pg_notify('ddl', left(format('DROP %s %s', upper(change.object_type), change.object_identity), 7999));
+    END LOOP;
+  ELSE
+    FOR change IN SELECT command_tag, object_identity FROM pg_event_trigger_ddl_commands() LOOP
+      PERFORM pg_notify('ddl', left(format('%s %s', change.command_tag, change.object_identity), 7999));
+    END LOOP;
+  END IF;
+END;
+$$;
+
+DROP EVENT TRIGGER IF EXISTS notify_ddl_command_end;
+CREATE EVENT TRIGGER notify_ddl_command_end
+  ON ddl_command_end
+  EXECUTE FUNCTION public.notify_ddl_change();
+
+DROP EVENT TRIGGER IF EXISTS notify_ddl_sql_drop;
+CREATE EVENT TRIGGER notify_ddl_sql_drop
+  ON sql_drop
+  EXECUTE FUNCTION public.notify_ddl_change();
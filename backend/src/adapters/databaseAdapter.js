@@ -0,0 +1,282 @@
+import { tokenize } from '../services/sqlParser.js';
+
+// Row cap and timeout for SELECT statements executed by an adapter
+export const READONLY_SQL_MAX_ROWS = parseInt(process.env.READONLY_SQL_MAX_ROWS, 10) || 1000;
+export const READONLY_SQL_TIMEOUT_MS = parseInt(process.env.READONLY_SQL_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * User Auth Error
+ *
+ * Raised when an end user's access token is rejected (status 401) or the
+ * user may not run the query (status 403).
+ */
+export class UserAuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'UserAuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Database Adapter
+ *
+ * Interface between DatabaseService and a concrete database. Adapters
+ * receive SELECT statements that already passed the service's safety
+ * checks, and are responsible for running them read-only, with a timeout
+ * and a row cap.
+ *
+ * Implementations: supabase, postgres, mysql, sqlite (see adapters/index.js)
+ */
+export class DatabaseAdapter {
+  /**
+   * @param {string} name - Adapter name as used in DATABASE_ADAPTER
+   * @param {string} dialect - SQL dialect the generated queries must use
+   */
+  constructor(name, dialect) {
+    this.name = name;
+    this.dialect = dialect;
+  }
+
+  /**
+   * Test Connection
+   *
+   * @returns {Promise<boolean>} True if the database is reachable
+   */
+  async testConnection() {
+    throw new Error(`${this.name} adapter does not implement testConnection()`);
+  }
+
+  /**
+   * List Tables
+   *
+   * @returns {Promise<Array<string>>} Names of the queryable tables
+   */
+  async listTables() {
+    throw new Error(`${this.name} adapter does not implement listTables()`);
+  }
+
+  /**
+   * Describe Table
+   *
+   * @param {string} tableName - Table to describe
+   * @returns {Promise<Object|null>} Table schema (see buildTableSchema), null if unknown
+   */
+  async describeTable() {
+    throw new Error(`${this.name} adapter does not implement describeTable()`);
+  }
+
+  /**
+   * Execute Read-only Query
+   *
+   * @param {string} sql - Validated SELECT statement
+   * @param {Array} params - Values for $1, $2 ... placeholders
+   * @param {Object} options - { schema }: table schemas from describeTable(),
+   *   for adapters that interpret the query themselves
+   * @returns {Promise<Object>} { data, count, truncated, aggregated }
+   */
+  async executeReadOnly() {
+    throw new Error(`${this.name} adapter does not implement executeReadOnly()`);
+  }
+
+  /**
+   * Explain
+   *
+   * Asks the database's planner what a query will cost, without running
+   * it. Adapters without a usable planner estimate return null and the
+   * caller falls back to heuristics (see costEstimator.js).
+   *
+   * @param {string} sql - Validated SELECT statement
+   * @param {Array} params - Values for $1, $2 ... placeholders
+   * @returns {Promise<Object|null>} { totalCost, resultRows, scans: [{ table, rows }] }
+   */
+  async explain() {
+    return null;
+  }
+
+  /**
+   * Subscribe To Schema Changes
+   *
+   * Calls onChange when the database reports a DDL change (Postgres
+   * NOTIFY on `channel`). Adapters without notifications return null.
+   *
+   * @param {string} channel - Notification channel
+   * @param {Function} onChange - Called with the notification payload
+   * @returns {Promise<Object|null>} Subscription with stop(), or null if unsupported
+   */
+  async subscribeToSchemaChanges() {
+    return null;
+  }
+
+  /**
+   * For User
+   *
+   * Verifies an end user's access token and returns an adapter that runs
+   * queries with it, so the database's row-level security policies see
+   * that user. Adapters without per-user credentials return null.
+   *
+   * @param {string} accessToken - The user's JWT
+   * @returns {Promise<Object|null>} { adapter, user }, null if unsupported
+   * @throws {UserAuthError} When the token is rejected
+   */
+  async forUser() {
+    return null;
+  }
+
+  /**
+   * Forget anything the adapter remembers about the schema (called when
+   * the schema cache is invalidated).
+   */
+  resetSchemaState() {}
+
+  /**
+   * Release connections held by the adapter.
+   */
+  async close() {}
+}
+
+/**
+ * Build Table Schema
+ *
+ * Normalizes introspection results into the schema shape shared by all
+ * adapters:
+ * {
+ *   table, kind, comment,
+ *   columns: { name: type },
+ *   columnDetails: [{ name, type, udtName, nullable, default, comment, enumValues, primaryKey }],
+ *   primaryKey: [column],
+ *   foreignKeys: [{ name, columns, referencedTable, referencedColumns }],
+ *   indexes: [{ name, columns, unique, primary }],
+ *   rowEstimate, sampleData, source
+ * }
+ *
+ * `source` is "catalog" for real introspection and "sample" when types
+ * were inferred from sample rows. `rowEstimate` is the approximate row
+ * count from the database's statistics, null when unknown.
+ *
+ * @param {Object} raw - Introspected table
+ * @param {Array} sampleData - Sample rows
+ * @returns {Object} Table schema
+ */
+export const buildTableSchema = (raw, sampleData = []) => {
+  const primaryKey = raw.primaryKey || [];
+
+  const columnDetails = (raw.columns || []).map(column => ({
+    name: column.name,
+    type: column.type || 'text',
+    udtName: column.udtName ?? null,
+    nullable: column.nullable !== false,
+    default: column.default ?? null,
+    comment: column.comment || null,
+    enumValues: column.enumValues?.length ? column.enumValues : null,
+    primaryKey: primaryKey.includes(column.name)
+  }));
+
+  return {
+    table: raw.table,
+    kind: raw.kind || 'table',
+    comment: raw.comment || null,
+    columns: Object.fromEntries(columnDetails.map(column => [column.name, column.type])),
+    columnDetails,
+    primaryKey,
+    foreignKeys: raw.foreignKeys || [],
+    indexes: raw.indexes || [],
+    // bigint estimates arrive as strings from some drivers
+    rowEstimate: raw.rowEstimate !== undefined && raw.rowEstimate !== null ? Number(raw.rowEstimate) : null,
+    sampleData,
+    source: raw.source || 'catalog'
+  };
+};
+
+/**
+ * Load an optional driver package, with an actionable error when it is
+ * not installed.
+ */
+export const loadOptionalDependency = async (packageName, adapterName) => {
+  try {
+    return await import(packageName);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(`DATABASE_ADAPTER=${adapterName} requires the "${packageName}" package. Run: npm install ${packageName}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Wrap a SELECT as a derived table so the row cap applies to any query
+ * shape, and so anything that is not a single query expression fails.
+ */
+export const wrapWithRowLimit = (sql, limit) => `SELECT * FROM (\n${sql.trim().replace(/;$/, '')}\n) AS query_result LIMIT ${limit}`;
+
+/**
+ * Summarize Postgres Plan
+ *
+ * Reduces EXPLAIN (FORMAT JSON) output to the top node's cost and row
+ * estimate, plus every sequential scan with its estimated rows.
+ *
+ * @param {Array|string} explained - EXPLAIN output
+ * @returns {Object|null} { totalCost, resultRows, scans: [{ table, rows }] }
+ */
+export const summarizePostgresPlan = (explained) => {
+  const plan = (typeof explained === 'string' ? JSON.parse(explained) : explained)?.[0]?.Plan;
+  if (!plan) return null;
+
+  const scans = [];
+  const visit = (node) => {
+    if (node['Node Type'] === 'Seq Scan' && node['Relation Name']) {
+      scans.push({ table: node['Relation Name'], rows: node['Plan Rows'] });
+    }
+    (node.Plans || []).forEach(visit);
+  };
+  visit(plan);
+
+  return { totalCost: plan['Total Cost'], resultRows: plan['Plan Rows'], scans };
+};
+
+/**
+ * Apply the row cap to rows fetched with a limit of READONLY_SQL_MAX_ROWS + 1.
+ */
+export const capRows = (rows) => {
+  const truncated = rows.length > READONLY_SQL_MAX_ROWS;
+  const data = truncated ? rows.slice(0, READONLY_SQL_MAX_ROWS) : rows;
+  if (truncated) {
+    console.log(`⚠️ Result truncated to ${READONLY_SQL_MAX_ROWS} rows`);
+  }
+  return { data, count: data.length, truncated };
+};
+
+/**
+ * To Positional Placeholders
+ *
+ * Rewrites $1, $2 ... placeholders to ? for drivers that bind by position,
+ * returning the values in placeholder order ($1 may appear twice).
+ *
+ * @param {string} sql - SQL with $n placeholders
+ * @param {Array} params - Values for the placeholders
+ * @returns {Object} { sql, values }
+ */
+export const toPositionalPlaceholders = (sql, params = []) => {
+  if (params.length === 0) {
+    return { sql, values: [] };
+  }
+
+  let result = '';
+  let last = 0;
+  const values = [];
+
+  tokenize(sql)
+    .filter(token => token.type === 'parameter')
+    .forEach(token => {
+      if (token.value < 1 || token.value > params.length) {
+        throw new Error(`No value supplied for parameter $${token.value}`);
+      }
+      result += `${sql.slice(last, token.position)}?`;
+      last = token.position + sql.slice(token.position).match(/^\$\d+/)[0].length;
+      values.push(params[token.value - 1]);
+    });
+
+  return { sql: result + sql.slice(last), values };
+};
+
+export default DatabaseAdapter;
@@ -0,0 +1,63 @@
+/**
+ * Database Adapter Registry
+ *
+ * Selects the database behind DatabaseService with DATABASE_ADAPTER:
+ * - supabase (default): SUPABASE_URL / SUPABASE_ANON_KEY
+ * - postgres: DATABASE_URL, requires "pg"
+ * - mysql: DATABASE_URL, requires "mysql2"
+ * - sqlite: SQLITE_PATH, requires "better-sqlite3"
+ *
+ * Adapter modules are imported on first use, so only the configured
+ * database's settings and driver are needed.
+ */
+
+const ADAPTERS = {
+  supabase: async () => {
+    const [{ SupabaseAdapter }, { default: supabase, createUserClient }] = await Promise.all([
+      import('./supabaseAdapter.js'),
+      import('../config/supabaseClient.js')
+    ]);
+    return new SupabaseAdapter(supabase, { createUserClient });
+  },
+  postgres: async () => new (await import('./postgresAdapter.js')).PostgresAdapter(),
+  mysql: async () => new (await import('./mysqlAdapter.js')).MySQLAdapter(),
+  sqlite: async () => new (await import('./sqliteAdapter.js')).SQLiteAdapter()
+};
+
+let adapterPromise = null;
+
+/**
+ * Create Database Adapter
+ *
+ * @param {string} name - Adapter name (supabase, postgres, mysql, sqlite)
+ * @returns {Promise<DatabaseAdapter>} New adapter instance
+ */
+export const createDatabaseAdapter = async (name) => {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown DATABASE_ADAPTER "${name}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return factory();
+};
+
+/**
+ * Get Database Adapter
+ *
+ * Returns the adapter configured with DATABASE_ADAPTER, created once.
+ *
+ * @returns {Promise<DatabaseAdapter>} Shared adapter instance
+ */
+export const getDatabaseAdapter = () => {
+  if (!adapterPromise) {
+    const name = (process.env.DATABASE_ADAPTER || 'supabase').toLowerCase();
+    adapterPromise = createDatabaseAdapter(name).then(adapter => {
+      console.log(`🗄️ Using ${adapter.name} database adapter`);
+      return adapter;
+    });
+    // Allow a retry after a configuration error
+    adapterPromise.catch(() => { adapterPromise = null; });
+  }
+  return adapterPromise;
+};
+
+export default getDatabaseAdapter;
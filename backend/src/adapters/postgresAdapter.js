@@ -0,0 +1,129 @@
+import {
+  DatabaseAdapter,
+  READONLY_SQL_MAX_ROWS,
+  READONLY_SQL_TIMEOUT_MS,
+  loadOptionalDependency,
+  wrapWithRowLimit,
+  capRows,
+  buildTableSchema,
+  summarizePostgresPlan
+} from './databaseAdapter.js';
+import { INTROSPECTION_SQL } from './postgresIntrospection.js';
+import { listenForNotifications } from './postgresNotifications.js';
+
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * PostgreSQL Adapter
+ *
+ * Connects directly with node-postgres (DATABASE_URL). Every query runs in
+ * a READ ONLY transaction with a local statement_timeout and is rolled back
+ * afterwards. Requires the optional "pg" package.
+ */
+export class PostgresAdapter extends DatabaseAdapter {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.connectionString - postgres:// URL
+   * @param {string} options.schema - Schema to expose (default: public)
+   */
+  constructor({ connectionString = process.env.DATABASE_URL, schema = 'public' } = {}) {
+    super('postgres', 'PostgreSQL');
+
+    if (!connectionString) {
+      throw new Error('DATABASE_URL is required for DATABASE_ADAPTER=postgres');
+    }
+
+    this.connectionString = connectionString;
+    this.schema = schema;
+    this.pool = null;
+  }
+
+  async getPool() {
+    if (!this.pool) {
+      const { default: pg } = await loadOptionalDependency('pg', this.name);
+      this.pool = new pg.Pool({ connectionString: this.connectionString, max: 5 });
+    }
+    return this.pool;
+  }
+
+  async readOnly(text, values = []) {
+    const client = await (await this.getPool()).connect();
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query(`SET LOCAL statement_timeout = ${READONLY_SQL_TIMEOUT_MS}`);
+      const { rows } = await client.query(text, values);
+      return rows;
+    } finally {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  }
+
+  async testConnection() {
+    try {
+      await this.readOnly('SELECT 1');
+      console.log('✅ PostgreSQL connection successful');
+      return true;
+    } catch (error) {
+      console.error('❌ PostgreSQL connection error:', error.message);
+      return false;
+    }
+  }
+
+  async introspect(tableName = null) {
+    const [{ tables }] = await this.readOnly(INTROSPECTION_SQL, [this.schema, tableName]);
+    return tables;
+  }
+
+  async listTables() {
+    const tables = await this.introspect();
+    return tables.map(table => table.table);
+  }
+
+  async describeTable(tableName) {
+    const [raw] = await this.introspect(tableName);
+    if (!raw) {
+      return null;
+    }
+
+    const sampleData = await this.readOnly(
+      `SELECT * FROM ${quoteIdentifier(this.schema)}.${quoteIdentifier(tableName)} LIMIT 3`
+    );
+
+    return buildTableSchema(raw, sampleData);
+  }
+
+  async subscribeToSchemaChanges(channel, onChange) {
+    return listenForNotifications({
+      connectionString: this.connectionString,
+      channel,
+      onNotification: onChange,
+      onReconnect: () => onChange('reconnect')
+    });
+  }
+
+  async executeReadOnly(sql, params = []) {
+    const rows = await this.readOnly(wrapWithRowLimit(sql, READONLY_SQL_MAX_ROWS + 1), params);
+    return capRows(rows);
+  }
+
+  /**
+   * Explain
+   *
+   * Plans the statement exactly as executeReadOnly() would run it,
+   * including the row cap.
+   */
+  async explain(sql, params = []) {
+    const [row] = await this.readOnly(`EXPLAIN (FORMAT JSON) ${wrapWithRowLimit(sql, READONLY_SQL_MAX_ROWS + 1)}`, params);
+    return summarizePostgresPlan(row['QUERY PLAN']);
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+export default PostgresAdapter;
@@ -0,0 +1,74 @@
+import { loadOptionalDependency } from './databaseAdapter.js';
+
+// Delay before reconnecting a dropped LISTEN connection
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Listen For Notifications
+ *
+ * Keeps a dedicated node-postgres connection open with LISTEN on a channel
+ * and calls onNotification for every NOTIFY. The connection is re-opened
+ * after errors, since notifications sent while it is down are lost.
+ *
+ * @param {Object} options - Listener options
+ * @param {string} options.connectionString - postgres:// URL
+ * @param {string} options.channel - Channel name (e.g. ddl)
+ * @param {Function} options.onNotification - Called with the notification payload
+ * @param {Function} options.onReconnect - Called after a dropped connection is re-opened
+ * @returns {Promise<Object>} { stop() }
+ */
+export const listenForNotifications = async ({ connectionString, channel, onNotification, onReconnect = () => {} }) => {
+  const { default: pg } = await loadOptionalDependency('pg', 'LISTEN');
+  let client = null;
+  let stopped = false;
+  let reconnectTimer = null;
+
+  const scheduleReconnect = () => {
+    if (stopped || reconnectTimer) return;
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      try {
+        await connect();
+        onReconnect();
+      } catch (error) {
+        console.error(`❌ LISTEN ${channel} reconnect failed:`, error.message);
+        scheduleReconnect();
+      }
+    }, RECONNECT_DELAY_MS);
+    reconnectTimer.unref();
+  };
+
+  const connect = async () => {
+    const connection = new pg.Client({ connectionString });
+    connection.on('notification', message => {
+      if (message.channel === channel) {
+        onNotification(message.payload);
+      }
+    });
+    connection.on('error', error => {
+      console.error(`❌ LISTEN ${channel} connection error:`, error.message);
+      connection.end().catch(() => {});
+      scheduleReconnect();
+    });
+
+    await connection.connect();
+    await connection.query(`LISTEN "${channel.replace(/"/g, '""')}"`);
+    client = connection;
+    console.log(`👂 Listening for NOTIFY ${channel}`);
+  };
+
+  await connect();
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      if (client) {
+        await client.end().catch(() => {});
+        client = null;
+      }
+    }
+  };
+};
+
+export default listenForNotifications;
@@ -0,0 +1,138 @@
+import {
+  DatabaseAdapter,
+  READONLY_SQL_MAX_ROWS,
+  loadOptionalDependency,
+  wrapWithRowLimit,
+  capRows,
+  toPositionalPlaceholders,
+  buildTableSchema
+} from './databaseAdapter.js';
+
+// SQLite cannot bind booleans
+const toSQLiteValue = (value) => (typeof value === 'boolean' ? Number(value) : value);
+
+/**
+ * SQLite Adapter
+ *
+ * Opens a local database file (SQLITE_PATH) read-only with better-sqlite3,
+ * so the whole pipeline can run without a hosted database. Statements run
+ * synchronously and cannot be interrupted, so only the row cap applies.
+ * Requires the optional "better-sqlite3" package.
+ */
+export class SQLiteAdapter extends DatabaseAdapter {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.filename - Path to the database file
+   */
+  constructor({ filename = process.env.SQLITE_PATH } = {}) {
+    super('sqlite', 'SQLite');
+
+    if (!filename) {
+      throw new Error('SQLITE_PATH is required for DATABASE_ADAPTER=sqlite');
+    }
+
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async getDatabase() {
+    if (!this.db) {
+      const { default: Database } = await loadOptionalDependency('better-sqlite3', this.name);
+      this.db = new Database(this.filename, { readonly: true, fileMustExist: true });
+      this.db.pragma('query_only = ON');
+    }
+    return this.db;
+  }
+
+  async all(text, values = []) {
+    const statement = (await this.getDatabase()).prepare(text);
+    if (!statement.reader) {
+      throw new Error('Only statements that return rows are allowed');
+    }
+    return statement.all(values.map(toSQLiteValue));
+  }
+
+  async testConnection() {
+    try {
+      await this.all('SELECT 1');
+      console.log('✅ SQLite connection successful');
+      return true;
+    } catch (error) {
+      console.error('❌ SQLite connection error:', error.message);
+      return false;
+    }
+  }
+
+  async listTables() {
+    const rows = await this.all(
+      'SELECT name FROM sqlite_master WHERE type IN (\'table\', \'view\') AND name NOT LIKE \'sqlite_%\' ORDER BY name'
+    );
+    return rows.map(row => row.name);
+  }
+
+  async describeTable(tableName) {
+    const [master] = await this.all('SELECT type FROM sqlite_master WHERE name = ? AND type IN (\'table\', \'view\')', [tableName]);
+    if (!master) {
+      return null;
+    }
+
+    const columnRows = await this.all('SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info(?)', [tableName]);
+    const foreignKeyRows = await this.all('SELECT id, "table", "from", "to" FROM pragma_foreign_key_list(?) ORDER BY id, seq', [tableName]);
+    const indexRows = await this.all('SELECT name, "unique", origin FROM pragma_index_list(?)', [tableName]);
+
+    const indexes = [];
+    for (const index of indexRows) {
+      const indexColumns = await this.all('SELECT name FROM pragma_index_info(?) ORDER BY seqno', [index.name]);
+      indexes.push({
+        name: index.name,
+        columns: indexColumns.map(column => column.name),
+        unique: index.unique === 1,
+        primary: index.origin === 'pk'
+      });
+    }
+
+    const foreignKeys = new Map();
+    foreignKeyRows.forEach(row => {
+      if (!foreignKeys.has(row.id)) {
+        foreignKeys.set(row.id, { name: `${tableName}_fk_${row.id}`, columns: [], referencedTable: row.table, referencedColumns: [] });
+      }
+      foreignKeys.get(row.id).columns.push(row.from);
+      foreignKeys.get(row.id).referencedColumns.push(row.to);
+    });
+
+    const quotedName = `"${tableName.replace(/"/g, '""')}"`;
+    const sampleData = await this.all(`SELECT * FROM ${quotedName} LIMIT 3`);
+    // SQLite keeps no row statistics; local files are small enough to count
+    const [{ total }] = await this.all(`SELECT COUNT(*) AS total FROM ${quotedName}`);
+
+    return buildTableSchema({
+      table: tableName,
+      kind: master.type,
+      columns: columnRows.map(row => ({
+        name: row.name,
+        type: row.type || 'text',
+        nullable: row.notnull === 0 && row.pk === 0,
+        default: row.dflt_value
+      })),
+      primaryKey: columnRows.filter(row => row.pk > 0).sort((a, b) => a.pk - b.pk).map(row => row.name),
+      foreignKeys: [...foreignKeys.values()],
+      indexes,
+      rowEstimate: total
+    }, sampleData);
+  }
+
+  async executeReadOnly(sql, params = []) {
+    const { sql: text, values } = toPositionalPlaceholders(sql, params);
+    const rows = await this.all(wrapWithRowLimit(text, READONLY_SQL_MAX_ROWS + 1), values);
+    return capRows(rows);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SQLiteAdapter;
@@ -0,0 +1,496 @@
+import {
+  DatabaseAdapter,
+  READONLY_SQL_MAX_ROWS,
+  READONLY_SQL_TIMEOUT_MS,
+  UserAuthError,
+  buildTableSchema,
+  summarizePostgresPlan
+} from './databaseAdapter.js';
+import { parseSQL, tokenize, inlineParameters } from '../services/sqlParser.js';
+import { translateSelect, buildSupabaseQuery, flattenEmbeddedRows } from '../services/queryTranslator.js';
+import { aggregateRows, projectRows, evaluateExpression } from '../services/aggregationEngine.js';
+import { listenForNotifications } from './postgresNotifications.js';
+
+// Page size for in-process scans (PostgREST max-rows default)
+const FETCH_PAGE_SIZE = 1000;
+
+// Maximum rows fetched for in-process aggregation and DISTINCT
+const SCAN_ROW_LIMIT = parseInt(process.env.QUERY_SCAN_ROW_LIMIT, 10) || 10000;
+
+// Plain column names in a PostgREST select string (alias:column keeps the column)
+const SELECTED_COLUMN = /^(?:[A-Za-z_][A-Za-z0-9_]*:)?([A-Za-z_][A-Za-z0-9_]*)$/;
+
+/**
+ * Scan Order
+ *
+ * Columns that give an in-process scan a stable row order. Postgres does
+ * not keep row order between two page requests, so without it a page can
+ * repeat rows of the previous one and skip others. Uses the primary key,
+ * or else every column read from the table: rows that tie on all of them
+ * are interchangeable for grouping and DISTINCT.
+ *
+ * @param {Object} plan - Query plan
+ * @param {Object|null} tableSchema - Schema of plan.table
+ * @returns {Array<string>} Columns to order by
+ */
+const scanOrder = (plan, tableSchema) => {
+  if (tableSchema?.primaryKey?.length > 0) {
+    return tableSchema.primaryKey;
+  }
+
+  const parts = plan.select.split(',');
+  const selected = parts.map(part => part.match(SELECTED_COLUMN)?.[1]).filter(Boolean);
+  // Joined rows also differ by their embedded records, so use every column
+  const everyColumn = plan.join || parts.includes('*');
+  const allColumns = tableSchema?.columnDetails?.map(column => column.name) || [];
+
+  return everyColumn && allColumns.length > 0 ? allColumns : [...new Set(selected)];
+};
+
+// How SELECT statements are executed:
+// - translator: parsed and run through the Supabase query builder (default)
+// - rpc: sent as-is to the execute_readonly_sql function
+//   (scripts/execute_readonly_sql.sql), which supports the full SELECT syntax
+const QUERY_EXECUTION_MODE = process.env.QUERY_EXECUTION_MODE === 'rpc' ? 'rpc' : 'translator';
+
+/**
+ * Supabase Adapter
+ *
+ * Runs queries through PostgREST, either translated into query-builder
+ * calls or through the execute_readonly_sql RPC. Schema discovery uses
+ * the introspect_schema RPC (scripts/introspect_schema.sql); without it,
+ * column types are inferred from sample rows.
+ */
+export class SupabaseAdapter extends DatabaseAdapter {
+  /**
+   * @param {Object} client - Supabase client
+   * @param {Object} options - Adapter options
+   * @param {Function} options.createUserClient - Creates a client for an end user's JWT (see forUser)
+   */
+  constructor(client, { createUserClient = null } = {}) {
+    super('supabase', 'PostgreSQL');
+    this.client = client;
+    this.createUserClient = createUserClient;
+    // Set to false once introspect_schema() is known to be missing
+    this.introspectionAvailable = null;
+    // Set to false once explain_readonly_sql() is known to be missing
+    this.explainAvailable = null;
+  }
+
+  /**
+   * Test Connection
+   *
+   * Asks introspect_schema() for a table that cannot exist, so the check
+   * works whatever tables the database has. PostgREST reporting the
+   * function as missing still proves the connection and the key.
+   */
+  async testConnection() {
+    try {
+      const { error } = await this.client
+        .rpc('introspect_schema', { target_schema: 'public', target_table: '' }, { get: true });
+
+      if (error && error.code !== 'PGRST202') {
+        console.error('❌ Supabase connection test failed:', error.message);
+        return false;
+      }
+
+      console.log('✅ Supabase connection successful');
+      return true;
+    } catch (error) {
+      console.error('❌ Supabase connection error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Introspect
+   *
+   * Calls introspect_schema() for one table or the whole public schema.
+   *
+   * @param {string} tableName - Table to describe, null for all tables
+   * @returns {Promise<Array|null>} Introspected tables, null when the function is not installed
+   */
+  async introspect(tableName = null) {
+    if (this.introspectionAvailable === false) {
+      return null;
+    }
+
+    const { data, error } = await this.client
+      .rpc('introspect_schema', { target_schema: 'public', target_table: tableName }, { get: true });
+
+    if (error) {
+      if (error.code === 'PGRST202') {
+        console.log('⚠️ introspect_schema() is not installed (run backend/scripts/introspect_schema.sql); inferring column types from sample rows');
+        this.introspectionAvailable = false;
+        return null;
+      }
+      throw error;
+    }
+
+    this.introspectionAvailable = true;
+    return data || [];
+  }
+
+  async listTables() {
+    const introspected = await this.introspect();
+    if (introspected) {
+      return introspected.map(table => table.table);
+    }
+
+    // Query PostgreSQL information_schema to get all tables
+    const { data, error } = await this.client
+      .from('information_schema.tables')
+      .select('table_name')
+      .eq('table_schema', 'public')
+      .eq('table_type', 'BASE TABLE');
+
+    // information_schema is usually not exposed through PostgREST; guessing
+    // table names would hide every other table, so ask for the function
+    const tables = data?.map(t => t.table_name) || [];
+    if (error || tables.length === 0) {
+      throw new Error('Cannot list the database tables: install the introspect_schema() function by running '
+        + 'backend/scripts/introspect_schema.sql in the Supabase SQL editor'
+        + (error ? ` (information_schema is not readable: ${error.message})` : ''));
+    }
+    return tables;
+  }
+
+  async describeTable(tableName) {
+    const introspected = await this.introspect(tableName);
+
+    const { data, error } = await this.client
+      .from(tableName)
+      .select('*')
+      .limit(3);
+
+    if (introspected) {
+      if (introspected.length === 0) {
+        return null;
+      }
+      if (error) {
+        console.error(`Error getting sample rows for ${tableName}:`, error.message);
+      }
+      return buildTableSchema(introspected[0], error ? [] : data || []);
+    }
+
+    if (error) {
+      console.error('Error getting table schema:', error);
+      return null;
+    }
+
+    // Infer column types from the first row; columns that are null there
+    // come out as text
+    const columns = Object.entries(data?.[0] || {}).map(([name, value]) => {
+      let type = 'text';
+
+      if (typeof value === 'number') {
+        type = Number.isInteger(value) ? 'integer' : 'numeric';
+      } else if (typeof value === 'boolean') {
+        type = 'boolean';
+      }
+
+      return { name, type };
+    });
+
+    // PostgREST's planner-based count, for the cost estimator
+    const { count: rowEstimate } = await this.client
+      .from(tableName)
+      .select('*', { count: 'estimated', head: true });
+
+    return buildTableSchema({ table: tableName, columns, rowEstimate, source: 'sample' }, data || []);
+  }
+
+  /**
+   * Subscribe To Schema Changes
+   *
+   * PostgREST does not relay NOTIFY, so this needs the project's direct
+   * Postgres connection string in DATABASE_URL.
+   */
+  async subscribeToSchemaChanges(channel, onChange) {
+    if (!process.env.DATABASE_URL) {
+      console.log(`⚠️ Set DATABASE_URL to the Supabase Postgres connection string to listen for NOTIFY ${channel}`);
+      return null;
+    }
+
+    return listenForNotifications({
+      connectionString: process.env.DATABASE_URL,
+      channel,
+      onNotification: onChange,
+      onReconnect: () => onChange('reconnect')
+    });
+  }
+
+  /**
+   * For User
+   *
+   * Checks the token with Supabase Auth, then returns an adapter whose
+   * client sends it on every request, so RLS policies see the user
+   * (auth.uid(), auth.jwt()) instead of the anon role.
+   *
+   * @param {string} accessToken - The user's Supabase access token
+   * @returns {Promise<Object|null>} { adapter, user }
+   */
+  async forUser(accessToken) {
+    if (!this.createUserClient) {
+      return null;
+    }
+
+    const { data, error } = await this.client.auth.getUser(accessToken);
+    if (error || !data?.user) {
+      // Auth being unreachable is a server problem, not a bad token
+      if (error && (!error.status || error.status >= 500)) {
+        throw error;
+      }
+      throw new UserAuthError(401, `Access token rejected: ${error?.message || 'no user for this token'}`);
+    }
+
+    const adapter = new SupabaseAdapter(this.createUserClient(accessToken));
+    adapter.introspectionAvailable = this.introspectionAvailable;
+    adapter.explainAvailable = this.explainAvailable;
+
+    return {
+      adapter,
+      user: { id: data.user.id, email: data.user.email || null, role: data.user.role || null }
+    };
+  }
+
+  resetSchemaState() {
+    // Check again for introspect_schema() and explain_readonly_sql(), they may have been installed since
+    this.introspectionAvailable = null;
+    this.explainAvailable = null;
+  }
+
+  /**
+   * Explain
+   *
+   * Calls the explain_readonly_sql RPC (scripts/explain_readonly_sql.sql),
+   * which plans the statement with the same row cap as
+   * execute_readonly_sql. Returns null when the function is not installed.
+   */
+  async explain(sql, params = []) {
+    if (this.explainAvailable === false) {
+      return null;
+    }
+
+    const { data, error } = await this.client
+      .rpc('explain_readonly_sql', {
+        query: inlineParameters(sql, params).trim().replace(/;$/, ''),
+        max_rows: READONLY_SQL_MAX_ROWS
+      }, { get: true })
+      .abortSignal(AbortSignal.timeout(READONLY_SQL_TIMEOUT_MS));
+
+    if (error) {
+      if (error.code === 'PGRST202') {
+        console.log('⚠️ explain_readonly_sql() is not installed (run backend/scripts/explain_readonly_sql.sql); estimating query cost heuristically');
+        this.explainAvailable = false;
+        return null;
+      }
+      throw error;
+    }
+
+    this.explainAvailable = true;
+    return summarizePostgresPlan(data);
+  }
+
+  /**
+   * Execute Read-only Query
+   *
+   * Runs a validated SELECT with the configured backend
+   * (QUERY_EXECUTION_MODE).
+   *
+   * @param {string} sql - SQL query string
+   * @param {Array} params - Values for $1, $2 ... placeholders
+   * @param {Object} options - Execution options
+   * @param {Array} options.schema - Table schemas for WHERE type coercion
+   * @returns {Promise<Object>} Query results
+   */
+  async executeReadOnly(sql, params = [], { schema } = {}) {
+    if (QUERY_EXECUTION_MODE === 'rpc') {
+      return this.executeReadonlySQL(sql, params);
+    }
+    return this.parseAndExecuteSQL(sql, params, { schema });
+  }
+
+  /**
+   * Execute Read-only SQL
+   *
+   * Sends the statement to the execute_readonly_sql RPC, which runs it in a
+   * read-only transaction with a statement timeout and returns at most
+   * READONLY_SQL_MAX_ROWS rows. Unlike the translator, this supports CTEs,
+   * window functions and subqueries.
+   *
+   * @param {string} sql - SQL query string
+   * @param {Array} params - Values for $1, $2 ... placeholders
+   * @returns {Promise<Object>} Query results
+   */
+  async executeReadonlySQL(sql, params = []) {
+    // The function wraps the statement in a subquery, so reject extra
+    // statements here to report them clearly
+    const statements = tokenize(sql).filter(token => token.type === 'punctuation' && token.value === ';');
+    const trailing = statements.length === 1 && sql.slice(statements[0].position + 1).trim() === '';
+    if (statements.length > 1 || (statements.length === 1 && !trailing)) {
+      throw new Error('Only a single SQL statement is allowed');
+    }
+
+    const { data, error } = await this.client
+      .rpc('execute_readonly_sql', {
+        query: inlineParameters(sql, params).trim().replace(/;$/, ''),
+        max_rows: READONLY_SQL_MAX_ROWS
+      }, { get: true })
+      .abortSignal(AbortSignal.timeout(READONLY_SQL_TIMEOUT_MS));
+
+    if (error) {
+      if (error.code === 'PGRST202') {
+        throw new Error('execute_readonly_sql is not installed. Run backend/scripts/execute_readonly_sql.sql or set QUERY_EXECUTION_MODE=translator.');
+      }
+      if (error.code === '57014') {
+        throw new Error('Query was cancelled because it exceeded the statement timeout');
+      }
+      throw error;
+    }
+
+    const rows = data?.rows || [];
+    if (data?.truncated) {
+      console.log(`⚠️ Result truncated to ${READONLY_SQL_MAX_ROWS} rows`);
+    }
+
+    return { data: rows, count: rows.length, truncated: Boolean(data?.truncated) };
+  }
+
+  /**
+   * Parse and Execute SQL
+   *
+   * Parses the SQL into an AST, compiles it into a query plan and runs the
+   * plan through Supabase's query builder. Constructs the translator cannot
+   * express exactly are rejected with an UnsupportedQueryError.
+   *
+   * @param {string} sql - SQL query string
+   * @param {Array} params - Values for $1, $2 ... placeholders
+   * @param {Object} options - Translation options
+   * @param {Array} options.schema - Table schemas for WHERE type coercion
+   * @returns {Promise<Object>} Query results
+   */
+  async parseAndExecuteSQL(sql, params = [], { schema } = {}) {
+    const ast = parseSQL(sql);
+    const plan = translateSelect(ast, { params, schema });
+    return this.executePlan(plan, { schema });
+  }
+
+  /**
+   * Execute Query Plan
+   *
+   * Runs a plan produced by translateSelect() against Supabase.
+   *
+   * @param {Object} plan - Query plan
+   * @param {Object} options - Execution options
+   * @param {Array} options.schema - Table schemas, for the scan order
+   * @returns {Promise<Object>} Query results
+   */
+  async executePlan(plan, { schema } = {}) {
+    // FROM-less SELECT of constants (e.g. SELECT 1)
+    if (plan.constantRow) {
+      return { data: [plan.constantRow], count: 1 };
+    }
+
+    if (plan.countOnly) {
+      if (plan.alwaysEmpty) {
+        return { data: [{ [plan.countOnly.alias]: 0 }], count: 1 };
+      }
+
+      const { error, count } = await buildSupabaseQuery(this.client, plan);
+      if (error) throw error;
+
+      return { data: [{ [plan.countOnly.alias]: count }], count: 1 };
+    }
+
+    if (plan.join) {
+      let rows = plan.alwaysEmpty ? [] : flattenEmbeddedRows(await this.fetchRows(plan, schema), plan.join);
+      if (plan.join.residual) {
+        rows = rows.filter(row => evaluateExpression(plan.join.residual, { row, params: plan.join.params }) === true);
+      }
+
+      if (plan.aggregate) {
+        const data = aggregateRows(rows, plan.aggregate);
+        return { data, count: data.length, aggregated: true };
+      }
+
+      const data = projectRows(rows, plan.projection);
+      return { data, count: data.length };
+    }
+
+    if (plan.aggregate) {
+      const rows = plan.alwaysEmpty ? [] : await this.fetchRows(plan, schema);
+      const data = aggregateRows(rows, plan.aggregate);
+      return { data, count: data.length, aggregated: true };
+    }
+
+    if (plan.alwaysEmpty) {
+      return { data: [], count: 0 };
+    }
+
+    if (!plan.distinct) {
+      const { data, error } = await buildSupabaseQuery(this.client, plan);
+      if (error) throw error;
+
+      return { data: data || [], count: data?.length || 0 };
+    }
+
+    // PostgREST has no DISTINCT, so deduplicate before paginating.
+    // Limiting first would drop distinct values that appear later.
+    const uniqueSet = new Set();
+    let finalData = (await this.fetchRows(plan, schema)).filter(item => {
+      const val = JSON.stringify(item);
+      if (uniqueSet.has(val)) return false;
+      uniqueSet.add(val);
+      return true;
+    });
+
+    const offset = plan.offset || 0;
+    finalData = finalData.slice(offset, plan.limit !== null ? offset + plan.limit : undefined);
+
+    return { data: finalData, count: finalData.length };
+  }
+
+  /**
+   * Fetch Rows
+   *
+   * Fetches every row matching the plan's filters, page by page, for
+   * processing that PostgREST cannot do (grouping, DISTINCT, joins). Refuses to
+   * scan more than SCAN_ROW_LIMIT rows rather than returning partial results.
+   * Pages are ordered by the plan's ORDER BY, then by scanOrder().
+   *
+   * @param {Object} plan - Query plan
+   * @param {Array} schema - Table schemas; plan.table is described when missing
+   * @returns {Promise<Array>} Matching rows
+   */
+  async fetchRows(plan, schema = []) {
+    const rows = [];
+    const tableSchema = schema?.find(table => table.table === plan.table) || await this.describeTable(plan.table);
+    const ordered = new Set(plan.orders.map(order => order.column));
+    const tieBreakers = scanOrder(plan, tableSchema).filter(column => !ordered.has(column));
+
+    for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+      let query = buildSupabaseQuery(this.client, plan, { paginate: false, count: from === 0 });
+      tieBreakers.forEach(column => {
+        query = query.order(column, { ascending: true });
+      });
+
+      const { data, error, count } = await query.range(from, from + FETCH_PAGE_SIZE - 1);
+      if (error) throw error;
+
+      if (from === 0 && count > SCAN_ROW_LIMIT) {
+        throw new Error(
+          `Query would scan ${count} rows, more than the ${SCAN_ROW_LIMIT}-row limit for grouping, DISTINCT and joins. ` +
+          'Add filters to narrow it down.'
+        );
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < FETCH_PAGE_SIZE) break;
+    }
+
+    return rows;
+  }
+}
+
+export default SupabaseAdapter;
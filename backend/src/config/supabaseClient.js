@@ -51,6 +51,63 @@ const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   }
 });
 
+/**
+ * Create User Client
+ *
+ * Creates a request-scoped client that sends the end user's JWT instead
+ * of the anon key, so PostgREST runs queries as that user and their
+ * row-level security policies apply. The token is not refreshed; an
+ * expired token is rejected by Supabase.
+ *
+ * @param {string} accessToken - The user's Supabase access token
+ * @returns {Object} Supabase client for this user
+ */
+export const createUserClient = (accessToken) => createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false,
+    detectSessionInUrl: false
+  },
+  global: {
+    headers: {
+      'X-Client-Info': 'supabase-js-api-ai-database-access',
+      Authorization: `Bearer ${accessToken}`
+    }
+  },
+  db: {
+    schema: 'public'
+  }
+});
+
+/**
+ * Create Service Client
+ *
+ * Creates a client with the service role key (SUPABASE_SERVICE_ROLE_KEY),
+ * which bypasses RLS. Used only for the server's own tables, such as the
+ * API key store; never for AI-generated queries.
+ *
+ * @returns {Object} Supabase client with the service role
+ */
+export const createServiceClient = () => {
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceRoleKey) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY must be set to use the Supabase API key store');
+  }
+
+  return createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+      detectSessionInUrl: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'supabase-js-api-ai-database-access'
+      }
+    }
+  });
+};
+
 /**
  * Test Database Connection
  *
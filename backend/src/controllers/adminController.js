@@ -0,0 +1,443 @@
+import DatabaseService from '../services/databaseService.js';
+import SemanticLayer from '../services/semanticLayer.js';
+import AccessControl from '../services/accessControl.js';
+import ApiKeyService, { validateApiKeyInput } from '../services/apiKeys.js';
+import LLMUsage, { validateUsageQuery } from '../services/llmUsage.js';
+
+/**
+ * Admin Controller
+ *
+ * Handles the operational endpoints under /api/admin.
+ * All routes are protected by the admin token middleware.
+ */
+
+export class AdminController {
+  /**
+   * Get Schema Cache Status
+   *
+   * Returns the schema cache state: age, hit/miss counts, cached tables
+   * and whether DDL notifications are being received.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getSchemaCache(req, res, next) {
+    try {
+      res.json({
+        cache: DatabaseService.getSchemaCacheStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Get schema cache error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Invalidate Schema Cache
+   *
+   * Drops the cached schema so the next chat message re-introspects the
+   * database. With { "reload": true } in the body, the schema is loaded
+   * again before responding.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async invalidateSchemaCache(req, res, next) {
+    try {
+      console.log('🧹 Schema cache invalidation requested');
+
+      await DatabaseService.invalidateSchemaCache('admin');
+
+      if (req.body?.reload === true) {
+        await DatabaseService.getAllTablesSchema();
+      }
+
+      res.json({
+        invalidated: true,
+        cache: DatabaseService.getSchemaCacheStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Invalidate schema cache error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get Semantic Model
+   *
+   * Returns the semantic model with its validation against the live
+   * schema, so drift (a renamed or dropped column) shows up here.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getSemanticModel(req, res, next) {
+    try {
+      const model = await SemanticLayer.getModel();
+      const schemas = await DatabaseService.getAllTablesSchema();
+      const { valid, errors, warnings } = SemanticLayer.validate(schemas);
+
+      res.json({
+        model,
+        path: SemanticLayer.path,
+        loadedAt: SemanticLayer.loadedAt,
+        validation: { valid, errors, warnings },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Get semantic model error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update Semantic Model
+   *
+   * Replaces the semantic model after validating it against the live
+   * schema, and saves it to SEMANTIC_MODEL_PATH. With ?dryRun=true the
+   * model is only validated.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async updateSemanticModel(req, res, next) {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      console.log(`📚 Semantic model ${dryRun ? 'validation' : 'update'} requested`);
+
+      const schemas = await DatabaseService.getAllTablesSchema();
+      const result = await SemanticLayer.update(req.body, schemas, { dryRun });
+
+      if (!result.valid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'The semantic model does not match the database schema',
+          details: result.errors,
+          warnings: result.warnings
+        });
+      }
+
+      res.json({
+        saved: result.saved,
+        model: result.saved ? SemanticLayer.model : req.body,
+        validation: { valid: true, errors: [], warnings: result.warnings },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Update semantic model error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Reload Semantic Model
+   *
+   * Re-reads SEMANTIC_MODEL_PATH, e.g. after the file was edited by hand.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async reloadSemanticModel(req, res, next) {
+    try {
+      let model;
+      try {
+        model = await SemanticLayer.load();
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid semantic model',
+          message: error.message
+        });
+      }
+
+      const schemas = await DatabaseService.getAllTablesSchema();
+      const { valid, errors, warnings } = SemanticLayer.validate(schemas);
+
+      res.json({
+        model,
+        loadedAt: SemanticLayer.loadedAt,
+        validation: { valid, errors, warnings },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Reload semantic model error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get Access Policy
+   *
+   * Returns the table and column access policy with its validation
+   * against the live schema.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getAccessPolicy(req, res, next) {
+    try {
+      const policy = await AccessControl.getPolicy();
+      const schemas = await DatabaseService.getAllTablesSchema();
+      const { valid, errors, warnings } = AccessControl.validate(schemas);
+
+      res.json({
+        policy,
+        path: AccessControl.path,
+        loadedAt: AccessControl.loadedAt,
+        validation: { valid, errors, warnings },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Get access policy error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update Access Policy
+   *
+   * Replaces the access policy after validating it against the live
+   * schema, and saves it to ACCESS_POLICY_PATH. With ?dryRun=true the
+   * policy is only validated.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async updateAccessPolicy(req, res, next) {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      console.log(`🔐 Access policy ${dryRun ? 'validation' : 'update'} requested`);
+
+      const schemas = await DatabaseService.getAllTablesSchema();
+      const result = await AccessControl.update(req.body, schemas, { dryRun });
+
+      if (!result.valid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'The access policy is invalid or does not match the database schema',
+          details: result.errors,
+          warnings: result.warnings
+        });
+      }
+
+      res.json({
+        saved: result.saved,
+        policy: result.saved ? AccessControl.policy : req.body,
+        validation: { valid: true, errors: [], warnings: result.warnings },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Update access policy error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Reload Access Policy
+   *
+   * Re-reads ACCESS_POLICY_PATH, e.g. after the file was edited by hand.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async reloadAccessPolicy(req, res, next) {
+    try {
+      let policy;
+      try {
+        policy = await AccessControl.load();
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid access policy',
+          message: error.message
+        });
+      }
+
+      const schemas = await DatabaseService.getAllTablesSchema();
+      const { valid, errors, warnings } = AccessControl.validate(schemas);
+
+      res.json({
+        policy,
+        loadedAt: AccessControl.loadedAt,
+        validation: { valid, errors, warnings },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Reload access policy error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List API Keys
+   *
+   * Returns every API key (without its hash) with its scopes, limits and
+   * this month's usage.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async listApiKeys(req, res, next) {
+    try {
+      res.json({
+        keys: await ApiKeyService.list(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ List API keys error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create API Key
+   *
+   * Creates a key and returns it once; only its hash is stored.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async createApiKey(req, res, next) {
+    try {
+      // Roles are checked against the access policy
+      await AccessControl.getPolicy();
+      const errors = validateApiKeyInput(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Invalid API key settings',
+          details: errors
+        });
+      }
+
+      const { key, record } = await ApiKeyService.create(req.body);
+      res.status(201).json({
+        key,
+        record,
+        message: 'Store this key now, it cannot be shown again',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Create API key error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Rotate API Key
+   *
+   * Issues a new key for an active record; the old key stops working.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async rotateApiKey(req, res, next) {
+    try {
+      const result = await ApiKeyService.rotate(req.params.id);
+      if (!result) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No active API key with id ${req.params.id}`
+        });
+      }
+
+      res.json({
+        ...result,
+        message: 'Store this key now, it cannot be shown again',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Rotate API key error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke API Key
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async revokeApiKey(req, res, next) {
+    try {
+      const record = await ApiKeyService.revoke(req.params.id);
+      if (!record) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `No API key with id ${req.params.id}`
+        });
+      }
+
+      res.json({
+        revoked: true,
+        record,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Revoke API key error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get LLM Usage
+   *
+   * Returns the LLM calls, tokens, latency and estimated cost over a
+   * range of days, totalled by API key, day and model.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getUsage(req, res, next) {
+    try {
+      const errors = validateUsageQuery(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Invalid usage query',
+          details: errors
+        });
+      }
+
+      res.json({
+        usage: await LLMUsage.report(req.query),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Get LLM usage error:', error);
+      next(error);
+    }
+  }
+}
+
+// Export individual methods for use in routes
+export const adminController = {
+  getSchemaCache: AdminController.getSchemaCache.bind(AdminController),
+  invalidateSchemaCache: AdminController.invalidateSchemaCache.bind(AdminController),
+  getSemanticModel: AdminController.getSemanticModel.bind(AdminController),
+  updateSemanticModel: AdminController.updateSemanticModel.bind(AdminController),
+  reloadSemanticModel: AdminController.reloadSemanticModel.bind(AdminController),
+  getAccessPolicy: AdminController.getAccessPolicy.bind(AdminController),
+  updateAccessPolicy: AdminController.updateAccessPolicy.bind(AdminController),
+  reloadAccessPolicy: AdminController.reloadAccessPolicy.bind(AdminController),
+  listApiKeys: AdminController.listApiKeys.bind(AdminController),
+  createApiKey: AdminController.createApiKey.bind(AdminController),
+  rotateApiKey: AdminController.rotateApiKey.bind(AdminController),
+  revokeApiKey: AdminController.revokeApiKey.bind(AdminController),
+  getUsage: AdminController.getUsage.bind(AdminController)
+};
+
+export default adminController;
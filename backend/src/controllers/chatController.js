@@ -1,6 +1,140 @@
-import { generateResponse, generateSQLQuery } from '../services/geminiService.js';
+import { generateResponse, generateSQLQuery, forgetGeneratedQuery } from '../services/geminiService.js';
+import ConversationMemory, { validateConversationMemory } from '../services/conversationMemory.js';
+import { usageContext, summarizeCalls, LLMQuotaError } from '../services/llmUsage.js';
 import DatabaseService from '../services/databaseService.js';
-import { testConnection } from '../config/supabaseClient.js';
+import { selectRelevantTables } from '../services/schemaRetrieval.js';
+import SemanticLayer from '../services/semanticLayer.js';
+import AccessControl from '../services/accessControl.js';
+import { columnPiiTags, redactRows, redactSchemaSamples, REDACTION_POLICIES } from '../services/piiRedaction.js';
+import { recordApiKeyUsage } from '../middleware/apiKeyAuth.js';
+import ConversationService, { conversationOwner } from '../services/conversations.js';
+import { diffQueries } from '../services/queryDiff.js';
+
+// Corrected queries to ask for after a generated query fails
+const SQL_REPAIR_MAX_RETRIES = Math.max(0, parseInt(process.env.SQL_REPAIR_MAX_RETRIES ?? '2', 10) || 0);
+
+// Earlier questions and their SQL sent with SQL generation, for follow-up questions
+const SQL_CONTEXT_TURNS = Math.max(0, parseInt(process.env.SQL_CONTEXT_TURNS ?? '3', 10) || 0);
+
+// LLM calls every chat request needs: SQL generation and the answer.
+// The chat routes require this much gemini quota before starting; past
+// that, generate() stops at the quota the key has left (see usageContext)
+export const CHAT_REQUIRED_CALLS = 2;
+
+/**
+ * Whether the request can make `calls` more LLM calls on top of those it
+ * already made. Optional calls (the conversation summary, corrected
+ * queries) are only made while the answer stays paid for.
+ */
+const quotaAllows = (usage, calls) => usage.callLimit === null || usage.calls.length + calls <= usage.callLimit;
+
+/**
+ * One generated query and how it ended, as listed in the response.
+ */
+const describeAttempt = (number, query, results) => ({
+  attempt: number,
+  query,
+  success: Boolean(results.success),
+  error: results.success ? null : results.error,
+  ...(results.policyViolations && { violations: results.policyViolations })
+});
+
+/**
+ * How the model read the question, as listed in the response.
+ */
+const describeInterpretation = (generation) => ({
+  tablesUsed: generation.tablesUsed,
+  assumptions: generation.assumptions,
+  refinesPrevious: generation.refinesPrevious,
+  confidence: generation.confidence
+});
+
+/**
+ * Clarifying question the previous answer asked, which the client keeps
+ * in the conversation history as { role: 'assistant', content,
+ * clarification }. Null when the previous turn was a normal answer.
+ */
+const pendingClarification = (message, conversationHistory) => {
+  const turns = [...conversationHistory];
+  // The client may already have appended the current message
+  const last = turns[turns.length - 1];
+  if (last?.role === 'user' && last.content === message) turns.pop();
+  const previous = turns[turns.length - 1];
+  const clarification = previous?.role === 'assistant' ? previous.clarification : null;
+  return typeof clarification?.question === 'string' && typeof clarification.originalQuestion === 'string'
+    ? clarification
+    : null;
+};
+
+/**
+ * The original question together with the user's answer to the
+ * clarifying question; an answer like "2" picks the second option.
+ */
+const combineClarification = (clarification, answer) => {
+  const trimmed = answer.trim();
+  const options = Array.isArray(clarification.options) ? clarification.options : [];
+  const choice = /^\d+$/.test(trimmed) ? options[Number(trimmed) - 1] : null;
+  return `${clarification.originalQuestion} (asked "${clarification.question}", the user answered "${choice || trimmed}")`;
+};
+
+/**
+ * Earlier questions in the conversation and the SQL that answered them,
+ * oldest first: the last SQL_CONTEXT_TURNS assistant entries with `sql`
+ * and the user message before each. A question that answered a
+ * clarifying question is combined with it, as when it was asked.
+ */
+const previousQueries = (conversationHistory) => {
+  const turns = [];
+  conversationHistory.forEach((entry, index) => {
+    const asked = conversationHistory[index - 1];
+    if (entry?.role !== 'assistant' || typeof entry.sql !== 'string' || !entry.sql.trim()) return;
+    if (asked?.role !== 'user' || typeof asked.content !== 'string') return;
+
+    const clarification = pendingClarification(asked.content, conversationHistory.slice(0, index - 1));
+    turns.push({
+      question: clarification ? combineClarification(clarification, asked.content) : asked.content,
+      sql: entry.sql.trim()
+    });
+  });
+  return SQL_CONTEXT_TURNS > 0 ? turns.slice(-SQL_CONTEXT_TURNS) : [];
+};
+
+/**
+ * Store a question and its response in the conversation. The answer is
+ * still returned when storing fails.
+ */
+const saveTurn = async (conversation, message, response) => {
+  try {
+    await ConversationService.recordTurn(conversation, message, response);
+  } catch (error) {
+    console.error(`❌ Could not save the turn to conversation ${conversation.id}:`, error.message);
+  }
+};
+
+/**
+ * Store the conversation's updated summary. Like saveTurn, a failure is
+ * logged; the summary is rebuilt from the messages on a later turn.
+ */
+const saveMemory = async (conversation, memory) => {
+  try {
+    await ConversationService.saveMemory(conversation, memory);
+  } catch (error) {
+    console.error(`❌ Could not save the summary of conversation ${conversation.id}:`, error.message);
+  }
+};
+
+/**
+ * AbortSignal aborted when the client disconnects before its response
+ * has been sent, so the pipeline stops and model calls still running for
+ * it are cancelled.
+ */
+const disconnectSignal = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
 
 /**
  * Chat Controller
@@ -22,115 +156,480 @@ export class ChatController {
    * @param {Function} next - Express next middleware function
    */
   static async handleMessage(req, res, next) {
+    const signal = disconnectSignal(res);
+    try {
+      const { status, body } = await ChatController.answerMessage(req, res, null, signal);
+      res.status(status).json(body);
+    } catch (error) {
+      if (signal.aborted) {
+        console.log('🔌 Client disconnected, stopped answering');
+        return;
+      }
+      console.error('❌ Chat controller error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Handle Streamed Chat Message
+   *
+   * Same as handleMessage, answered as Server-Sent Events: progress
+   * events while the question is worked on, the answer token by token,
+   * then `done` with the full response body or `error`.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async handleStream(req, res) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep proxies like nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+    const signal = disconnectSignal(res);
+    const emit = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const { status, body } = await ChatController.answerMessage(req, res, emit, signal);
+      if (status === 200) {
+        emit('done', body);
+      } else {
+        emit('error', { status, ...body });
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        console.log('🔌 Client disconnected, stopped answering');
+        return;
+      }
+      console.error('❌ Chat stream error:', error);
+      // Don't leak error details in production
+      emit('error', {
+        status: error.status || 500,
+        error: 'Internal Server Error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+    res.end();
+  }
+
+  /**
+   * Answer Message
+   *
+   * The chat pipeline behind handleMessage and handleStream (see
+   * runPipeline). The LLM calls it made are charged to the caller's API
+   * key once it ends, however it ends: SQL served from the query cache
+   * costs nothing, and every summary, repair and answer call counts.
+   * A request that runs out of quota midway is answered with a 429.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object (for quota headers)
+   * @param {Function} emit - Optional (event, data) progress callback:
+   *   schema_loaded, sql_generated, rows_fetched and token
+   * @param {AbortSignal} signal - Optional; aborting it stops the pipeline and
+   *   cancels the LLM call in flight, which then rejects
+   * @returns {Promise<Object>} { status, body } of the response
+   */
+  static async answerMessage(req, res, emit = null, signal = null) {
+    // Every LLM call is recorded with its tokens and cost, accounted to this key and user
+    const usage = usageContext(req);
     try {
-      const { message, conversationHistory = [] } = req.body;
+      return await ChatController.runPipeline(req, res, emit, usage, signal);
+    } catch (error) {
+      if (!(error instanceof LLMQuotaError)) throw error;
+      console.log('🪫 Gemini quota used up midway through the request');
+      return {
+        status: 429,
+        body: {
+          error: 'Quota exceeded',
+          message: error.message,
+          resetsAt: req.apiKeyQuota?.reset || null
+        }
+      };
+    } finally {
+      if (usage.calls.length > 0) await recordApiKeyUsage(req, res, 'gemini', usage.calls.length);
+    }
+  }
 
-      // Validate input
-      if (!message || typeof message !== 'string') {
-        return res.status(400).json({
+  /**
+   * Run Pipeline
+   *
+   * Retrieves the relevant schema, generates and runs the query, and has
+   * the model explain the results.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} emit - Optional progress callback, see answerMessage
+   * @param {Object} usage - Usage context the LLM calls are collected in
+   * @param {AbortSignal} signal - Stops the pipeline, see answerMessage
+   * @returns {Promise<Object>} { status, body } of the response
+   */
+  static async runPipeline(req, res, emit, usage, signal) {
+    const progress = emit || (() => {});
+    const { message, conversationId = null, conversationMemory = null } = req.body;
+    let { conversationHistory = [] } = req.body;
+
+    // Validate input
+    if (!message || typeof message !== 'string') {
+      return {
+        status: 400,
+        body: {
           error: 'Invalid request',
           message: 'Message is required and must be a string'
-        });
-      }
+        }
+      };
+    }
 
-      if (message.trim().length === 0) {
-        return res.status(400).json({
+    if (message.trim().length === 0) {
+      return {
+        status: 400,
+        body: {
           error: 'Invalid request',
           message: 'Message cannot be empty'
-        });
+        }
+      };
+    }
+
+    if (conversationId !== null && typeof conversationId !== 'string') {
+      return {
+        status: 400,
+        body: {
+          error: 'Invalid request',
+          message: 'conversationId must be a string'
+        }
+      };
+    }
+
+    const memoryErrors = conversationMemory === null ? [] : validateConversationMemory(conversationMemory);
+    if (memoryErrors.length > 0) {
+      return {
+        status: 400,
+        body: {
+          error: 'Invalid request',
+          message: 'Invalid conversationMemory',
+          details: memoryErrors
+        }
+      };
+    }
+
+    // A stored conversation supplies the history and its memory; any sent by the client is ignored
+    let conversation = null;
+    if (conversationId) {
+      conversation = await ConversationService.get(conversationOwner(req), conversationId);
+      if (!conversation) {
+        return {
+          status: 404,
+          body: {
+            error: 'Not found',
+            message: `No conversation with id ${conversationId}`
+          }
+        };
       }
+      conversationHistory = ConversationService.historyOf(conversation);
+    }
 
-      // Check database connection
-      const isConnected = await testConnection();
-      if (!isConnected) {
-        return res.status(503).json({
+    // Check database connection
+    const isConnected = await DatabaseService.testConnection();
+    if (!isConnected) {
+      return {
+        status: 503,
+        body: {
           error: 'Service unavailable',
           message: 'Database connection is currently unavailable'
+        }
+      };
+    }
+
+    console.log('💬 Processing message:', message);
+
+    // An answer to a clarifying question is read together with the question it clarifies
+    const clarification = pendingClarification(message, conversationHistory);
+    const question = clarification ? combineClarification(clarification, message) : message;
+    if (clarification) {
+      console.log('❓ Clarified question:', question);
+    }
+
+    // Older turns beyond the history budget are condensed into a summary and pinned facts
+    const { memory, recent: recentHistory, condensed } = await ConversationMemory.condense(
+      conversationHistory,
+      conversation ? conversation.memory : conversationMemory,
+      { usage, summarize: quotaAllows(usage, CHAT_REQUIRED_CALLS + 1), signal }
+    );
+    if (condensed > 0 && conversation) await saveMemory(conversation, memory);
+
+    // STEP 1: Get database schema dynamically
+    // Fetch schemas for ALL discovered tables
+    // with the admin-curated descriptions, synonyms and metrics merged in
+    await SemanticLayer.getModel();
+    const schemas = SemanticLayer.applyToSchemas(await DatabaseService.getAllTablesSchema());
+    console.log(`📋 Found ${schemas.length} tables:`, schemas.map(s => s.table).join(', '));
+
+    // Only the tables and columns this client may read reach the prompt
+    const visibleSchemas = AccessControl.filterSchemas(schemas, req.access);
+    if (req.access) {
+      console.log(`🔐 Role ${req.access.role || '(none)'} can read ${visibleSchemas.length}/${schemas.length} tables`);
+    }
+
+    // Keep the prompt to the tables relevant to the question
+    const { schemas: relevantSchemas, selection: schemaSelection } = await selectRelevantTables(question, visibleSchemas);
+    console.log(`🎯 Using ${relevantSchemas.length}/${visibleSchemas.length} tables (${schemaSelection.strategy}):`, schemaSelection.selected.join(', '));
+    progress('schema_loaded', {
+      tables: visibleSchemas.length,
+      selected: schemaSelection.selected,
+      strategy: schemaSelection.strategy
+    });
+
+    // STEP 2: Use AI to generate SQL query from natural language with schema context
+    const dialect = await DatabaseService.getDialect();
+    // Sample rows in the prompt get the same PII redaction as results sent to the model
+    const promptSchemas = redactSchemaSamples(relevantSchemas);
+    // Follow-ups ("now only the ones under $20") edit the previous turn's query
+    const earlierQueries = previousQueries(conversationHistory);
+    let generation = await generateSQLQuery(question, promptSchemas, {
+      dialect,
+      previousQueries: earlierQueries,
+      pinnedFacts: memory.pinnedFacts,
+      usage,
+      signal
+    });
+    if (generation.schemaTrimmed) schemaSelection.trimmed = generation.schemaTrimmed;
+
+    // Ask instead of guessing when the question can mean different things
+    if (generation.ambiguous) {
+      console.log('❓ Ambiguous question, asking:', generation.clarifyingQuestion);
+      const response = {
+        type: 'clarification',
+        ...(conversation && { conversationId: conversation.id }),
+        response: generation.clarifyingQuestion,
+        clarification: {
+          question: generation.clarifyingQuestion,
+          options: generation.clarificationOptions,
+          originalQuestion: question
+        },
+        interpretation: describeInterpretation(generation),
+        queryUsed: null,
+        schemaSelection,
+        results: null,
+        memory,
+        usage: summarizeCalls(usage.calls),
+        timestamp: new Date().toISOString()
+      };
+      if (conversation) await saveTurn(conversation, message, response);
+      return { status: 200, body: response };
+    }
+
+    let sqlQuery = generation.sql;
+    console.log('📝 Generated SQL:', sqlQuery);
+
+    // STEP 2: Execute the AI-generated SQL query
+    // A failed or rejected query goes back to the model with its error,
+    // up to SQL_REPAIR_MAX_RETRIES times
+    const attempts = [];
+    let databaseResults;
+    for (;;) {
+      signal?.throwIfAborted();
+      progress('sql_generated', {
+        attempt: attempts.length + 1,
+        sql: sqlQuery,
+        interpretation: describeInterpretation(generation)
+      });
+
+      // With a user token the query runs as that user, under their RLS policies
+      databaseResults = await DatabaseService.executeDynamicQuery(sqlQuery, {
+        schema: schemas,
+        access: req.access,
+        userDatabase: req.userDatabase
+      });
+      attempts.push(describeAttempt(attempts.length + 1, sqlQuery, databaseResults));
+      progress('rows_fetched', {
+        attempt: attempts.length,
+        success: Boolean(databaseResults.success),
+        count: databaseResults.success ? databaseResults.count : 0,
+        capped: Boolean(databaseResults.capped),
+        error: databaseResults.success ? null : databaseResults.error
+      });
+
+      // Token and privilege errors are not the query's fault
+      if (databaseResults.success || databaseResults.authStatus || attempts.length > SQL_REPAIR_MAX_RETRIES) break;
+      if (!quotaAllows(usage, CHAT_REQUIRED_CALLS)) {
+        console.log('🪫 Not enough gemini quota left to correct the query');
+        break;
+      }
+
+      console.log(`🔁 Query failed, asking for a corrected query (retry ${attempts.length}/${SQL_REPAIR_MAX_RETRIES}):`, databaseResults.error);
+      forgetGeneratedQuery(sqlQuery);
+      let correction;
+      try {
+        correction = await generateSQLQuery(question, promptSchemas, {
+          dialect,
+          previousQueries: earlierQueries,
+          pinnedFacts: memory.pinnedFacts,
+          previousAttempts: attempts.map(({ query, error }) => ({ query, error })),
+          usage,
+          signal
         });
+      } catch (error) {
+        signal?.throwIfAborted();
+        console.error('❌ Could not generate a corrected query:', error.message);
+        break;
       }
+      if (!correction.sql) break;
 
-      console.log('💬 Processing message:', message);
+      generation = correction;
+      sqlQuery = generation.sql;
+      console.log('📝 Corrected SQL:', sqlQuery);
+    }
+    // What the follow-up changed in the previous turn's query
+    const previousQuery = earlierQueries[earlierQueries.length - 1]?.sql;
+    const refinement = generation.refinesPrevious && previousQuery
+      ? { previousQuery, changes: diffQueries(previousQuery, sqlQuery) }
+      : null;
+    if (refinement) {
+      console.log('✏️ Refined the previous query:', refinement.changes?.map(change => change.description).join('; ') || '(no parseable changes)');
+    }
+
+    console.log('📊 Query results:', {
+      success: databaseResults.success,
+      count: databaseResults.count,
+      hasData: databaseResults.data && databaseResults.data.length > 0
+    });
+
+    if (databaseResults.authStatus) {
+      return {
+        status: databaseResults.authStatus,
+        body: {
+          error: databaseResults.authStatus === 403 ? 'Forbidden' : 'Unauthorized',
+          message: databaseResults.authStatus === 403
+            ? 'The signed-in user is not allowed to read the data this question needs'
+            : 'The access token was rejected by the database; sign in again',
+          queryUsed: databaseResults.query
+        }
+      };
+    }
 
-      // STEP 1: Get database schema dynamically
-      // Fetch schemas for ALL discovered tables
-      const schemas = await DatabaseService.getAllTablesSchema();
-      console.log(`📋 Found ${schemas.length} tables:`, schemas.map(s => s.table).join(', '));
+    // Redact personal data separately for the model and for the caller,
+    // tagging result columns from the table columns the query reads
+    const piiTags = columnPiiTags(schemas, databaseResults.query || sqlQuery);
+    const llmView = redactRows(databaseResults.data || [], piiTags, REDACTION_POLICIES.llm);
+    const clientView = redactRows(databaseResults.data || [], piiTags, REDACTION_POLICIES.client);
+    const rows = llmView.rows;
 
-      // STEP 2: Use AI to generate SQL query from natural language with schema context
-      const sqlQuery = await generateSQLQuery(message, schemas);
-      console.log('📝 Generated SQL:', sqlQuery);
+    // STEP 3: Prepare context for AI to interpret results
+    let contextMessage = `User question: "${question}"\n\nSQL Query executed:\n${sqlQuery}\n\nQuery Results:\n`;
 
-      // STEP 2: Execute the AI-generated SQL query
-      const databaseResults = await DatabaseService.executeDynamicQuery(sqlQuery);
-      console.log('📊 Query results:', {
-        success: databaseResults.success,
-        count: databaseResults.count,
-        hasData: databaseResults.data && databaseResults.data.length > 0
+    if (databaseResults.rejected) {
+      contextMessage += 'The query was not run because it broke the safety policy, asked for data this client may not read or would be too expensive to run:\n';
+      databaseResults.policyViolations.forEach(violation => {
+        contextMessage += `- ${violation.message}\n`;
       });
+      contextMessage += '\nPlease explain briefly why the question could not be answered as asked and suggest how the user could rephrase it.';
+    } else if (!databaseResults.success) {
+      contextMessage += `Error: ${databaseResults.error}\n\nPlease explain that there was an error executing the query and suggest the user rephrase their question.`;
+    } else if (rows.length > 0) {
+      const [firstRow] = rows;
+      const countValue = firstRow.total ?? firstRow.count;
 
-      // STEP 3: Prepare context for AI to interpret results
-      let contextMessage = `User question: "${message}"\n\nSQL Query executed:\n${sqlQuery}\n\nQuery Results:\n`;
-
-      if (!databaseResults.success) {
-        contextMessage += `Error: ${databaseResults.error}\n\nPlease explain that there was an error executing the query and suggest the user rephrase their question.`;
-      } else if (databaseResults.data && databaseResults.data.length > 0) {
-        // Check if it's a count/aggregate query
-        if (databaseResults.data[0].total !== undefined) {
-          contextMessage += `Total count: ${databaseResults.data[0].total}\n`;
-        } else if (databaseResults.data[0].avg_price !== undefined) {
-          // Aggregate results
-          contextMessage += `Aggregate results (${databaseResults.count} rows):\n`;
-          const sampleSize = Math.min(10, databaseResults.data.length);
-          for (let i = 0; i < sampleSize; i++) {
-            const row = databaseResults.data[i];
-            contextMessage += `- ${JSON.stringify(row)}\n`;
-          }
-        } else {
-          // Regular query results
-          contextMessage += `Found ${databaseResults.count} items:\n`;
-          const sampleSize = Math.min(5, databaseResults.data.length);
-          for (let i = 0; i < sampleSize; i++) {
-            const item = databaseResults.data[i];
-            contextMessage += `- ${item.name || 'Item'} (${item.category || 'N/A'}) - $${item.price || 'N/A'}, Rating: ${item.rating || 'N/A'}\n`;
-          }
-          if (databaseResults.count > sampleSize) {
-            contextMessage += `... and ${databaseResults.count - sampleSize} more items.\n`;
-          }
+      // Check if it's a count/aggregate query
+      if (rows.length === 1 && Object.keys(firstRow).length === 1 && countValue !== undefined) {
+        contextMessage += `Total count: ${countValue}\n`;
+      } else if (databaseResults.aggregated) {
+        // Aggregate results
+        contextMessage += `Aggregate results (${databaseResults.count} rows):\n`;
+        const sampleSize = Math.min(10, rows.length);
+        for (let i = 0; i < sampleSize; i++) {
+          const row = rows[i];
+          contextMessage += `- ${JSON.stringify(row)}\n`;
         }
       } else {
-        contextMessage += `No items found matching the criteria.\n`;
+        // Regular query results
+        contextMessage += `Found ${databaseResults.count} items:\n`;
+        const sampleSize = Math.min(5, rows.length);
+        for (let i = 0; i < sampleSize; i++) {
+          const item = rows[i];
+          contextMessage += `- ${item.name || 'Item'} (${item.category || 'N/A'}) - $${item.price || 'N/A'}, Rating: ${item.rating || 'N/A'}\n`;
+        }
+        if (databaseResults.count > sampleSize) {
+          contextMessage += `... and ${databaseResults.count - sampleSize} more items.\n`;
+        }
       }
+    } else {
+      contextMessage += `No items found matching the criteria.\n`;
+    }
 
-      contextMessage += `\nPlease provide a natural, helpful answer based on these results. Be conversational and concise.`;
+    if (databaseResults.capped) {
+      contextMessage += `\nThe results were capped at ${databaseResults.costEstimate.budget.maxResultRows} rows: ${databaseResults.costEstimate.reasons.join('; ')}. Tell the user the list is limited and suggest narrowing the question.\n`;
+    }
 
-      // STEP 4: Generate AI response with database context
-      const aiResponse = await generateResponse(contextMessage, conversationHistory);
+    if (refinement?.changes?.length > 0) {
+      contextMessage += `\nThis follows up on the previous question; the previous query was changed:\n${refinement.changes.map(change => `- ${change.description}`).join('\n')}\n`;
+    }
 
-      // Prepare final response
-      const response = {
-        response: aiResponse,
-        queryUsed: sqlQuery,
-        results: databaseResults.success ? {
-          success: true,
-          count: databaseResults.count,
-          data: databaseResults.data,
-          formattedMessage: databaseResults.count > 0
-            ? `Found ${databaseResults.count} result(s)`
-            : 'No results found'
-        } : {
-          success: false,
-          error: databaseResults.error
-        },
-        timestamp: new Date().toISOString()
-      };
+    if (generation.assumptions.length > 0) {
+      contextMessage += `\nAssumptions made when writing the query:\n${generation.assumptions.map(assumption => `- ${assumption}`).join('\n')}\nMention them briefly so the user can correct them.\n`;
+    }
 
-      console.log('✅ Response generated successfully');
-      res.json(response);
+    contextMessage += `\nPlease provide a natural, helpful answer based on these results. Be conversational and concise.`;
 
-    } catch (error) {
-      console.error('❌ Chat controller error:', error);
-      next(error);
-    }
+    // STEP 4: Generate AI response with database context
+    // Streamed to the client as it is generated when there is one listening
+    const aiResponse = await generateResponse(contextMessage, recentHistory, {
+      onToken: emit && (text => emit('token', { text })),
+      memory,
+      usage,
+      signal
+    });
+
+    // Prepare final response
+    const response = {
+      type: 'answer',
+      ...(conversation && { conversationId: conversation.id }),
+      response: aiResponse,
+      ...(clarification && { clarifiedQuestion: question }),
+      queryUsed: databaseResults.query || sqlQuery,
+      generatedSql: sqlQuery,
+      schemaSelection,
+      interpretation: describeInterpretation(generation),
+      refinement,
+      attempts,
+      results: databaseResults.success ? {
+        success: true,
+        count: databaseResults.count,
+        capped: databaseResults.capped,
+        data: clientView.rows,
+        formattedMessage: databaseResults.count > 0
+          ? `Found ${databaseResults.count} result(s)`
+          : 'No results found'
+      } : {
+        success: false,
+        error: databaseResults.error,
+        ...(databaseResults.rejected && {
+          rejected: true,
+          violations: databaseResults.policyViolations
+        })
+      },
+      redactions: {
+        llm: llmView.redactions,
+        client: clientView.redactions
+      },
+      costEstimate: databaseResults.costEstimate || null,
+      memory,
+      usage: summarizeCalls(usage.calls),
+      timestamp: new Date().toISOString()
+    };
+
+    if (conversation) await saveTurn(conversation, message, response);
+
+    console.log('✅ Response generated successfully');
+    return { status: 200, body: response };
   }
 
   /**
@@ -187,7 +686,7 @@ export class ChatController {
       const categoriesResult = await DatabaseService.getAllCategories();
 
       // Get database connection status
-      const dbConnectionStatus = await testConnection();
+      const dbConnectionStatus = await DatabaseService.testConnection();
 
       const stats = {
         database: {
@@ -217,6 +716,7 @@ export class ChatController {
 // Export individual methods for use in routes
 export const chatController = {
   handleMessage: ChatController.handleMessage.bind(ChatController),
+  handleStream: ChatController.handleStream.bind(ChatController),
   getCategories: ChatController.getCategories.bind(ChatController),
   getStats: ChatController.getStats.bind(ChatController)
 };
@@ -0,0 +1,159 @@
+import ConversationService, { conversationOwner, validateConversationInput } from '../services/conversations.js';
+
+const notFound = (res, id) => res.status(404).json({
+  error: 'Not found',
+  message: `No conversation with id ${id}`
+});
+
+/**
+ * Conversation Controller
+ *
+ * Handles the conversation endpoints under /api/conversations. Every
+ * request only sees the conversations of its owner: the signed-in user,
+ * otherwise the API key.
+ */
+
+export class ConversationController {
+  /**
+   * List Conversations
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async listConversations(req, res, next) {
+    try {
+      const conversations = await ConversationService.list(conversationOwner(req));
+      res.json({
+        conversations,
+        count: conversations.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ List conversations error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Create Conversation
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async createConversation(req, res, next) {
+    try {
+      const input = req.body || {};
+      const errors = validateConversationInput(input);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Invalid conversation settings',
+          details: errors
+        });
+      }
+
+      const conversation = await ConversationService.create(conversationOwner(req), input);
+      res.status(201).json({
+        conversation,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Create conversation error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get Conversation
+   *
+   * Returns the conversation with its messages, and the SQL and results
+   * of each answered turn.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getConversation(req, res, next) {
+    try {
+      const conversation = await ConversationService.get(conversationOwner(req), req.params.id);
+      if (!conversation) return notFound(res, req.params.id);
+
+      res.json({
+        conversation,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Get conversation error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Rename Conversation
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async renameConversation(req, res, next) {
+    try {
+      const errors = validateConversationInput(req.body, { requireTitle: true });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Invalid conversation settings',
+          details: errors
+        });
+      }
+
+      const conversation = await ConversationService.rename(conversationOwner(req), req.params.id, req.body.title);
+      if (!conversation) return notFound(res, req.params.id);
+
+      res.json({
+        conversation,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Rename conversation error:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Conversation
+   *
+   * Deletes the conversation with its messages and stored results.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async deleteConversation(req, res, next) {
+    try {
+      const deleted = await ConversationService.remove(conversationOwner(req), req.params.id);
+      if (!deleted) return notFound(res, req.params.id);
+
+      res.json({
+        deleted: true,
+        id: req.params.id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Delete conversation error:', error);
+      next(error);
+    }
+  }
+}
+
+// Export individual methods for use in routes
+export const conversationController = {
+  listConversations: ConversationController.listConversations.bind(ConversationController),
+  createConversation: ConversationController.createConversation.bind(ConversationController),
+  getConversation: ConversationController.getConversation.bind(ConversationController),
+  renameConversation: ConversationController.renameConversation.bind(ConversationController),
+  deleteConversation: ConversationController.deleteConversation.bind(ConversationController)
+};
+
+export default conversationController;
@@ -1,6 +1,7 @@
 import { generateOTP, sendOTPViaCall, sendOTPViaSMS, storeOTP, verifyOTP, getOTPStats } from '../services/twilioService.js';
 import { sendOTPViaVerify, verifyOTPCodeAPI } from '../services/twilioVerifyService.js';
 import { validatePhoneNumber } from '../middleware/validation.js';
+import { recordApiKeyUsage } from '../middleware/apiKeyAuth.js';
 
 /**
  * Twilio Controller
@@ -78,6 +79,7 @@ export async function sendOTP(req, res) {
 
     // Store OTP with 5-minute expiration
     storeOTP(phone, otp, 5);
+    await recordApiKeyUsage(req, res, 'otp');
 
     res.json({
       success: true,
@@ -271,6 +273,8 @@ export async function sendOTPVerify(req, res) {
       });
     }
 
+    await recordApiKeyUsage(req, res, 'otp');
+
     res.json({
       success: true,
       message: result.message,
@@ -0,0 +1,90 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider, LLMProviderError } from './llmProvider.js';
+
+const SAFETY_SETTINGS = [
+  {
+    category: 'HARM_CATEGORY_HARASSMENT',
+    threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+  },
+  {
+    category: 'HARM_CATEGORY_HATE_SPEECH',
+    threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+  }
+];
+
+const toContents = (messages) => messages.map(message => ({
+  role: message.role === 'assistant' ? 'model' : 'user',
+  parts: [{ text: message.content }]
+}));
+
+const toUsage = (usage) => ({
+  inputTokens: usage?.promptTokenCount ?? null,
+  outputTokens: usage?.candidatesTokenCount ?? null
+});
+
+/**
+ * Gemini Provider
+ *
+ * Google Gemini through @google/generative-ai. Needs GEMINI_API_KEY.
+ */
+export class GeminiProvider extends LLMProvider {
+  /**
+   * @param {string} model - Model name, e.g. gemini-2.5-flash
+   * @param {Object} options - { apiKey }
+   */
+  constructor(model, { apiKey = process.env.GEMINI_API_KEY } = {}) {
+    super('gemini', model);
+    if (!apiKey) {
+      throw new Error('Missing Gemini API key. Please ensure GEMINI_API_KEY is set in your .env file.');
+    }
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  getModel(request) {
+    return this.client.getGenerativeModel({
+      model: this.model.startsWith('models/') ? this.model : `models/${this.model}`,
+      ...(request.system && { systemInstruction: request.system }),
+      generationConfig: {
+        temperature: request.temperature,
+        topK: request.topK,
+        topP: request.topP,
+        maxOutputTokens: request.maxOutputTokens,
+        ...(request.responseSchema && {
+          responseMimeType: 'application/json',
+          responseSchema: request.responseSchema
+        })
+      },
+      safetySettings: SAFETY_SETTINGS
+    });
+  }
+
+  async generate(request, { signal = null } = {}) {
+    try {
+      const result = await this.getModel(request).generateContent({ contents: toContents(request.messages) }, { signal });
+      return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      throw new LLMProviderError('gemini', error.status ?? null, error.message);
+    }
+  }
+
+  async stream(request, onToken, { signal = null } = {}) {
+    try {
+      const result = await this.getModel(request).generateContentStream({ contents: toContents(request.messages) }, { signal });
+      let text = '';
+      for await (const chunk of result.stream) {
+        const piece = chunk.text();
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      }
+      return { text, usage: toUsage((await result.response).usageMetadata) };
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      throw new LLMProviderError('gemini', error.status ?? null, error.message);
+    }
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,144 @@
+/**
+ * LLM Provider Registry
+ *
+ * Selects the model API behind each pipeline stage with LLM_PROVIDER:
+ * - gemini (default): GEMINI_API_KEY
+ * - openai: any OpenAI-compatible endpoint, OPENAI_BASE_URL / OPENAI_API_KEY
+ * - ollama: a local Ollama server, OLLAMA_URL
+ * - mock: deterministic answers, no model (offline tests)
+ *
+ * Stages are "sql" (SQL generation), "answer" (answer generation) and
+ * "summary" (condensing long conversations). Each can use its own
+ * provider and model: LLM_<STAGE>_PROVIDER / LLM_<STAGE>_MODEL, e.g.
+ * LLM_SQL_PROVIDER, falling back to LLM_PROVIDER / LLM_MODEL and then to
+ * the provider's default model.
+ *
+ * Provider modules are imported on first use, so only the configured
+ * provider's settings and SDK are needed. Every call is recorded with
+ * its tokens, latency, retries and estimated cost (see llmUsage.js).
+ */
+
+import { recordLLMCall, LLMQuotaError } from '../services/llmUsage.js';
+
+export const LLM_STAGES = ['sql', 'answer', 'summary'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  mock: 'mock'
+};
+
+const PROVIDERS = {
+  gemini: async (model) => new (await import('./geminiProvider.js')).GeminiProvider(model),
+  openai: async (model) => new (await import('./openaiProvider.js')).OpenAIProvider(model),
+  ollama: async (model) => new (await import('./ollamaProvider.js')).OllamaProvider(model),
+  mock: async (model) => new (await import('./mockProvider.js')).MockProvider(model)
+};
+
+// Rate limited (429) calls are retried with exponential backoff
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 5000;
+
+const providerPromises = new Map();
+
+/**
+ * Create LLM Provider
+ *
+ * @param {string} name - Provider name (gemini, openai, ollama, mock)
+ * @param {string} model - Model name, the provider's default when empty
+ * @returns {Promise<LLMProvider>} New provider instance
+ */
+export const createLLMProvider = async (name, model) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(model || DEFAULT_MODELS[name]);
+};
+
+/**
+ * Get LLM Provider
+ *
+ * Returns the provider configured for a pipeline stage, created once.
+ *
+ * @param {string} stage - sql, answer or summary
+ * @returns {Promise<LLMProvider>} Shared provider instance
+ */
+export const getLLMProvider = (stage) => {
+  if (!LLM_STAGES.includes(stage)) {
+    return Promise.reject(new Error(`Unknown LLM stage "${stage}". Expected one of: ${LLM_STAGES.join(', ')}`));
+  }
+
+  if (!providerPromises.has(stage)) {
+    const prefix = `LLM_${stage.toUpperCase()}`;
+    const name = (process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const model = process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || null;
+
+    const providerPromise = createLLMProvider(name, model).then(provider => {
+      console.log(`🤖 Using ${provider.name} (${provider.model}) for ${stage}`);
+      return provider;
+    });
+    // Allow a retry after a configuration error
+    providerPromise.catch(() => providerPromises.delete(stage));
+    providerPromises.set(stage, providerPromise);
+  }
+  return providerPromises.get(stage);
+};
+
+/**
+ * Generate
+ *
+ * Sends a request (see LLMProvider) to the stage's provider, retrying
+ * rate limited calls. With `onToken` the answer is streamed: onToken is
+ * called with each piece of text, and a rate limit is only retried while
+ * nothing has been streamed yet. The call, successful or not, is
+ * recorded in the usage store, accounted to the `usage` context. A call
+ * that would go past the context's callLimit is not made. Aborting
+ * `signal` cancels the provider request and any retry.
+ *
+ * @param {string} stage - sql, answer or summary
+ * @param {Object} request - Provider-neutral request
+ * @param {Object} options - { onToken }, { usage } context from usageContext(), { signal } AbortSignal
+ * @returns {Promise<Object>} { text, usage, provider, model, retries, latencyMs }
+ * @throws {LLMQuotaError} When the request has used the quota left on its API key
+ */
+export const generate = async (stage, request, { onToken = null, usage = null, signal = null } = {}) => {
+  if (Number.isInteger(usage?.callLimit) && usage.calls.length >= usage.callLimit) {
+    throw new LLMQuotaError(usage.callLimit);
+  }
+
+  const provider = await getLLMProvider(stage);
+  const startedAt = Date.now();
+  let delay = RETRY_DELAY_MS;
+  let streamed = false;
+
+  for (let attempt = 1; ; attempt++) {
+    const call = { stage, provider: provider.name, model: provider.model, request, retries: attempt - 1 };
+    let result;
+    try {
+      result = onToken
+        ? await provider.stream(request, text => {
+          streamed = true;
+          onToken(text);
+        }, { signal })
+        : await provider.generate(request, { signal });
+    } catch (error) {
+      if (error.status !== 429 || streamed || attempt >= MAX_ATTEMPTS || signal?.aborted) {
+        recordLLMCall(usage, { ...call, error, latencyMs: Date.now() - startedAt });
+        throw error;
+      }
+      console.log(`⏳ Rate limited. Retrying in ${delay}ms... Full error:`, error.message);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      signal?.throwIfAborted();
+      delay *= 1.5; // Exponential backoff
+      continue;
+    }
+
+    const latencyMs = Date.now() - startedAt;
+    recordLLMCall(usage, { ...call, result, latencyMs });
+    return { ...result, provider: call.provider, model: call.model, retries: call.retries, latencyMs };
+  }
+};
+
+export default getLLMProvider;
@@ -0,0 +1,140 @@
+/**
+ * LLM Provider Error
+ *
+ * Raised when a provider's API rejects or fails a request. `status` is
+ * the HTTP status when there was one (429 for rate limits), null for
+ * network and configuration errors.
+ */
+export class LLMProviderError extends Error {
+  constructor(provider, status, message) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+/**
+ * LLM Provider
+ *
+ * Interface between the prompt-building services (geminiService.js) and
+ * a concrete model API. A request is provider-neutral:
+ * {
+ *   system: 'System instructions',
+ *   messages: [{ role: 'user' | 'assistant', content }],
+ *   temperature, topP, topK, maxOutputTokens,
+ *   responseSchema: JSON schema the answer must match (answer is JSON text)
+ * }
+ * Both methods take { signal }, an AbortSignal that cancels the call.
+ *
+ * Implementations: gemini, openai, ollama, mock (see llm/index.js)
+ */
+export class LLMProvider {
+  /**
+   * @param {string} name - Provider name as used in LLM_PROVIDER
+   * @param {string} model - Model to call
+   */
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Generate
+   *
+   * @param {Object} request - Provider-neutral request (see above)
+   * @param {Object} options - { signal } to cancel the call
+   * @returns {Promise<Object>} { text, usage: { inputTokens, outputTokens } }; token counts are null when unknown
+   */
+  async generate() {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * Stream
+   *
+   * Like generate(), calling onToken with each piece of text as the
+   * model produces it. Providers without streaming send the whole text
+   * at once.
+   *
+   * @param {Object} request - Provider-neutral request
+   * @param {Function} onToken - Called with each text chunk
+   * @param {Object} options - { signal } to cancel the call
+   * @returns {Promise<Object>} { text, usage } for the whole answer
+   */
+  async stream(request, onToken, options = {}) {
+    const result = await this.generate(request, options);
+    if (result.text) onToken(result.text);
+    return result;
+  }
+}
+
+/**
+ * To JSON Schema
+ *
+ * Response schemas are written the way Gemini takes them (lowercase
+ * types, `nullable`). Converts one to standard JSON Schema for the
+ * OpenAI-compatible and Ollama APIs.
+ *
+ * @param {Object} schema - Response schema
+ * @returns {Object} JSON Schema
+ */
+export const toJsonSchema = (schema) => {
+  const { nullable, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    ...(nullable && { type: [schema.type, 'null'] }),
+    ...(properties && {
+      properties: Object.fromEntries(Object.entries(properties).map(([name, property]) => [name, toJsonSchema(property)]))
+    }),
+    ...(items && { items: toJsonSchema(items) })
+  };
+};
+
+/**
+ * POST a JSON body, with HTTP errors raised as LLMProviderError. An
+ * aborted request rejects with the signal's reason.
+ */
+export const post = async (provider, url, body, headers = {}, signal = null) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    throw new LLMProviderError(provider, null, `${provider} is unreachable at ${url}: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new LLMProviderError(provider, response.status, `${provider} returned ${response.status}: ${detail.slice(0, 500)}`);
+  }
+  return response;
+};
+
+/**
+ * POST a JSON body and return the parsed JSON answer.
+ */
+export const postJson = async (provider, url, body, headers = {}, signal = null) => (await post(provider, url, body, headers, signal)).json();
+
+/**
+ * Read a streamed response body line by line (NDJSON or SSE).
+ */
+export const readLines = async (response, onLine) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => onLine(line.trim()));
+  }
+  if (buffer.trim()) onLine(buffer.trim());
+};
+
+export default LLMProvider;
@@ -0,0 +1,98 @@
+import { LLMProvider } from './llmProvider.js';
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Placeholder value for each schema type, for answers the mock knows nothing about
+const emptyValue = (schema) => {
+  if (schema.nullable) return null;
+  switch (schema.type) {
+  case 'object':
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, emptyValue(property)]));
+  case 'array':
+    return [];
+  case 'boolean':
+    return false;
+  case 'number':
+  case 'integer':
+    return 0;
+  default:
+    return '';
+  }
+};
+
+/**
+ * SQL for the question in an SQL generation prompt: a count when the
+ * question asks "how many", otherwise the first rows of the first table
+ * in the schema.
+ */
+const mockSqlGeneration = (prompt) => {
+  const question = prompt.match(/User question: "([^"]*)"/)?.[1] || '';
+  const table = prompt.match(/^Table: (\w+)/m)?.[1] || 'items';
+  const counting = /\b(how many|count|number of)\b/i.test(question);
+
+  return {
+    sql: counting ? `SELECT COUNT(*) AS total FROM ${table}` : `SELECT * FROM ${table} LIMIT 10`,
+    tables_used: [table],
+    assumptions: [],
+    ambiguous: false,
+    clarifying_question: null,
+    clarification_options: [],
+    refines_previous: false,
+    confidence: 1
+  };
+};
+
+/**
+ * Mock Provider
+ *
+ * Deterministic answers without a model, so the API runs offline (tests,
+ * demos, CI). SQL generation prompts get a simple query on the first
+ * table in the schema, other JSON requests an empty object of the right
+ * shape, and text requests an echo of the first line of the prompt.
+ * Pass `respond` to script the answers.
+ */
+export class MockProvider extends LLMProvider {
+  /**
+   * @param {string} model - Reported model name
+   * @param {Object} options - { respond(request) => string }
+   */
+  constructor(model = 'mock', { respond = null } = {}) {
+    super('mock', model);
+    this.respond = respond;
+  }
+
+  async generate(request, { signal = null } = {}) {
+    signal?.throwIfAborted();
+    const prompt = request.messages[request.messages.length - 1]?.content || '';
+
+    let text;
+    if (this.respond) {
+      text = await this.respond(request);
+    } else if (request.responseSchema) {
+      const answer = request.responseSchema.properties?.sql ? mockSqlGeneration(prompt) : emptyValue(request.responseSchema);
+      text = JSON.stringify(answer);
+    } else {
+      text = `Mock answer to: ${prompt.split('\n')[0]}`;
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens([request.system || '', ...request.messages.map(message => message.content)].join('\n')),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+
+  async stream(request, onToken, options = {}) {
+    const result = await this.generate(request, options);
+    // Word by word, like a streaming model
+    result.text.split(/(?<=\s)/).forEach(piece => {
+      options.signal?.throwIfAborted();
+      onToken(piece);
+    });
+    return result;
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,67 @@
+import { LLMProvider, toJsonSchema, post, postJson, readLines } from './llmProvider.js';
+
+const toUsage = (data) => ({
+  inputTokens: data.prompt_eval_count ?? null,
+  outputTokens: data.eval_count ?? null
+});
+
+/**
+ * Ollama Provider
+ *
+ * A local Ollama server's /api/chat, at OLLAMA_URL. Models run on the
+ * machine, so no data leaves it. llama.cpp's llama-server speaks the
+ * OpenAI protocol instead: use the openai provider with OPENAI_BASE_URL.
+ */
+export class OllamaProvider extends LLMProvider {
+  /**
+   * @param {string} model - Model name, e.g. llama3.1
+   * @param {Object} options - { baseUrl }
+   */
+  constructor(model, { baseUrl = process.env.OLLAMA_URL || 'http://localhost:11434' } = {}) {
+    super('ollama', model);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  buildBody(request, stream) {
+    return {
+      model: this.model,
+      stream,
+      messages: [
+        ...(request.system ? [{ role: 'system', content: request.system }] : []),
+        ...request.messages
+      ],
+      options: {
+        temperature: request.temperature,
+        top_p: request.topP,
+        top_k: request.topK,
+        num_predict: request.maxOutputTokens
+      },
+      ...(request.responseSchema && { format: toJsonSchema(request.responseSchema) })
+    };
+  }
+
+  async generate(request, { signal = null } = {}) {
+    const data = await postJson('ollama', `${this.baseUrl}/api/chat`, this.buildBody(request, false), {}, signal);
+    return { text: data.message?.content ?? '', usage: toUsage(data) };
+  }
+
+  async stream(request, onToken, { signal = null } = {}) {
+    const response = await post('ollama', `${this.baseUrl}/api/chat`, this.buildBody(request, true), {}, signal);
+
+    let text = '';
+    let usage = toUsage({});
+    // One JSON object per line; the last one (done: true) carries the token counts
+    await readLines(response, line => {
+      const chunk = JSON.parse(line);
+      const piece = chunk.message?.content;
+      if (piece) {
+        text += piece;
+        onToken(piece);
+      }
+      if (chunk.done) usage = toUsage(chunk);
+    });
+    return { text, usage };
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,87 @@
+import { LLMProvider, toJsonSchema, post, postJson, readLines } from './llmProvider.js';
+
+const toUsage = (usage) => ({
+  inputTokens: usage?.prompt_tokens ?? null,
+  outputTokens: usage?.completion_tokens ?? null
+});
+
+/**
+ * OpenAI-compatible Provider
+ *
+ * Any /v1/chat/completions endpoint: OpenAI, Azure-style gateways,
+ * vLLM, LM Studio or llama.cpp's llama-server. OPENAI_BASE_URL selects
+ * the endpoint and OPENAI_API_KEY is sent as a bearer token when set.
+ */
+export class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {string} model - Model name
+   * @param {Object} options - { baseUrl, apiKey }
+   */
+  constructor(model, {
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.OPENAI_API_KEY
+  } = {}) {
+    super('openai', model);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+  }
+
+  buildBody(request) {
+    return {
+      model: this.model,
+      messages: [
+        ...(request.system ? [{ role: 'system', content: request.system }] : []),
+        ...request.messages
+      ],
+      temperature: request.temperature,
+      top_p: request.topP,
+      max_tokens: request.maxOutputTokens,
+      ...(request.responseSchema && {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: toJsonSchema(request.responseSchema) }
+        }
+      })
+    };
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async generate(request, { signal = null } = {}) {
+    const data = await postJson('openai', `${this.baseUrl}/chat/completions`, this.buildBody(request), this.headers(), signal);
+    return {
+      text: data.choices?.[0]?.message?.content ?? '',
+      usage: toUsage(data.usage)
+    };
+  }
+
+  async stream(request, onToken, { signal = null } = {}) {
+    const response = await post('openai', `${this.baseUrl}/chat/completions`, {
+      ...this.buildBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, this.headers(), signal);
+
+    let text = '';
+    let usage = toUsage(null);
+    // Server-Sent Events: "data: {chunk}" lines, ending with "data: [DONE]"
+    await readLines(response, line => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      const piece = chunk.choices?.[0]?.delta?.content;
+      if (piece) {
+        text += piece;
+        onToken(piece);
+      }
+      if (chunk.usage) usage = toUsage(chunk.usage);
+    });
+    return { text, usage };
+  }
+}
+
+export default OpenAIProvider;
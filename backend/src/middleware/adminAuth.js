@@ -0,0 +1,57 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { requireApiKey } from './apiKeyAuth.js';
+
+/**
+ * Admin Authentication Middleware
+ *
+ * Protects the /api/admin endpoints with a shared token (ADMIN_API_TOKEN),
+ * sent as "Authorization: Bearer <token>" or "X-Admin-Token: <token>",
+ * or with an API key that has the admin scope (X-API-Key). The token is
+ * disabled while ADMIN_API_TOKEN is not set.
+ */
+
+const requireAdminKey = requireApiKey('admin', { required: true });
+
+// Compare digests so the comparison takes the same time for any input length
+const tokensMatch = (received, expected) => timingSafeEqual(
+  createHash('sha256').update(received).digest(),
+  createHash('sha256').update(expected).digest()
+);
+
+/**
+ * Require Admin Token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requireAdminToken = (req, res, next) => {
+  if (req.get('x-api-key')) {
+    return requireAdminKey(req, res, next);
+  }
+
+  const expected = process.env.ADMIN_API_TOKEN;
+
+  if (!expected) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_TOKEN or use an API key with the admin scope to call the admin endpoints'
+    });
+  }
+
+  const authorization = req.get('authorization') || '';
+  const received = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : req.get('x-admin-token') || '';
+
+  if (!received || !tokensMatch(received, expected)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required'
+    });
+  }
+
+  next();
+};
+
+export default requireAdminToken;
@@ -0,0 +1,165 @@
+import ApiKeyService from '../services/apiKeys.js';
+import AccessControl from '../services/accessControl.js';
+import { setQuotaHeaders } from './validation.js';
+
+/**
+ * API Key Authentication Middleware
+ *
+ * Authenticates the X-API-Key header against the API key store, checks
+ * the key's scope and per-minute rate limit, and attaches the key record
+ * as req.apiKey. API_KEY_AUTH sets how strict this is:
+ * - required (default): requests without a valid key are rejected
+ * - optional: requests without a key pass unmetered; keys listed only in
+ *   the access policy's clients are still accepted
+ * - off: keys are not checked
+ */
+
+const API_KEY_AUTH_MODES = ['required', 'optional', 'off'];
+
+const API_KEY_AUTH = (() => {
+  const fallback = 'required';
+  const mode = (process.env.API_KEY_AUTH || fallback).toLowerCase();
+  if (!API_KEY_AUTH_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown API_KEY_AUTH "${mode}", using ${fallback}. Expected one of: ${API_KEY_AUTH_MODES.join(', ')}`);
+    return fallback;
+  }
+  return mode;
+})();
+
+/**
+ * Require API Key
+ *
+ * @param {string} scope - Scope the key needs (chat, twilio or admin)
+ * @param {Object} options - { required }: reject requests without a valid key whatever API_KEY_AUTH says
+ * @returns {Function} Express middleware
+ */
+export const requireApiKey = (scope, { required = false } = {}) => async (req, res, next) => {
+  req.apiKey = null;
+  const mode = required ? 'required' : API_KEY_AUTH;
+  if (mode === 'off') return next();
+
+  const apiKey = req.get('x-api-key') || '';
+
+  try {
+    if (!apiKey) {
+      if (mode === 'required') {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'An API key is required (X-API-Key header)'
+        });
+      }
+      return next();
+    }
+
+    const record = await ApiKeyService.authenticate(apiKey);
+
+    if (!record) {
+      // Clients from the access policy keep working until they get a stored key
+      if (mode === 'optional') {
+        await AccessControl.getPolicy();
+        if (AccessControl.identifyClient(apiKey)?.clientId) return next();
+      }
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Unknown or revoked API key'
+      });
+    }
+
+    if (!record.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key does not have the "${scope}" scope`
+      });
+    }
+
+    const rateLimit = ApiKeyService.checkRateLimit(record);
+    req.apiKeyRateLimit = rateLimit;
+
+    if (!rateLimit.allowed) {
+      res.set({
+        'Retry-After': String(Math.max(1, Math.ceil((rateLimit.reset.getTime() - Date.now()) / 1000))),
+        'X-RateLimit-Limit': String(rateLimit.limit),
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': rateLimit.reset.toISOString()
+      });
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `This API key is limited to ${rateLimit.limit} requests per minute`,
+        retryAt: rateLimit.reset.toISOString()
+      });
+    }
+
+    req.apiKey = record;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require Quota
+ *
+ * Rejects the request when the key has less of its monthly quota for
+ * `metric` left than the request needs, and reports the remaining quota
+ * in the response headers. Requests without a key are not metered.
+ * The status is kept on req.apiKeyQuota, which caps the LLM calls the
+ * request may make (see usageContext).
+ *
+ * @param {string} metric - gemini or otp
+ * @param {Object} options - { calls }: quota the request needs at least
+ * @returns {Function} Express middleware
+ */
+export const requireQuota = (metric, { calls = 1 } = {}) => async (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  try {
+    const quota = await ApiKeyService.getQuotaStatus(req.apiKey);
+    req.apiKeyQuota = quota;
+    setQuotaHeaders(res, quota);
+
+    const { limit, remaining } = quota[metric];
+    if (remaining !== null && remaining < calls) {
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: remaining === 0
+          ? `This API key has used its monthly ${metric} quota of ${limit}`
+          : `This API key has ${remaining} of its monthly ${metric} quota of ${limit} left, and this request needs ${calls}`,
+        resetsAt: quota.reset
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record API Key Usage
+ *
+ * Counts Gemini calls or an OTP send against the caller's key and updates
+ * the quota headers if the response has not been sent yet. Failures are
+ * logged, not thrown: the work has already been done.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} metric - gemini or otp
+ * @param {number} amount - Calls to add
+ */
+export const recordApiKeyUsage = async (req, res, metric, amount = 1) => {
+  if (!req.apiKey) return;
+
+  try {
+    const used = await ApiKeyService.recordUsage(req.apiKey, metric, amount);
+    const status = req.apiKeyQuota?.[metric];
+    if (status) {
+      status.used = used;
+      status.remaining = status.limit !== null ? Math.max(0, status.limit - used) : null;
+      setQuotaHeaders(res, req.apiKeyQuota);
+    }
+  } catch (error) {
+    console.error(`❌ Could not record ${metric} usage for API key ${req.apiKey.prefix}…:`, error.message);
+  }
+};
+
+export default requireApiKey;
@@ -0,0 +1,49 @@
+import AccessControl from '../services/accessControl.js';
+
+/**
+ * Client Access Middleware
+ *
+ * Identifies the API client from its X-API-Key header and attaches the
+ * tables and columns it may query as req.access (null when no access
+ * policy is configured). Requests without a key get the policy's
+ * defaultRole; an unknown key is rejected. Stored API keys (req.apiKey)
+ * carry their own role.
+ */
+
+/**
+ * Resolve Client Access
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const resolveClientAccess = async (req, res, next) => {
+  try {
+    await AccessControl.getPolicy();
+
+    const apiKey = req.get('x-api-key') || '';
+    let client = AccessControl.identifyClient(apiKey);
+
+    // Keys from the API key store (see requireApiKey) use their own role,
+    // or the default role when the policy does not list them
+    if (req.apiKey?.role) {
+      client = { clientId: req.apiKey.name, role: req.apiKey.role };
+    } else if (req.apiKey && !client && AccessControl.policy.defaultRole) {
+      client = { clientId: req.apiKey.name, role: AccessControl.policy.defaultRole };
+    }
+
+    if (!client) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: apiKey ? 'Unknown API key' : 'An API key is required (X-API-Key header)'
+      });
+    }
+
+    req.access = AccessControl.getAccess(client);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default resolveClientAccess;
@@ -0,0 +1,69 @@
+import { getDatabaseAdapter } from '../adapters/index.js';
+import { UserAuthError } from '../adapters/databaseAdapter.js';
+
+/**
+ * User Session Middleware
+ *
+ * Reads the end user's Supabase access token ("Authorization: Bearer
+ * <jwt>") and attaches a request-scoped database adapter that queries
+ * with it, so Postgres row-level security applies per user:
+ * - req.user: { id, email, role } from Supabase Auth
+ * - req.userDatabase: adapter for this user
+ *
+ * Without a token the request uses the shared anon client, unless
+ * REQUIRE_USER_JWT=true.
+ */
+
+// Reject chat requests that do not carry a user token
+const REQUIRE_USER_JWT = process.env.REQUIRE_USER_JWT === 'true';
+
+/**
+ * Resolve User Session
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const resolveUserSession = async (req, res, next) => {
+  const authorization = req.get('authorization') || '';
+  const accessToken = /^Bearer\s+/i.test(authorization) ? authorization.replace(/^Bearer\s+/i, '').trim() : '';
+
+  req.user = null;
+  req.userDatabase = null;
+
+  if (!accessToken) {
+    if (REQUIRE_USER_JWT) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A user access token is required (Authorization: Bearer <token>)'
+      });
+    }
+    return next();
+  }
+
+  try {
+    const adapter = await getDatabaseAdapter();
+    const session = await adapter.forUser(accessToken);
+
+    if (!session) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `The ${adapter.name} database adapter cannot run queries as a user; send the request without an Authorization header`
+      });
+    }
+
+    req.user = session.user;
+    req.userDatabase = session.adapter;
+    next();
+  } catch (error) {
+    if (error instanceof UserAuthError) {
+      return res.status(error.status).json({
+        error: error.status === 403 ? 'Forbidden' : 'Unauthorized',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+export default resolveUserSession;
@@ -1,3 +1,9 @@
+import { validateConversationMemory } from '../services/conversationMemory.js';
+
+// Older messages are condensed into conversationMemory rather than sent to
+// the model, so the history may outgrow the prompt; this only bounds the request
+const MAX_HISTORY_MESSAGES = 200;
+
 /**
  * Validation Middleware
  *
@@ -10,13 +16,14 @@
  *
  * Validates the structure and content of chat messages.
  * Ensures messages are properly formatted before processing.
+ * Mounted on POST /api/chat and /api/chat/stream.
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 export const validateChatMessage = (req, res, next) => {
-  const { message, conversationHistory } = req.body;
+  const { message, conversationHistory, conversationId, conversationMemory } = req.body;
 
   const errors = [];
 
@@ -31,18 +38,41 @@ export const validateChatMessage = (req, res, next) => {
     errors.push('Message cannot exceed 2000 characters');
   }
 
+  // Validate conversation id (optional); a stored conversation replaces conversationHistory
+  if (conversationId !== undefined && conversationId !== null && typeof conversationId !== 'string') {
+    errors.push('Conversation id must be a string');
+  }
+
+  // Validate the summary of older messages (optional), the chat response's `memory`
+  if (conversationMemory !== undefined && conversationMemory !== null) {
+    validateConversationMemory(conversationMemory)
+      .forEach(({ path, message: problem }) => errors.push(`Conversation memory${path ? ` ${path}` : ''} ${problem}`));
+  }
+
   // Validate conversation history (optional)
   if (conversationHistory !== undefined) {
     if (!Array.isArray(conversationHistory)) {
       errors.push('Conversation history must be an array');
-    } else if (conversationHistory.length > 50) {
-      errors.push('Conversation history cannot exceed 50 messages');
+    } else if (conversationHistory.length > MAX_HISTORY_MESSAGES) {
+      errors.push(`Conversation history cannot exceed ${MAX_HISTORY_MESSAGES} messages`);
     } else {
       // Validate each message in history
       conversationHistory.forEach((msg, index) => {
         if (!msg.role || !msg.content) {
           errors.push(`Message ${index + 1} in conversation history must have 'role' and 'content' fields`);
         }
+        // SQL that answered the question, the chat response's `generatedSql`, for follow-ups
+        if (msg.sql !== undefined && (typeof msg.sql !== 'string' || msg.sql.length > 10000)) {
+          errors.push(`Message ${index + 1} in conversation history has an invalid 'sql' (a string of at most 10000 characters)`);
+        }
+        // Pending clarifying question, sent back as the chat response's `clarification`
+        if (msg.clarification !== undefined) {
+          const { question, options, originalQuestion } = msg.clarification || {};
+          if (typeof question !== 'string' || typeof originalQuestion !== 'string' || originalQuestion.length > 2000
+            || (options !== undefined && (!Array.isArray(options) || options.some(option => typeof option !== 'string')))) {
+            errors.push(`Message ${index + 1} in conversation history has an invalid 'clarification' (question, originalQuestion and options)`);
+          }
+        }
       });
     }
   }
@@ -136,24 +166,63 @@ export const validateTwilioPhoneNumber = (phone) => {
   };
 };
 
+/**
+ * Set Quota Headers
+ *
+ * Reports an API key's monthly quotas as X-Quota-<Metric>-Limit and
+ * X-Quota-<Metric>-Remaining, plus X-Quota-Reset. Unlimited quotas are
+ * left out.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} quota - Quota status from ApiKeyService.getQuotaStatus()
+ */
+export const setQuotaHeaders = (res, quota) => {
+  if (res.headersSent) return;
+
+  Object.entries(quota)
+    .filter(([, status]) => status && typeof status === 'object' && status.limit !== null)
+    .forEach(([metric, status]) => {
+      const name = `${metric[0].toUpperCase()}${metric.slice(1)}`;
+      res.set(`X-Quota-${name}-Limit`, String(status.limit));
+      res.set(`X-Quota-${name}-Remaining`, String(status.remaining));
+    });
+  res.set('X-Quota-Reset', quota.reset);
+};
+
 /**
  * Rate Limit Headers
  *
  * Adds rate limiting information to response headers.
  * Helps clients understand current rate limiting status.
+ * Requests with an API key get the key's per-minute limit and monthly
+ * quotas (set by requireApiKey and requireQuota); other requests get the
+ * per-IP limit.
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 export const addRateLimitHeaders = (req, res, next) => {
-  // This would typically integrate with your rate limiting middleware
-  // For now, we'll add basic headers
-  res.set({
-    'X-RateLimit-Limit': '100',
-    'X-RateLimit-Remaining': '99',
-    'X-RateLimit-Reset': new Date(Date.now() + 15 * 60 * 1000).toISOString()
-  });
+  const keyLimit = req.apiKeyRateLimit;
+  const ipLimit = req.rateLimit;
+
+  if (keyLimit && keyLimit.limit !== null) {
+    res.set({
+      'X-RateLimit-Limit': String(keyLimit.limit),
+      'X-RateLimit-Remaining': String(keyLimit.remaining),
+      'X-RateLimit-Reset': keyLimit.reset.toISOString()
+    });
+  } else if (!keyLimit && ipLimit) {
+    res.set({
+      'X-RateLimit-Limit': String(ipLimit.limit),
+      'X-RateLimit-Remaining': String(ipLimit.remaining),
+      ...(ipLimit.resetTime && { 'X-RateLimit-Reset': ipLimit.resetTime.toISOString() })
+    });
+  }
+
+  if (req.apiKeyQuota) {
+    setQuotaHeaders(res, req.apiKeyQuota);
+  }
 
   next();
 };
@@ -162,5 +231,6 @@ export default {
   validateChatMessage,
   sanitizeInput,
   addRateLimitHeaders,
+  setQuotaHeaders,
   validatePhoneNumber
 };
@@ -0,0 +1,229 @@
+import express from 'express';
+import adminController from '../controllers/adminController.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
+
+/**
+ * Admin Routes
+ *
+ * Operational endpoints for maintainers. Every route requires the admin
+ * token (ADMIN_API_TOKEN) as "Authorization: Bearer <token>", or an API
+ * key with the admin scope as "X-API-Key: <key>".
+ */
+
+const router = express.Router();
+
+router.use(requireAdminToken);
+
+/**
+ * GET /api/admin/schema-cache
+ *
+ * Returns the schema cache status.
+ *
+ * Response:
+ * {
+ *   "cache": {
+ *     "enabled": true,
+ *     "ttlMs": 300000,
+ *     "cached": true,
+ *     "loadedAt": "2024-01-01T00:00:00.000Z",
+ *     "hits": 42,
+ *     "misses": 1,
+ *     "tables": ["items", ...],
+ *     "listening": false
+ *   }
+ * }
+ */
+router.get('/schema-cache', adminController.getSchemaCache);
+
+/**
+ * POST /api/admin/schema-cache/invalidate
+ *
+ * Drops the cached schema, e.g. after a migration.
+ *
+ * Request Body (optional):
+ * {
+ *   "reload": true // Load the schema again before responding
+ * }
+ *
+ * Response:
+ * {
+ *   "invalidated": true,
+ *   "cache": { ... }
+ * }
+ */
+router.post('/schema-cache/invalidate', adminController.invalidateSchemaCache);
+
+/**
+ * GET /api/admin/semantic-model
+ *
+ * Returns the semantic model (descriptions, synonyms, allowed values and
+ * metrics) and its validation against the live schema.
+ *
+ * Response:
+ * {
+ *   "model": { "tables": { ... }, "metrics": { ... } },
+ *   "validation": { "valid": true, "errors": [], "warnings": [] }
+ * }
+ */
+router.get('/semantic-model', adminController.getSemanticModel);
+
+/**
+ * PUT /api/admin/semantic-model
+ *
+ * Replaces the semantic model. Rejected with 400 when a table, column or
+ * metric does not match the database. Add ?dryRun=true to only validate.
+ *
+ * Request Body:
+ * {
+ *   "tables": {
+ *     "items": {
+ *       "description": "Products in the catalogue",
+ *       "columns": {
+ *         "quantity": { "description": "Units in stock", "synonyms": ["stock"] }
+ *       }
+ *     }
+ *   },
+ *   "metrics": {
+ *     "inventory_value": { "table": "items", "expression": "SUM(price * quantity)" }
+ *   }
+ * }
+ */
+router.put('/semantic-model', adminController.updateSemanticModel);
+
+/**
+ * POST /api/admin/semantic-model/reload
+ *
+ * Reloads the semantic model from SEMANTIC_MODEL_PATH.
+ */
+router.post('/semantic-model/reload', adminController.reloadSemanticModel);
+
+/**
+ * GET /api/admin/access-policy
+ *
+ * Returns the table and column access policy (roles, API clients and the
+ * default role) and its validation against the live schema.
+ *
+ * Response:
+ * {
+ *   "policy": { "defaultRole": "public", "roles": { ... }, "clients": { ... } },
+ *   "validation": { "valid": true, "errors": [], "warnings": [] }
+ * }
+ */
+router.get('/access-policy', adminController.getAccessPolicy);
+
+/**
+ * PUT /api/admin/access-policy
+ *
+ * Replaces the access policy. Rejected with 400 when a role, table or
+ * column does not exist. Add ?dryRun=true to only validate.
+ *
+ * Request Body:
+ * {
+ *   "defaultRole": "public",
+ *   "roles": {
+ *     "public": { "tables": { "items": { "exclude": ["email", "phone"] } } },
+ *     "analyst": { "inherits": "public", "tables": { "orders": "*" } }
+ *   },
+ *   "clients": {
+ *     "reporting-dashboard": { "keyHash": "<sha256 of the API key>", "role": "analyst" }
+ *   }
+ * }
+ */
+router.put('/access-policy', adminController.updateAccessPolicy);
+
+/**
+ * POST /api/admin/access-policy/reload
+ *
+ * Reloads the access policy from ACCESS_POLICY_PATH.
+ */
+router.post('/access-policy/reload', adminController.reloadAccessPolicy);
+
+/**
+ * GET /api/admin/api-keys
+ *
+ * Lists API keys with their scopes, limits and this month's usage.
+ *
+ * Response:
+ * {
+ *   "keys": [{
+ *     "id": "…", "name": "support-bot", "prefix": "adb_Xk3f9QzA", "scopes": ["chat"],
+ *     "role": "support", "revokedAt": null,
+ *     "limits": {
+ *       "rateLimitPerMinute": 60,
+ *       "quotas": { "period": "2026-10", "gemini": { "limit": 1000, "used": 12, "remaining": 988 }, ... }
+ *     }
+ *   }]
+ * }
+ */
+router.get('/api-keys', adminController.listApiKeys);
+
+/**
+ * POST /api/admin/api-keys
+ *
+ * Creates an API key. The key is in the response only; it is stored hashed.
+ * Limits left out or null use the API_KEY_* defaults, 0 means unlimited.
+ *
+ * Request Body:
+ * {
+ *   "name": "support-bot",
+ *   "scopes": ["chat", "twilio"],
+ *   "role": "support", // Optional: access policy role for /api/chat
+ *   "rateLimitPerMinute": 30,
+ *   "quotas": { "gemini": 500, "otp": 20 }
+ * }
+ *
+ * Response (201):
+ * {
+ *   "key": "adb_…",
+ *   "record": { "id": "…", "name": "support-bot", "prefix": "adb_Xk3f9QzA", ... }
+ * }
+ */
+router.post('/api-keys', adminController.createApiKey);
+
+/**
+ * POST /api/admin/api-keys/:id/rotate
+ *
+ * Replaces the key; the old one stops working immediately. Scopes, limits
+ * and usage are kept.
+ */
+router.post('/api-keys/:id/rotate', adminController.rotateApiKey);
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ *
+ * Revokes the key. The record is kept for its usage history.
+ */
+router.delete('/api-keys/:id', adminController.revokeApiKey);
+
+/**
+ * GET /api/admin/usage
+ *
+ * LLM calls (SQL generation, answers, conversation summaries) with their
+ * tokens, latency, retries and estimated cost in USD, over a range of UTC
+ * days, totalled by API key, by day and by model. `rows` has the totals
+ * per key, day and model. Calls without a key have apiKeyId null;
+ * unpricedCalls counts calls to models without a known price.
+ *
+ * Query parameters (optional):
+ *   from=2026-10-01 // First day, defaults to 30 days before `to`
+ *   to=2026-10-19   // Last day, defaults to today
+ *   keyId=…         // Only this API key's calls
+ *
+ * Response:
+ * {
+ *   "usage": {
+ *     "from": "2026-09-20", "to": "2026-10-19", "keyId": null,
+ *     "totals": { "calls": 42, "failures": 1, "inputTokens": 61234, "outputTokens": 5120,
+ *                 "retries": 2, "averageLatencyMs": 840, "estimatedCost": 0.031, "unpricedCalls": 0 },
+ *     "byKey": [{ "apiKeyId": "…", "name": "support-bot", "calls": 42, ... }],
+ *     "byDay": [{ "day": "2026-10-19", "calls": 42, ... }],
+ *     "byModel": [{ "provider": "gemini", "model": "gemini-2.5-flash", "calls": 42, ... }],
+ *     "rows": [{ "apiKeyId": "…", "day": "2026-10-19", "provider": "gemini", "model": "gemini-2.5-flash",
+ *                "calls": 42, "failures": 1, "inputTokens": 61234, "outputTokens": 5120, "retries": 2,
+ *                "latencyMs": 35280, "estimatedCost": 0.031, "unpricedCalls": 0 }]
+ *   }
+ * }
+ */
+router.get('/usage', adminController.getUsage);
+
+export default router;
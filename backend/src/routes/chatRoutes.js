@@ -1,5 +1,9 @@
 import express from 'express';
-import chatController from '../controllers/chatController.js';
+import chatController, { CHAT_REQUIRED_CALLS } from '../controllers/chatController.js';
+import { resolveClientAccess } from '../middleware/clientAccess.js';
+import { resolveUserSession } from '../middleware/userSession.js';
+import { requireQuota } from '../middleware/apiKeyAuth.js';
+import { validateChatMessage } from '../middleware/validation.js';
 
 /**
  * Chat Routes
@@ -18,20 +22,64 @@ const router = express.Router();
  * Accepts natural language queries and returns AI-generated responses
  * with relevant database information.
  *
+ * Headers:
+ *   X-API-Key: <API key> // Required unless API_KEY_AUTH=optional; needs the chat scope, counts against
+ *                        // its Gemini quota and selects its access role
+ *   Authorization: Bearer <Supabase access token> // Optional: runs the query as this user, under their RLS policies
+ *
  * Request Body:
  * {
  *   "message": "Show me all electronics items under $100",
- *   "conversationHistory": [] // Optional: previous messages for context
+ *   "conversationHistory": [], // Optional: previous messages for context; keep a clarification
+ *                              // response as { role: 'assistant', content, clarification } and an
+ *                              // answer as { role: 'assistant', content, sql: generatedSql } so
+ *                              // follow-up questions can refine its query
+ *   "conversationMemory": {},  // Optional: the previous response's memory, with conversationHistory
+ *   "conversationId": "..."    // Optional: stored conversation (see /api/conversations) whose history
+ *                              // and memory are used instead, and which this turn is added to
  * }
+ * Checked by validateChatMessage: a message of at most 2000 characters and at most 200 history
+ * messages; an invalid body gets a 400 listing each problem in `details`.
  *
  * Response:
  * {
- *   "response": "AI generated response with database results",
+ *   "type": "answer, or clarification when the question was ambiguous",
+ *   "conversationId": "The stored conversation, when the request named one",
+ *   "response": "AI generated response with database results, or the clarifying question",
+ *   "clarification": "For type clarification: { question, options, originalQuestion }",
+ *   "clarifiedQuestion": "The question as combined with the answer to a clarifying question",
  *   "queryUsed": "SQL query that was executed",
- *   "results": "Formatted database results"
+ *   "generatedSql": "SQL as the model wrote it, before access control and the cost cap; sent back as a history entry's sql",
+ *   "schemaSelection": "Tables ranked for the question and which were sent to the AI; trimmed when
+ *                       sample rows or tables were cut to fit LLM_PROMPT_TOKEN_BUDGET",
+ *   "interpretation": "Tables used, assumptions made, whether it refines the previous query, and confidence",
+ *   "refinement": "For a follow-up question: { previousQuery, changes } listing what changed, else null",
+ *   "attempts": "Each generated query, in order, with the error that led to the next one",
+ *   "results": "Formatted database results, with personal data redacted",
+ *   "redactions": "PII masked, hashed or dropped for the AI and for this response",
+ *   "costEstimate": "Estimated cost and rows, the budget, and why the query was capped or refused",
+ *   "memory": "{ summary, pinnedFacts, summarizedCount } condensing the messages beyond the history budget",
+ *   "usage": "LLM calls made for this response: { calls, inputTokens, outputTokens, latencyMs, estimatedCost }"
  * }
  */
-router.post('/', chatController.handleMessage);
+router.post('/', validateChatMessage, requireQuota('gemini', { calls: CHAT_REQUIRED_CALLS }), resolveUserSession, resolveClientAccess, chatController.handleMessage);
+
+/**
+ * POST /api/chat/stream
+ *
+ * The chat endpoint answered as Server-Sent Events (text/event-stream),
+ * so clients can show progress and the answer as it is written.
+ * Same headers and request body as POST /api/chat.
+ *
+ * Events:
+ *   schema_loaded  { tables, selected, strategy }
+ *   sql_generated  { attempt, sql, interpretation } // Again for each corrected query
+ *   rows_fetched   { attempt, success, count, capped, error }
+ *   token          { text } // A piece of the answer
+ *   done           The full POST /api/chat response body
+ *   error          { status, error, message }
+ */
+router.post('/stream', validateChatMessage, requireQuota('gemini', { calls: CHAT_REQUIRED_CALLS }), resolveUserSession, resolveClientAccess, chatController.handleStream);
 
 /**
  * GET /api/chat/categories
@@ -0,0 +1,79 @@
+import express from 'express';
+import conversationController from '../controllers/conversationController.js';
+import { resolveUserSession } from '../middleware/userSession.js';
+
+/**
+ * Conversation Routes
+ *
+ * Conversations kept on the server, for POST /api/chat with a
+ * conversationId. Same API key (chat scope) and optional user token as
+ * /api/chat; each owner, the user or else the key, sees only its own
+ * conversations.
+ */
+
+const router = express.Router();
+
+router.use(resolveUserSession);
+
+/**
+ * GET /api/conversations
+ *
+ * Lists the caller's conversations, most recently active first.
+ *
+ * Response:
+ * {
+ *   "conversations": [{ "id", "title", "createdAt", "updatedAt", "messageCount" }],
+ *   "count": 1
+ * }
+ */
+router.get('/', conversationController.listConversations);
+
+/**
+ * POST /api/conversations
+ *
+ * Starts a conversation. Without a title it is named after its first
+ * question.
+ *
+ * Request Body (optional):
+ * {
+ *   "title": "Electronics prices"
+ * }
+ *
+ * Response (201):
+ * {
+ *   "conversation": { "id", "title", "createdAt", "updatedAt" }
+ * }
+ */
+router.post('/', conversationController.createConversation);
+
+/**
+ * GET /api/conversations/:id
+ *
+ * Returns the conversation and its messages in order. Assistant messages
+ * that answered a question carry `query`: the SQL, success, rowCount,
+ * capped, data (as returned to the client), error and attempts. The
+ * conversation's memory holds the summary and pinned facts of messages
+ * beyond the history budget.
+ */
+router.get('/:id', conversationController.getConversation);
+
+/**
+ * PATCH /api/conversations/:id
+ *
+ * Renames the conversation.
+ *
+ * Request Body:
+ * {
+ *   "title": "New title"
+ * }
+ */
+router.patch('/:id', conversationController.renameConversation);
+
+/**
+ * DELETE /api/conversations/:id
+ *
+ * Deletes the conversation with its messages and stored results.
+ */
+router.delete('/:id', conversationController.deleteConversation);
+
+export default router;
@@ -1,11 +1,14 @@
 import express from 'express';
 import { sendOTP, verifyOTPCode, getStats, sendOTPVerify, verifyOTPCodeVerify as verifyOTPCodeVerifyAPI } from '../controllers/twilioController.js';
+import { requireQuota } from '../middleware/apiKeyAuth.js';
 
 /**
  * Twilio Routes
  *
  * Defines all API endpoints related to Twilio functionality.
  * These routes handle OTP generation, voice call delivery, and verification.
+ * Requests need an API key with the twilio scope (X-API-Key, see
+ * API_KEY_AUTH); OTP sends count against the key's monthly OTP quota.
  */
 
 const router = express.Router();
@@ -28,7 +31,7 @@ const router = express.Router();
  *   "callSid": "CA1234567890abcdef"
  * }
  */
-router.post('/send-otp', sendOTP);
+router.post('/send-otp', requireQuota('otp'), sendOTP);
 
 /**
  * POST /api/twilio/verify-otp
@@ -86,7 +89,7 @@ router.get('/stats', getStats);
  *   "verificationSid": "VE1234567890abcdef"
  * }
  */
-router.post('/send-otp-verify', sendOTPVerify);
+router.post('/send-otp-verify', requireQuota('otp'), sendOTPVerify);
 
 /**
  * POST /api/twilio/verify-otp-verify
@@ -101,10 +101,20 @@ app.get('/health', (req, res) => {
 
 // Import and mount API routes
 import chatRoutes from './routes/chatRoutes.js';
+import conversationRoutes from './routes/conversationRoutes.js';
 import twilioRoutes from './routes/twilioRoutes.js';
-
-app.use('/api/chat', chatRoutes);
-app.use('/api/twilio', twilioRoutes);
+import adminRoutes from './routes/adminRoutes.js';
+import DatabaseService from './services/databaseService.js';
+import SemanticLayer from './services/semanticLayer.js';
+import AccessControl from './services/accessControl.js';
+import { requireApiKey } from './middleware/apiKeyAuth.js';
+import { addRateLimitHeaders } from './middleware/validation.js';
+
+// API keys (X-API-Key) with the route group's scope, see API_KEY_AUTH
+app.use('/api/chat', requireApiKey('chat'), addRateLimitHeaders, chatRoutes);
+app.use('/api/conversations', requireApiKey('chat'), addRateLimitHeaders, conversationRoutes);
+app.use('/api/twilio', requireApiKey('twilio'), addRateLimitHeaders, twilioRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -149,11 +159,50 @@ const server = app.listen(PORT, () => {
   console.log(`💬 Chat API available at: http://localhost:${PORT}/api/chat`);
   console.log(`🔒 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🕐 Started at: ${new Date().toISOString()}`);
+
+  // Refresh the schema cache on DDL notifications (SCHEMA_NOTIFY_CHANNEL)
+  DatabaseService.startSchemaChangeListener();
+
+  loadSemanticModel();
+  loadAccessPolicy();
 });
 
+/**
+ * Load the semantic model and report where it no longer matches the
+ * database. Problems are logged, not fatal: the database may be down.
+ */
+async function loadSemanticModel() {
+  try {
+    await SemanticLayer.load();
+    const { errors, warnings } = SemanticLayer.validate(await DatabaseService.getAllTablesSchema());
+    [...errors, ...warnings].forEach(problem => console.log(`⚠️ Semantic model ${problem.path}: ${problem.message}`));
+  } catch (error) {
+    console.error('❌ Could not load semantic model:', error.message);
+  }
+}
+
+/**
+ * Load the access policy and report where it no longer matches the
+ * database. Without a policy file every table is readable.
+ */
+async function loadAccessPolicy() {
+  try {
+    const policy = await AccessControl.load();
+    if (!policy) {
+      console.log('⚠️ No access policy found, every table and column can be queried');
+      return;
+    }
+    const { errors, warnings } = AccessControl.validate(await DatabaseService.getAllTablesSchema());
+    [...errors, ...warnings].forEach(problem => console.log(`⚠️ Access policy ${problem.path}: ${problem.message}`));
+  } catch (error) {
+    console.error('❌ Could not load access policy:', error.message);
+  }
+}
+
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  DatabaseService.stopSchemaChangeListener();
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
@@ -162,6 +211,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
+  DatabaseService.stopSchemaChangeListener();
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
@@ -0,0 +1,757 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { createHash } from 'crypto';
+import { dirname, extname, isAbsolute, join } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import dotenv from 'dotenv';
+import { parseSQL, childExpressions } from './sqlParser.js';
+
+// Load environment variables
+dotenv.config();
+
+const backendRoot = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Access policy file (.yaml, .yml or .json), relative paths are resolved from backend/
+const ACCESS_POLICY_PATH = (() => {
+  const path = process.env.ACCESS_POLICY_PATH || 'access-policy.yaml';
+  return isAbsolute(path) ? path : join(backendRoot, path);
+})();
+
+const KEY_HASH = /^[0-9a-f]{64}$/;
+
+const SIMPLE_IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isStringList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry);
+
+// Identifiers are compared case-insensitively: unquoted SQL names fold
+// case (SELECT EMAIL reads email), and a stricter match can only refuse
+// more, never reveal a hidden column
+const sameName = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+const columnNames = (schema) => schema.columnDetails
+  ? schema.columnDetails.map(column => column.name)
+  : Object.keys(schema.columns || {});
+
+/**
+ * Hash API Key
+ *
+ * Clients are stored by the SHA-256 of their API key, so the policy file
+ * never contains a usable key.
+ *
+ * @param {string} apiKey - API key sent in the X-API-Key header
+ * @returns {string} Hex digest
+ */
+export const hashApiKey = (apiKey) => createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * Check a table rule: '*', a list of readable columns or { exclude: [...] }.
+ */
+const checkTableRule = (rule, path, live, errors) => {
+  let listed = [];
+  if (rule === '*') {
+    return;
+  } else if (isStringList(rule)) {
+    listed = rule;
+  } else if (isPlainObject(rule) && isStringList(rule.exclude) && Object.keys(rule).length === 1) {
+    listed = rule.exclude;
+  } else {
+    errors.push({ path, message: 'must be "*", a list of columns or { exclude: [columns] }' });
+    return;
+  }
+
+  if (live) {
+    const names = columnNames(live);
+    listed.filter(name => !names.includes(name))
+      .forEach(name => errors.push({ path, message: `column "${name}" does not exist in "${live.table}"` }));
+  }
+};
+
+/**
+ * Validate Access Policy
+ *
+ * Checks the policy's structure, that roles, inherited roles and client
+ * roles exist, and, when table schemas are given, that every table and
+ * column it names exists in the live database.
+ *
+ * @param {Object} policy - Access policy
+ * @param {Array} schemas - Table schemas from DatabaseService (empty to skip live checks)
+ * @returns {Object} { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+export const validateAccessPolicy = (policy, schemas = []) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(policy)) {
+    return { valid: false, errors: [{ path: '', message: 'must be an object with "roles"' }], warnings };
+  }
+
+  Object.keys(policy).filter(key => !['defaultRole', 'roles', 'clients'].includes(key))
+    .forEach(key => warnings.push({ path: key, message: 'unknown key, ignored' }));
+
+  const liveTables = new Map(schemas.map(schema => [schema.table, schema]));
+  if (liveTables.size === 0) {
+    warnings.push({ path: '', message: 'database schema unavailable, tables and columns were not checked' });
+  }
+
+  const roles = policy.roles;
+  if (!isPlainObject(roles) || Object.keys(roles).length === 0) {
+    errors.push({ path: 'roles', message: 'must define at least one role' });
+    return { valid: false, errors, warnings };
+  }
+
+  Object.entries(roles).forEach(([roleName, role]) => {
+    const path = `roles.${roleName}`;
+    if (role === '*') return;
+    if (!isPlainObject(role)) {
+      errors.push({ path, message: 'must be "*" or an object with "tables"' });
+      return;
+    }
+
+    if (role.inherits !== undefined) {
+      if (!(role.inherits in roles)) {
+        errors.push({ path: `${path}.inherits`, message: `role "${role.inherits}" does not exist` });
+      }
+
+      // Follow the chain to catch cycles
+      const seen = new Set([roleName]);
+      let parent = role.inherits;
+      while (isPlainObject(roles[parent]) && roles[parent].inherits !== undefined) {
+        if (seen.has(parent)) {
+          errors.push({ path: `${path}.inherits`, message: 'roles inherit from each other in a cycle' });
+          break;
+        }
+        seen.add(parent);
+        parent = roles[parent].inherits;
+      }
+    }
+
+    const tables = role.tables ?? {};
+    if (tables === '*') return;
+    if (!isPlainObject(tables)) {
+      errors.push({ path: `${path}.tables`, message: 'must be "*" or an object keyed by table name' });
+      return;
+    }
+
+    Object.entries(tables).forEach(([tableName, rule]) => {
+      const live = liveTables.get(tableName);
+      if (liveTables.size > 0 && !live) {
+        errors.push({ path: `${path}.tables.${tableName}`, message: `table "${tableName}" does not exist` });
+      }
+      checkTableRule(rule, `${path}.tables.${tableName}`, live, errors);
+    });
+  });
+
+  if (policy.defaultRole !== undefined && policy.defaultRole !== null && !(policy.defaultRole in roles)) {
+    errors.push({ path: 'defaultRole', message: `role "${policy.defaultRole}" does not exist` });
+  }
+
+  const clients = policy.clients ?? {};
+  if (!isPlainObject(clients)) {
+    errors.push({ path: 'clients', message: 'must be an object keyed by client id' });
+  } else {
+    const hashOwners = new Map();
+    Object.entries(clients).forEach(([clientId, client]) => {
+      const path = `clients.${clientId}`;
+      if (!isPlainObject(client)) {
+        errors.push({ path, message: 'must be an object with "keyHash" and "role"' });
+        return;
+      }
+      if (typeof client.keyHash !== 'string' || !KEY_HASH.test(client.keyHash)) {
+        errors.push({ path: `${path}.keyHash`, message: 'must be the SHA-256 hex digest of the client\'s API key' });
+      } else if (hashOwners.has(client.keyHash)) {
+        errors.push({ path: `${path}.keyHash`, message: `is the same key as client "${hashOwners.get(client.keyHash)}"` });
+      } else {
+        hashOwners.set(client.keyHash, clientId);
+      }
+      if (!(client.role in roles)) {
+        errors.push({ path: `${path}.role`, message: `role "${client.role}" does not exist` });
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Normalize a parsed policy: missing sections become empty objects.
+ */
+const normalizePolicy = (policy) => ({
+  defaultRole: policy.defaultRole ?? null,
+  roles: policy.roles,
+  clients: policy.clients || {}
+});
+
+/**
+ * Flatten a role and the roles it inherits into '*' (everything) or a
+ * Map of table name to rule. A role's own rules override inherited ones.
+ */
+const resolveRoleTables = (roles, roleName) => {
+  const chain = [];
+  for (let name = roleName; name !== undefined && !chain.includes(name); name = roles[name]?.inherits) {
+    chain.unshift(name);
+  }
+
+  const tables = new Map();
+  for (const name of chain) {
+    const role = roles[name];
+    if (role === '*' || role?.tables === '*') return '*';
+    Object.entries(role?.tables || {}).forEach(([table, rule]) => tables.set(table, rule));
+  }
+  return tables;
+};
+
+/**
+ * Can Read Column
+ *
+ * @param {*} rule - Table rule: '*', a list of columns or { exclude }
+ * @param {string} column - Column name
+ * @returns {boolean} True if the rule allows the column
+ */
+const canReadColumn = (rule, column) => {
+  if (rule === '*') return true;
+  if (Array.isArray(rule)) return rule.some(name => sameName(name, column));
+  return !rule.exclude.some(name => sameName(name, column));
+};
+
+/**
+ * Table Rule
+ *
+ * @param {Object|null} access - Resolved access (null when no policy is configured)
+ * @param {string} table - Table name
+ * @returns {*} '*', a list of columns, { exclude } or undefined when the table is hidden
+ */
+const tableRule = (access, table) => {
+  if (!access || access.tables === '*') return '*';
+  if (access.tables.has(table)) return access.tables.get(table);
+  const match = [...access.tables.keys()].find(name => sameName(name, table));
+  return match === undefined ? undefined : access.tables.get(match);
+};
+
+/**
+ * Visible Columns
+ *
+ * @param {Object|null} access - Resolved access
+ * @param {Object} schema - Table schema
+ * @returns {Array|null} Column names the caller may read, null when the whole table is hidden
+ */
+export const visibleColumns = (access, schema) => {
+  const rule = tableRule(access, schema.table);
+  if (rule === undefined) return null;
+  return columnNames(schema).filter(name => canReadColumn(rule, name));
+};
+
+/**
+ * Column references in a metric expression.
+ */
+const expressionColumns = (node, names = []) => {
+  if (node?.type === 'column') names.push(node.name);
+  childExpressions(node || {}).forEach(child => expressionColumns(child, names));
+  return names;
+};
+
+const metricColumns = (metric) => {
+  try {
+    return expressionColumns(parseSQL(`SELECT ${metric.expression} FROM ${metric.table}`).columns[0].expr);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Copy of a table schema that only contains what the caller may read.
+ */
+const restrictSchema = (schema, visible) => {
+  if (visible.length === columnNames(schema).length) {
+    return schema;
+  }
+
+  const isVisible = (name) => visible.includes(name);
+  const pick = (row) => Object.fromEntries(Object.entries(row).filter(([key]) => isVisible(key)));
+
+  return {
+    ...schema,
+    columns: pick(schema.columns || {}),
+    ...(schema.columnDetails && { columnDetails: schema.columnDetails.filter(column => isVisible(column.name)) }),
+    ...(schema.primaryKey && { primaryKey: schema.primaryKey.filter(isVisible) }),
+    ...(schema.foreignKeys && { foreignKeys: schema.foreignKeys.filter(fk => fk.columns.every(isVisible)) }),
+    ...(schema.indexes && { indexes: schema.indexes.filter(index => index.columns.every(isVisible)) }),
+    ...(schema.sampleData && { sampleData: schema.sampleData.map(pick) }),
+    ...(schema.metrics && {
+      metrics: schema.metrics.filter(metric => metricColumns(metric)?.every(isVisible))
+    })
+  };
+};
+
+/**
+ * Quote an identifier for the rewritten SELECT list when it would not
+ * survive unquoted (mixed case, spaces, ...).
+ */
+const quoteIdentifier = (name, dialect) => {
+  if (SIMPLE_IDENTIFIER.test(name)) return name;
+  return dialect === 'MySQL'
+    ? `\`${name.replace(/`/g, '``')}\``
+    : `"${name.replace(/"/g, '""')}"`;
+};
+
+// Filtered copies of schema arrays per access, see AccessControl.filterSchemas()
+const filteredSchemas = new WeakMap();
+
+const isJSONPath = (path) => extname(path).toLowerCase() === '.json';
+
+/**
+ * Access Control
+ *
+ * Which tables and columns each API client may query. Loaded from
+ * ACCESS_POLICY_PATH; without a policy file every table is readable.
+ * Clients identify themselves with an X-API-Key header, whose SHA-256
+ * is looked up in `clients`; requests without a key get `defaultRole`.
+ *
+ * Example (YAML):
+ *
+ *   defaultRole: public
+ *   roles:
+ *     public:
+ *       tables:
+ *         items: { exclude: [email, phone] }
+ *     analyst:
+ *       inherits: public
+ *       tables:
+ *         orders: '*'
+ *     admin: '*'
+ *   clients:
+ *     reporting-dashboard:
+ *       keyHash: <sha256 of the client's API key>
+ *       role: analyst
+ */
+export class AccessControl {
+  static policy = null;
+
+  static loaded = false;
+
+  static loadedAt = null;
+
+  static path = ACCESS_POLICY_PATH;
+
+  static accessByRole = new Map();
+
+  static setPolicy(policy) {
+    this.policy = policy;
+    this.accessByRole = new Map();
+    this.loaded = true;
+    this.loadedAt = new Date().toISOString();
+  }
+
+  /**
+   * Load Access Policy
+   *
+   * Reads the policy file. A missing file means no restrictions; a file
+   * that cannot be parsed keeps the previous policy and throws.
+   *
+   * @returns {Promise<Object|null>} Loaded policy, null when there is none
+   */
+  static async load() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.setPolicy(null);
+      return this.policy;
+    }
+
+    const parsed = isJSONPath(this.path) ? JSON.parse(text) : yaml.load(text);
+    const { valid, errors } = validateAccessPolicy(parsed);
+    if (!valid) {
+      throw new Error(`Invalid access policy in ${this.path}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+    }
+
+    this.setPolicy(normalizePolicy(parsed));
+    console.log(`🔐 Loaded access policy: ${Object.keys(this.policy.roles).length} roles, ${Object.keys(this.policy.clients).length} clients`);
+    return this.policy;
+  }
+
+  /**
+   * Get Access Policy
+   *
+   * A policy file that cannot be read denies everything rather than
+   * silently allowing every table.
+   *
+   * @returns {Promise<Object|null>} Current policy, loaded on first use
+   */
+  static async getPolicy() {
+    if (!this.loaded) {
+      try {
+        await this.load();
+      } catch (error) {
+        console.error('❌ Could not load access policy, denying all tables:', error.message);
+        this.setPolicy({ defaultRole: null, roles: {}, clients: {} });
+      }
+    }
+    return this.policy;
+  }
+
+  /**
+   * Update Access Policy
+   *
+   * Validates a new policy against the live schema and, when valid,
+   * replaces the current one and writes it to ACCESS_POLICY_PATH.
+   *
+   * @param {Object} policy - New access policy
+   * @param {Array} schemas - Live table schemas to validate against
+   * @param {Object} options - { dryRun }: validate only
+   * @returns {Promise<Object>} Validation result, with `saved`
+   */
+  static async update(policy, schemas, { dryRun = false } = {}) {
+    const validation = validateAccessPolicy(policy, schemas);
+    if (!validation.valid || dryRun) {
+      return { ...validation, saved: false };
+    }
+
+    const normalized = normalizePolicy(policy);
+    const text = isJSONPath(this.path)
+      ? `${JSON.stringify(normalized, null, 2)}\n`
+      : yaml.dump(normalized, { lineWidth: 120, noRefs: true });
+
+    // Write then rename, so a crash never leaves a half-written policy behind
+    const temporaryPath = `${this.path}.tmp`;
+    await writeFile(temporaryPath, text, 'utf8');
+    await rename(temporaryPath, this.path);
+
+    this.setPolicy(normalized);
+    console.log('🔐 Access policy updated');
+    return { ...validation, saved: true };
+  }
+
+  /**
+   * Validate Current Policy
+   *
+   * @param {Array} schemas - Live table schemas
+   * @returns {Object} Validation result (see validateAccessPolicy)
+   */
+  static validate(schemas) {
+    return this.policy
+      ? validateAccessPolicy(this.policy, schemas)
+      : { valid: true, errors: [], warnings: [{ path: '', message: 'no access policy, every table is readable' }] };
+  }
+
+  /**
+   * Identify Client
+   *
+   * @param {string} apiKey - Value of the X-API-Key header ('' when absent)
+   * @returns {Object|null} { clientId, role }, or null for an unknown key
+   *   or a missing key when the policy has no defaultRole
+   */
+  static identifyClient(apiKey) {
+    if (!this.policy) {
+      return { clientId: null, role: null };
+    }
+    if (!apiKey) {
+      return this.policy.defaultRole ? { clientId: null, role: this.policy.defaultRole } : null;
+    }
+
+    const keyHash = hashApiKey(apiKey);
+    const match = Object.entries(this.policy.clients).find(([, client]) => client.keyHash === keyHash);
+    return match ? { clientId: match[0], role: match[1].role } : null;
+  }
+
+  /**
+   * Get Access
+   *
+   * @param {Object} client - { clientId, role } from identifyClient()
+   * @returns {Object|null} { clientId, role, tables: '*' | Map }, null when no policy is configured
+   */
+  static getAccess({ clientId, role }) {
+    if (!this.policy) return null;
+
+    if (!this.accessByRole.has(role)) {
+      this.accessByRole.set(role, resolveRoleTables(this.policy.roles, role));
+    }
+    return { clientId, role, tables: this.accessByRole.get(role) };
+  }
+
+  /**
+   * Filter Schemas
+   *
+   * Removes the tables and columns the caller may not read from the
+   * schemas the SQL prompt is built from, including their sample rows,
+   * keys, indexes and metrics, so the model never learns about them.
+   *
+   * @param {Array} schemas - Table schemas (optionally semantic-annotated)
+   * @param {Object|null} access - Resolved access
+   * @returns {Array} Visible schemas
+   */
+  static filterSchemas(schemas, access) {
+    if (!access || access.tables === '*') {
+      return schemas;
+    }
+
+    // Same input and role, same array: keeps the retrieval index cached
+    const cached = filteredSchemas.get(schemas);
+    if (cached?.has(access.tables)) {
+      return cached.get(access.tables);
+    }
+
+    const visibleTables = new Set(schemas.filter(schema => tableRule(access, schema.table) !== undefined).map(schema => schema.table));
+    const result = schemas
+      .map(schema => {
+        const visible = visibleColumns(access, schema);
+        return visible ? restrictSchema(schema, visible) : null;
+      })
+      .filter(Boolean)
+      .map(schema => {
+        // Foreign keys to hidden tables or columns would reveal them
+        const foreignKeys = (schema.foreignKeys || []).filter(fk => visibleTables.has(fk.referencedTable)
+          && fk.referencedColumns.every(column => canReadColumn(tableRule(access, fk.referencedTable), column)));
+        return foreignKeys.length === (schema.foreignKeys || []).length ? schema : { ...schema, foreignKeys };
+      });
+
+    if (!cached) filteredSchemas.set(schemas, new Map());
+    filteredSchemas.get(schemas).set(access.tables, result);
+    return result;
+  }
+
+  /**
+   * Enforce Access
+   *
+   * Checks every table and column a parsed query reads against the
+   * caller's access. `SELECT *` and `t.*` are rewritten to the readable
+   * columns; any explicit reference to a hidden table or column is a
+   * violation and the query must not run.
+   *
+   * @param {string} sql - Query text
+   * @param {Object} ast - Statement parsed with parseSQL(sql, { extended: true })
+   * @param {Object|null} access - Resolved access
+   * @param {Array} schemas - Table schemas from DatabaseService
+   * @param {Object} options - { dialect } for quoting rewritten column names
+   * @returns {Object} { sql, rewritten, violations: [{ rule, message, ... }] }
+   */
+  static enforce(sql, ast, access, schemas = [], { dialect } = {}) {
+    if (!access || access.tables === '*') {
+      return { sql, rewritten: false, violations: [] };
+    }
+    return new AccessEnforcer(access, schemas, dialect).run(sql, ast);
+  }
+}
+
+/**
+ * Walks a parsed query with a scope chain of FROM sources, collecting
+ * violations and the text replacements for star expansion.
+ */
+class AccessEnforcer {
+  constructor(access, schemas, dialect) {
+    this.access = access;
+    this.schemas = new Map(schemas.map(schema => [schema.table.toLowerCase(), schema]));
+    this.dialect = dialect;
+    this.violations = [];
+    this.replacements = [];
+  }
+
+  run(sql, ast) {
+    this.inspectQuery(ast, { ctes: new Set(), sources: [], parent: null });
+
+    let rewrittenSql = sql;
+    [...this.replacements]
+      .sort((a, b) => b.start - a.start)
+      .forEach(({ start, end, text }) => {
+        rewrittenSql = `${rewrittenSql.slice(0, start)}${text}${rewrittenSql.slice(end)}`;
+      });
+
+    return {
+      sql: this.violations.length === 0 ? rewrittenSql : sql,
+      rewritten: this.violations.length === 0 && this.replacements.length > 0,
+      violations: this.violations
+    };
+  }
+
+  schemaOf(table) {
+    return this.schemas.get(table.toLowerCase());
+  }
+
+  add(violation) {
+    if (!this.violations.some(existing => existing.message === violation.message)) {
+      this.violations.push(violation);
+    }
+  }
+
+  inspectQuery(query, scope) {
+    let ctes = scope.ctes;
+    if (query.with) {
+      ctes = new Set(ctes);
+      const { recursive, ctes: definitions } = query.with;
+      if (recursive) definitions.forEach(cte => ctes.add(cte.name.toLowerCase()));
+      definitions.forEach(cte => {
+        this.inspectQuery(cte.query, { ...scope, ctes: new Set(ctes) });
+        ctes.add(cte.name.toLowerCase());
+      });
+    }
+
+    const inner = { ...scope, ctes };
+    if (query.type === 'compound') {
+      // ORDER BY of a compound only names output columns
+      this.inspectQuery(query.left, inner);
+      this.inspectQuery(query.right, inner);
+      return;
+    }
+    this.inspectSelect(query, inner);
+  }
+
+  inspectSelect(select, outer) {
+    const scope = { ctes: outer.ctes, sources: [], parent: outer };
+    const references = [select.from, ...(select.joins || []).map(join => join.table)].filter(Boolean);
+
+    references.forEach(reference => {
+      if (reference.type === 'table' && !(reference.schema === null && scope.ctes.has(reference.name.toLowerCase()))) {
+        // Sources carry the table's own name, however the query spells it
+        const table = this.schemaOf(reference.name)?.table || reference.name;
+        const rule = tableRule(this.access, table);
+        if (rule === undefined) {
+          this.add({ rule: 'table_not_allowed', message: `Table "${reference.name}" is not available`, table: reference.name });
+        }
+        scope.sources.push({ alias: reference.alias || reference.name, table, rule });
+        return;
+      }
+
+      // Derived tables: subqueries, CTE references and table functions
+      if (reference.query) {
+        // LATERAL subqueries see the sources before them
+        this.inspectQuery(reference.query, reference.lateral ? scope : outer);
+      } else if (reference.args) {
+        this.inspectExpressions(reference.args, scope, []);
+      }
+      scope.sources.push({ alias: reference.alias || reference.name, table: null, rule: '*' });
+    });
+
+    (select.joins || []).forEach(join => {
+      (join.using || []).forEach(column => this.checkColumn({ type: 'column', table: null, name: column }, scope, []));
+    });
+
+    const outputAliases = select.columns.map(column => column.alias).filter(Boolean);
+    select.columns.forEach(column => {
+      if (column.expr.type === 'star') {
+        this.expandStar(column.expr, scope);
+      } else {
+        this.inspectExpressions(column.expr, scope, []);
+      }
+    });
+
+    this.inspectExpressions((select.joins || []).map(join => join.on), scope, []);
+    ['distinctOn', 'where', 'groupBy', 'having', 'windows']
+      .forEach(clause => this.inspectExpressions(select[clause], scope, []));
+    // ORDER BY may name output columns
+    this.inspectExpressions(select.orderBy, scope, outputAliases);
+  }
+
+  inspectExpressions(node, scope, outputAliases) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this.inspectExpressions(child, scope, outputAliases));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    if (node.type === 'select' || node.type === 'compound') {
+      this.inspectQuery(node, scope);
+      return;
+    }
+    if (node.type === 'column') {
+      this.checkColumn(node, scope, outputAliases);
+      return;
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (key !== 'with') this.inspectExpressions(value, scope, outputAliases);
+    });
+  }
+
+  /**
+   * Find the source a column reference belongs to, searching outward
+   * through the scopes of enclosing queries for correlated references.
+   */
+  resolveColumn(column, scope) {
+    for (let current = scope; current; current = current.parent) {
+      const sources = current.sources || [];
+      if (column.table) {
+        const source = sources.find(candidate => sameName(candidate.alias, column.table));
+        if (source) return { source };
+        continue;
+      }
+      const owners = sources.filter(source => source.table && this.schemaOf(source.table)
+        && columnNames(this.schemaOf(source.table)).some(name => sameName(name, column.name)));
+      if (owners.length > 0) return { owners };
+
+      // A bare table alias is a whole-row reference: row_to_json(items)
+      const row = sources.find(source => sameName(source.alias, column.name));
+      if (row) return { row };
+    }
+    return {};
+  }
+
+  checkColumn(column, scope, outputAliases) {
+    if (!column.table && outputAliases.some(alias => sameName(alias, column.name))) return;
+
+    const { source, owners, row } = this.resolveColumn(column, scope);
+    const hidden = (candidate) => candidate.table && candidate.rule !== undefined && !canReadColumn(candidate.rule, column.name);
+
+    if (row && row.table && row.rule !== '*') {
+      this.add({
+        rule: 'column_not_allowed',
+        message: `Whole-row reference to "${row.table}" is not allowed, name the columns instead`,
+        table: row.table
+      });
+    }
+    [source, ...(owners || [])].filter(Boolean).filter(hidden).forEach(candidate => {
+      this.add({
+        rule: 'column_not_allowed',
+        message: `Column "${candidate.table}.${column.name}" is not available`,
+        table: candidate.table,
+        column: column.name
+      });
+    });
+  }
+
+  expandStar(star, scope) {
+    const sources = scope.sources.filter(source => !star.table || sameName(source.alias, star.table));
+    if (!sources.some(source => source.table && source.rule !== '*' && source.rule !== undefined)) {
+      return;
+    }
+
+    const qualify = sources.length > 1 || Boolean(star.table);
+    const parts = [];
+    sources.forEach(source => {
+      // Hidden tables are already reported
+      if (source.table && source.rule === undefined) return;
+      if (!source.alias) {
+        this.add({ rule: 'column_not_allowed', message: 'SELECT * over an unnamed subquery is not available, name the columns instead' });
+        return;
+      }
+
+      const alias = quoteIdentifier(source.alias, this.dialect);
+      if (!source.table || source.rule === '*') {
+        parts.push(`${alias}.*`);
+        return;
+      }
+      const schema = this.schemaOf(source.table);
+      if (!schema) {
+        this.add({
+          rule: 'column_not_allowed',
+          message: `SELECT * is not available for "${source.table}", name the columns instead`,
+          table: source.table
+        });
+        return;
+      }
+      visibleColumns(this.access, schema).forEach(name => {
+        const column = quoteIdentifier(name, this.dialect);
+        parts.push(qualify ? `${alias}.${column}` : column);
+      });
+    });
+
+    if (parts.length === 0) {
+      this.add({ rule: 'column_not_allowed', message: 'None of the selected columns are available' });
+      return;
+    }
+    this.replacements.push({ start: star.position, end: star.end, text: parts.join(', ') });
+  }
+}
+
+export default AccessControl;
@@ -0,0 +1,414 @@
+import { UnsupportedQueryError, formatExpression } from './sqlParser.js';
+
+/**
+ * Aggregation Engine
+ *
+ * Evaluates GROUP BY, aggregate functions and HAVING in process, over rows
+ * fetched through the Supabase query builder. PostgREST cannot group, so the
+ * translator pushes WHERE filters down to the database and hands the
+ * matching rows to this engine.
+ *
+ * Supported aggregates: COUNT(*), COUNT(expr), COUNT(DISTINCT expr),
+ * SUM, AVG, MIN, MAX (with or without DISTINCT).
+ *
+ * Semantics follow PostgreSQL: aggregates skip NULLs, SUM/AVG/MIN/MAX of
+ * no values is NULL, and an aggregate query without GROUP BY always
+ * returns exactly one row.
+ */
+
+export const AGGREGATE_FUNCTIONS = new Set(['count', 'sum', 'avg', 'min', 'max']);
+
+/**
+ * Scalar Functions
+ *
+ * Functions that can be evaluated per row inside aggregate queries.
+ */
+const SCALAR_FUNCTIONS = {
+  coalesce: (...args) => args.find(arg => arg !== null && arg !== undefined) ?? null,
+  nullif: (a, b) => (a === b ? null : a),
+  lower: (value) => (value === null ? null : String(value).toLowerCase()),
+  upper: (value) => (value === null ? null : String(value).toUpperCase()),
+  length: (value) => (value === null ? null : String(value).length),
+  abs: (value) => (value === null ? null : Math.abs(value)),
+  ceil: (value) => (value === null ? null : Math.ceil(value)),
+  ceiling: (value) => (value === null ? null : Math.ceil(value)),
+  floor: (value) => (value === null ? null : Math.floor(value)),
+  round: (value, digits = 0) => (value === null
+    ? null
+    : Number(`${Math.round(Number(`${value}e${digits}`))}e-${digits}`)),
+  greatest: (...args) => {
+    const values = args.filter(arg => arg !== null);
+    return values.length ? values.reduce((a, b) => (compareValues(a, b) >= 0 ? a : b)) : null;
+  },
+  least: (...args) => {
+    const values = args.filter(arg => arg !== null);
+    return values.length ? values.reduce((a, b) => (compareValues(a, b) <= 0 ? a : b)) : null;
+  }
+};
+
+export const isScalarFunction = (name) => Object.prototype.hasOwnProperty.call(SCALAR_FUNCTIONS, name);
+
+export const isAggregateCall = (node) => node?.type === 'function' && AGGREGATE_FUNCTIONS.has(node.name);
+
+/**
+ * Compare two non-null values. Numbers compare numerically, everything
+ * else (including ISO dates) compares as strings.
+ */
+export const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const number = typeof value === 'number' ? value : Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Cannot use "${value}" as a number`);
+  }
+  return number;
+};
+
+const likeToRegExp = (pattern, caseInsensitive) => {
+  const source = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+};
+
+const castValue = (value, dataType) => {
+  if (value === null) return null;
+  if (/^(int|integer|bigint|smallint)/.test(dataType)) return Math.round(toNumber(value));
+  if (/^(numeric|decimal|real|float|double)/.test(dataType)) return toNumber(value);
+  if (/^bool/.test(dataType)) return value === true || value === 't' || value === 'true';
+  return String(value);
+};
+
+/**
+ * Compute an aggregate over the rows of one group.
+ */
+const computeAggregate = (node, context) => {
+  const { groupRows } = context;
+
+  if (node.star) {
+    return groupRows.length;
+  }
+
+  let values = groupRows
+    .map(row => evaluateExpression(node.args[0], { ...context, row, groupRows: null }))
+    .filter(value => value !== null && value !== undefined);
+
+  if (node.distinct) {
+    const seen = new Set();
+    values = values.filter(value => {
+      const key = JSON.stringify(value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  switch (node.name) {
+  case 'count':
+    return values.length;
+  case 'sum':
+    return values.length ? values.reduce((sum, value) => sum + toNumber(value), 0) : null;
+  case 'avg':
+    return values.length ? values.reduce((sum, value) => sum + toNumber(value), 0) / values.length : null;
+  case 'min':
+    return values.length ? values.reduce((a, b) => (compareValues(a, b) <= 0 ? a : b)) : null;
+  case 'max':
+    return values.length ? values.reduce((a, b) => (compareValues(a, b) >= 0 ? a : b)) : null;
+  default:
+    throw new UnsupportedQueryError('SELECT list', `aggregate ${node.name.toUpperCase()}()`);
+  }
+};
+
+const evaluateComparison = (operator, left, right) => {
+  if (left === null || right === null) return null;
+  const result = compareValues(left, right);
+  switch (operator) {
+  case '=': return result === 0;
+  case '<>':
+  case '!=': return result !== 0;
+  case '<': return result < 0;
+  case '>': return result > 0;
+  case '<=': return result <= 0;
+  case '>=': return result >= 0;
+  default:
+    throw new UnsupportedQueryError('expression', `operator ${operator}`);
+  }
+};
+
+/**
+ * Evaluate Expression
+ *
+ * Evaluates an AST expression for one row (context.row) or, when
+ * context.groupRows is set, for one group, where aggregate calls are
+ * computed over the group's rows. Column nodes must already be resolved
+ * to plain column names (see the translator).
+ *
+ * @param {Object} node - Expression AST node
+ * @param {Object} context - { row, groupRows, params }
+ * @returns {*} Evaluated value (null for SQL NULL)
+ */
+export const evaluateExpression = (node, context) => {
+  const evaluate = (child) => evaluateExpression(child, context);
+
+  switch (node.type) {
+  case 'literal':
+    return node.value;
+
+  case 'parameter':
+    return context.params?.[node.index - 1] ?? null;
+
+  case 'column': {
+    const row = context.row ?? context.groupRows?.[0];
+    return row?.[node.name] ?? null;
+  }
+
+  case 'function':
+    if (AGGREGATE_FUNCTIONS.has(node.name)) {
+      if (!context.groupRows) {
+        throw new UnsupportedQueryError('expression', `nested aggregate ${formatExpression(node)}`);
+      }
+      return computeAggregate(node, context);
+    }
+    if (!isScalarFunction(node.name)) {
+      throw new UnsupportedQueryError('expression', `function ${node.name.toUpperCase()}()`);
+    }
+    return SCALAR_FUNCTIONS[node.name](...node.args.map(evaluate));
+
+  case 'binary': {
+    const left = evaluate(node.left);
+    const right = evaluate(node.right);
+    if (left === null || right === null) return null;
+    switch (node.operator) {
+    case '+': return toNumber(left) + toNumber(right);
+    case '-': return toNumber(left) - toNumber(right);
+    case '*': return toNumber(left) * toNumber(right);
+    case '/':
+      if (toNumber(right) === 0) throw new Error('Division by zero');
+      return toNumber(left) / toNumber(right);
+    case '%': return toNumber(left) % toNumber(right);
+    case '||': return `${left}${right}`;
+    default:
+      throw new UnsupportedQueryError('expression', `operator ${node.operator}`);
+    }
+  }
+
+  case 'unary': {
+    const value = evaluate(node.operand);
+    if (value === null) return null;
+    return node.operator === '-' ? -toNumber(value) : toNumber(value);
+  }
+
+  case 'cast':
+    return castValue(evaluate(node.expr), node.dataType);
+
+  case 'comparison':
+    return evaluateComparison(node.operator, evaluate(node.left), evaluate(node.right));
+
+  case 'logical': {
+    // Three-valued logic: FALSE dominates AND, TRUE dominates OR
+    const values = node.operands.map(evaluate);
+    const dominant = node.operator === 'OR';
+    if (values.some(value => value === dominant)) return dominant;
+    if (values.some(value => value === null)) return null;
+    return !dominant;
+  }
+
+  case 'not': {
+    const value = evaluate(node.operand);
+    return value === null ? null : !value;
+  }
+
+  case 'isNull': {
+    const isNull = evaluate(node.expr) === null;
+    return node.not ? !isNull : isNull;
+  }
+
+  case 'isBoolean': {
+    const matches = evaluate(node.expr) === node.value;
+    return node.not ? !matches : matches;
+  }
+
+  case 'in': {
+    const value = evaluate(node.expr);
+    if (value === null) return null;
+    const found = node.values.some(candidate => evaluateComparison('=', value, evaluate(candidate)));
+    return node.not ? !found : found;
+  }
+
+  case 'between': {
+    const value = evaluate(node.expr);
+    const low = evaluate(node.low);
+    const high = evaluate(node.high);
+    if (value === null || low === null || high === null) return null;
+    const inRange = compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+    return node.not ? !inRange : inRange;
+  }
+
+  case 'like': {
+    const value = evaluate(node.expr);
+    const pattern = evaluate(node.pattern);
+    if (value === null || pattern === null) return null;
+    const matches = likeToRegExp(pattern, node.caseInsensitive).test(String(value));
+    return node.not ? !matches : matches;
+  }
+
+  case 'case': {
+    const operand = node.operand ? evaluate(node.operand) : undefined;
+    for (const { condition, result } of node.whens) {
+      const matches = node.operand
+        ? evaluateComparison('=', operand, evaluate(condition))
+        : evaluate(condition);
+      if (matches === true) return evaluate(result);
+    }
+    return node.else ? evaluate(node.else) : null;
+  }
+
+  default:
+    throw new UnsupportedQueryError('expression', formatExpression(node));
+  }
+};
+
+/**
+ * Sort comparator following PostgreSQL's NULL ordering.
+ */
+const compareForSort = (a, b, { ascending, nullsFirst }) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return nullsFirst ? -1 : 1;
+  if (b === null) return nullsFirst ? 1 : -1;
+  const result = compareValues(a, b);
+  return ascending ? result : -result;
+};
+
+/**
+ * Apply DISTINCT, ORDER BY, OFFSET and LIMIT to evaluated results
+ * ({ output, sortKeys } pairs) and return the output rows.
+ */
+const finalizeResults = (results, { orderBy, distinct, limit, offset }) => {
+  if (distinct) {
+    const seen = new Set();
+    results = results.filter(({ output }) => {
+      const key = JSON.stringify(output);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  if (orderBy.length > 0) {
+    results.sort((a, b) => {
+      for (let i = 0; i < orderBy.length; i++) {
+        const result = compareForSort(a.sortKeys[i], b.sortKeys[i], orderBy[i]);
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+  }
+
+  const start = offset || 0;
+  const end = limit !== null && limit !== undefined ? start + limit : undefined;
+  return results.slice(start, end).map(({ output }) => output);
+};
+
+const sortKeysFor = (orderBy, output, context) => orderBy.map(order => (order.outputName !== undefined
+  ? output[order.outputName]
+  : evaluateExpression(order.expr, context)));
+
+/**
+ * Aggregate Rows
+ *
+ * Groups the fetched rows, evaluates the select list and HAVING for each
+ * group, then applies DISTINCT, ORDER BY, OFFSET and LIMIT.
+ *
+ * @param {Array<Object>} rows - Rows matching the WHERE clause
+ * @param {Object} aggregate - Aggregate plan from the translator:
+ *   { groupBy, columns: [{ expr, name }], having, orderBy, distinct, limit, offset, params }
+ * @returns {Array<Object>} Result rows
+ */
+export const aggregateRows = (rows, aggregate) => {
+  const { groupBy, columns, having, params } = aggregate;
+
+  // Build groups keyed by the GROUP BY values
+  const groups = new Map();
+  if (groupBy.length === 0) {
+    groups.set('', rows);
+  } else {
+    rows.forEach(row => {
+      const key = JSON.stringify(groupBy.map(expr => evaluateExpression(expr, { row, params })));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+  }
+
+  const results = [];
+  groups.forEach(groupRows => {
+    const context = { groupRows, params };
+
+    if (having && evaluateExpression(having, context) !== true) {
+      return;
+    }
+
+    const output = {};
+    columns.forEach(({ expr, name }) => {
+      output[name] = evaluateExpression(expr, context);
+    });
+
+    results.push({ output, sortKeys: sortKeysFor(aggregate.orderBy, output, context) });
+  });
+
+  return finalizeResults(results, aggregate);
+};
+
+/**
+ * Project Rows
+ *
+ * Evaluates a non-aggregate select list for each row, then applies
+ * DISTINCT, ORDER BY, OFFSET and LIMIT. Rows are flat objects whose keys
+ * are "table.column"; star columns expand to every key of that table.
+ *
+ * @param {Array<Object>} rows - Rows matching the WHERE clause
+ * @param {Object} projection - { columns: [{ expr, name } | { star, table }], orderBy, distinct, limit, offset, params }
+ * @returns {Array<Object>} Result rows
+ */
+export const projectRows = (rows, projection) => {
+  const { columns, params } = projection;
+
+  const results = rows.map(row => {
+    const context = { row, params };
+    const output = {};
+    const setOutput = (name, value) => {
+      // Keep duplicate names (two "id" columns) instead of overwriting
+      let key = name;
+      for (let n = 2; Object.prototype.hasOwnProperty.call(output, key); n++) key = `${name}_${n}`;
+      output[key] = value;
+    };
+
+    columns.forEach(column => {
+      if (column.star) {
+        Object.keys(row)
+          .filter(key => !column.table || key.startsWith(`${column.table}.`))
+          .forEach(key => setOutput(key.slice(key.indexOf('.') + 1), row[key]));
+        return;
+      }
+      setOutput(column.name, evaluateExpression(column.expr, context));
+    });
+
+    return { output, sortKeys: sortKeysFor(projection.orderBy, output, context) };
+  });
+
+  return finalizeResults(results, projection);
+};
+
+export default {
+  AGGREGATE_FUNCTIONS,
+  isAggregateCall,
+  isScalarFunction,
+  compareValues,
+  evaluateExpression,
+  aggregateRows,
+  projectRows
+};
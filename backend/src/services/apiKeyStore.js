@@ -0,0 +1,254 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { dirname, isAbsolute, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const backendRoot = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Key file for the file store, relative paths are resolved from backend/
+const API_KEYS_PATH = (() => {
+  const path = process.env.API_KEYS_PATH || 'api-keys.json';
+  return isAbsolute(path) ? path : join(backendRoot, path);
+})();
+
+// Usage counters kept per key and calendar month
+export const USAGE_METRICS = ['gemini', 'otp'];
+
+const emptyUsage = () => Object.fromEntries(USAGE_METRICS.map(metric => [metric, 0]));
+
+/**
+ * File API Key Store
+ *
+ * Keeps keys and usage in a JSON file, loaded once and rewritten after
+ * every change. Suited to a single server process.
+ */
+export class FileApiKeyStore {
+  /**
+   * @param {string} path - JSON file
+   */
+  constructor(path = API_KEYS_PATH) {
+    this.name = 'file';
+    this.path = path;
+    this.data = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async read() {
+    if (this.data) return this.data;
+
+    if (!this.loading) {
+      this.loading = readFile(this.path, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          return { keys: [], usage: {} };
+        })
+        .then(data => {
+          this.data = { keys: data.keys || [], usage: data.usage || {} };
+          return this.data;
+        })
+        .finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Queue a write of the current data. Writes go to a temporary file and
+   * are renamed into place, one at a time.
+   */
+  save() {
+    const text = `${JSON.stringify(this.data, null, 2)}\n`;
+    const temporaryPath = `${this.path}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await writeFile(temporaryPath, text, 'utf8');
+        await rename(temporaryPath, this.path);
+      });
+    return this.writing;
+  }
+
+  async list() {
+    return (await this.read()).keys.map(key => ({ ...key }));
+  }
+
+  async findById(id) {
+    const key = (await this.read()).keys.find(entry => entry.id === id);
+    return key ? { ...key } : null;
+  }
+
+  async findByHash(keyHash) {
+    const key = (await this.read()).keys.find(entry => entry.keyHash === keyHash);
+    return key ? { ...key } : null;
+  }
+
+  async insert(record) {
+    const data = await this.read();
+    const key = { id: randomUUID(), ...record };
+    data.keys.push(key);
+    await this.save();
+    return { ...key };
+  }
+
+  async update(id, changes) {
+    const data = await this.read();
+    const key = data.keys.find(entry => entry.id === id);
+    if (!key) return null;
+
+    Object.assign(key, changes);
+    await this.save();
+    return { ...key };
+  }
+
+  async getUsage(id, period) {
+    const data = await this.read();
+    return { ...emptyUsage(), ...data.usage[id]?.[period] };
+  }
+
+  async incrementUsage(id, period, metric, amount = 1) {
+    const data = await this.read();
+    data.usage[id] = data.usage[id] || {};
+    data.usage[id][period] = { ...emptyUsage(), ...data.usage[id][period] };
+    data.usage[id][period][metric] += amount;
+    await this.save();
+    return data.usage[id][period][metric];
+  }
+}
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  keyHash: row.key_hash,
+  scopes: row.scopes || [],
+  role: row.role,
+  rateLimitPerMinute: row.rate_limit_per_minute,
+  quotas: { gemini: row.gemini_monthly_quota, otp: row.otp_monthly_quota },
+  createdAt: row.created_at,
+  rotatedAt: row.rotated_at,
+  revokedAt: row.revoked_at
+});
+
+const toRow = (record) => {
+  const columns = {
+    name: record.name,
+    key_prefix: record.prefix,
+    key_hash: record.keyHash,
+    scopes: record.scopes,
+    role: record.role,
+    rate_limit_per_minute: record.rateLimitPerMinute,
+    gemini_monthly_quota: record.quotas?.gemini,
+    otp_monthly_quota: record.quotas?.otp,
+    created_at: record.createdAt,
+    rotated_at: record.rotatedAt,
+    revoked_at: record.revokedAt
+  };
+  return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Supabase API Key Store
+ *
+ * Keeps keys in the api_keys table and usage in api_key_usage
+ * (scripts/api_keys.sql), through a service role client. Usage is
+ * incremented atomically by increment_api_key_usage(), so several server
+ * processes can share the store.
+ */
+export class SupabaseApiKeyStore {
+  /**
+   * @param {Object} client - Supabase client with the service role
+   */
+  constructor(client) {
+    this.name = 'supabase';
+    this.client = client;
+  }
+
+  async list() {
+    const { data, error } = await this.client.from('api_keys').select('*').order('created_at');
+    if (error) throw error;
+    return (data || []).map(fromRow);
+  }
+
+  async findBy(column, value) {
+    const { data, error } = await this.client.from('api_keys').select('*').eq(column, value).maybeSingle();
+    if (error) throw error;
+    return data ? fromRow(data) : null;
+  }
+
+  async findById(id) {
+    return this.findBy('id', id);
+  }
+
+  async findByHash(keyHash) {
+    return this.findBy('key_hash', keyHash);
+  }
+
+  async insert(record) {
+    const { data, error } = await this.client.from('api_keys').insert(toRow(record)).select('*').single();
+    if (error) throw error;
+    return fromRow(data);
+  }
+
+  async update(id, changes) {
+    const { data, error } = await this.client.from('api_keys').update(toRow(changes)).eq('id', id).select('*').maybeSingle();
+    if (error) throw error;
+    return data ? fromRow(data) : null;
+  }
+
+  async getUsage(id, period) {
+    const { data, error } = await this.client
+      .from('api_key_usage')
+      .select('gemini_calls, otp_sends')
+      .eq('key_id', id)
+      .eq('period', period)
+      .maybeSingle();
+    if (error) throw error;
+    return { gemini: data?.gemini_calls || 0, otp: data?.otp_sends || 0 };
+  }
+
+  async incrementUsage(id, period, metric, amount = 1) {
+    const { data, error } = await this.client.rpc('increment_api_key_usage', {
+      target_key: id,
+      target_period: period,
+      metric,
+      amount
+    });
+    if (error) throw error;
+    return data;
+  }
+}
+
+const STORES = {
+  file: async () => new FileApiKeyStore(),
+  supabase: async () => new SupabaseApiKeyStore((await import('../config/supabaseClient.js')).createServiceClient())
+};
+
+let storePromise = null;
+
+/**
+ * Get API Key Store
+ *
+ * Returns the store configured with API_KEY_STORE (file or supabase),
+ * created once.
+ *
+ * @returns {Promise<Object>} Shared store instance
+ */
+export const getApiKeyStore = () => {
+  if (!storePromise) {
+    const name = (process.env.API_KEY_STORE || 'file').toLowerCase();
+    const factory = STORES[name];
+    storePromise = factory
+      ? factory()
+      : Promise.reject(new Error(`Unknown API_KEY_STORE "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`));
+    // Allow a retry after a configuration error
+    storePromise.catch(() => { storePromise = null; });
+  }
+  return storePromise;
+};
+
+export default getApiKeyStore;
@@ -0,0 +1,285 @@
+import { randomBytes } from 'crypto';
+import dotenv from 'dotenv';
+import { getApiKeyStore, USAGE_METRICS } from './apiKeyStore.js';
+import AccessControl, { hashApiKey } from './accessControl.js';
+
+// Load environment variables
+dotenv.config();
+
+// What a key may be used for: /api/chat, /api/twilio and /api/admin
+export const API_KEY_SCOPES = ['chat', 'twilio', 'admin'];
+
+// Defaults for keys without their own limits; 0 means unlimited
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE ?? '60', 10) || 0;
+const DEFAULT_QUOTAS = {
+  gemini: parseInt(process.env.API_KEY_GEMINI_MONTHLY_QUOTA ?? '1000', 10) || 0,
+  otp: parseInt(process.env.API_KEY_OTP_MONTHLY_QUOTA ?? '100', 10) || 0
+};
+
+const KEY_PREFIX = 'adb_';
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+// Calendar month (UTC) that usage is counted in
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+const nextPeriodStart = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+};
+
+const generateKey = () => `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+
+// Key record without its hash, as returned by the admin API
+const publicView = (record) => Object.fromEntries(Object.entries(record).filter(([field]) => field !== 'keyHash'));
+
+/**
+ * Validate API Key Settings
+ *
+ * @param {Object} input - { name, scopes, role, rateLimitPerMinute, quotas: { gemini, otp } }
+ * @param {Object} options - { partial }: only check the fields present
+ * @returns {Array} Errors as { path, message }
+ */
+export const validateApiKeyInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const known = ['name', 'scopes', 'role', 'rateLimitPerMinute', 'quotas'];
+  Object.keys(input).filter(key => !known.includes(key))
+    .forEach(key => errors.push({ path: key, message: `unknown field, expected one of ${known.join(', ')}` }));
+
+  if ((!partial || 'name' in input) && (typeof input.name !== 'string' || !input.name.trim())) {
+    errors.push({ path: 'name', message: 'must be a non-empty string' });
+  }
+
+  if (!partial || 'scopes' in input) {
+    if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+      errors.push({ path: 'scopes', message: `must be a non-empty list of ${API_KEY_SCOPES.join(', ')}` });
+    } else {
+      input.scopes.filter(scope => !API_KEY_SCOPES.includes(scope))
+        .forEach(scope => errors.push({ path: 'scopes', message: `unknown scope "${scope}"` }));
+    }
+  }
+
+  if (input.role !== undefined && input.role !== null) {
+    const roles = AccessControl.policy?.roles;
+    if (typeof input.role !== 'string') {
+      errors.push({ path: 'role', message: 'must be a string' });
+    } else if (roles && !(input.role in roles)) {
+      errors.push({ path: 'role', message: `unknown access policy role "${input.role}"` });
+    }
+  }
+
+  if (input.rateLimitPerMinute !== undefined && !isLimit(input.rateLimitPerMinute)) {
+    errors.push({ path: 'rateLimitPerMinute', message: 'must be a non-negative integer (0 for unlimited) or null for the default' });
+  }
+
+  if (input.quotas !== undefined) {
+    if (!input.quotas || typeof input.quotas !== 'object' || Array.isArray(input.quotas)) {
+      errors.push({ path: 'quotas', message: `must be an object with ${USAGE_METRICS.join(', ')}` });
+    } else {
+      Object.entries(input.quotas).forEach(([metric, value]) => {
+        if (!USAGE_METRICS.includes(metric)) {
+          errors.push({ path: `quotas.${metric}`, message: `unknown quota, expected one of ${USAGE_METRICS.join(', ')}` });
+        } else if (!isLimit(value)) {
+          errors.push({ path: `quotas.${metric}`, message: 'must be a non-negative integer (0 for unlimited) or null for the default' });
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * API Keys
+ *
+ * API keys for the /api routes. Only the SHA-256 of a key is stored (see
+ * apiKeyStore.js); the key itself is shown once, when it is created or
+ * rotated. Each key has:
+ * - scopes: which route groups it may call (chat, twilio, admin)
+ * - role: optional access policy role for /api/chat
+ * - rateLimitPerMinute: requests per minute, per server process
+ * - quotas: monthly Gemini calls and OTP sends
+ * Limits left null use the API_KEY_* defaults.
+ */
+export class ApiKeyService {
+  // Per-key request counts for the current rate limit window
+  static windows = new Map();
+
+  /**
+   * Create API Key
+   *
+   * @param {Object} input - Key settings (see validateApiKeyInput)
+   * @returns {Promise<Object>} { key, record }; the key is not stored and cannot be shown again
+   */
+  static async create(input) {
+    const store = await getApiKeyStore();
+    const key = generateKey();
+
+    const record = await store.insert({
+      name: input.name.trim(),
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashApiKey(key),
+      scopes: [...new Set(input.scopes)],
+      role: input.role ?? null,
+      rateLimitPerMinute: input.rateLimitPerMinute ?? null,
+      quotas: { gemini: input.quotas?.gemini ?? null, otp: input.quotas?.otp ?? null },
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null
+    });
+
+    console.log(`🔑 Created API key ${record.prefix}… (${record.name})`);
+    return { key, record: publicView(record) };
+  }
+
+  /**
+   * List API Keys
+   *
+   * @returns {Promise<Array>} Keys with this month's usage and limits
+   */
+  static async list() {
+    const store = await getApiKeyStore();
+    const keys = await store.list();
+    return Promise.all(keys.map(async record => ({
+      ...publicView(record),
+      limits: { rateLimitPerMinute: this.rateLimitFor(record), quotas: await this.getQuotaStatus(record) }
+    })));
+  }
+
+  /**
+   * Rotate API Key
+   *
+   * Replaces the key of an active record. The old key stops working
+   * immediately; scopes, limits and usage carry over.
+   *
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} { key, record }, null if there is no active key with this id
+   */
+  static async rotate(id) {
+    const store = await getApiKeyStore();
+    const existing = await store.findById(id);
+    if (!existing || existing.revokedAt) return null;
+
+    const key = generateKey();
+    const record = await store.update(id, {
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashApiKey(key),
+      rotatedAt: new Date().toISOString()
+    });
+
+    console.log(`🔑 Rotated API key ${existing.prefix}… -> ${record.prefix}… (${record.name})`);
+    return { key, record: publicView(record) };
+  }
+
+  /**
+   * Revoke API Key
+   *
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} Revoked record, null if unknown
+   */
+  static async revoke(id) {
+    const store = await getApiKeyStore();
+    const existing = await store.findById(id);
+    if (!existing) return null;
+    if (existing.revokedAt) return publicView(existing);
+
+    const record = await store.update(id, { revokedAt: new Date().toISOString() });
+    this.windows.delete(id);
+    console.log(`🔑 Revoked API key ${record.prefix}… (${record.name})`);
+    return publicView(record);
+  }
+
+  /**
+   * Authenticate
+   *
+   * @param {string} apiKey - Value of the X-API-Key header
+   * @returns {Promise<Object|null>} Active key record, null for an unknown or revoked key
+   */
+  static async authenticate(apiKey) {
+    if (!apiKey) return null;
+    const store = await getApiKeyStore();
+    const record = await store.findByHash(hashApiKey(apiKey));
+    return record && !record.revokedAt ? record : null;
+  }
+
+  static rateLimitFor(record) {
+    return record.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE;
+  }
+
+  static quotaFor(record, metric) {
+    return record.quotas?.[metric] ?? DEFAULT_QUOTAS[metric];
+  }
+
+  /**
+   * Check Rate Limit
+   *
+   * Counts the request against the key's per-minute limit (fixed window,
+   * kept in memory).
+   *
+   * @param {Object} record - Key record
+   * @returns {Object} { allowed, limit, remaining, reset }; limit and remaining are null when unlimited
+   */
+  static checkRateLimit(record) {
+    const limit = this.rateLimitFor(record);
+    const now = Date.now();
+
+    let window = this.windows.get(record.id);
+    if (!window || now >= window.reset) {
+      window = { count: 0, reset: now + RATE_LIMIT_WINDOW_MS };
+      this.windows.set(record.id, window);
+    }
+
+    if (limit === 0) {
+      return { allowed: true, limit: null, remaining: null, reset: new Date(window.reset) };
+    }
+
+    const allowed = window.count < limit;
+    if (allowed) window.count++;
+    return { allowed, limit, remaining: limit - window.count, reset: new Date(window.reset) };
+  }
+
+  /**
+   * Get Quota Status
+   *
+   * @param {Object} record - Key record
+   * @returns {Promise<Object>} { period, reset, <metric>: { limit, used, remaining } };
+   *   limit and remaining are null when unlimited
+   */
+  static async getQuotaStatus(record) {
+    const store = await getApiKeyStore();
+    const period = currentPeriod();
+    const usage = await store.getUsage(record.id, period);
+
+    const status = { period, reset: nextPeriodStart().toISOString() };
+    USAGE_METRICS.forEach(metric => {
+      const limit = this.quotaFor(record, metric);
+      status[metric] = {
+        limit: limit || null,
+        used: usage[metric],
+        remaining: limit ? Math.max(0, limit - usage[metric]) : null
+      };
+    });
+    return status;
+  }
+
+  /**
+   * Record Usage
+   *
+   * @param {Object} record - Key record
+   * @param {string} metric - gemini or otp
+   * @param {number} amount - Calls to add
+   * @returns {Promise<number>} Usage this month after the increment
+   */
+  static async recordUsage(record, metric, amount = 1) {
+    const store = await getApiKeyStore();
+    return store.incrementUsage(record.id, currentPeriod(), metric, amount);
+  }
+}
+
+export default ApiKeyService;
@@ -0,0 +1,123 @@
+import dotenv from 'dotenv';
+import { summarizeConversation, MAX_PINNED_FACTS } from './geminiService.js';
+import { estimateTokens } from './llmUsage.js';
+
+// Load environment variables
+dotenv.config();
+
+// Estimated tokens of history sent verbatim before older messages are summarised (0 = never)
+const HISTORY_TOKEN_BUDGET = Math.max(0, parseInt(process.env.CONVERSATION_HISTORY_TOKEN_BUDGET ?? '2000', 10) || 0);
+
+// Most recent messages kept verbatim when the rest is summarised
+const RECENT_MESSAGES = Math.max(1, parseInt(process.env.CONVERSATION_RECENT_MESSAGES ?? '6', 10) || 6);
+
+const MAX_SUMMARY_LENGTH = 8000;
+const MAX_FACT_LENGTH = 500;
+
+// Per-message overhead for the role and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const historyTokens = (messages) => messages
+  .reduce((total, message) => total + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+
+/**
+ * Empty Memory
+ *
+ * @returns {Object} Memory of a conversation with nothing summarised yet
+ */
+export const emptyMemory = () => ({ summary: '', pinnedFacts: [], summarizedCount: 0 });
+
+/**
+ * Validate Conversation Memory
+ *
+ * Checks the memory a client sends back with conversationHistory, as
+ * returned in the previous chat response.
+ *
+ * @param {Object} memory - { summary, pinnedFacts, summarizedCount }
+ * @returns {Array} Errors as { path, message }
+ */
+export const validateConversationMemory = (memory) => {
+  if (!memory || typeof memory !== 'object' || Array.isArray(memory)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  if (memory.summary !== undefined && typeof memory.summary !== 'string') {
+    errors.push({ path: 'summary', message: 'must be a string' });
+  } else if (memory.summary?.length > MAX_SUMMARY_LENGTH) {
+    errors.push({ path: 'summary', message: `cannot exceed ${MAX_SUMMARY_LENGTH} characters` });
+  }
+
+  if (memory.pinnedFacts !== undefined) {
+    if (!Array.isArray(memory.pinnedFacts) || memory.pinnedFacts.some(fact => typeof fact !== 'string')) {
+      errors.push({ path: 'pinnedFacts', message: 'must be an array of strings' });
+    } else if (memory.pinnedFacts.length > MAX_PINNED_FACTS) {
+      errors.push({ path: 'pinnedFacts', message: `cannot have more than ${MAX_PINNED_FACTS} facts` });
+    } else if (memory.pinnedFacts.some(fact => fact.length > MAX_FACT_LENGTH)) {
+      errors.push({ path: 'pinnedFacts', message: `facts cannot exceed ${MAX_FACT_LENGTH} characters` });
+    }
+  }
+
+  if (memory.summarizedCount !== undefined && (!Number.isInteger(memory.summarizedCount) || memory.summarizedCount < 0)) {
+    errors.push({ path: 'summarizedCount', message: 'must be a non-negative integer' });
+  }
+
+  return errors;
+};
+
+/**
+ * Conversation Memory
+ *
+ * Keeps the history sent to the model within a token budget. Once the
+ * messages not yet summarised exceed CONVERSATION_HISTORY_TOKEN_BUDGET,
+ * all but the most recent CONVERSATION_RECENT_MESSAGES are condensed into
+ * a rolling summary, and the facts later turns depend on (filters, chosen
+ * entities, preferences) are pinned. The memory records how many leading
+ * messages it covers, so each message is summarised once and the memory
+ * can be persisted with the conversation.
+ */
+export class ConversationMemory {
+  /**
+   * Condense History
+   *
+   * @param {Array} history - Full conversation history, oldest first, as { role, content }
+   * @param {Object|null} memory - Memory from the previous turn, see emptyMemory
+   * @param {Object} options - { usage } context the summary call is accounted to;
+   *   { summarize: false } sends the recent messages only, as when the summary fails;
+   *   { signal } cancels the summary call
+   * @returns {Promise<Object>} { memory, recent, condensed }: the updated memory, the
+   *   messages to send verbatim and how many messages were summarised now
+   */
+  static async condense(history, memory = null, { usage = null, summarize = true, signal = null } = {}) {
+    const current = { ...emptyMemory(), ...memory };
+    const covered = Math.min(current.summarizedCount, history.length);
+    const recent = history.slice(covered);
+    const unchanged = { memory: { ...current, summarizedCount: covered }, recent, condensed: 0 };
+
+    if (HISTORY_TOKEN_BUDGET === 0 || historyTokens(recent) <= HISTORY_TOKEN_BUDGET) return unchanged;
+
+    // Keep the latest messages verbatim, fewer if they alone exceed the budget
+    let keep = Math.min(RECENT_MESSAGES, recent.length);
+    while (keep > 1 && historyTokens(recent.slice(-keep)) > HISTORY_TOKEN_BUDGET) keep--;
+    const older = recent.slice(0, recent.length - keep);
+    if (older.length === 0) return unchanged;
+    if (!summarize) return { ...unchanged, recent: recent.slice(-keep) };
+
+    try {
+      const { summary, pinnedFacts } = await summarizeConversation(current, older, { usage, signal });
+      console.log(`🧠 Summarised ${older.length} older messages (${pinnedFacts.length} pinned facts)`);
+      return {
+        memory: { summary, pinnedFacts, summarizedCount: covered + older.length },
+        recent: recent.slice(-keep),
+        condensed: older.length
+      };
+    } catch (error) {
+      signal?.throwIfAborted();
+      // Without a new summary the older messages are dropped for this turn only and summarised next time
+      console.error('❌ Conversation summary failed, sending recent messages only:', error.message);
+      return { ...unchanged, recent: recent.slice(-keep) };
+    }
+  }
+}
+
+export default ConversationMemory;
@@ -0,0 +1,333 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { dirname, isAbsolute, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const backendRoot = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Conversation file for the file store, relative paths are resolved from backend/
+const CONVERSATIONS_PATH = (() => {
+  const path = process.env.CONVERSATIONS_PATH || 'conversations.json';
+  return isAbsolute(path) ? path : join(backendRoot, path);
+})();
+
+/**
+ * File Conversation Store
+ *
+ * Keeps conversations and their messages in a JSON file, loaded once and
+ * rewritten after every change. Suited to a single server process.
+ *
+ * Records:
+ * - conversation: { id, ownerId, title, memory, createdAt, updatedAt }, where memory
+ *   condenses older messages: { summary, pinnedFacts, summarizedCount }
+ * - message: { id, conversationId, role, content, clarification, query, createdAt },
+ *   where query is the SQL and results of an answered turn:
+ *   { sql, generatedSql, success, rowCount, capped, data, error, attempts }
+ */
+export class FileConversationStore {
+  /**
+   * @param {string} path - JSON file
+   */
+  constructor(path = CONVERSATIONS_PATH) {
+    this.name = 'file';
+    this.path = path;
+    this.data = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async read() {
+    if (this.data) return this.data;
+
+    if (!this.loading) {
+      this.loading = readFile(this.path, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          return { conversations: [], messages: [] };
+        })
+        .then(data => {
+          this.data = { conversations: data.conversations || [], messages: data.messages || [] };
+          return this.data;
+        })
+        .finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Queue a write of the current data. Writes go to a temporary file and
+   * are renamed into place, one at a time.
+   */
+  save() {
+    const text = `${JSON.stringify(this.data, null, 2)}\n`;
+    const temporaryPath = `${this.path}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await writeFile(temporaryPath, text, 'utf8');
+        await rename(temporaryPath, this.path);
+      });
+    return this.writing;
+  }
+
+  async list(ownerId) {
+    const data = await this.read();
+    return data.conversations
+      .filter(conversation => conversation.ownerId === ownerId)
+      .map(conversation => ({
+        ...conversation,
+        messageCount: data.messages.filter(message => message.conversationId === conversation.id).length
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async findById(id) {
+    const conversation = (await this.read()).conversations.find(entry => entry.id === id);
+    return conversation ? { ...conversation } : null;
+  }
+
+  async insert(record) {
+    const data = await this.read();
+    const now = new Date().toISOString();
+    const conversation = { id: randomUUID(), ...record, createdAt: now, updatedAt: now };
+    data.conversations.push(conversation);
+    await this.save();
+    return { ...conversation };
+  }
+
+  async update(id, changes) {
+    const data = await this.read();
+    const conversation = data.conversations.find(entry => entry.id === id);
+    if (!conversation) return null;
+
+    Object.assign(conversation, changes, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return { ...conversation };
+  }
+
+  async delete(id) {
+    const data = await this.read();
+    const count = data.conversations.length;
+    data.conversations = data.conversations.filter(entry => entry.id !== id);
+    if (data.conversations.length === count) return false;
+
+    data.messages = data.messages.filter(message => message.conversationId !== id);
+    await this.save();
+    return true;
+  }
+
+  async listMessages(conversationId) {
+    return (await this.read()).messages
+      .filter(message => message.conversationId === conversationId)
+      .map(message => ({ ...message }));
+  }
+
+  async appendMessages(conversationId, messages) {
+    const data = await this.read();
+    const now = new Date().toISOString();
+    const inserted = messages.map(message => ({
+      id: randomUUID(),
+      conversationId,
+      role: message.role,
+      content: message.content,
+      clarification: message.clarification || null,
+      query: message.query || null,
+      createdAt: now
+    }));
+    data.messages.push(...inserted);
+
+    const conversation = data.conversations.find(entry => entry.id === conversationId);
+    if (conversation) conversation.updatedAt = now;
+    await this.save();
+    return inserted.map(message => ({ ...message }));
+  }
+}
+
+const fromConversationRow = (row) => ({
+  id: row.id,
+  ownerId: row.owner_id,
+  title: row.title,
+  memory: {
+    summary: row.summary || '',
+    pinnedFacts: row.pinned_facts || [],
+    summarizedCount: row.summarized_count || 0
+  },
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(row.conversation_messages && { messageCount: row.conversation_messages[0]?.count ?? 0 })
+});
+
+const fromQueryRow = (row) => ({
+  sql: row.sql,
+  generatedSql: row.generated_sql,
+  success: row.success,
+  rowCount: row.row_count,
+  capped: row.capped,
+  data: row.data || [],
+  error: row.error,
+  attempts: row.attempts || []
+});
+
+const fromMessageRow = (row) => ({
+  id: row.id,
+  conversationId: row.conversation_id,
+  role: row.role,
+  content: row.content,
+  clarification: row.clarification,
+  query: row.conversation_queries?.[0] ? fromQueryRow(row.conversation_queries[0]) : null,
+  createdAt: row.created_at
+});
+
+/**
+ * Supabase Conversation Store
+ *
+ * Keeps conversations, their messages and the SQL and results of each
+ * answered turn in the conversations, conversation_messages and
+ * conversation_queries tables (scripts/conversations.sql), through a
+ * service role client, so several server processes can share them.
+ */
+export class SupabaseConversationStore {
+  /**
+   * @param {Object} client - Supabase client with the service role
+   */
+  constructor(client) {
+    this.name = 'supabase';
+    this.client = client;
+  }
+
+  async list(ownerId) {
+    let query = this.client.from('conversations').select('*, conversation_messages(count)');
+    query = ownerId === null ? query.is('owner_id', null) : query.eq('owner_id', ownerId);
+    const { data, error } = await query.order('updated_at', { ascending: false });
+    if (error) throw error;
+    return (data || []).map(fromConversationRow);
+  }
+
+  async findById(id) {
+    const { data, error } = await this.client.from('conversations').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data ? fromConversationRow(data) : null;
+  }
+
+  async insert(record) {
+    const { data, error } = await this.client
+      .from('conversations')
+      .insert({ owner_id: record.ownerId, title: record.title })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return fromConversationRow(data);
+  }
+
+  async update(id, changes) {
+    const row = { updated_at: new Date().toISOString() };
+    if (changes.title !== undefined) row.title = changes.title;
+    if (changes.memory !== undefined) {
+      row.summary = changes.memory.summary;
+      row.pinned_facts = changes.memory.pinnedFacts;
+      row.summarized_count = changes.memory.summarizedCount;
+    }
+
+    const { data, error } = await this.client
+      .from('conversations')
+      .update(row)
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    return data ? fromConversationRow(data) : null;
+  }
+
+  async delete(id) {
+    // Messages and queries go with it (ON DELETE CASCADE)
+    const { data, error } = await this.client.from('conversations').delete().eq('id', id).select('id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  async listMessages(conversationId) {
+    const { data, error } = await this.client
+      .from('conversation_messages')
+      .select('*, conversation_queries(*)')
+      .eq('conversation_id', conversationId)
+      .order('seq');
+    if (error) throw error;
+    return (data || []).map(fromMessageRow);
+  }
+
+  async appendMessages(conversationId, messages) {
+    const { data, error } = await this.client
+      .from('conversation_messages')
+      .insert(messages.map(message => ({
+        conversation_id: conversationId,
+        role: message.role,
+        content: message.content,
+        clarification: message.clarification || null
+      })))
+      .select('*');
+    if (error) throw error;
+
+    const queries = data
+      .map((row, index) => ({ row, query: messages[index].query }))
+      .filter(({ query }) => query)
+      .map(({ row, query }) => ({
+        message_id: row.id,
+        conversation_id: conversationId,
+        sql: query.sql,
+        generated_sql: query.generatedSql,
+        success: query.success,
+        row_count: query.rowCount,
+        capped: query.capped,
+        data: query.data,
+        error: query.error,
+        attempts: query.attempts
+      }));
+    if (queries.length > 0) {
+      const { error: queryError } = await this.client.from('conversation_queries').insert(queries);
+      if (queryError) throw queryError;
+    }
+
+    const { error: touchError } = await this.client
+      .from('conversations')
+      .update({ updated_at: new Date().toISOString() })
+      .eq('id', conversationId);
+    if (touchError) throw touchError;
+
+    return data.map((row, index) => ({ ...fromMessageRow(row), query: messages[index].query || null }));
+  }
+}
+
+const STORES = {
+  file: async () => new FileConversationStore(),
+  supabase: async () => new SupabaseConversationStore((await import('../config/supabaseClient.js')).createServiceClient())
+};
+
+let storePromise = null;
+
+/**
+ * Get Conversation Store
+ *
+ * Returns the store configured with CONVERSATION_STORE (file or
+ * supabase), created once.
+ *
+ * @returns {Promise<Object>} Shared store instance
+ */
+export const getConversationStore = () => {
+  if (!storePromise) {
+    const name = (process.env.CONVERSATION_STORE || 'file').toLowerCase();
+    const factory = STORES[name];
+    storePromise = factory
+      ? factory()
+      : Promise.reject(new Error(`Unknown CONVERSATION_STORE "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`));
+    // Allow a retry after a configuration error
+    storePromise.catch(() => { storePromise = null; });
+  }
+  return storePromise;
+};
+
+export default getConversationStore;
@@ -0,0 +1,236 @@
+import { getConversationStore } from './conversationStore.js';
+import { emptyMemory } from './conversationMemory.js';
+
+const MAX_TITLE_LENGTH = 200;
+
+// Title given to a conversation created without one, from its first question
+const DEFAULT_TITLE_LENGTH = 80;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Conversation record without its owner, as returned by the API
+const publicView = (conversation) => Object.fromEntries(Object.entries(conversation).filter(([field]) => field !== 'ownerId'));
+
+const titleFrom = (question) => {
+  const line = question.trim().split('\n')[0];
+  return line.length > DEFAULT_TITLE_LENGTH ? `${line.slice(0, DEFAULT_TITLE_LENGTH - 1)}…` : line;
+};
+
+/**
+ * Conversation Owner
+ *
+ * Who a request's conversations belong to: the signed-in Supabase user,
+ * otherwise the API key. Requests with neither (API_KEY_AUTH=optional or
+ * off, no user token) share the conversations without an owner.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} user:<id>, key:<id> or null
+ */
+export const conversationOwner = (req) => {
+  if (req.user?.id) return `user:${req.user.id}`;
+  if (req.apiKey?.id) return `key:${req.apiKey.id}`;
+  return null;
+};
+
+/**
+ * Validate Conversation Settings
+ *
+ * @param {Object} input - { title }
+ * @param {Object} options - { requireTitle }
+ * @returns {Array} Errors as { path, message }
+ */
+export const validateConversationInput = (input, { requireTitle = false } = {}) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const known = ['title'];
+  Object.keys(input).filter(key => !known.includes(key))
+    .forEach(key => errors.push({ path: key, message: `unknown field, expected one of ${known.join(', ')}` }));
+
+  if (requireTitle || (input.title !== undefined && input.title !== null)) {
+    if (typeof input.title !== 'string' || !input.title.trim()) {
+      errors.push({ path: 'title', message: 'must be a non-empty string' });
+    } else if (input.title.trim().length > MAX_TITLE_LENGTH) {
+      errors.push({ path: 'title', message: `cannot exceed ${MAX_TITLE_LENGTH} characters` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Conversations
+ *
+ * Chat conversations kept on the server (see conversationStore.js), so a
+ * client sends a conversationId instead of the whole history. Each
+ * conversation belongs to one owner (see conversationOwner) and is only
+ * visible to it. Messages are stored in order; an answered turn also
+ * keeps the executed SQL, its attempts and the results as returned to
+ * the client.
+ */
+export class ConversationService {
+  /**
+   * Create Conversation
+   *
+   * @param {string|null} ownerId - Owner (see conversationOwner)
+   * @param {Object} input - { title }, see validateConversationInput
+   * @returns {Promise<Object>} New conversation
+   */
+  static async create(ownerId, input = {}) {
+    const store = await getConversationStore();
+    const conversation = await store.insert({ ownerId, title: input.title?.trim() || null, memory: emptyMemory() });
+    console.log(`🗂️ Created conversation ${conversation.id}`);
+    return publicView(conversation);
+  }
+
+  /**
+   * List Conversations
+   *
+   * @param {string|null} ownerId - Owner (see conversationOwner)
+   * @returns {Promise<Array>} The owner's conversations, most recently active first
+   */
+  static async list(ownerId) {
+    const store = await getConversationStore();
+    return (await store.list(ownerId)).map(publicView);
+  }
+
+  /**
+   * Get Conversation
+   *
+   * @param {string|null} ownerId - Owner (see conversationOwner)
+   * @param {string} id - Conversation id
+   * @returns {Promise<Object|null>} Conversation with its messages, null if the owner has none with this id
+   */
+  static async get(ownerId, id) {
+    const conversation = await this.find(ownerId, id);
+    if (!conversation) return null;
+
+    const store = await getConversationStore();
+    return { ...publicView(conversation), messages: await store.listMessages(id) };
+  }
+
+  /**
+   * Rename Conversation
+   *
+   * @param {string|null} ownerId - Owner (see conversationOwner)
+   * @param {string} id - Conversation id
+   * @param {string} title - New title
+   * @returns {Promise<Object|null>} Renamed conversation, null if unknown
+   */
+  static async rename(ownerId, id, title) {
+    if (!(await this.find(ownerId, id))) return null;
+
+    const store = await getConversationStore();
+    return publicView(await store.update(id, { title: title.trim() }));
+  }
+
+  /**
+   * Delete Conversation
+   *
+   * Deletes the conversation with its messages and stored results.
+   *
+   * @param {string|null} ownerId - Owner (see conversationOwner)
+   * @param {string} id - Conversation id
+   * @returns {Promise<boolean>} False if unknown
+   */
+  static async remove(ownerId, id) {
+    if (!(await this.find(ownerId, id))) return false;
+
+    const store = await getConversationStore();
+    const deleted = await store.delete(id);
+    if (deleted) console.log(`🗂️ Deleted conversation ${id}`);
+    return deleted;
+  }
+
+  /**
+   * Conversation History
+   *
+   * The stored messages in the format of the chat request's
+   * conversationHistory. Answers carry the SQL the model generated for a
+   * query that ran successfully, for follow-up questions; turns stored
+   * before generatedSql was kept fall back to the SQL that ran.
+   *
+   * @param {Object} conversation - Conversation from get()
+   * @returns {Array} [{ role, content, clarification?, sql? }]
+   */
+  static historyOf(conversation) {
+    return conversation.messages.map(({ role, content, clarification, query }) => ({
+      role,
+      content,
+      ...(clarification && { clarification }),
+      ...(query?.success && (query.generatedSql || query.sql) && { sql: query.generatedSql || query.sql })
+    }));
+  }
+
+  /**
+   * Record Turn
+   *
+   * Appends a question and the chat response to it. Answers keep their
+   * SQL and results; clarification responses keep the pending question so
+   * the next message is read as its answer. A conversation without a
+   * title is named after its first question.
+   *
+   * @param {Object} conversation - Conversation from get()
+   * @param {string} question - The user's message
+   * @param {Object} response - Chat response body (type answer or clarification)
+   * @returns {Promise<Array>} The stored messages
+   */
+  static async recordTurn(conversation, question, response) {
+    const store = await getConversationStore();
+    const results = response.results;
+
+    const messages = await store.appendMessages(conversation.id, [
+      { role: 'user', content: question },
+      {
+        role: 'assistant',
+        content: response.response,
+        clarification: response.clarification || null,
+        query: response.type === 'answer' ? {
+          sql: response.queryUsed,
+          generatedSql: response.generatedSql,
+          success: Boolean(results?.success),
+          rowCount: results?.count ?? 0,
+          capped: Boolean(results?.capped),
+          data: results?.data || [],
+          error: results?.error || null,
+          attempts: response.attempts || []
+        } : null
+      }
+    ]);
+
+    if (!conversation.title) {
+      conversation.title = titleFrom(question);
+      await store.update(conversation.id, { title: conversation.title });
+    }
+    return messages;
+  }
+
+  /**
+   * Save Memory
+   *
+   * Stores the conversation's rolling summary and pinned facts (see
+   * conversationMemory.js).
+   *
+   * @param {Object} conversation - Conversation from get()
+   * @param {Object} memory - { summary, pinnedFacts, summarizedCount }
+   * @returns {Promise<void>}
+   */
+  static async saveMemory(conversation, memory) {
+    const store = await getConversationStore();
+    conversation.memory = memory;
+    await store.update(conversation.id, { memory });
+  }
+
+  static async find(ownerId, id) {
+    // Ids are UUIDs in every store; anything else cannot exist
+    if (typeof id !== 'string' || !UUID_PATTERN.test(id)) return null;
+
+    const store = await getConversationStore();
+    const conversation = await store.findById(id);
+    return conversation && conversation.ownerId === ownerId ? conversation : null;
+  }
+}
+
+export default ConversationService;
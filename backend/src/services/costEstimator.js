@@ -0,0 +1,466 @@
+import dotenv from 'dotenv';
+import { tokenize, childExpressions } from './sqlParser.js';
+import { returnsSingleRow } from './queryPolicy.js';
+
+// Load environment variables
+dotenv.config();
+
+const parseBudget = (value, fallback) => parseInt(value ?? fallback, 10) || 0;
+
+// Limits a query must stay within before it runs; 0 disables a limit
+export const COST_BUDGET = Object.freeze({
+  enabled: process.env.QUERY_COST_GUARDRAILS !== 'false',
+  // Planner cost units, only known when the adapter can EXPLAIN
+  maxCost: parseBudget(process.env.QUERY_COST_MAX_COST, '100000'),
+  // Rows read, estimated from table sizes when there is no planner estimate
+  maxScanRows: parseBudget(process.env.QUERY_COST_MAX_SCAN_ROWS, '1000000'),
+  maxResultRows: parseBudget(process.env.QUERY_COST_MAX_RESULT_ROWS, '100'),
+  // What to do with a query that returns too many rows: limit or refuse
+  action: process.env.QUERY_COST_ACTION === 'refuse' ? 'refuse' : 'limit'
+});
+
+// Rough fraction of rows kept by a predicate when nothing better is known
+const INDEXED_SELECTIVITY = 0.05;
+const FILTER_SELECTIVITY = 0.3;
+// Extra rows per row for an equality join on columns that are not unique
+const NON_KEY_FAN_OUT = 10;
+
+const RANGE_OPERATORS = new Set(['<', '<=', '>', '>=']);
+
+const formatRows = (rows) => Math.round(rows).toLocaleString('en-US');
+
+const add = (a, b) => (a === null || b === null ? null : a + b);
+
+const flattenAnd = (node) => {
+  if (!node) return [];
+  if (node.type === 'logical' && node.operator === 'AND') return node.operands.flatMap(flattenAnd);
+  return [node];
+};
+
+// Subqueries inside an expression (scalar, EXISTS, IN, ANY/ALL)
+const nestedQueries = (node) => {
+  if (!node || typeof node !== 'object') return [];
+  return [
+    ...(node.query ? [node.query] : []),
+    ...childExpressions(node).flatMap(nestedQueries),
+    ...(node.whens || []).flatMap(({ condition, result }) => [...nestedQueries(condition), ...nestedQueries(result)])
+  ];
+};
+
+const hasWindowFunction = (node) => Boolean(node)
+  && ((node.type === 'function' && node.over) || childExpressions(node).some(hasWindowFunction));
+
+const isConstant = (node) => ['literal', 'parameter'].includes(node?.type)
+  || (node?.type === 'cast' && isConstant(node.expr));
+
+/**
+ * Heuristic Estimator
+ *
+ * Estimates rows read and returned from table sizes (rowEstimate),
+ * primary keys and indexes, for adapters that cannot EXPLAIN. The
+ * numbers are orders of magnitude, good enough to tell a lookup from a
+ * full scan or a join that multiplies rows.
+ */
+class HeuristicEstimator {
+  /**
+   * @param {Array} schemas - Table schemas from DatabaseService
+   */
+  constructor(schemas = []) {
+    this.tables = new Map(schemas.map(schema => [schema.table.toLowerCase(), schema]));
+    this.scans = [];
+    this.notes = [];
+  }
+
+  note(message) {
+    if (!this.notes.includes(message)) this.notes.push(message);
+  }
+
+  /**
+   * Estimate a SELECT or compound query.
+   *
+   * @returns {Object} { scanRows, resultRows }; null when unknown
+   */
+  estimateQuery(query, ctes = new Map()) {
+    let scope = ctes;
+    let scanRows = 0;
+
+    if (query.with) {
+      scope = new Map(ctes);
+      query.with.ctes.forEach(cte => {
+        const estimate = this.estimateQuery(cte.query, scope);
+        scanRows = add(scanRows, estimate.scanRows);
+        scope.set(cte.name.toLowerCase(), estimate.resultRows);
+      });
+    }
+
+    let resultRows;
+    if (query.type === 'compound') {
+      const left = this.estimateQuery(query.left, scope);
+      const right = this.estimateQuery(query.right, scope);
+      scanRows = add(scanRows, add(left.scanRows, right.scanRows));
+      if (query.operator === 'intersect') {
+        resultRows = left.resultRows === null || right.resultRows === null ? null : Math.min(left.resultRows, right.resultRows);
+      } else {
+        resultRows = query.operator === 'except' ? left.resultRows : add(left.resultRows, right.resultRows);
+      }
+    } else {
+      const estimate = this.estimateSelect(query, scope);
+      scanRows = add(scanRows, estimate.scanRows);
+      resultRows = estimate.resultRows;
+    }
+
+    if (query.limit?.type === 'literal') {
+      resultRows = resultRows === null ? query.limit.value : Math.min(resultRows, query.limit.value);
+    }
+    return { scanRows, resultRows };
+  }
+
+  estimateSelect(select, scope) {
+    if (!select.from) return { scanRows: 0, resultRows: 1 };
+
+    const conditions = [
+      ...flattenAnd(select.where),
+      ...(select.joins || []).flatMap(join => flattenAnd(join.on))
+    ];
+
+    const sources = [select.from, ...(select.joins || []).map(join => join.table)]
+      .map(source => this.estimateSource(source, scope));
+    const single = sources.length === 1;
+    sources.forEach(source => this.applyFilters(source, conditions, single));
+
+    let rows = sources[0].rows;
+    (select.joins || []).forEach((join, index) => {
+      rows = this.joinRows(rows, sources.slice(0, index + 1), sources[index + 1], join, conditions);
+    });
+
+    sources.filter(source => source.fullScan).forEach(source => this.scans.push({ table: source.name, rows: source.total }));
+    let scanRows = sources.reduce((total, source) => add(total, source.scanRows), 0);
+
+    const singleRow = returnsSingleRow(select);
+    const resultRows = singleRow ? 1 : rows;
+
+    // Without sorting, grouping or joins a scan stops once LIMIT rows are found
+    const stopsEarly = select.limit?.type === 'literal'
+      && single
+      && !singleRow
+      && !select.distinct
+      && !select.distinctOn
+      && (select.groupBy || []).length === 0
+      && (select.orderBy || []).length === 0
+      && !select.columns.some(column => hasWindowFunction(column.expr));
+    if (stopsEarly && rows > 0 && scanRows !== null) {
+      const wanted = select.limit.value + (select.offset?.type === 'literal' ? select.offset.value : 0);
+      scanRows = Math.min(scanRows, Math.ceil(scanRows * Math.min(1, wanted / rows)));
+    }
+
+    [
+      ...select.columns.map(column => column.expr),
+      select.where,
+      select.having,
+      ...(select.orderBy || []).map(order => order.expr)
+    ].flatMap(nestedQueries).forEach(query => {
+      scanRows = add(scanRows, this.estimateQuery(query, scope).scanRows);
+    });
+
+    return { scanRows, resultRows };
+  }
+
+  estimateSource(source, scope) {
+    if (source.type === 'subquery') {
+      const estimate = this.estimateQuery(source.query, scope);
+      return { alias: source.alias?.toLowerCase(), schema: null, total: estimate.resultRows, rows: estimate.resultRows, scanRows: estimate.scanRows };
+    }
+
+    if (source.type !== 'table') {
+      this.note(`no size estimate for ${source.name || 'a table function'}()`);
+      return { alias: source.alias?.toLowerCase(), schema: null, total: null, rows: null, scanRows: 0 };
+    }
+
+    const name = source.name.toLowerCase();
+    const alias = (source.alias || source.name).toLowerCase();
+
+    // CTE rows were counted where the CTE was estimated
+    if (!source.schema && scope.has(name)) {
+      const rows = scope.get(name);
+      return { alias, schema: null, total: rows, rows, scanRows: 0 };
+    }
+
+    const schema = this.tables.get(name) || null;
+    const total = schema?.rowEstimate ?? null;
+    if (total === null) this.note(`no row count for table "${source.name}"`);
+    return { alias, name: source.name, schema, total, rows: total, scanRows: total };
+  }
+
+  ownsColumn(source, column, single) {
+    if (column?.type !== 'column') return false;
+    if (column.table) return column.table.toLowerCase() === source.alias;
+    if (single) return true;
+    return Boolean(source.schema && column.name in (source.schema.columns || {}));
+  }
+
+  isUniqueColumn(schema, name) {
+    if (!schema) return false;
+    if (schema.primaryKey.length === 1 && schema.primaryKey[0] === name) return true;
+    return schema.indexes.some(index => index.unique && index.columns.length === 1 && index.columns[0] === name);
+  }
+
+  isIndexedColumn(schema, name) {
+    if (!schema) return false;
+    return schema.primaryKey[0] === name || schema.indexes.some(index => index.columns[0] === name);
+  }
+
+  /**
+   * Narrow a table source by the WHERE/ON conditions that only involve
+   * it: a unique key lookup returns one row per value, an indexed
+   * predicate reads only the matching rows, anything else reads the
+   * whole table and keeps a fraction of it.
+   */
+  applyFilters(source, conditions, single) {
+    if (!source.schema || source.total === null) return;
+
+    let keyRows = null;
+    let indexSelectivity = 1;
+    let filterSelectivity = 1;
+
+    conditions.forEach(condition => {
+      const column = [condition.left, condition.right, condition.expr]
+        .find(node => this.ownsColumn(source, node, single));
+      if (!column) return;
+
+      const other = condition.type === 'comparison'
+        ? (column === condition.left ? condition.right : condition.left)
+        : null;
+      if (condition.type === 'comparison' && !isConstant(other)) return;
+
+      const unique = this.isUniqueColumn(source.schema, column.name);
+      const indexed = this.isIndexedColumn(source.schema, column.name);
+
+      if (unique && condition.type === 'comparison' && condition.operator === '=') {
+        keyRows = Math.min(keyRows ?? 1, 1);
+      } else if (unique && condition.type === 'in' && !condition.not && condition.values) {
+        keyRows = Math.min(keyRows ?? Infinity, condition.values.length);
+      } else if (indexed && ((condition.type === 'comparison' && (condition.operator === '=' || RANGE_OPERATORS.has(condition.operator)))
+        || (condition.type === 'between' && !condition.not)
+        || (condition.type === 'in' && !condition.not && condition.values))) {
+        indexSelectivity *= condition.operator === '=' ? INDEXED_SELECTIVITY : FILTER_SELECTIVITY;
+      } else {
+        filterSelectivity *= FILTER_SELECTIVITY;
+      }
+    });
+
+    if (keyRows !== null) {
+      source.scanRows = Math.min(source.total, keyRows);
+      source.rows = source.scanRows;
+      return;
+    }
+
+    source.scanRows = source.total * indexSelectivity;
+    source.rows = source.scanRows * filterSelectivity;
+    source.fullScan = indexSelectivity === 1;
+  }
+
+  /**
+   * Rows after joining `right` onto the rows produced so far. A join on
+   * the right table's unique key keeps the row count (and reads it by
+   * key when that is cheaper than a scan), a join on the left side's key
+   * yields one row per right row, other equality joins fan out and joins
+   * without an equality multiply both sides.
+   */
+  joinRows(leftRows, leftSources, right, join, conditions) {
+    if (leftRows === null || right.rows === null) return null;
+
+    const equalities = join.using
+      ? join.using.map(name => ({ rightColumn: name, left: leftSources.find(source => source.schema && name in source.schema.columns), leftColumn: name }))
+      : conditions
+        .filter(condition => condition.type === 'comparison' && condition.operator === '='
+          && condition.left?.type === 'column' && condition.right?.type === 'column')
+        .flatMap(condition => [[condition.left, condition.right], [condition.right, condition.left]])
+        .filter(([rightColumn]) => this.ownsColumn(right, rightColumn, false))
+        .map(([rightColumn, leftColumn]) => ({
+          rightColumn: rightColumn.name,
+          left: leftSources.find(source => this.ownsColumn(source, leftColumn, false)),
+          leftColumn: leftColumn.name
+        }))
+        .filter(equality => equality.left);
+
+    let rows;
+    if (equalities.some(equality => this.isUniqueColumn(right.schema, equality.rightColumn))) {
+      rows = leftRows;
+      // Fewer rows on the left than in the table: one key lookup per row
+      if (right.fullScan && leftRows < right.total) {
+        right.scanRows = leftRows;
+        right.rows = leftRows;
+        right.fullScan = false;
+      }
+    } else if (equalities.some(equality => this.isUniqueColumn(equality.left?.schema, equality.leftColumn))) {
+      rows = Math.max(leftRows, right.rows);
+    } else if (equalities.length > 0) {
+      rows = Math.max(leftRows, right.rows) * NON_KEY_FAN_OUT;
+      this.note(`join on ${right.name || right.alias} does not use a unique key and may multiply rows`);
+    } else {
+      rows = leftRows * right.rows;
+      this.note(`${join.type === 'cross' || join.implicit ? 'cross join' : 'join without an equality'} with ${right.name || right.alias} multiplies rows`);
+    }
+
+    return join.type === 'left' ? Math.max(rows, leftRows) : rows;
+  }
+}
+
+/**
+ * Top-level LIMIT (or FETCH FIRST) row count token, null if the query
+ * has none.
+ */
+const findLimitToken = (tokens) => {
+  let depth = 0;
+  let found = null;
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'punctuation' && token.value === '(') depth++;
+    if (token.type === 'punctuation' && token.value === ')') depth--;
+    if (depth !== 0 || token.type !== 'word') return;
+
+    if (token.upper === 'LIMIT') {
+      // MySQL's LIMIT offset, count
+      const count = tokens[index + 2]?.value === ',' ? tokens[index + 3] : tokens[index + 1];
+      found = count;
+    } else if (token.upper === 'FETCH' && ['FIRST', 'NEXT'].includes(tokens[index + 1]?.upper)) {
+      found = tokens[index + 2];
+    }
+  });
+
+  return found && found.type !== 'word' ? found : null;
+};
+
+/**
+ * Cap the rows a query returns at `maxRows`, by lowering its top-level
+ * LIMIT or appending one.
+ */
+export const capQueryRows = (sql, maxRows) => {
+  const token = findLimitToken(tokenize(sql));
+
+  if (!token) {
+    return `${sql.trim().replace(/;+$/, '').trimEnd()} LIMIT ${maxRows}`;
+  }
+  if (token.type === 'number' && Number(token.value) <= maxRows) {
+    return sql;
+  }
+  return `${sql.slice(0, token.position)}${maxRows}${sql.slice(token.position + token.raw.length)}`;
+};
+
+/**
+ * Estimate Query Cost
+ *
+ * Uses the database planner (adapter.explain) when it is available and
+ * falls back to heuristics on table sizes, filters and joins.
+ *
+ * @param {string} sql - Validated SELECT statement
+ * @param {Object} ast - Parsed query (extended AST from the safety policy)
+ * @param {Object} options - { adapter, schemas }
+ * @returns {Promise<Object>} { method, estimatedCost, estimatedScanRows, estimatedRows, fullScans, notes }
+ */
+export const estimateQueryCost = async (sql, ast, { adapter, schemas = [] } = {}) => {
+  const heuristic = new HeuristicEstimator(schemas);
+  const { scanRows, resultRows } = heuristic.estimateQuery(ast);
+
+  let plan = null;
+  try {
+    plan = await adapter?.explain(sql);
+  } catch (error) {
+    console.log('⚠️ EXPLAIN failed, estimating cost heuristically:', error.message);
+  }
+
+  if (plan) {
+    return {
+      method: 'explain',
+      estimatedCost: plan.totalCost ?? null,
+      estimatedScanRows: null,
+      estimatedRows: plan.resultRows ?? resultRows,
+      fullScans: plan.scans || [],
+      notes: []
+    };
+  }
+
+  return {
+    method: 'heuristic',
+    estimatedCost: null,
+    estimatedScanRows: scanRows === null ? null : Math.round(scanRows),
+    estimatedRows: resultRows === null ? null : Math.round(resultRows),
+    fullScans: heuristic.scans,
+    notes: heuristic.notes
+  };
+};
+
+const describeScans = (scans) => (scans.length > 0
+  ? ` (full scan of ${scans.map(scan => `${scan.table}${scan.rows !== null && scan.rows !== undefined ? ` ~${formatRows(scan.rows)} rows` : ''}`).join(', ')})`
+  : '');
+
+/**
+ * Check Query Cost
+ *
+ * Estimates a query and holds it against COST_BUDGET before it runs:
+ * - estimated cost or rows read over budget: refused
+ * - more result rows than QUERY_COST_MAX_RESULT_ROWS: capped with a
+ *   LIMIT (QUERY_COST_ACTION=limit) or refused (refuse)
+ *
+ * @param {string} sql - Validated SELECT statement
+ * @param {Object} ast - Parsed query
+ * @param {Object} options - { adapter, schemas, budget }
+ * @returns {Promise<Object>} { decision: allowed|capped|refused, sql, estimate }
+ *   where sql is the statement to run and estimate carries the numbers,
+ *   the budget and the reasons for the decision
+ */
+export const checkQueryCost = async (sql, ast, { adapter, schemas = [], budget = COST_BUDGET } = {}) => {
+  if (!budget.enabled) {
+    return { decision: 'allowed', sql, estimate: null };
+  }
+
+  const estimate = await estimateQueryCost(sql, ast, { adapter, schemas });
+  const reasons = [];
+  const result = (decision, finalSql = sql) => ({
+    decision,
+    sql: finalSql,
+    estimate: {
+      ...estimate,
+      budget: { maxCost: budget.maxCost, maxScanRows: budget.maxScanRows, maxResultRows: budget.maxResultRows, action: budget.action },
+      reasons
+    }
+  });
+
+  if (budget.maxCost > 0 && estimate.estimatedCost !== null && estimate.estimatedCost > budget.maxCost) {
+    reasons.push(`Estimated cost ${formatRows(estimate.estimatedCost)} exceeds the budget of ${formatRows(budget.maxCost)}${describeScans(estimate.fullScans)}`);
+  }
+  if (budget.maxScanRows > 0 && estimate.estimatedScanRows !== null && estimate.estimatedScanRows > budget.maxScanRows) {
+    reasons.push(`Query would read about ${formatRows(estimate.estimatedScanRows)} rows, more than the budget of ${formatRows(budget.maxScanRows)}${describeScans(estimate.fullScans)}`);
+  }
+  if (reasons.length > 0) {
+    return result('refused');
+  }
+
+  const tooManyRows = budget.maxResultRows > 0
+    && estimate.estimatedRows !== null
+    && estimate.estimatedRows > budget.maxResultRows
+    && !returnsSingleRow(ast);
+  if (!tooManyRows) {
+    return result('allowed');
+  }
+
+  if (budget.action === 'refuse') {
+    reasons.push(`Query would return about ${formatRows(estimate.estimatedRows)} rows, more than the budget of ${formatRows(budget.maxResultRows)}`);
+    return result('refused');
+  }
+
+  const capped = capQueryRows(sql, budget.maxResultRows);
+  if (capped === sql) {
+    return result('allowed');
+  }
+  reasons.push(`Query would return about ${formatRows(estimate.estimatedRows)} rows, capped at ${formatRows(budget.maxResultRows)}`);
+  estimate.estimatedRows = budget.maxResultRows;
+  return result('capped', capped);
+};
+
+export default {
+  COST_BUDGET,
+  capQueryRows,
+  estimateQueryCost,
+  checkQueryCost
+};
@@ -1,58 +1,151 @@
-import supabase, { DATABASE_SCHEMA } from '../config/supabaseClient.js';
-import { isSafeQuery } from './geminiService.js';
+import { getDatabaseAdapter } from '../adapters/index.js';
+import { evaluateQueryPolicy, assertQueryAllowed } from './queryPolicy.js';
+import AccessControl from './accessControl.js';
+import { checkQueryCost } from './costEstimator.js';
+import { SchemaCache, SCHEMA_FETCH_CONCURRENCY, mapWithConcurrency } from './schemaCache.js';
+import { clearEmbeddingCache } from './schemaRetrieval.js';
+
+// Channel to LISTEN on for schema changes (see scripts/notify_ddl.sql), unset to disable
+const SCHEMA_NOTIFY_CHANNEL = process.env.SCHEMA_NOTIFY_CHANNEL || null;
+
+// Database errors caused by the end user's token or privileges, mapped to HTTP statuses:
+// PostgREST JWT errors (PGRST301-303) and Postgres insufficient_privilege (42501)
+const USER_AUTH_ERROR_STATUS = {
+  PGRST301: 401,
+  PGRST302: 401,
+  PGRST303: 401,
+  42501: 403
+};
 
 /**
  * Database Service Layer
  *
  * This service handles all database operations for the AI chat interface.
  * It provides a clean abstraction layer between the application logic
- * and the Supabase database client.
+ * and the configured database adapter (see adapters/index.js).
  *
  * Key features:
  * - Safe query execution with validation
  * - Error handling and transformation
  * - Query building helpers
  * - Response formatting
- * - Dynamic schema introspection
+ * - Dynamic schema introspection, cached (see schemaCache.js)
  */
 
 export class DatabaseService {
+  static schemaCache = new SchemaCache(() => DatabaseService.loadAllTablesSchema());
+
+  static schemaSubscription = null;
+
   /**
    * Get All Tables Schema
    *
-   * Retrieves schema information for ALL discovered tables.
+   * Retrieves schema information for ALL discovered tables, from the
+   * schema cache when it is fresh.
    *
+   * @param {Object} options - { refresh }: bypass the cache
    * @returns {Promise<Array>} Array of table schema objects
    */
-  static async getAllTablesSchema() {
+  static async getAllTablesSchema({ refresh = false } = {}) {
     try {
-      // 1. Get list of all tables
-      const { tables } = await this.getTableSchema(null);
+      return await this.schemaCache.get({ refresh });
+    } catch (error) {
+      console.error('Error getting all tables schema:', error);
+      return [];
+    }
+  }
 
-      if (!tables || tables.length === 0) {
-        return [];
-      }
+  /**
+   * Load All Tables Schema
+   *
+   * Describes every table, SCHEMA_FETCH_CONCURRENCY at a time. Throws when
+   * the table list cannot be read, so that failure is not cached.
+   *
+   * @returns {Promise<Array>} Array of table schema objects
+   */
+  static async loadAllTablesSchema() {
+    const adapter = await getDatabaseAdapter();
+    const tables = await adapter.listTables();
 
-      // 2. Fetch schema for each table
-      const schemas = [];
-      for (const table of tables) {
-        const schema = await this.getTableSchema(table);
-        if (schema) {
-          schemas.push(schema);
-        }
-      }
+    const startedAt = Date.now();
+    const schemas = await mapWithConcurrency(tables, SCHEMA_FETCH_CONCURRENCY, table => this.getTableSchema(table));
+    console.log(`📋 Loaded schema for ${tables.length} tables in ${Date.now() - startedAt}ms`);
+
+    return schemas.filter(Boolean);
+  }
+
+  /**
+   * Invalidate Schema Cache
+   *
+   * @param {string} reason - Why the cache is invalidated (e.g. admin, notify)
+   * @returns {Promise<Object>} Cache statistics after invalidation
+   */
+  static async invalidateSchemaCache(reason = 'manual') {
+    this.schemaCache.invalidate(reason);
+    clearEmbeddingCache();
+    const adapter = await getDatabaseAdapter();
+    adapter.resetSchemaState();
+    return this.getSchemaCacheStats();
+  }
+
+  /**
+   * Get Schema Cache Statistics
+   *
+   * @returns {Object} Cache state, plus whether DDL notifications are received
+   */
+  static getSchemaCacheStats() {
+    return {
+      ...this.schemaCache.getStats(),
+      tables: this.schemaCache.entry?.value.map(schema => schema.table) || [],
+      notifyChannel: SCHEMA_NOTIFY_CHANNEL,
+      listening: Boolean(this.schemaSubscription)
+    };
+  }
 
-      return schemas;
+  /**
+   * Start Schema Change Listener
+   *
+   * When SCHEMA_NOTIFY_CHANNEL is set, invalidates the schema cache on
+   * every NOTIFY from the database (and after the listener reconnects,
+   * since notifications may have been missed).
+   *
+   * @returns {Promise<boolean>} True if the listener is running
+   */
+  static async startSchemaChangeListener() {
+    if (!SCHEMA_NOTIFY_CHANNEL || this.schemaSubscription) {
+      return Boolean(this.schemaSubscription);
+    }
+
+    try {
+      const adapter = await getDatabaseAdapter();
+      this.schemaSubscription = await adapter.subscribeToSchemaChanges(SCHEMA_NOTIFY_CHANNEL, payload => {
+        this.invalidateSchemaCache(payload ? `notify: ${payload}` : 'notify')
+          .catch(error => console.error('Error invalidating schema cache:', error.message));
+      });
+      if (!this.schemaSubscription) {
+        console.log(`⚠️ The ${adapter.name} adapter cannot listen for schema changes; relying on SCHEMA_CACHE_TTL_MS`);
+      }
     } catch (error) {
-      console.error('Error getting all tables schema:', error);
-      return [];
+      console.error(`❌ Could not listen for NOTIFY ${SCHEMA_NOTIFY_CHANNEL}:`, error.message);
+    }
+
+    return Boolean(this.schemaSubscription);
+  }
+
+  /**
+   * Stop Schema Change Listener
+   */
+  static async stopSchemaChangeListener() {
+    if (this.schemaSubscription) {
+      await this.schemaSubscription.stop();
+      this.schemaSubscription = null;
     }
   }
 
   /**
    * Get Database Schema
    *
-   * Dynamically retrieves the database schema from Supabase.
+   * Dynamically retrieves the database schema through the database adapter.
    * This allows the AI to work with any database structure.
    *
    * @param {string} tableName - Optional table name to get schema for
@@ -60,73 +153,25 @@ export class DatabaseService {
    */
   static async getTableSchema(tableName = null) {
     try {
+      const adapter = await getDatabaseAdapter();
+
       // Get all tables if no specific table requested
       if (!tableName) {
-        // Query PostgreSQL information_schema to get all tables
-        const { data, error } = await supabase
-          .from('information_schema.tables')
-          .select('table_name')
-          .eq('table_schema', 'public')
-          .eq('table_type', 'BASE TABLE');
-
-        if (error) {
-          // Fallback: try to get tables by querying known table
-          console.log('Using fallback method to detect tables');
-          return {
-            tables: ['items'], // Default fallback
-            primaryTable: 'items'
-          };
-        }
-
-        const tables = data?.map(t => t.table_name) || ['items'];
+        const tables = await adapter.listTables();
         return {
           tables: tables,
-          primaryTable: tables[0] || 'items'
+          primaryTable: tables[0] || null
         };
       }
 
-      // Get columns for specific table
-      const { data, error } = await supabase
-        .from(tableName)
-        .select('*')
-        .limit(1);
-
-      if (error) {
-        console.error('Error getting table schema:', error);
+      const schema = await adapter.describeTable(tableName);
+      if (!schema) {
         return null;
       }
 
-      // Extract column information from the first row
-      const columns = {};
-      if (data && data.length > 0) {
-        const sampleRow = data[0];
-        Object.keys(sampleRow).forEach(key => {
-          const value = sampleRow[key];
-          let type = 'text';
-
-          if (typeof value === 'number') {
-            type = Number.isInteger(value) ? 'integer' : 'decimal';
-          } else if (typeof value === 'boolean') {
-            type = 'boolean';
-          } else if (value instanceof Date) {
-            type = 'date';
-          }
-
-          columns[key] = type;
-        });
-      }
-
-      // Get sample data for AI context
-      const { data: sampleData } = await supabase
-        .from(tableName)
-        .select('*')
-        .limit(3);
-
       return {
-        table: tableName,
-        columns: columns,
-        sampleData: sampleData || [],
-        columnCount: Object.keys(columns).length
+        ...schema,
+        columnCount: Object.keys(schema.columns).length
       };
 
     } catch (error) {
@@ -135,6 +180,31 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Test Database Connection
+   *
+   * @returns {Promise<boolean>} True if the configured database is reachable
+   */
+  static async testConnection() {
+    try {
+      const adapter = await getDatabaseAdapter();
+      return await adapter.testConnection();
+    } catch (error) {
+      console.error('❌ Database connection error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get SQL Dialect
+   *
+   * @returns {Promise<string>} Dialect generated queries must use (e.g. PostgreSQL)
+   */
+  static async getDialect() {
+    const adapter = await getDatabaseAdapter();
+    return adapter.dialect;
+  }
+
   /**
    * Get Schema Description for AI
    *
@@ -169,7 +239,7 @@ export class DatabaseService {
    * Execute Query
    *
    * Main method for executing database queries.
-   * Uses Supabase's built-in query methods for better security and reliability.
+   * Runs read-only through the configured database adapter.
    *
    * @param {string} query - SQL query string (for logging purposes)
    * @param {Array} params - Query parameters for prepared statements
@@ -177,146 +247,20 @@ export class DatabaseService {
    */
   static async executeQuery(query, params = []) {
     try {
-      // Validate query safety
-      if (!isSafeQuery(query)) {
-        throw new Error('Query contains unsafe operations');
-      }
+      // Validate query safety (the built-in templates bound their own row counts)
+      assertQueryAllowed(query, { requireLimit: false });
 
       console.log('🔍 Executing query:', query);
       console.log('📋 Parameters:', params);
 
-      // Parse the query to determine what type of operation to perform
-      const cleanQuery = query.replace(/\s+/g, ' ').trim();
-      const upperQuery = cleanQuery.toUpperCase();
-
-      let result;
-
-      if (upperQuery.includes('SELECT') && upperQuery.includes('FROM ITEMS')) {
-        // Handle SELECT queries on items table
-        if (upperQuery.includes('COUNT(*)')) {
-          // Handle COUNT queries
-          let countQuery = supabase.from('items').select('*', { count: 'exact', head: true });
-
-          // Apply WHERE conditions based on the query
-          if (upperQuery.includes('WHERE')) {
-            const whereClause = cleanQuery.substring(cleanQuery.toUpperCase().indexOf('WHERE') + 5);
-            if (whereClause.includes('CATEGORY =')) {
-              const categoryIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-              if (categoryIndex !== -1) {
-                countQuery = countQuery.eq('category', params[categoryIndex]);
-              }
-            }
-            if (whereClause.includes('IS_ACTIVE =')) {
-              const activeIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-              if (activeIndex !== -1) {
-                countQuery = countQuery.eq('is_active', params[activeIndex]);
-              }
-            }
-          }
-
-          const { data, error, count } = await countQuery;
-          if (error) throw error;
-
-          result = {
-            data: [{ total: count }],
-            count: 1
-          };
-        } else {
-          // Handle regular SELECT queries
-          let selectQuery = supabase.from('items').select('*');
-
-          // Apply WHERE conditions
-          if (upperQuery.includes('WHERE')) {
-            if (upperQuery.includes('CATEGORY =')) {
-              const categoryIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-              if (categoryIndex !== -1) {
-                selectQuery = selectQuery.eq('category', params[categoryIndex]);
-              }
-            }
-            if (upperQuery.includes('PRICE >=')) {
-              const priceIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-              if (priceIndex !== -1) {
-                selectQuery = selectQuery.gte('price', params[priceIndex]);
-              }
-            }
-            if (upperQuery.includes('PRICE <=')) {
-              const priceIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-              if (priceIndex !== -1) {
-                selectQuery = selectQuery.lte('price', params[priceIndex]);
-              }
-            }
-            if (upperQuery.includes('RATING >=')) {
-              const ratingIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-              if (ratingIndex !== -1) {
-                selectQuery = selectQuery.gte('rating', params[ratingIndex]);
-              }
-            }
-            if (upperQuery.includes('NAME ILIKE')) {
-              const nameIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-              if (nameIndex !== -1) {
-                selectQuery = selectQuery.ilike('name', params[nameIndex]);
-              }
-            }
-            if (upperQuery.includes('IS_ACTIVE = TRUE')) {
-              selectQuery = selectQuery.eq('is_active', true);
-            }
-          }
-
-          // Apply ORDER BY
-          if (upperQuery.includes('ORDER BY')) {
-            if (upperQuery.includes('PRICE ASC')) {
-              selectQuery = selectQuery.order('price', { ascending: true });
-            } else if (upperQuery.includes('PRICE DESC')) {
-              selectQuery = selectQuery.order('price', { ascending: false });
-            } else if (upperQuery.includes('RATING DESC')) {
-              selectQuery = selectQuery.order('rating', { ascending: false });
-            } else if (upperQuery.includes('CREATED_DATE DESC')) {
-              selectQuery = selectQuery.order('created_date', { ascending: false });
-            } else if (upperQuery.includes('CREATED_DATE ASC')) {
-              selectQuery = selectQuery.order('created_date', { ascending: true });
-            } else if (upperQuery.includes('NAME ASC')) {
-              selectQuery = selectQuery.order('name', { ascending: true });
-            }
-          }
-
-          // Apply LIMIT
-          if (upperQuery.includes('LIMIT')) {
-            const limitIndex = params.findIndex((_, i) => cleanQuery.includes(`$${i + 1}`));
-            if (limitIndex !== -1) {
-              selectQuery = selectQuery.limit(params[limitIndex]);
-            }
-          }
-
-          const { data, error } = await selectQuery;
-          if (error) throw error;
-
-          result = {
-            data: data || [],
-            count: data?.length || 0
-          };
-        }
-      } else if (upperQuery.includes('SELECT DISTINCT CATEGORY')) {
-        // Handle category queries
-        const { data, error } = await supabase
-          .from('items')
-          .select('category')
-          .not('category', 'is', null);
-
-        if (error) throw error;
-
-        const uniqueCategories = [...new Set(data.map(item => item.category))].sort();
-        result = {
-          data: uniqueCategories.map(category => ({ category })),
-          count: uniqueCategories.length
-        };
-      } else {
-        throw new Error('Unsupported query type');
-      }
+      const adapter = await getDatabaseAdapter();
+      const result = await adapter.executeReadOnly(query, params);
 
       return {
         success: true,
         data: result.data,
         count: result.count,
+        truncated: Boolean(result.truncated),
         query: query,
         params: params
       };
@@ -326,6 +270,7 @@ export class DatabaseService {
       return {
         success: false,
         error: error.message,
+        policyViolations: error.violations,
         query: query,
         params: params
       };
@@ -335,255 +280,105 @@ export class DatabaseService {
   /**
    * Execute Dynamic SQL Query
    *
-   * Executes AI-generated SQL queries with enhanced safety checks.
-   * Uses Supabase's RPC feature for direct SQL execution.
+   * Executes AI-generated SQL queries after checking them against the
+   * query safety policy and the caller's table and column access.
+   * Rejected queries are not sent to the database; the result carries
+   * the policy violations instead. `SELECT *` over tables with hidden
+   * columns is rewritten to the readable columns before it runs.
+   * Queries are then held against the cost budget (see costEstimator.js):
+   * too expensive ones are refused, ones returning too many rows capped.
    *
    * @param {string} sqlQuery - AI-generated SQL query
-   * @returns {Promise<Object>} Query results and metadata
+   * @param {Object} options - Execution options
+   * @param {Array} options.schema - Table schemas the query was generated from
+   * @param {Object|null} options.access - Caller's access (see AccessControl), null for unrestricted
+   * @param {Object|null} options.userDatabase - Adapter scoped to the end user (see
+   *   resolveUserSession), so row-level security applies; null for the shared adapter
+   * @returns {Promise<Object>} Query results and metadata with `costEstimate`; `authStatus`
+   *   (401/403) when the database refused the user's token or privileges
    */
-  static async executeDynamicQuery(sqlQuery) {
+  static async executeDynamicQuery(sqlQuery, { schema, access = null, userDatabase = null } = {}) {
     try {
       console.log('🔍 Executing dynamic query:', sqlQuery);
 
       // Validate query safety
-      if (!isSafeQuery(sqlQuery)) {
-        throw new Error('Query contains unsafe operations');
+      const policy = evaluateQueryPolicy(sqlQuery);
+      if (!policy.allowed) {
+        console.log('🚫 Query rejected by safety policy:', policy.violations.map(violation => violation.rule).join(', '));
+        return {
+          success: false,
+          rejected: true,
+          error: `Query rejected by safety policy: ${policy.violations.map(violation => violation.message).join('; ')}`,
+          policyViolations: policy.violations,
+          query: sqlQuery
+        };
       }
 
-      // Additional safety checks
-      const upperQuery = sqlQuery.toUpperCase().trim();
+      const adapter = await getDatabaseAdapter();
 
-      // Must be a SELECT query
-      if (!upperQuery.startsWith('SELECT')) {
-        throw new Error('Only SELECT queries are allowed');
+      // Hidden tables and columns are rejected, SELECT * is narrowed
+      const enforced = AccessControl.enforce(sqlQuery, policy.ast, access, schema, { dialect: adapter.dialect });
+      if (enforced.violations.length > 0) {
+        console.log('🚫 Query rejected by access control:', enforced.violations.map(violation => violation.message).join(', '));
+        return {
+          success: false,
+          rejected: true,
+          error: `Query rejected by access control: ${enforced.violations.map(violation => violation.message).join('; ')}`,
+          policyViolations: enforced.violations,
+          query: sqlQuery
+        };
+      }
+      if (enforced.rewritten) {
+        console.log('✂️ Rewrote SELECT * to the readable columns:', enforced.sql);
       }
 
-      // Execute using Supabase's rpc method for raw SQL
-      // Note: This requires a PostgreSQL function to be created in Supabase
-      // For now, we'll parse and execute using Supabase's query builder
+      const database = userDatabase || adapter;
 
-      const result = await this.parseAndExecuteSQL(sqlQuery);
+      // Queries over the cost budget are refused, ones returning too many rows capped
+      const cost = await checkQueryCost(enforced.sql, policy.ast, { adapter: database, schemas: schema });
+      if (cost.decision === 'refused') {
+        console.log('💸 Query refused by cost guardrails:', cost.estimate.reasons.join('; '));
+        return {
+          success: false,
+          rejected: true,
+          error: `Query refused by cost guardrails: ${cost.estimate.reasons.join('; ')}`,
+          policyViolations: cost.estimate.reasons.map(message => ({ rule: 'cost_exceeded', message })),
+          costEstimate: cost.estimate,
+          query: enforced.sql
+        };
+      }
+      if (cost.decision === 'capped') {
+        console.log('📉 Capped query rows:', cost.sql);
+      }
+
+      const result = await database.executeReadOnly(cost.sql, [], { schema });
+      const rows = result.data || [];
 
       return {
         success: true,
-        data: result.data || [],
+        data: rows,
         count: result.data?.length || (result.count !== undefined ? result.count : 0),
-        query: sqlQuery
+        aggregated: Boolean(result.aggregated),
+        truncated: Boolean(result.truncated),
+        // The estimate only lowered the LIMIT; rows were cut only if the capped query filled it
+        capped: cost.decision === 'capped' && rows.length >= cost.estimate.budget.maxResultRows,
+        costEstimate: cost.estimate,
+        query: cost.sql,
+        ...(cost.sql !== sqlQuery && { originalQuery: sqlQuery })
       };
 
     } catch (error) {
       console.error('❌ Dynamic query execution error:', error);
+      const authStatus = userDatabase ? USER_AUTH_ERROR_STATUS[error.code] : undefined;
       return {
         success: false,
         error: error.message,
-        query: sqlQuery
+        query: sqlQuery,
+        ...(authStatus && { authStatus })
       };
     }
   }
 
-  /**
-   * Parse and Execute SQL
-   *
-   * Converts SQL string to Supabase query builder calls.
-   * This is a simplified parser for common SELECT queries.
-   *
-   * @param {string} sql - SQL query string
-   * @returns {Promise<Object>} Query results
-   */
-  static async parseAndExecuteSQL(sql) {
-    const cleanSQL = sql.replace(/;+$/, '').trim();
-    const upperSQL = cleanSQL.toUpperCase();
-
-    // Extract table name
-    const fromMatch = cleanSQL.match(/FROM\s+(\w+)/i);
-    if (!fromMatch) {
-      // Handle simple SELECTs without FROM (e.g., SELECT 1)
-      if (upperSQL === 'SELECT 1') {
-        return { data: [{ result: 1 }], count: 1 };
-      }
-      throw new Error('Could not parse table name from query');
-    }
-    const tableName = fromMatch[1];
-
-    // Start building query
-    let query = supabase.from(tableName);
-
-    // Handle COUNT queries
-    if (upperSQL.includes('COUNT(*)')) {
-      query = query.select('*', { count: 'exact', head: false });
-
-      // Apply WHERE clause if present
-      query = this.applyWhereClause(query, cleanSQL);
-
-      // Apply GROUP BY if present
-      if (upperSQL.includes('GROUP BY')) {
-        // For GROUP BY queries, we need to select the actual columns
-        const selectMatch = cleanSQL.match(/SELECT\s+([\s\S]*?)\s+FROM/i);
-        if (selectMatch) {
-          const columns = selectMatch[1].trim();
-          query = supabase.from(tableName).select(columns);
-          query = this.applyWhereClause(query, cleanSQL);
-          query = this.applyGroupBy(query, cleanSQL);
-        }
-      }
-
-      const { data, error, count } = await query;
-      if (error) throw error;
-
-      if (upperSQL.includes('GROUP BY')) {
-        return { data, count: data?.length || 0 };
-      }
-
-      return { data: [{ total: count }], count: 1 };
-    }
-
-    // Handle regular SELECT queries
-    const selectMatch = cleanSQL.match(/SELECT\s+([\s\S]*?)\s+FROM/i);
-    let selectColumns = '*';
-    let isDistinct = false;
-
-    if (selectMatch) {
-      selectColumns = selectMatch[1].trim();
-
-      // Handle DISTINCT
-      if (selectColumns.toUpperCase().startsWith('DISTINCT ')) {
-        isDistinct = true;
-        selectColumns = selectColumns.substring(9).trim(); // Remove "DISTINCT "
-      }
-
-      // Convert SQL column list to Supabase format
-      if (selectColumns !== '*' && !selectColumns.includes('(')) {
-        selectColumns = selectColumns.split(',').map(c => c.trim()).join(',');
-      }
-    }
-
-    query = supabase.from(tableName).select(selectColumns);
-
-    // Apply WHERE clause
-    query = this.applyWhereClause(query, cleanSQL);
-
-    // Apply ORDER BY
-    query = this.applyOrderBy(query, cleanSQL);
-
-    // Apply LIMIT
-    query = this.applyLimit(query, cleanSQL);
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    // Post-process for DISTINCT if needed (since Supabase select() doesn't do DISTINCT directly easily)
-    let finalData = data || [];
-    if (isDistinct && finalData.length > 0) {
-      // Simple deduplication for retrieved columns
-      // Note: This works because we only fetch limited rows usually
-      const uniqueSet = new Set();
-      finalData = finalData.filter(item => {
-        const val = JSON.stringify(item);
-        if (uniqueSet.has(val)) return false;
-        uniqueSet.add(val);
-        return true;
-      });
-    }
-
-    return { data: finalData, count: finalData.length };
-  }
-
-  /**
-   * Apply WHERE clause to Supabase query
-   */
-  static applyWhereClause(query, sql) {
-    const whereMatch = sql.match(/WHERE\s+([\s\S]*?)(?:ORDER BY|GROUP BY|LIMIT|$)/i);
-    if (!whereMatch) return query;
-
-    const whereClause = whereMatch[1].trim();
-
-    // Parse simple conditions
-    // Handle = conditions
-    const eqMatches = [...whereClause.matchAll(/(\w+)\s*=\s*'([^']+)'/gi)];
-    for (const match of eqMatches) {
-      query = query.eq(match[1], match[2]);
-    }
-
-    // Handle numeric = conditions
-    const numEqMatches = [...whereClause.matchAll(/(\w+)\s*=\s*(\d+(?:\.\d+)?)/gi)];
-    for (const match of numEqMatches) {
-      query = query.eq(match[1], parseFloat(match[2]));
-    }
-
-    // Handle < conditions
-    const ltMatches = [...whereClause.matchAll(/(\w+)\s*<\s*(\d+(?:\.\d+)?)/gi)];
-    for (const match of ltMatches) {
-      query = query.lt(match[1], parseFloat(match[2]));
-    }
-
-    // Handle > conditions
-    const gtMatches = [...whereClause.matchAll(/(\w+)\s*>\s*(\d+(?:\.\d+)?)/gi)];
-    for (const match of gtMatches) {
-      query = query.gt(match[1], parseFloat(match[2]));
-    }
-
-    // Handle >= conditions
-    const gteMatches = [...whereClause.matchAll(/(\w+)\s*>=\s*(\d+(?:\.\d+)?)/gi)];
-    for (const match of gteMatches) {
-      query = query.gte(match[1], parseFloat(match[2]));
-    }
-
-    // Handle <= conditions
-    const lteMatches = [...whereClause.matchAll(/(\w+)\s*<=\s*(\d+(?:\.\d+)?)/gi)];
-    for (const match of lteMatches) {
-      query = query.lte(match[1], parseFloat(match[2]));
-    }
-
-    // Handle BETWEEN conditions
-    const betweenMatch = whereClause.match(/(\w+)\s+BETWEEN\s+(\d+(?:\.\d+)?)\s+AND\s+(\d+(?:\.\d+)?)/i);
-    if (betweenMatch) {
-      query = query.gte(betweenMatch[1], parseFloat(betweenMatch[2]));
-      query = query.lte(betweenMatch[1], parseFloat(betweenMatch[3]));
-    }
-
-    // Handle ILIKE conditions
-    const ilikeMatches = [...whereClause.matchAll(/(\w+)\s+ILIKE\s*'([^']+)'/gi)];
-    for (const match of ilikeMatches) {
-      query = query.ilike(match[1], match[2]);
-    }
-
-    return query;
-  }
-
-  /**
-   * Apply ORDER BY clause to Supabase query
-   */
-  static applyOrderBy(query, sql) {
-    const orderMatch = sql.match(/ORDER BY\s+([\s\S]*?)(?:LIMIT|$)/i);
-    if (!orderMatch) return query;
-
-    const orderClause = orderMatch[1].trim();
-    const parts = orderClause.split(',')[0].trim().split(/\s+/);
-    const column = parts[0];
-    const direction = parts[1]?.toUpperCase() === 'DESC' ? false : true;
-
-    return query.order(column, { ascending: direction });
-  }
-
-  /**
-   * Apply GROUP BY clause (simplified)
-   */
-  static applyGroupBy(query, sql) {
-    // Supabase doesn't directly support GROUP BY in the query builder
-    // This would need to be handled differently or use RPC
-    return query;
-  }
-
-  /**
-   * Apply LIMIT clause to Supabase query
-   */
-  static applyLimit(query, sql) {
-    const limitMatch = sql.match(/LIMIT\s+(\d+)/i);
-    if (!limitMatch) return query;
-
-    return query.limit(parseInt(limitMatch[1]));
-  }
-
   /**
    * Get Items by Category
    *
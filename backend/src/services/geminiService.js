@@ -1,14 +1,21 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { createHash } from 'crypto';
+import SemanticLayer from './semanticLayer.js';
+import { evaluateQueryPolicy } from './queryPolicy.js';
+import { generate } from '../llm/index.js';
+import { estimateTokens, LLMQuotaError } from './llmUsage.js';
 
 // Load environment variables
 dotenv.config();
 
 /**
- * Gemini AI Service
+ * AI Service
  *
- * This service provides integration with Google's Gemini AI for natural language processing.
- * It handles chat interactions and query interpretation for database operations.
+ * This service provides the natural language processing for the chat:
+ * it builds the prompts and interprets the answers. The model behind
+ * each stage comes from the LLM provider layer (see llm/index.js):
+ * Gemini by default, or an OpenAI-compatible endpoint, a local Ollama
+ * server or the offline mock.
  *
  * Key features:
  * - Context-aware responses based on database schema
@@ -17,91 +24,276 @@ dotenv.config();
  * - Rate limiting awareness
  */
 
-const geminiApiKey = process.env.GEMINI_API_KEY;
-
-// Validate API key
-if (!geminiApiKey) {
-  throw new Error(
-    'Missing Gemini API key. Please ensure GEMINI_API_KEY is set in your .env file.'
-  );
-}
-
-// Initialize Gemini AI client
-const genAI = new GoogleGenerativeAI(geminiApiKey);
-
-const SQL_GENERATION_PROMPT = `You are a SQL query generator. Convert natural language questions into safe PostgreSQL queries.
+const SQL_GENERATION_PROMPT = `You are a SQL query generator. Convert natural language questions into safe {{SQL_DIALECT}} queries.
 
 CRITICAL RULES:
 1. ONLY generate SELECT queries
 2. NEVER use DELETE, INSERT, UPDATE, DROP, ALTER, CREATE, TRUNCATE, or EXEC
-3. Always use proper PostgreSQL syntax
-4. Use LIMIT to prevent large result sets (max 100 rows)
-5. Return ONLY valid SQL, no explanations
+3. Always use proper {{SQL_DIALECT}} syntax
+4. End every query that can return more than one row with LIMIT (max 100 rows); a single aggregate without GROUP BY needs none
+5. Answer with a JSON object: sql, tables_used, assumptions (how you read vague words, e.g. "interpreted 'cheap' as price < 50"), ambiguous, clarifying_question, clarification_options, refines_previous and confidence (0 to 1)
+6. For JOINs use INNER or LEFT JOIN ... ON a.col = b.col and qualify every column with its table alias (o.total, not total)
+7. Map the user's words to columns using the descriptions and synonyms, compare only against the listed allowed values, and when a question asks for a metric use its expression exactly
 
 {{DATABASE_SCHEMA}}
 
 from db select tables
 
-Now generate SQL for the user's question. Return ONLY the SQL query, nothing else.`;
+If the question can reasonably mean different things that lead to different queries (e.g. "best" by rating or by sales), set ambiguous to true, leave sql empty and ask a short clarifying_question instead of guessing, with 2 to 4 short answers to choose from in clarification_options (e.g. "by rating", "by sales").
+
+Now generate SQL for the user's question.`;
+
+// Shape the model must answer generateSQLQuery with
+const SQL_GENERATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    sql: { type: 'string', description: 'The SELECT query, empty when the question is ambiguous' },
+    tables_used: { type: 'array', items: { type: 'string' } },
+    assumptions: { type: 'array', items: { type: 'string' } },
+    ambiguous: { type: 'boolean' },
+    clarifying_question: { type: 'string', nullable: true },
+    clarification_options: { type: 'array', items: { type: 'string' } },
+    refines_previous: { type: 'boolean', description: 'True when the query edits the most recent earlier query' },
+    confidence: { type: 'number', description: 'From 0 (guess) to 1 (certain)' }
+  },
+  required: ['sql', 'tables_used', 'assumptions', 'ambiguous', 'confidence']
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+
+/**
+ * Validate SQL Generation
+ *
+ * Checks the model's answer to generateSQLQuery against
+ * SQL_GENERATION_SCHEMA; the response schema is a request, not a
+ * guarantee.
+ *
+ * @param {Object} output - Parsed JSON answer
+ * @returns {Array} Errors as { path, message }
+ */
+export const validateSqlGeneration = (output) => {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  if (typeof output.sql !== 'string') {
+    errors.push({ path: 'sql', message: 'must be a string' });
+  }
+  if (!isStringList(output.tables_used)) {
+    errors.push({ path: 'tables_used', message: 'must be a list of strings' });
+  }
+  if (!isStringList(output.assumptions)) {
+    errors.push({ path: 'assumptions', message: 'must be a list of strings' });
+  }
+  if (typeof output.ambiguous !== 'boolean') {
+    errors.push({ path: 'ambiguous', message: 'must be a boolean' });
+  }
+  if (output.clarifying_question !== undefined && output.clarifying_question !== null && typeof output.clarifying_question !== 'string') {
+    errors.push({ path: 'clarifying_question', message: 'must be a string or null' });
+  }
+  if (output.clarification_options !== undefined && !isStringList(output.clarification_options)) {
+    errors.push({ path: 'clarification_options', message: 'must be a list of strings' });
+  }
+  if (output.refines_previous !== undefined && typeof output.refines_previous !== 'boolean') {
+    errors.push({ path: 'refines_previous', message: 'must be a boolean' });
+  }
+  if (typeof output.confidence !== 'number' || output.confidence < 0 || output.confidence > 1) {
+    errors.push({ path: 'confidence', message: 'must be a number from 0 to 1' });
+  }
+
+  if (errors.length === 0) {
+    if (output.ambiguous && !output.clarifying_question?.trim()) {
+      errors.push({ path: 'clarifying_question', message: 'is required when the question is ambiguous' });
+    }
+    if (!output.ambiguous && !output.sql.trim()) {
+      errors.push({ path: 'sql', message: 'must not be empty unless the question is ambiguous' });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Format Table Schema
+ *
+ * Renders one table for the prompt: column types, constraints, defaults,
+ * enum values and comments when introspection provided them, the
+ * semantic layer's descriptions, synonyms, allowed values and metrics,
+ * then foreign keys so the model knows how tables join.
+ *
+ * @param {Object} schema - Table schema from DatabaseService
+ * @returns {string} Table description
+ */
+const formatTableSchema = (schema) => {
+  const details = schema.columnDetails
+    || Object.entries(schema.columns).map(([name, type]) => ({ name, type, nullable: true }));
+
+  let text = `Table: ${schema.table}${schema.kind && schema.kind !== 'table' ? ` (${schema.kind})` : ''}\n`;
+  const tableDescription = schema.description || schema.comment;
+  if (tableDescription) {
+    text += `Description: ${tableDescription}\n`;
+  }
+  if (schema.synonyms?.length > 0) {
+    text += `Also called: ${schema.synonyms.join(', ')}\n`;
+  }
+
+  text += 'Columns:\n' + details.map(column => {
+    const attributes = [column.type];
+    if (column.primaryKey) attributes.push('primary key');
+    if (column.nullable === false && !column.primaryKey) attributes.push('not null');
+    if (column.default !== null && column.default !== undefined) attributes.push(`default ${column.default}`);
+
+    let line = `- ${column.name} (${attributes.join(', ')})`;
+    const values = column.allowedValues || column.enumValues;
+    if (values) line += ` one of: ${values.join(', ')}`;
+    if (column.description || column.comment) line += ` -- ${column.description || column.comment}`;
+    if (column.synonyms?.length > 0) line += ` (also: ${column.synonyms.join(', ')})`;
+    return line;
+  }).join('\n');
+
+  if (schema.metrics?.length > 0) {
+    text += '\nMetrics:\n' + schema.metrics.map(metric => {
+      let line = `- ${metric.name} = ${metric.expression}`;
+      if (metric.description) line += ` -- ${metric.description}`;
+      if (metric.synonyms?.length > 0) line += ` (also: ${metric.synonyms.join(', ')})`;
+      return line;
+    }).join('\n');
+  }
+
+  if (schema.foreignKeys?.length > 0) {
+    text += '\nForeign keys:\n' + schema.foreignKeys.map(fk =>
+      `- ${fk.columns.join(', ')} -> ${fk.referencedTable}(${fk.referencedColumns.join(', ')})`
+    ).join('\n');
+  }
+
+  return text;
+};
+
+// Estimated prompt tokens allowed per SQL generation call (0 = no limit)
+const PROMPT_TOKEN_BUDGET = Math.max(0, parseInt(process.env.LLM_PROMPT_TOKEN_BUDGET ?? '8000', 10) || 0);
+
+// Sample rows per table in the prompt, before the budget trims them
+const SAMPLE_ROWS = 2;
+
+const formatSchemaSection = (schemas, sampleRows) => {
+  let schemaSection = 'DATABASE SCHEMA:\n\n';
+
+  schemas.forEach(s => {
+    if (s && s.columns) {
+      schemaSection += formatTableSchema(s);
+
+      // Add sample data if available
+      if (sampleRows > 0 && s.sampleData && s.sampleData.length > 0) {
+        schemaSection += `\nSample data:\n`;
+        s.sampleData.slice(0, sampleRows).forEach((row, i) => {
+          schemaSection += `${i + 1}. ${JSON.stringify(row)}\n`;
+        });
+      }
+      schemaSection += '\n\n';
+    }
+  });
+  return schemaSection;
+};
+
+/**
+ * Fit the schema into the tokens left of the prompt budget: first with
+ * fewer sample rows, then without the least relevant tables (schemas come
+ * ranked, most relevant first). The most relevant table is always kept.
+ *
+ * @returns {Object} { schemaSection, trimmed }; trimmed is null when nothing was cut,
+ *   else { sampleRows, droppedTables, estimatedTokens, budget }
+ */
+const fitSchemaSection = (schemas, availableTokens) => {
+  const fits = (section) => PROMPT_TOKEN_BUDGET === 0 || estimateTokens(section) <= availableTokens;
+
+  let schemaSection = formatSchemaSection(schemas, SAMPLE_ROWS);
+  if (fits(schemaSection)) return { schemaSection, trimmed: null };
+
+  let sampleRows = SAMPLE_ROWS - 1;
+  schemaSection = formatSchemaSection(schemas, sampleRows);
+  while (sampleRows > 0 && !fits(schemaSection)) {
+    sampleRows--;
+    schemaSection = formatSchemaSection(schemas, sampleRows);
+  }
+
+  let kept = schemas;
+  while (kept.length > 1 && !fits(schemaSection)) {
+    kept = kept.slice(0, -1);
+    schemaSection = formatSchemaSection(kept, 0);
+  }
+
+  return {
+    schemaSection,
+    trimmed: {
+      sampleRows,
+      droppedTables: schemas.slice(kept.length).map(s => s.table),
+      estimatedTokens: estimateTokens(schemaSection),
+      budget: Math.max(0, availableTokens)
+    }
+  };
+};
 
 // Simple in-memory cache for query results
 const queryCache = new Map();
 const CACHE_TTL = 3600000; // 1 hour
 
+/**
+ * Forget Generated Query
+ *
+ * Drops a query from the cache, so a question whose query failed is not
+ * answered with it again.
+ *
+ * @param {string} sqlQuery - Query returned by generateSQLQuery
+ */
+export const forgetGeneratedQuery = (sqlQuery) => {
+  for (const [key, entry] of queryCache) {
+    if (entry.generation.sql === sqlQuery) queryCache.delete(key);
+  }
+};
+
 /**
  * Generate SQL Query from Natural Language
  *
- * Uses AI to convert user questions into safe SQL queries.
+ * Uses AI to convert user questions into safe SQL queries. The model
+ * answers with JSON (SQL_GENERATION_SCHEMA) that is validated before it
+ * is used: besides the SQL it names the tables used, the assumptions
+ * made, and whether the question is too ambiguous to answer without a
+ * clarifying question. With `previousAttempts`, the model sees the
+ * queries that already failed and their errors and is asked for a
+ * corrected query. With `previousQueries`, it sees the conversation's
+ * earlier questions and their SQL, so a follow-up ("now only the ones
+ * under $20") edits the last query instead of starting over. A prompt
+ * over LLM_PROMPT_TOKEN_BUDGET gets fewer sample rows, then fewer tables
+ * (see fitSchemaSection).
  *
  * @param {string} userQuestion - Natural language question
  * @param {Object} schema - Database schema information
- * @returns {Promise<string>} Generated SQL query
+ * @param {Object} options - Generation options
+ * @param {string} options.dialect - SQL dialect of the target database (default: PostgreSQL)
+ * @param {Array} options.previousAttempts - Failed attempts as { query, error }
+ * @param {Array} options.previousQueries - Earlier turns as { question, sql }, oldest first
+ * @param {Array} options.pinnedFacts - Facts pinned by conversation summarisation (filters, chosen entities, preferences)
+ * @param {Object} options.usage - Usage context the call is accounted to (see usageContext)
+ * @param {AbortSignal} options.signal - Cancels the call, e.g. when the client disconnects
+ * @returns {Promise<Object>} { sql, tablesUsed, assumptions, ambiguous, clarifyingQuestion,
+ *   clarificationOptions, refinesPrevious, confidence, schemaTrimmed }; sql is empty when the
+ *   question is ambiguous
  */
-export const generateSQLQuery = async (userQuestion, schema = null) => {
-  // Check cache first
-  const cacheKey = `${userQuestion}_${JSON.stringify(schema ? schema.map(s => s.table) : 'default')}`;
-  const cached = queryCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    console.log('⚡ Serving from cache:', userQuestion);
-    return cached.query;
-  }
-
+export const generateSQLQuery = async (userQuestion, schema = null, {
+  dialect = 'PostgreSQL',
+  previousAttempts = [],
+  previousQueries = [],
+  pinnedFacts = [],
+  usage = null,
+  signal = null
+} = {}) => {
   try {
-    const model = genAI.getGenerativeModel({
-      model: 'models/gemini-2.5-flash',
-      generationConfig: {
-        temperature: 0.1, // Very low temperature for consistent SQL generation
-        topK: 20,
-        topP: 0.8,
-        maxOutputTokens: 500,
-      },
-    });
-
-    // Build prompt with schema
-    let prompt = SQL_GENERATION_PROMPT;
+    // Build prompt; the schema goes in last, into whatever the rest leaves of the budget
+    let prompt = SQL_GENERATION_PROMPT.replace(/{{SQL_DIALECT}}/g, dialect);
     let schemaSection = '';
+    let schemaTrimmed = null;
 
-    if (schema) {
-      const schemas = Array.isArray(schema) ? schema : [schema];
-
-      schemaSection = 'DATABASE SCHEMA:\n\n';
-
-      schemas.forEach(s => {
-        if (s && s.columns) {
-          schemaSection += `Table: ${s.table}\nColumns:\n` +
-            Object.entries(s.columns).map(([col, type]) => `- ${col} (${type})`).join('\n');
-
-          // Add sample data if available
-          if (s.sampleData && s.sampleData.length > 0) {
-            schemaSection += `\nSample data:\n`;
-            s.sampleData.slice(0, 2).forEach((row, i) => {
-              schemaSection += `${i + 1}. ${JSON.stringify(row)}\n`;
-            });
-          }
-          schemaSection += '\n\n';
-        }
-      });
-    } else {
+    if (!schema) {
       // Fallback default schema
       schemaSection = `DATABASE SCHEMA:
 Table: items
@@ -119,62 +311,102 @@ Columns:
 - rating (decimal, product rating 0-5)`;
     }
 
-    // Replace the placeholder with the actual schema
-    prompt = prompt.replace('{{DATABASE_SCHEMA}}', schemaSection);
-
     // Pass user's "search for tables" intent if present
     if (userQuestion.toLowerCase().includes('tables') || userQuestion.toLowerCase().includes('schema')) {
-      prompt += `\nHint: The user is asking about the database structure. You can query information_schema or just explain based on the provided schema.`;
+      prompt += '\nHint: The user is asking about the database structure. Answer from the schema in this prompt: information_schema and pg_catalog are blocked, so do not query them. List what the user asked for in a constant SELECT instead, e.g. SELECT \'items, orders\' AS tables.';
     }
 
-    prompt += `\n\nUser question: "${userQuestion}"\n\nSQL query:`;
-
-    // Implement retry logic for rate limiting
-    let result = null;
-    let retries = 5;
-    let delay = 5000;
-
-    while (retries > 0) {
-      try {
-        result = await model.generateContent(prompt);
-        break;
-      } catch (err) {
-        if (err.message && err.message.includes('429')) {
-          console.log(`⏳ Rate limited. Retrying in ${delay}ms... Full error:`, err.message);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          delay *= 1.5; // Exponential backoff
-          retries--;
-        } else {
-          console.error('Gemini API Error details:', JSON.stringify(err, null, 2));
-          throw err;
-        }
-      }
+    if (pinnedFacts.length > 0) {
+      prompt += `\n\nFACTS THE USER ESTABLISHED EARLIER (apply them when relevant):\n${pinnedFacts.map(fact => `- ${fact}`).join('\n')}`;
     }
 
-    if (!result) {
-      throw new Error('Failed to generate content after retries');
+    if (previousQueries.length > 0) {
+      prompt += '\n\nEARLIER IN THIS CONVERSATION (oldest first):\n';
+      previousQueries.forEach((turn, index) => {
+        prompt += `Question ${index + 1}: "${turn.question}"\nSQL: ${turn.sql}\n`;
+      });
+      prompt += 'If the user question follows up on the last of these (e.g. "now only the ones under $20", "sort them by rating", "show their orders"), edit that query: keep its tables, filters and sorting unless the question changes them, and set refines_previous to true. If it is a new question, ignore the earlier queries and set refines_previous to false.';
     }
 
-    const response = result.response;
-    let sqlQuery = response.text().trim();
+    if (previousAttempts.length > 0) {
+      prompt += '\n\nPREVIOUS ATTEMPTS FAILED:\n';
+      previousAttempts.forEach((attempt, index) => {
+        prompt += `Attempt ${index + 1}:\nSQL: ${attempt.query}\nError: ${attempt.error}\n`;
+      });
+      prompt += 'Write a corrected query that avoids these errors, using only the tables, columns and functions shown above.';
+    }
 
-    // Clean up the response
-    sqlQuery = sqlQuery.replace(/```sql\n?/g, '').replace(/```\n?/g, '').trim();
+    prompt += `\n\nUser question: "${userQuestion}"\n\nJSON:`;
 
-    // Remove any trailing semicolon and re-add it
-    sqlQuery = sqlQuery.replace(/;+$/, '') + ';';
+    // Replace the placeholder with the actual schema
+    if (schema) {
+      const schemas = Array.isArray(schema) ? schema : [schema];
+      ({ schemaSection, trimmed: schemaTrimmed } = fitSchemaSection(schemas, PROMPT_TOKEN_BUDGET - estimateTokens(prompt)));
+      if (schemaTrimmed) {
+        console.log(`✂️ Trimmed the schema to fit LLM_PROMPT_TOKEN_BUDGET: ${schemaTrimmed.sampleRows} sample rows per table`
+          + (schemaTrimmed.droppedTables.length > 0 ? `, without ${schemaTrimmed.droppedTables.join(', ')}` : ''));
+      }
+    }
+    prompt = prompt.replace('{{DATABASE_SCHEMA}}', schemaSection);
+
+    // Check cache first; the key covers the whole prompt, so schema or
+    // semantic model changes are never answered from the cache
+    const cacheKey = createHash('sha256').update(prompt).digest('hex');
+    const cached = queryCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      console.log('⚡ Serving from cache:', userQuestion);
+      return cached.generation;
+    }
+
+    // Rate limited calls are retried by the provider layer
+    const result = await generate('sql', {
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.1, // Very low temperature for consistent SQL generation
+      topK: 20,
+      topP: 0.8,
+      maxOutputTokens: 1024,
+      responseSchema: SQL_GENERATION_SCHEMA
+    }, { usage, signal });
+
+    let output;
+    try {
+      output = JSON.parse(result.text);
+    } catch (error) {
+      throw new Error(`${result.provider} did not answer with JSON: ${error.message}`);
+    }
 
-    console.log('🤖 AI Generated SQL:', sqlQuery);
+    const errors = validateSqlGeneration(output);
+    if (errors.length > 0) {
+      throw new Error(`Invalid SQL generation output: ${errors.map(error => `${error.path || '(root)'} ${error.message}`).join('; ')}`);
+    }
+
+    const sql = output.sql.trim();
+    const generation = {
+      // Remove any trailing semicolon and re-add it
+      sql: sql ? sql.replace(/;+$/, '') + ';' : '',
+      tablesUsed: output.tables_used,
+      assumptions: output.assumptions,
+      ambiguous: output.ambiguous,
+      clarifyingQuestion: output.clarifying_question?.trim() || null,
+      clarificationOptions: output.ambiguous ? (output.clarification_options || []).map(option => option.trim()).filter(Boolean) : [],
+      refinesPrevious: previousQueries.length > 0 && output.refines_previous === true,
+      confidence: output.confidence,
+      schemaTrimmed
+    };
+
+    console.log('🤖 AI Generated SQL:', generation.sql || `(ambiguous) ${generation.clarifyingQuestion}`);
 
     // Cache the result
     queryCache.set(cacheKey, {
-      query: sqlQuery,
+      generation,
       timestamp: Date.now()
     });
 
-    return sqlQuery;
+    return generation;
 
   } catch (error) {
+    signal?.throwIfAborted();
+    if (error instanceof LLMQuotaError) throw error;
     console.error('❌ SQL generation error:', error);
     throw new Error('Failed to generate SQL query from question');
   }
@@ -210,105 +442,134 @@ Be conversational, helpful, and concise.`;
  * Processes user messages and generates appropriate responses.
  * This function handles the conversation flow and query generation.
  *
+ * Earlier turns that no longer fit the history budget arrive condensed in
+ * `memory` (see conversationMemory.js): the summary and pinned facts go
+ * into the system prompt, followed by the recent messages verbatim.
+ *
  * @param {string} userMessage - The user's input message
- * @param {Array} conversationHistory - Previous messages for context
+ * @param {Array} conversationHistory - Recent messages for context
+ * @param {Object} options - { onToken } to stream the answer as it is generated,
+ *   { memory } with the summary and pinned facts of older messages, { usage } context
+ *   the call is accounted to, { signal } to cancel it
  * @returns {Promise<string>} AI-generated response
  */
-export const generateResponse = async (userMessage, conversationHistory = []) => {
+export const generateResponse = async (userMessage, conversationHistory = [], { onToken = null, memory = null, usage = null, signal = null } = {}) => {
   try {
-    // Initialize model with system prompt
-    const model = genAI.getGenerativeModel({
-      model: 'models/gemini-2.5-flash',
-      generationConfig: {
-        temperature: 0.3, // Lower temperature for more consistent, factual responses
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 2048,
-      },
-      safetySettings: [
-        {
-          category: 'HARM_CATEGORY_HARASSMENT',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_HATE_SPEECH',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        }
-      ]
-    });
-
-    // Prepare conversation context
-    const history = [
-      {
-        role: 'user',
-        parts: [{ text: SYSTEM_PROMPT }]
-      },
-      {
-        role: 'model',
-        parts: [{ text: 'Understood. I am ready to help users query the product database safely and effectively.' }]
-      }
-    ];
+    const messages = [];
 
     // Add conversation history if available
     if (conversationHistory && conversationHistory.length > 0) {
       // Convert conversation history to the correct format
-      const formattedHistory = conversationHistory.slice(-10).map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      }));
-      history.push(...formattedHistory);
+      messages.push(...conversationHistory.map(msg => ({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: msg.content
+      })));
     }
+    messages.push({ role: 'user', content: userMessage });
 
-    // Generate response
-    const chat = model.startChat({
-      history: history
-    });
-
-    // Implement retry logic for rate limiting
-    let result = null;
-    let retries = 5;
-    let delay = 5000;
-
-    while (retries > 0) {
-      try {
-        result = await chat.sendMessage(userMessage);
-        break;
-      } catch (err) {
-        if (err.message && err.message.includes('429')) {
-          console.log(`⏳ Rate limited. Retrying in ${delay}ms... Full error:`, err.message);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          delay *= 1.5; // Exponential backoff
-          retries--;
-        } else {
-          console.error('Gemini API Error details:', JSON.stringify(err, null, 2));
-          throw err;
-        }
-      }
+    let system = SYSTEM_PROMPT;
+    if (memory?.summary) {
+      system += `\n\nSUMMARY OF THE EARLIER CONVERSATION:\n${memory.summary}`;
     }
-
-    if (!result) {
-      throw new Error('Failed to generate response after retries');
+    if (memory?.pinnedFacts?.length > 0) {
+      system += `\n\nPINNED FACTS (the user established these earlier; keep applying them):\n${memory.pinnedFacts.map(fact => `- ${fact}`).join('\n')}`;
     }
 
-    const response = result.response;
-    return response.text();
+    // Generate response; rate limited calls are retried by the provider layer
+    const result = await generate('answer', {
+      system,
+      messages,
+      temperature: 0.3, // Lower temperature for more consistent, factual responses
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 2048
+    }, { onToken, usage, signal });
+
+    return result.text;
 
   } catch (error) {
-    console.error('Gemini AI service error:', error);
+    signal?.throwIfAborted();
+    if (error instanceof LLMQuotaError) throw error;
+    console.error('AI service error:', error);
 
     // Provide fallback response for common errors
-    if (error.message?.includes('API_KEY')) {
-      throw new Error('Gemini API key is invalid or expired');
+    if (error.message?.includes('API_KEY') || error.message?.includes('API key') || [401, 403].includes(error.status)) {
+      throw new Error('AI provider API key is missing, invalid or expired');
     }
 
-    if (error.message?.includes('quota') || error.message?.includes('429')) {
-      throw new Error('Gemini API quota exceeded. Please try again later.');
+    if (error.message?.includes('quota') || error.status === 429) {
+      throw new Error('AI provider quota exceeded. Please try again later.');
     }
 
     throw new Error('AI service temporarily unavailable. Please try again.');
   }
 };
 
+const SUMMARY_PROMPT = `You keep the memory of a conversation in which a user asks an assistant questions about a database.
+
+Fold the new messages into the summary. Answer with a JSON object:
+- summary: a few sentences on what the user asked and found out, oldest to newest
+- pinned_facts: short standalone statements the rest of the conversation depends on: filters and constraints the user set ("only active items", "prices in EUR"), entities they chose ("the Books category", "order 1042") and preferences ("at most 5 rows", "sort by rating"). Keep the current facts unless the user changed or withdrew them. At most {{MAX_PINNED_FACTS}}.`;
+
+// Shape the model must answer summarizeConversation with
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    pinned_facts: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['summary', 'pinned_facts']
+};
+
+export const MAX_PINNED_FACTS = 20;
+
+/**
+ * Summarize Conversation
+ *
+ * Condenses messages that no longer fit the history budget into the
+ * running summary, and updates the pinned facts: filters, chosen
+ * entities and preferences that must outlive the messages they were set
+ * in.
+ *
+ * @param {Object} memory - { summary, pinnedFacts } so far
+ * @param {Array} messages - Messages to fold in, oldest first, as { role, content }
+ * @param {Object} options - { usage } context the call is accounted to, { signal } to cancel it
+ * @returns {Promise<Object>} { summary, pinnedFacts }
+ */
+export const summarizeConversation = async ({ summary = '', pinnedFacts = [] } = {}, messages, { usage = null, signal = null } = {}) => {
+  let prompt = `CURRENT SUMMARY:\n${summary || '(none yet)'}\n\nCURRENT PINNED FACTS:\n`;
+  prompt += pinnedFacts.length > 0 ? pinnedFacts.map(fact => `- ${fact}`).join('\n') : '(none yet)';
+  prompt += '\n\nNEW MESSAGES:\n';
+  prompt += messages.map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`).join('\n');
+  prompt += '\n\nJSON:';
+
+  const result = await generate('summary', {
+    system: SUMMARY_PROMPT.replace('{{MAX_PINNED_FACTS}}', MAX_PINNED_FACTS),
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.1,
+    maxOutputTokens: 1024,
+    responseSchema: SUMMARY_SCHEMA
+  }, { usage, signal });
+
+  let output;
+  try {
+    output = JSON.parse(result.text);
+  } catch (error) {
+    throw new Error(`${result.provider} did not answer with JSON: ${error.message}`);
+  }
+  if (typeof output?.summary !== 'string' || !isStringList(output.pinned_facts)) {
+    throw new Error('Invalid summary output: expected summary (string) and pinned_facts (list of strings)');
+  }
+
+  return {
+    summary: output.summary.trim(),
+    pinnedFacts: output.pinned_facts.map(fact => fact.trim()).filter(Boolean).slice(0, MAX_PINNED_FACTS)
+  };
+};
+
+// Categories recognized by parseQueryIntent when the semantic model has no allowed values for items.category
+const DEFAULT_CATEGORIES = ['electronics', 'books', 'clothing', 'toys', 'sports', 'home & garden', 'food & beverage', 'office supplies', 'health & beauty'];
+
 /**
  * Parse User Query to SQL
  *
@@ -331,9 +592,9 @@ export const parseQueryIntent = (message) => {
 
   const lowerMessage = message.toLowerCase();
 
-  // Category detection
-  const categories = ['electronics', 'books', 'clothing', 'toys', 'sports', 'home & garden', 'food & beverage', 'office supplies', 'health & beauty'];
-  const detectedCategory = categories.find(cat => lowerMessage.includes(cat.toLowerCase()));
+  // Category detection, with the values curated in the semantic layer when there are any
+  const categories = SemanticLayer.getAllowedValues('items', 'category') || DEFAULT_CATEGORIES;
+  const detectedCategory = categories.map(String).find(cat => lowerMessage.includes(cat.toLowerCase()));
   if (detectedCategory) {
     query.category = detectedCategory;
   }
@@ -386,47 +647,26 @@ export const parseQueryIntent = (message) => {
  * Validate SQL Query Safety
  *
  * Ensures generated SQL queries only contain safe SELECT operations.
- * This is a critical security function to prevent SQL injection.
+ * Delegates to the AST-based query policy (see queryPolicy.js); use
+ * evaluateQueryPolicy directly to get the reasons for a rejection.
  *
  * @param {string} sql - SQL query to validate
  * @returns {boolean} True if query is safe
  */
 export const isSafeQuery = (sql) => {
-  try {
-    const cleanSql = sql.replace(/\s+/g, ' ').trim();
-    const upperSql = cleanSql.toUpperCase();
-
-    // Only allow SELECT queries
-    if (!upperSql.startsWith('SELECT')) {
-      return false;
-    }
-
-    // Block dangerous keywords using word boundaries
-    const dangerousKeywords = ['DELETE', 'INSERT', 'UPDATE', 'DROP', 'ALTER', 'CREATE', 'TRUNCATE', 'EXEC', 'EXECUTE'];
-
-    // Create regex pattern: /\b(DELETE|INSERT|...)\b/i
-    const dangerousPattern = new RegExp(`\\b(${dangerousKeywords.join('|')})\\b`, 'i');
-
-    if (dangerousPattern.test(cleanSql)) {
-      console.log('Query rejected due to dangerous keyword match:', cleanSql);
-      return false;
-    }
-
-    // Additional safety checks
-    if (/\bINTO\b/i.test(cleanSql) || /\bVALUES\b/i.test(cleanSql)) {
-      return false;
-    }
-
-    return true;
-  } catch (error) {
-    console.error('Error validating SQL query:', error);
-    return false;
+  const { allowed, violations } = evaluateQueryPolicy(sql);
+  if (!allowed) {
+    console.log('Query rejected by safety policy:', violations.map(violation => violation.rule).join(', '));
   }
+  return allowed;
 };
 
 export default {
   generateResponse,
   generateSQLQuery,
+  summarizeConversation,
+  validateSqlGeneration,
+  forgetGeneratedQuery,
   parseQueryIntent,
   isSafeQuery
 };
@@ -0,0 +1,282 @@
+import dotenv from 'dotenv';
+import { getLLMUsageStore } from './llmUsageStore.js';
+import { getApiKeyStore } from './apiKeyStore.js';
+
+// Load environment variables
+dotenv.config();
+
+// USD per million tokens; the longest model name prefix wins, so dated
+// and suffixed versions (gemini-2.5-flash-001) use their family's price
+const DEFAULT_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4o': { input: 2.50, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 }
+};
+
+// Providers that run locally and cost nothing per token
+const FREE_PROVIDERS = ['ollama', 'mock'];
+
+// LLM_PRICING adds or overrides prices: {"model": {"input": 0.5, "output": 1.5}}
+const PRICES = (() => {
+  if (!process.env.LLM_PRICING) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (error) {
+    console.error('❌ Ignoring LLM_PRICING, not valid JSON:', error.message);
+    return DEFAULT_PRICES;
+  }
+})();
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Days covered by GET /api/admin/usage without a from date
+const DEFAULT_USAGE_DAYS = 30;
+
+const MAX_USAGE_DAYS = 366;
+
+/**
+ * Estimate Tokens
+ *
+ * Rough token count of a text, about four characters per token. Used
+ * for budgets before a call, and for calls whose provider reports no
+ * token counts.
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const requestText = (request) => [request.system || '', ...request.messages.map(message => message.content)].join('\n');
+
+/**
+ * Estimate Cost
+ *
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {number|null} Estimated cost in USD, null when the model has no known price
+ */
+export const estimateCost = (provider, model, inputTokens, outputTokens) => {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+
+  const family = Object.keys(PRICES)
+    .filter(name => model === name || model.startsWith(`${name}-`) || model.startsWith(`models/${name}`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!family) return null;
+
+  const price = PRICES[family];
+  return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1e6;
+};
+
+/**
+ * LLM Quota Error
+ *
+ * Raised by generate() instead of a call that would take the request past
+ * the gemini quota its API key had left (see usageContext).
+ */
+export class LLMQuotaError extends Error {
+  constructor(callLimit) {
+    super(`This request used the ${callLimit} LLM calls left on its API key's monthly quota`);
+    this.name = 'LLMQuotaError';
+    this.callLimit = callLimit;
+  }
+}
+
+/**
+ * Usage Context
+ *
+ * Who a request's LLM calls are accounted to. Passed to generate() as
+ * `usage`; the calls made for the request are collected in `calls`.
+ * callLimit is the gemini quota the key had left when the request
+ * started (see requireQuota), null when unlimited; generate() refuses
+ * calls beyond it with an LLMQuotaError.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} { apiKeyId, userId, callLimit, calls }
+ */
+export const usageContext = (req) => ({
+  apiKeyId: req.apiKey?.id || null,
+  userId: req.user?.id || null,
+  callLimit: req.apiKeyQuota?.gemini?.remaining ?? null,
+  calls: []
+});
+
+/**
+ * Summarize Calls
+ *
+ * Totals of the calls collected in a usage context, for the chat
+ * response.
+ *
+ * @param {Array} calls - Records from recordLLMCall
+ * @returns {Object} { calls, inputTokens, outputTokens, latencyMs, estimatedCost }
+ */
+export const summarizeCalls = (calls) => ({
+  calls: calls.length,
+  inputTokens: calls.reduce((total, call) => total + (call.inputTokens || 0), 0),
+  outputTokens: calls.reduce((total, call) => total + (call.outputTokens || 0), 0),
+  latencyMs: calls.reduce((total, call) => total + call.latencyMs, 0),
+  estimatedCost: calls.some(call => call.estimatedCost === null)
+    ? null
+    : Number(calls.reduce((total, call) => total + call.estimatedCost, 0).toFixed(6))
+});
+
+/**
+ * Record LLM Call
+ *
+ * Stores one LLM call: model, tokens in and out, latency, retries and
+ * estimated cost. Token counts the provider did not report are estimated
+ * from the text. The store is written in the background; a failure is
+ * logged and never fails the call.
+ *
+ * @param {Object|null} usage - Usage context (see usageContext), null for calls made outside a request
+ * @param {Object} call - { stage, provider, model, request, result, error, retries, latencyMs }
+ * @returns {Object} The usage record
+ */
+export const recordLLMCall = (usage, { stage, provider, model, request, result = null, error = null, retries, latencyMs }) => {
+  const reportedInput = result?.usage?.inputTokens ?? null;
+  const reportedOutput = result?.usage?.outputTokens ?? null;
+  const tokensEstimated = Boolean(result) && (reportedInput === null || reportedOutput === null);
+  const inputTokens = reportedInput ?? (result ? estimateTokens(requestText(request)) : null);
+  const outputTokens = reportedOutput ?? (result ? estimateTokens(result.text) : null);
+  const createdAt = new Date().toISOString();
+
+  const record = {
+    createdAt,
+    day: createdAt.slice(0, 10),
+    apiKeyId: usage?.apiKeyId || null,
+    userId: usage?.userId || null,
+    stage,
+    provider,
+    model,
+    inputTokens,
+    outputTokens,
+    tokensEstimated,
+    latencyMs,
+    retries,
+    estimatedCost: result ? estimateCost(provider, model, inputTokens, outputTokens) : 0,
+    success: Boolean(result),
+    error: error ? error.message : null
+  };
+  usage?.calls.push(record);
+
+  getLLMUsageStore()
+    .then(store => store.insert(record))
+    .catch(storeError => console.error('❌ Could not record LLM usage:', storeError.message));
+  return record;
+};
+
+/**
+ * Validate Usage Query
+ *
+ * @param {Object} query - { from, to, keyId } from the query string
+ * @returns {Array} Errors as { path, message }
+ */
+export const validateUsageQuery = (query) => {
+  const errors = [];
+  ['from', 'to'].forEach(field => {
+    if (query[field] !== undefined && (!DAY_PATTERN.test(query[field]) || Number.isNaN(Date.parse(query[field])))) {
+      errors.push({ path: field, message: 'must be a date as YYYY-MM-DD' });
+    }
+  });
+  if (query.keyId !== undefined && (typeof query.keyId !== 'string' || !query.keyId)) {
+    errors.push({ path: 'keyId', message: 'must be an API key id' });
+  }
+  if (errors.length === 0 && query.from && query.to && query.from > query.to) {
+    errors.push({ path: 'from', message: 'must not be after to' });
+  }
+  if (errors.length === 0) {
+    const to = query.to || new Date().toISOString().slice(0, 10);
+    const from = query.from || to;
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_USAGE_DAYS) {
+      errors.push({ path: 'from', message: `the range cannot exceed ${MAX_USAGE_DAYS} days` });
+    }
+  }
+  return errors;
+};
+
+const total = (rows) => {
+  const calls = rows.reduce((sum, row) => sum + row.calls, 0);
+  const latencyMs = rows.reduce((sum, row) => sum + row.latencyMs, 0);
+  return {
+    calls,
+    failures: rows.reduce((sum, row) => sum + row.failures, 0),
+    inputTokens: rows.reduce((sum, row) => sum + row.inputTokens, 0),
+    outputTokens: rows.reduce((sum, row) => sum + row.outputTokens, 0),
+    retries: rows.reduce((sum, row) => sum + row.retries, 0),
+    averageLatencyMs: calls > 0 ? Math.round(latencyMs / calls) : 0,
+    estimatedCost: Number(rows.reduce((sum, row) => sum + row.estimatedCost, 0).toFixed(6)),
+    unpricedCalls: rows.reduce((sum, row) => sum + row.unpricedCalls, 0)
+  };
+};
+
+// Totals of the rows sharing the fields picked by keyOf, in first-seen order
+const groupBy = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = JSON.stringify(keyOf(row));
+    if (!groups.has(key)) groups.set(key, { fields: keyOf(row), rows: [] });
+    groups.get(key).rows.push(row);
+  });
+  return [...groups.values()].map(({ fields, rows: groupRows }) => ({ ...fields, ...total(groupRows) }));
+};
+
+/**
+ * LLM Usage
+ *
+ * Every LLM call the API makes (SQL generation, answers, conversation
+ * summaries) is recorded by generate() through recordLLMCall, with the
+ * API key and user it was made for. Records are kept in the store
+ * selected with LLM_USAGE_STORE (see llmUsageStore.js).
+ */
+export class LLMUsage {
+  /**
+   * Usage Report
+   *
+   * Calls, tokens, latency and estimated cost over a range of UTC days,
+   * totalled by API key, by day and by model, and per key, day and model.
+   *
+   * @param {Object} query - { from, to, keyId }, see validateUsageQuery; defaults to the last 30 days
+   * @returns {Promise<Object>} { from, to, keyId, totals, byKey, byDay, byModel, rows }
+   */
+  static async report({ from, to, keyId = null } = {}) {
+    const lastDay = to || new Date().toISOString().slice(0, 10);
+    const firstDay = from || new Date(Date.parse(lastDay) - (DEFAULT_USAGE_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+
+    const store = await getLLMUsageStore();
+    const rows = (await store.summarize({ from: firstDay, to: lastDay, apiKeyId: keyId }))
+      .map(row => ({ ...row, estimatedCost: Number(row.estimatedCost.toFixed(6)) }))
+      .sort((a, b) => a.day.localeCompare(b.day) || String(a.apiKeyId).localeCompare(String(b.apiKeyId)) || a.model.localeCompare(b.model));
+
+    // Name the keys; usage outlives revoked keys, and the key store may be elsewhere
+    let keys = [];
+    try {
+      keys = await (await getApiKeyStore()).list();
+    } catch (error) {
+      console.error('❌ Could not load API key names for the usage report:', error.message);
+    }
+    const keyName = (id) => keys.find(key => key.id === id)?.name ?? null;
+
+    return {
+      from: firstDay,
+      to: lastDay,
+      keyId,
+      totals: total(rows),
+      byKey: groupBy(rows, row => ({ apiKeyId: row.apiKeyId, name: keyName(row.apiKeyId) })),
+      byDay: groupBy(rows, row => ({ day: row.day })),
+      byModel: groupBy(rows, row => ({ provider: row.provider, model: row.model })),
+      rows
+    };
+  }
+}
+
+export default LLMUsage;
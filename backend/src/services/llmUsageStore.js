@@ -0,0 +1,229 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { dirname, isAbsolute, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const backendRoot = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Usage file for the file store, relative paths are resolved from backend/
+const LLM_USAGE_PATH = (() => {
+  const path = process.env.LLM_USAGE_PATH || 'llm-usage.json';
+  return isAbsolute(path) ? path : join(backendRoot, path);
+})();
+
+// Days of calls the file store keeps, 0 to keep everything
+const RETENTION_DAYS = Math.max(0, parseInt(process.env.LLM_USAGE_RETENTION_DAYS ?? '90', 10) || 0);
+
+const dayOffset = (days) => new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+/**
+ * File LLM Usage Store
+ *
+ * Keeps one record per LLM call in a JSON file, loaded once and rewritten
+ * after every change; calls older than LLM_USAGE_RETENTION_DAYS are
+ * dropped. Suited to a single server process.
+ *
+ * Records: { id, createdAt, day, apiKeyId, userId, stage, provider, model,
+ * inputTokens, outputTokens, tokensEstimated, latencyMs, retries,
+ * estimatedCost, success, error }
+ */
+export class FileLLMUsageStore {
+  /**
+   * @param {string} path - JSON file
+   */
+  constructor(path = LLM_USAGE_PATH) {
+    this.name = 'file';
+    this.path = path;
+    this.data = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async read() {
+    if (this.data) return this.data;
+
+    if (!this.loading) {
+      this.loading = readFile(this.path, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          return { calls: [] };
+        })
+        .then(data => {
+          this.data = { calls: data.calls || [] };
+          return this.data;
+        })
+        .finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Queue a write of the current data. Writes go to a temporary file and
+   * are renamed into place, one at a time.
+   */
+  save() {
+    const text = `${JSON.stringify(this.data, null, 2)}\n`;
+    const temporaryPath = `${this.path}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await writeFile(temporaryPath, text, 'utf8');
+        await rename(temporaryPath, this.path);
+      });
+    return this.writing;
+  }
+
+  async insert(record) {
+    const data = await this.read();
+    const call = { id: randomUUID(), ...record };
+    data.calls.push(call);
+
+    // Calls are appended in order, so expired ones are at the front
+    if (RETENTION_DAYS > 0 && data.calls[0].day < dayOffset(RETENTION_DAYS)) {
+      const cutoff = dayOffset(RETENTION_DAYS);
+      data.calls = data.calls.filter(entry => entry.day >= cutoff);
+    }
+    await this.save();
+    return { ...call };
+  }
+
+  async summarize({ from, to, apiKeyId = null }) {
+    const groups = new Map();
+    (await this.read()).calls
+      .filter(call => call.day >= from && call.day <= to && (apiKeyId === null || call.apiKeyId === apiKeyId))
+      .forEach(call => {
+        const key = JSON.stringify([call.apiKeyId, call.day, call.provider, call.model]);
+        if (!groups.has(key)) {
+          groups.set(key, {
+            apiKeyId: call.apiKeyId,
+            day: call.day,
+            provider: call.provider,
+            model: call.model,
+            calls: 0,
+            failures: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            retries: 0,
+            latencyMs: 0,
+            estimatedCost: 0,
+            unpricedCalls: 0
+          });
+        }
+        const group = groups.get(key);
+        group.calls++;
+        if (!call.success) group.failures++;
+        group.inputTokens += call.inputTokens || 0;
+        group.outputTokens += call.outputTokens || 0;
+        group.retries += call.retries;
+        group.latencyMs += call.latencyMs;
+        if (call.estimatedCost === null) {
+          group.unpricedCalls++;
+        } else {
+          group.estimatedCost += call.estimatedCost;
+        }
+      });
+    return [...groups.values()];
+  }
+}
+
+const toRow = (record) => ({
+  created_at: record.createdAt,
+  day: record.day,
+  api_key_id: record.apiKeyId,
+  user_id: record.userId,
+  stage: record.stage,
+  provider: record.provider,
+  model: record.model,
+  input_tokens: record.inputTokens,
+  output_tokens: record.outputTokens,
+  tokens_estimated: record.tokensEstimated,
+  latency_ms: record.latencyMs,
+  retries: record.retries,
+  estimated_cost: record.estimatedCost,
+  success: record.success,
+  error: record.error
+});
+
+const fromSummaryRow = (row) => ({
+  apiKeyId: row.api_key_id,
+  day: row.day,
+  provider: row.provider,
+  model: row.model,
+  calls: Number(row.calls),
+  failures: Number(row.failures),
+  inputTokens: Number(row.input_tokens),
+  outputTokens: Number(row.output_tokens),
+  retries: Number(row.retries),
+  latencyMs: Number(row.latency_ms),
+  estimatedCost: Number(row.estimated_cost),
+  unpricedCalls: Number(row.unpriced_calls)
+});
+
+/**
+ * Supabase LLM Usage Store
+ *
+ * Keeps one row per LLM call in the llm_usage table
+ * (scripts/llm_usage.sql), through a service role client, and aggregates
+ * them with llm_usage_summary(), so several server processes can share
+ * the store.
+ */
+export class SupabaseLLMUsageStore {
+  /**
+   * @param {Object} client - Supabase client with the service role
+   */
+  constructor(client) {
+    this.name = 'supabase';
+    this.client = client;
+  }
+
+  async insert(record) {
+    const { data, error } = await this.client.from('llm_usage').insert(toRow(record)).select('id').single();
+    if (error) throw error;
+    return { id: data.id, ...record };
+  }
+
+  async summarize({ from, to, apiKeyId = null }) {
+    const { data, error } = await this.client.rpc('llm_usage_summary', {
+      from_day: from,
+      to_day: to,
+      target_key: apiKeyId
+    });
+    if (error) throw error;
+    return (data || []).map(fromSummaryRow);
+  }
+}
+
+const STORES = {
+  file: async () => new FileLLMUsageStore(),
+  supabase: async () => new SupabaseLLMUsageStore((await import('../config/supabaseClient.js')).createServiceClient())
+};
+
+let storePromise = null;
+
+/**
+ * Get LLM Usage Store
+ *
+ * Returns the store configured with LLM_USAGE_STORE (file or supabase),
+ * created once.
+ *
+ * @returns {Promise<Object>} Shared store instance
+ */
+export const getLLMUsageStore = () => {
+  if (!storePromise) {
+    const name = (process.env.LLM_USAGE_STORE || 'file').toLowerCase();
+    const factory = STORES[name];
+    storePromise = factory
+      ? factory()
+      : Promise.reject(new Error(`Unknown LLM_USAGE_STORE "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`));
+    // Allow a retry after a configuration error
+    storePromise.catch(() => { storePromise = null; });
+  }
+  return storePromise;
+};
+
+export default getLLMUsageStore;
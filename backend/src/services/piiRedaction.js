@@ -0,0 +1,446 @@
+import { createHash } from 'crypto';
+import dotenv from 'dotenv';
+import { parseSQL, childExpressions } from './sqlParser.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * PII Redaction
+ *
+ * Masks, hashes or drops personal data in query results before they are
+ * sent to the LLM or returned to the caller. Two layers find it:
+ * - Column tags: `pii` on a column in the semantic model, or a column
+ *   name that looks like one (email, phone, iban, card_number ...).
+ *   Result columns are traced back to the table columns they are read
+ *   from, so aliases and expressions keep their source's tag
+ * - Content detectors: emails, phone numbers, card numbers (Luhn
+ *   checked) and IBANs (mod-97 checked) inside any string or number
+ *
+ * Each audience has its own policy mapping a PII type to an action:
+ * mask, hash, drop or allow.
+ */
+
+// Values of the semantic model's `pii` column tag ("none" turns detection off for the column)
+export const PII_TAGS = ['email', 'phone', 'card', 'iban', 'personal', 'none'];
+
+const ACTIONS = ['mask', 'hash', 'drop', 'allow'];
+
+const DEFAULT_POLICIES = {
+  llm: { email: 'mask', phone: 'mask', card: 'drop', iban: 'drop', personal: 'mask' },
+  client: { email: 'mask', phone: 'mask', card: 'mask', iban: 'mask', personal: 'mask' }
+};
+
+// Turns the whole layer off
+const PII_REDACTION = process.env.PII_REDACTION !== 'false';
+
+// Turns the content detectors off, leaving only column tags
+const PII_CONTENT_DETECTION = process.env.PII_CONTENT_DETECTION !== 'false';
+
+// Salt for the hash action, so hashes cannot be reversed with a dictionary of known values
+const PII_HASH_SALT = process.env.PII_HASH_SALT || '';
+
+/**
+ * Parse a policy such as "email=hash,card=drop" on top of the defaults.
+ * Unknown types or actions are reported and ignored.
+ */
+const parsePolicy = (value, defaults, name) => {
+  const policy = { ...defaults };
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [type, action] = entry.split('=').map(part => part.trim().toLowerCase());
+    if (!PII_TAGS.includes(type) || type === 'none' || !ACTIONS.includes(action)) {
+      console.warn(`⚠️ Ignoring "${entry}" in ${name}: expected <${PII_TAGS.filter(tag => tag !== 'none').join('|')}>=<${ACTIONS.join('|')}>`);
+      return;
+    }
+    policy[type] = action;
+  });
+  return Object.freeze(policy);
+};
+
+/**
+ * Redaction Policies
+ *
+ * `llm` applies to rows in prompts (results and schema sample data),
+ * `client` to rows returned in the API response. Set with
+ * PII_LLM_POLICY / PII_CLIENT_POLICY, e.g. "email=hash,phone=drop".
+ */
+export const REDACTION_POLICIES = Object.freeze({
+  llm: parsePolicy(process.env.PII_LLM_POLICY, DEFAULT_POLICIES.llm, 'PII_LLM_POLICY'),
+  client: parsePolicy(process.env.PII_CLIENT_POLICY, DEFAULT_POLICIES.client, 'PII_CLIENT_POLICY')
+});
+
+// Column names that hold PII even without a tag
+const COLUMN_NAME_TAGS = [
+  { type: 'email', pattern: /e_?mail/i },
+  { type: 'phone', pattern: /phone|mobile|(^|_)(cell|fax|tel)(_|$)/i },
+  { type: 'card', pattern: /(^|_)(card_?(number|no|num)|cc_?(number|num)|pan|credit_?card)(_|$)/i },
+  { type: 'iban', pattern: /(^|_)iban(_|$)/i }
+];
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const isValidIban = (text) => {
+  const iban = text.replace(/\s/g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = char >= 'A' && char <= 'Z' ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+const digitCount = (text) => text.replace(/\D/g, '').length;
+
+// Phone numbers stored as numbers have no separators: any integer of
+// 10 to 15 digits, except in columns named like ids or timestamps
+const UNFORMATTED_PHONE = /^\d{10,15}$/;
+const NOT_A_PHONE_COLUMN = /(^|_)(id|key|ts|time|timestamp|date|at|epoch|ms)$/i;
+
+// Checked in order: a card number is not also reported as a phone number
+const DETECTORS = [
+  {
+    type: 'email',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: isValidIban
+  },
+  {
+    type: 'card',
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    validate: (match) => passesLuhn(match.replace(/\D/g, ''))
+  },
+  {
+    // Formatted numbers only (+, parentheses or separators), so plain IDs, amounts and dates are left alone
+    type: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?![\w])/g,
+    validate: (match) => /[+()\s.-]/.test(match) && !/\d{4}-\d{2}-\d{2}/.test(match)
+      && digitCount(match) >= 9 && digitCount(match) <= 15
+  }
+];
+
+/**
+ * Replace every character matching `keep` except the last `visible`
+ * ones with '*', leaving separators in place.
+ */
+const maskTail = (text, keep, visible) => {
+  let remaining = [...text].filter(char => keep.test(char)).length;
+  return [...text].map(char => {
+    if (!keep.test(char)) return char;
+    remaining--;
+    return remaining < visible ? char : '*';
+  }).join('');
+};
+
+const mask = (type, text) => {
+  switch (type) {
+  case 'email': {
+    const at = text.lastIndexOf('@');
+    return at > 0 ? `${text[0]}***${text.slice(at)}` : '***';
+  }
+  case 'phone':
+  case 'card':
+    return maskTail(text, /\d/, 4);
+  case 'iban':
+    return `${text.slice(0, 2)}${maskTail(text.slice(2), /[A-Z0-9]/i, 4)}`;
+  default:
+    return text.length > 1 ? `${text[0]}***` : '***';
+  }
+};
+
+const hash = (type, text) => `${type}:${createHash('sha256').update(`${PII_HASH_SALT}${text}`).digest('hex').slice(0, 12)}`;
+
+const apply = (action, type, text) => {
+  switch (action) {
+  case 'mask':
+    return mask(type, text);
+  case 'hash':
+    return hash(type, text);
+  case 'drop':
+    return `[${type} removed]`;
+  default:
+    return text;
+  }
+};
+
+const lower = (name) => String(name).toLowerCase();
+
+const columnNames = (schema) => (schema.columnDetails
+  ? schema.columnDetails.map(column => column.name)
+  : Object.keys(schema.columns || {}));
+
+const nameTag = (column) => {
+  const type = COLUMN_NAME_TAGS.find(({ pattern }) => pattern.test(column))?.type;
+  return type ? { type, source: 'column name' } : null;
+};
+
+/**
+ * The stronger of two tags: a PII type over 'none', and 'none' (an
+ * explicit "not personal") over no tag at all.
+ */
+const strongerTag = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.type === 'none') return b;
+  return a;
+};
+
+// Tag of a table column: the semantic model's `pii`, else its name
+const sourceTag = (tables, { table, column }) => {
+  const pii = tables.get(lower(table))?.tags.get(lower(column));
+  return pii ? { type: pii, source: 'tag' } : nameTag(column);
+};
+
+const renamed = (outputs, names) => (names
+  ? outputs.map((output, index) => ({ ...output, name: names[index] ?? output.name }))
+  : outputs);
+
+/**
+ * Output columns of a FROM item, each with the table columns it reads.
+ */
+const sourceOutputs = (reference, tables, ctes) => {
+  if (reference.type === 'table') {
+    const cte = reference.schema === null && ctes.get(lower(reference.name));
+    if (cte) return renamed(cte, reference.columns);
+
+    const table = tables.get(lower(reference.name));
+    const outputs = (table?.columns || []).map(column => ({ name: column, origins: [{ table: table.table, column }] }));
+    return renamed(outputs, reference.columns);
+  }
+  if (reference.query) {
+    return renamed(queryOutputs(reference.query, tables, ctes), reference.columns);
+  }
+  return [];
+};
+
+/**
+ * Table columns an expression reads, through column references, whole-row
+ * references and scalar subqueries.
+ */
+const expressionOrigins = (node, sources, tables, ctes) => {
+  if (!node || typeof node !== 'object') return [];
+  if (node.query) {
+    return queryOutputs(node.query, tables, ctes).flatMap(output => output.origins)
+      .concat(node.expr ? expressionOrigins(node.expr, sources, tables, ctes) : []);
+  }
+  if (node.type === 'column') {
+    const candidates = node.table
+      ? sources.filter(source => source.alias && lower(source.alias) === lower(node.table))
+      : sources;
+    const matches = candidates.flatMap(source => source.outputs).filter(output => lower(output.name) === lower(node.name));
+    if (matches.length > 0) return matches.flatMap(output => output.origins);
+
+    // A bare table alias is a whole-row reference: row_to_json(users)
+    return sources.filter(source => source.alias && lower(source.alias) === lower(node.name))
+      .flatMap(source => source.outputs.flatMap(output => output.origins));
+  }
+  return childExpressions(node).flatMap(child => expressionOrigins(child, sources, tables, ctes));
+};
+
+/**
+ * Result columns of a query, in order, as { name, origins: [{ table, column }] };
+ * name is null for an expression without an alias.
+ */
+const queryOutputs = (query, tables, ctes = new Map()) => {
+  if (query.with) {
+    ctes = new Map(ctes);
+    for (const cte of query.with.ctes) {
+      ctes.set(lower(cte.name), renamed(queryOutputs(cte.query, tables, ctes), cte.columns));
+    }
+  }
+
+  if (query.type === 'compound') {
+    // Names come from the left query, values from both
+    const right = queryOutputs(query.right, tables, ctes);
+    return queryOutputs(query.left, tables, ctes)
+      .map((output, index) => ({ ...output, origins: [...output.origins, ...(right[index]?.origins || [])] }));
+  }
+
+  const sources = [query.from, ...(query.joins || []).map(join => join.table)].filter(Boolean)
+    .map(reference => ({ alias: reference.alias || reference.name, outputs: sourceOutputs(reference, tables, ctes) }));
+
+  return query.columns.flatMap(({ expr, alias }) => {
+    if (expr.type === 'star') {
+      return sources
+        .filter(source => !expr.table || (source.alias && lower(source.alias) === lower(expr.table)))
+        .flatMap(source => source.outputs);
+    }
+    return [{
+      name: alias || (expr.type === 'column' ? expr.name : null),
+      origins: expressionOrigins(expr, sources, tables, ctes)
+    }];
+  });
+};
+
+/**
+ * Column PII Tags
+ *
+ * Tags the result columns of a query from the table columns they are
+ * read from: `SELECT full_name AS n` keeps the tag of users.full_name,
+ * and same-named columns of different tables keep their own tags. A
+ * table column is tagged by the semantic model's `pii`, else by its name.
+ * Without a query, or one that cannot be parsed, result columns are
+ * matched to table columns by name.
+ *
+ * @param {Array} schemas - Table schemas, annotated by the semantic layer
+ * @param {string} sql - Query that produced the rows (optional)
+ * @returns {Object} { columns: Map(result column, lower-cased -> { type, source }),
+ *   positions: tags in select-list order, null without a parsed query }
+ */
+export const columnPiiTags = (schemas = [], sql = null) => {
+  const tables = new Map(schemas.map(schema => [lower(schema.table), {
+    table: schema.table,
+    columns: columnNames(schema),
+    tags: new Map((schema.columnDetails || []).filter(column => column.pii).map(column => [lower(column.name), column.pii]))
+  }]));
+
+  let outputs = null;
+  if (sql) {
+    try {
+      outputs = queryOutputs(parseSQL(sql, { extended: true }), tables);
+    } catch {
+      outputs = null;
+    }
+  }
+
+  const columns = new Map();
+  const add = (name, tag) => {
+    if (name !== null && tag) columns.set(lower(name), strongerTag(columns.get(lower(name)), tag));
+  };
+
+  if (!outputs) {
+    tables.forEach(table => table.columns.forEach(column => add(column, sourceTag(tables, { table: table.table, column }))));
+    return { columns, positions: null };
+  }
+
+  const positions = outputs.map(output => {
+    const tag = output.origins.map(origin => sourceTag(tables, origin)).reduce(strongerTag, null);
+    add(output.name, tag);
+    return tag;
+  });
+  return { columns, positions };
+};
+
+const tagForColumn = (column, position, width, tags) => {
+  const tag = tags.columns.get(lower(column))
+    ?? (tags.positions?.length === width ? tags.positions[position] : null);
+  return tag || nameTag(column);
+};
+
+/**
+ * Redact Rows
+ *
+ * @param {Array} rows - Result rows
+ * @param {Object} tags - Result column tags from columnPiiTags()
+ * @param {Object} policy - One of REDACTION_POLICIES
+ * @returns {Object} { rows, redactions: [{ column, type, action, source, count }] }
+ */
+export const redactRows = (rows = [], tags = { columns: new Map(), positions: null }, policy = REDACTION_POLICIES.client) => {
+  if (!PII_REDACTION || rows.length === 0) {
+    return { rows, redactions: [] };
+  }
+
+  const counts = new Map();
+  const record = (column, type, action, source) => {
+    const key = `${column}\u0000${type}\u0000${action}\u0000${source}`;
+    const entry = counts.get(key) || { column, type, action, source, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  };
+
+  const redactedRows = rows.map(row => {
+    if (!row || typeof row !== 'object') return row;
+
+    const copy = { ...row };
+    const entries = Object.entries(row);
+    entries.forEach(([column, value], position) => {
+      if (value === null || value === undefined) return;
+
+      const tag = tagForColumn(column, position, entries.length, tags);
+      if (tag?.type === 'none') return;
+
+      if (tag) {
+        const action = policy[tag.type] || 'mask';
+        if (action === 'allow') return;
+        record(column, tag.type, action, tag.source);
+        if (action === 'drop') {
+          delete copy[column];
+        } else {
+          copy[column] = apply(action, tag.type, String(value));
+        }
+        return;
+      }
+
+      const numeric = typeof value === 'number' || typeof value === 'bigint';
+      if (!PII_CONTENT_DETECTION || (typeof value !== 'string' && !numeric)) return;
+
+      const original = String(value);
+      let text = original;
+      DETECTORS.forEach(({ type, pattern, validate }) => {
+        const action = policy[type];
+        if (action === 'allow') return;
+        text = text.replace(pattern, match => {
+          if (validate && !validate(match)) return match;
+          record(column, type, action, 'content');
+          return apply(action, type, match);
+        });
+      });
+      if (text === original && numeric && UNFORMATTED_PHONE.test(original)
+        && !NOT_A_PHONE_COLUMN.test(column) && policy.phone !== 'allow') {
+        record(column, 'phone', policy.phone, 'content');
+        text = apply(policy.phone, 'phone', original);
+      }
+      if (text !== original) copy[column] = text;
+    });
+    return copy;
+  });
+
+  return { rows: redactedRows, redactions: [...counts.values()] };
+};
+
+// Schema arrays with redacted sample rows, see redactSchemaSamples()
+const redactedSchemas = new WeakMap();
+
+/**
+ * Redact Schema Samples
+ *
+ * Applies the LLM policy to the sample rows included in the SQL prompt.
+ *
+ * @param {Array} schemas - Table schemas
+ * @returns {Array} Schemas with redacted sampleData
+ */
+export const redactSchemaSamples = (schemas) => {
+  if (!PII_REDACTION) return schemas;
+  if (redactedSchemas.has(schemas)) return redactedSchemas.get(schemas);
+
+  const result = schemas.map(schema => (schema.sampleData?.length > 0
+    ? { ...schema, sampleData: redactRows(schema.sampleData, columnPiiTags([schema]), REDACTION_POLICIES.llm).rows }
+    : schema));
+  redactedSchemas.set(schemas, result);
+  return result;
+};
+
+export default {
+  PII_TAGS,
+  REDACTION_POLICIES,
+  columnPiiTags,
+  redactRows,
+  redactSchemaSamples
+};
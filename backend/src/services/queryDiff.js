@@ -0,0 +1,97 @@
+import { parseSQL, formatExpression } from './sqlParser.js';
+
+// formatExpression, with IN (subquery) abbreviated instead of rendered empty
+const format = (node) => (node?.type === 'in' && node.query
+  ? `${formatExpression(node.expr)} ${node.not ? 'NOT ' : ''}IN (…)`
+  : formatExpression(node));
+
+// Conditions joined by top-level ANDs, each rendered as SQL
+const conjuncts = (node) => {
+  if (!node) return [];
+  if (node.type === 'logical' && node.operator === 'AND') return node.operands.flatMap(conjuncts);
+  return [format(node)];
+};
+
+const tablesOf = (ast) => [ast.from, ...ast.joins.map(join => join.table)]
+  .filter(source => source?.type === 'table')
+  .map(source => source.name);
+
+const columnsOf = (ast) => ast.columns.map(column => format(column.expr) + (column.alias ? ` AS ${column.alias}` : ''));
+
+const orderOf = (ast) => ast.orderBy.map(order => `${format(order.expr)}${order.direction === 'desc' ? ' DESC' : ''}`).join(', ');
+
+const LIST_CLAUSES = [
+  { clause: 'tables', items: tablesOf, added: 'Added table', removed: 'Removed table' },
+  { clause: 'columns', items: columnsOf, added: 'Added column', removed: 'Removed column' },
+  { clause: 'where', items: ast => conjuncts(ast.where), added: 'Added filter', removed: 'Removed filter' },
+  { clause: 'groupBy', items: ast => ast.groupBy.map(format), added: 'Grouped by', removed: 'No longer grouped by' },
+  { clause: 'having', items: ast => conjuncts(ast.having), added: 'Added group filter', removed: 'Removed group filter' }
+];
+
+const VALUE_CLAUSES = [
+  { clause: 'distinct', value: ast => (ast.distinct ? 'DISTINCT' : ''), label: 'Distinct rows' },
+  { clause: 'orderBy', value: orderOf, label: 'Sort' },
+  { clause: 'limit', value: ast => format(ast.limit), label: 'Limit' },
+  { clause: 'offset', value: ast => format(ast.offset), label: 'Offset' }
+];
+
+const parse = (sql) => {
+  try {
+    return parseSQL(sql, { extended: true });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Diff Queries
+ *
+ * Describes how a follow-up query changed the previous one, clause by
+ * clause: tables, selected columns, WHERE and HAVING conditions (split
+ * on their top-level ANDs), GROUP BY, DISTINCT, ORDER BY, LIMIT and
+ * OFFSET. Queries with CTEs or set operations are only reported as
+ * rewritten.
+ *
+ * @param {string} previousSql - The previous turn's query
+ * @param {string} sql - The new query
+ * @returns {Array|null} Changes as { clause, change: added|removed|changed, from, to, description };
+ *   null when either query cannot be parsed
+ */
+export const diffQueries = (previousSql, sql) => {
+  const previous = parse(previousSql);
+  const current = parse(sql);
+  if (!previous || !current) return null;
+
+  if (previous.type !== 'select' || current.type !== 'select' || previous.with || current.with) {
+    const same = previousSql.replace(/\s+/g, ' ').trim() === sql.replace(/\s+/g, ' ').trim();
+    return same ? [] : [{ clause: 'query', change: 'changed', from: previousSql, to: sql, description: 'Rewrote the query' }];
+  }
+
+  const changes = [];
+  LIST_CLAUSES.forEach(({ clause, items, added, removed }) => {
+    const before = items(previous);
+    const after = items(current);
+    after.filter(item => !before.includes(item))
+      .forEach(item => changes.push({ clause, change: 'added', from: null, to: item, description: `${added} ${item}` }));
+    before.filter(item => !after.includes(item))
+      .forEach(item => changes.push({ clause, change: 'removed', from: item, to: null, description: `${removed} ${item}` }));
+  });
+
+  VALUE_CLAUSES.forEach(({ clause, value, label }) => {
+    const before = value(previous);
+    const after = value(current);
+    if (before === after) return;
+
+    if (!before) {
+      changes.push({ clause, change: 'added', from: null, to: after, description: `${label}: ${after}` });
+    } else if (!after) {
+      changes.push({ clause, change: 'removed', from: before, to: null, description: `${label} removed (was ${before})` });
+    } else {
+      changes.push({ clause, change: 'changed', from: before, to: after, description: `${label}: ${before} → ${after}` });
+    }
+  });
+
+  return changes;
+};
+
+export default diffQueries;
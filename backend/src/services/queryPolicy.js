@@ -0,0 +1,337 @@
+import dotenv from 'dotenv';
+import { tokenize, parseSQL, childExpressions, SQLSyntaxError, UnsupportedQueryError } from './sqlParser.js';
+
+// Load environment variables
+dotenv.config();
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+// Aggregates: a SELECT of only these (without GROUP BY) returns a single row
+const AGGREGATE_FUNCTIONS = new Set([
+  'count', 'sum', 'avg', 'min', 'max', 'string_agg', 'array_agg', 'bool_and', 'bool_or', 'every',
+  'stddev', 'stddev_pop', 'stddev_samp', 'variance', 'var_pop', 'var_samp',
+  'percentile_cont', 'percentile_disc', 'mode', 'corr', 'covar_pop', 'covar_samp',
+  'json_agg', 'jsonb_agg', 'json_object_agg', 'jsonb_object_agg', 'group_concat'
+]);
+
+// Functions generated queries may call. Set-returning functions
+// (generate_series, unnest, ...), pg_sleep, dblink and the admin
+// functions are deliberately absent.
+const DEFAULT_ALLOWED_FUNCTIONS = [
+  ...AGGREGATE_FUNCTIONS,
+  // Window functions
+  'row_number', 'rank', 'dense_rank', 'percent_rank', 'cume_dist', 'ntile',
+  'lag', 'lead', 'first_value', 'last_value', 'nth_value',
+  // Conditionals
+  'coalesce', 'nullif', 'greatest', 'least', 'ifnull',
+  // Strings
+  'lower', 'upper', 'length', 'char_length', 'character_length', 'octet_length',
+  'trim', 'btrim', 'ltrim', 'rtrim', 'substring', 'substr', 'left', 'right', 'replace',
+  'concat', 'concat_ws', 'position', 'strpos', 'split_part', 'initcap', 'lpad', 'rpad',
+  'reverse', 'starts_with', 'to_char', 'translate',
+  // Math
+  'abs', 'ceil', 'ceiling', 'floor', 'round', 'trunc', 'sign', 'sqrt', 'cbrt', 'power', 'pow',
+  'exp', 'ln', 'log', 'log10', 'mod', 'div', 'pi', 'degrees', 'radians', 'width_bucket',
+  // Dates
+  'now', 'date_trunc', 'date_part', 'extract', 'age', 'to_date', 'to_timestamp', 'make_date',
+  'make_interval', 'justify_days', 'date', 'datetime', 'strftime', 'julianday',
+  'date_format', 'datediff', 'year', 'month', 'day',
+  // JSON and arrays
+  'json_build_object', 'jsonb_build_object', 'json_build_array', 'jsonb_build_array',
+  'json_extract_path', 'json_extract_path_text', 'jsonb_extract_path', 'jsonb_extract_path_text',
+  'json_array_length', 'jsonb_array_length', 'json_typeof', 'jsonb_typeof', 'to_json', 'to_jsonb',
+  'array_length', 'cardinality', 'array_to_string', 'array_position'
+];
+
+const DEFAULT_DENIED_SCHEMAS = [
+  'pg_catalog', 'information_schema', 'auth', 'storage', 'vault', 'extensions', 'pgsodium',
+  'graphql', 'realtime', 'net', 'cron', 'supabase_functions'
+];
+
+/**
+ * Default Query Policy
+ *
+ * Rules applied to every AI-generated query. The QUERY_POLICY_*
+ * environment variables adjust them; QUERY_POLICY_ALLOWED_FUNCTIONS adds
+ * to the built-in allow-list rather than replacing it.
+ */
+export const DEFAULT_QUERY_POLICY = Object.freeze({
+  allowedFunctions: new Set([...DEFAULT_ALLOWED_FUNCTIONS, ...parseList(process.env.QUERY_POLICY_ALLOWED_FUNCTIONS)]),
+  deniedSchemas: new Set(process.env.QUERY_POLICY_DENIED_SCHEMAS !== undefined
+    ? parseList(process.env.QUERY_POLICY_DENIED_SCHEMAS)
+    : DEFAULT_DENIED_SCHEMAS),
+  maxSubqueryDepth: parseInt(process.env.QUERY_POLICY_MAX_SUBQUERY_DEPTH ?? '3', 10),
+  requireLimit: process.env.QUERY_POLICY_REQUIRE_LIMIT !== 'false',
+  maxLimit: parseInt(process.env.QUERY_POLICY_MAX_LIMIT ?? '1000', 10) || 0
+});
+
+/**
+ * Query Policy Error
+ *
+ * Raised when a query breaks one or more policy rules. The violations
+ * property lists them as { rule, message } objects.
+ */
+export class QueryPolicyError extends Error {
+  constructor(violations) {
+    super(`Query rejected by safety policy: ${violations.map(violation => violation.message).join('; ')}`);
+    this.name = 'QueryPolicyError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Check the token stream before parsing, so statement-level problems get
+ * a clear rule name instead of a generic syntax error.
+ */
+const checkStatement = (tokens) => {
+  const first = tokens[0];
+  if (first.type === 'eof') {
+    return { rule: 'syntax_error', message: 'Query is empty' };
+  }
+
+  const separator = tokens.findIndex(token => token.type === 'punctuation' && token.value === ';');
+  if (separator !== -1 && tokens.slice(separator).some(token => token.type !== 'eof' && token.value !== ';')) {
+    return { rule: 'single_statement', message: 'Only a single statement is allowed' };
+  }
+
+  const startsQuery = (first.type === 'word' && ['SELECT', 'WITH'].includes(first.upper))
+    || (first.type === 'punctuation' && first.value === '(');
+  if (!startsQuery) {
+    return { rule: 'select_only', message: `Only SELECT queries are allowed (found ${String(first.upper ?? first.value)})` };
+  }
+
+  return null;
+};
+
+const parseErrorViolation = (error) => {
+  if (error instanceof UnsupportedQueryError) {
+    if (/data-modifying|SELECT INTO|FOR UPDATE/.test(error.construct)) {
+      return { rule: 'select_only', message: `Only read-only SELECT queries are allowed (${error.construct})` };
+    }
+    return { rule: 'unsupported_syntax', message: error.message };
+  }
+  if (error instanceof SQLSyntaxError) {
+    return { rule: 'syntax_error', message: error.message };
+  }
+  throw error;
+};
+
+/**
+ * Walks a parsed query, tracking which CTE names are in scope and how
+ * deeply subqueries are nested, and records every rule violation.
+ */
+class PolicyInspector {
+  constructor(policy) {
+    this.policy = policy;
+    this.violations = [];
+    this.maxDepth = 0;
+  }
+
+  add(violation) {
+    if (!this.violations.some(existing => existing.message === violation.message)) {
+      this.violations.push(violation);
+    }
+  }
+
+  inspectQuery(query, scope, depth) {
+    this.maxDepth = Math.max(this.maxDepth, depth);
+    let innerScope = scope;
+
+    if (query.with) {
+      innerScope = new Set(scope);
+      const { recursive, ctes } = query.with;
+      if (recursive) {
+        ctes.forEach(cte => innerScope.add(cte.name.toLowerCase()));
+      }
+      ctes.forEach(cte => {
+        // A non-recursive CTE only sees the CTEs defined before it
+        this.inspectQuery(cte.query, new Set(innerScope), depth + 1);
+        innerScope.add(cte.name.toLowerCase());
+      });
+    }
+
+    Object.entries(query).forEach(([key, value]) => {
+      if (key !== 'with') this.inspectNode(value, innerScope, depth);
+    });
+  }
+
+  inspectNode(node, scope, depth) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this.inspectNode(child, scope, depth));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.type) {
+    case 'select':
+    case 'compound':
+      // Operands of UNION / INTERSECT / EXCEPT
+      this.inspectQuery(node, scope, depth);
+      return;
+    case 'table':
+      this.checkTable(node, scope);
+      break;
+    case 'tableFunction':
+    case 'function':
+      this.checkFunction(node);
+      break;
+    case 'column':
+      if (node.schema) this.checkSchema(node.schema, `${node.schema}.${node.table}.${node.name}`);
+      break;
+    default:
+      break;
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === 'query' && value) {
+        this.inspectQuery(value, scope, depth + 1);
+      } else {
+        this.inspectNode(value, scope, depth);
+      }
+    });
+  }
+
+  checkSchema(schema, object) {
+    if (this.policy.deniedSchemas.has(schema.toLowerCase())) {
+      this.add({ rule: 'denied_schema', message: `Access to schema "${schema}" is not allowed (${object})`, schema });
+      return false;
+    }
+    return true;
+  }
+
+  checkTable(table, scope) {
+    if (table.schema) {
+      this.checkSchema(table.schema, `${table.schema}.${table.name}`);
+    } else if (table.name.toLowerCase().startsWith('pg_') && !scope.has(table.name.toLowerCase())) {
+      // Unqualified pg_* names resolve to the system catalog
+      this.checkSchema('pg_catalog', table.name);
+    }
+  }
+
+  checkFunction(call) {
+    const name = call.name.toLowerCase();
+    if (call.schema && !this.checkSchema(call.schema, `${call.schema}.${name}()`)) {
+      return;
+    }
+
+    const qualified = call.schema ? `${call.schema.toLowerCase()}.${name}` : name;
+    if (!this.policy.allowedFunctions.has(qualified)) {
+      const where = call.type === 'tableFunction' ? ' in FROM' : '';
+      this.add({ rule: 'function_not_allowed', message: `Function ${qualified}()${where} is not allowed`, function: qualified });
+    }
+  }
+}
+
+const isAggregate = (node) => node?.type === 'function' && AGGREGATE_FUNCTIONS.has(node.name) && !node.over;
+
+const containsAggregate = (node) => isAggregate(node) || childExpressions(node || {}).some(containsAggregate);
+
+/**
+ * A SELECT without GROUP BY whose columns are aggregates, or one without
+ * FROM, always returns a single row and needs no LIMIT.
+ */
+export const returnsSingleRow = (query) => query.type === 'select'
+  && !query.distinctOn
+  && (query.groupBy || []).length === 0
+  && (!query.from || query.columns.some(column => containsAggregate(column.expr)));
+
+const checkLimit = (query, policy, violations) => {
+  if (query.limit?.type === 'literal') {
+    if (policy.maxLimit > 0 && query.limit.value > policy.maxLimit) {
+      violations.push({
+        rule: 'limit_too_large',
+        message: `LIMIT ${query.limit.value} exceeds the maximum of ${policy.maxLimit}`,
+        limit: query.limit.value,
+        maxLimit: policy.maxLimit
+      });
+    }
+    return;
+  }
+  if (!query.limit && policy.requireLimit && !returnsSingleRow(query)) {
+    violations.push({
+      rule: 'limit_required',
+      message: policy.maxLimit > 0
+        ? `Queries that can return many rows must end with LIMIT (at most ${policy.maxLimit})`
+        : 'Queries that can return many rows must end with LIMIT'
+    });
+  }
+};
+
+/**
+ * Evaluate Query Policy
+ *
+ * Parses the statement and checks it against the policy rules: single
+ * statement, SELECT only, function allow-list, denied schemas, maximum
+ * subquery depth and a required LIMIT. Keywords inside string literals,
+ * quoted identifiers and comments never trigger a rule.
+ *
+ * @param {string} sql - SQL query to check
+ * @param {Object} overrides - Rules to override for this call (e.g. { requireLimit: false })
+ * @returns {Object} { allowed, violations: [{ rule, message, ... }], ast }
+ */
+export const evaluateQueryPolicy = (sql, overrides = {}) => {
+  const policy = { ...DEFAULT_QUERY_POLICY, ...overrides };
+  const reject = (violation) => ({ allowed: false, violations: [violation], ast: null });
+
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (error) {
+    return reject(parseErrorViolation(error));
+  }
+
+  const statementViolation = checkStatement(tokens);
+  if (statementViolation) {
+    return reject(statementViolation);
+  }
+
+  let ast;
+  try {
+    ast = parseSQL(sql, { extended: true });
+  } catch (error) {
+    return reject(parseErrorViolation(error));
+  }
+
+  const inspector = new PolicyInspector(policy);
+  inspector.inspectQuery(ast, new Set(), 0);
+  const violations = inspector.violations;
+
+  if (inspector.maxDepth > policy.maxSubqueryDepth) {
+    violations.push({
+      rule: 'subquery_depth',
+      message: `Subqueries are nested ${inspector.maxDepth} levels deep (maximum ${policy.maxSubqueryDepth})`,
+      depth: inspector.maxDepth,
+      maxDepth: policy.maxSubqueryDepth
+    });
+  }
+
+  checkLimit(ast, policy, violations);
+
+  return { allowed: violations.length === 0, violations, ast };
+};
+
+/**
+ * Assert Query Allowed
+ *
+ * @param {string} sql - SQL query to check
+ * @param {Object} overrides - Rules to override for this call
+ * @returns {Object} Parsed statement AST
+ * @throws {QueryPolicyError} When the query breaks a rule
+ */
+export const assertQueryAllowed = (sql, overrides = {}) => {
+  const result = evaluateQueryPolicy(sql, overrides);
+  if (!result.allowed) {
+    throw new QueryPolicyError(result.violations);
+  }
+  return result.ast;
+};
+
+export default {
+  DEFAULT_QUERY_POLICY,
+  QueryPolicyError,
+  evaluateQueryPolicy,
+  assertQueryAllowed
+};
@@ -0,0 +1,1127 @@
+import { UnsupportedQueryError, formatExpression, mapChildExpressions, childExpressions } from './sqlParser.js';
+import { isAggregateCall, isScalarFunction } from './aggregationEngine.js';
+
+/**
+ * Query Translator
+ *
+ * Compiles a parsed SELECT statement (see sqlParser.js) into a query plan,
+ * and applies that plan to a Supabase query builder.
+ *
+ * The plan is a plain object so it can be inspected and logged before
+ * anything is sent to the database:
+ * {
+ *   table, select, filters, orders, limit, offset,
+ *   countOnly, aggregate, join, projection, distinct, constantRow, alwaysEmpty
+ * }
+ *
+ * Queries with GROUP BY or aggregate functions get an `aggregate` section:
+ * WHERE is still pushed down as filters, and grouping, HAVING, ORDER BY
+ * and LIMIT are evaluated by the aggregation engine over the fetched rows.
+ *
+ * Queries with INNER/LEFT JOINs get a `join` section: joined tables are
+ * fetched as PostgREST embedded resources and flattened into join rows,
+ * and a `projection` (or `aggregate`) section evaluates the select list.
+ *
+ * Anything that cannot be translated exactly raises an UnsupportedQueryError
+ * instead of being dropped, so a query never silently returns wider results.
+ */
+
+// Identifiers are interpolated into PostgREST strings, so keep them plain
+const SAFE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Comparison operators and their PostgREST filter operators
+const COMPARISON_OPERATORS = {
+  '=': 'eq',
+  '<>': 'neq',
+  '!=': 'neq',
+  '<': 'lt',
+  '>': 'gt',
+  '<=': 'lte',
+  '>=': 'gte'
+};
+
+// Operator to use when the column is on the right-hand side (5 < price)
+const FLIPPED_OPERATORS = {
+  eq: 'eq',
+  neq: 'neq',
+  lt: 'gt',
+  gt: 'lt',
+  lte: 'gte',
+  gte: 'lte'
+};
+
+// Characters with a meaning in PostgREST filter strings
+const RESERVED_FILTER_CHARS = /[,.:()"\\\s]/;
+
+/**
+ * Translation Scope
+ *
+ * Tracks the table in the FROM clause and its alias so qualified column
+ * references (items.price, i.price) can be resolved, and records the
+ * columns an in-process evaluation needs fetched.
+ */
+class Scope {
+  constructor(from, tableSchemas = new Map()) {
+    this.table = from.name;
+    this.alias = from.alias;
+    this.schema = tableSchemas.get(from.name) || null;
+    this.columns = new Set();
+  }
+
+  resolveColumn(node, clause) {
+    if (node.table && node.table !== this.table && node.table !== this.alias) {
+      throw new UnsupportedQueryError(clause, `reference to unknown table "${node.table}" in ${formatExpression(node)}`);
+    }
+    return assertIdentifier(node.name, clause);
+  }
+
+  // Column name as used in a PostgREST filter
+  filterColumn(node, clause) {
+    return this.resolveColumn(node, clause);
+  }
+
+  // Convert a filter value to the column's type, when the schema is known
+  coerce(node, value) {
+    return coerceValue(value, findColumn(this.schema, node.name));
+  }
+
+  // Row key of a column evaluated in process; the column is fetched
+  useColumn(node, clause) {
+    const name = this.resolveColumn(node, clause);
+    this.columns.add(name);
+    return name;
+  }
+
+  selectString() {
+    return this.columns.size > 0 ? [...this.columns].join(',') : '*';
+  }
+}
+
+/**
+ * Join Scope
+ *
+ * Resolves a FROM clause with INNER/LEFT JOINs into a tree of PostgREST
+ * embedded resources. Each joined table must be linked by an equality
+ * between one of its columns and a column of a table already in scope
+ * (ON o.customer_id = c.id); the non-"id" side of that equality is used
+ * as the foreign key hint. Flattened rows are keyed "alias.column".
+ */
+class JoinScope {
+  constructor(ast, tableSchemas = new Map()) {
+    this.tableSchemas = tableSchemas;
+    this.root = this.createNode(ast.from);
+    this.nodes = new Map([[this.root.key, this.root]]);
+    // Extra INNER JOIN ... ON conditions, evaluated like WHERE conditions
+    this.conditions = [];
+
+    ast.joins.forEach(join => this.addJoin(join));
+  }
+
+  createNode(table) {
+    if (table.schema && table.schema !== 'public') {
+      throw new UnsupportedQueryError('FROM clause', `table outside the public schema (${table.schema}.${table.name})`);
+    }
+    return {
+      key: assertIdentifier(table.alias || table.name, 'FROM clause'),
+      table: assertIdentifier(table.name, 'FROM clause'),
+      schema: this.tableSchemas.get(table.name) || null,
+      parent: null,
+      hint: null,
+      joinColumn: null,
+      inner: false,
+      columns: new Set(),
+      star: false,
+      children: []
+    };
+  }
+
+  addJoin(join) {
+    const clause = 'FROM clause';
+
+    if (join.implicit) {
+      throw new UnsupportedQueryError(clause, 'comma-separated tables (use JOIN ... ON)');
+    }
+    if (join.type !== 'inner' && join.type !== 'left') {
+      throw new UnsupportedQueryError(clause, `${join.type.toUpperCase()} JOIN (only INNER and LEFT JOIN are supported)`);
+    }
+    if (join.using) {
+      throw new UnsupportedQueryError(clause, 'JOIN ... USING (use JOIN ... ON)');
+    }
+
+    const node = this.createNode(join.table);
+    if (this.nodes.has(node.key)) {
+      throw new Error(`Table name "${node.key}" specified more than once`);
+    }
+
+    const conditions = splitConjuncts(join.on);
+    const keyIndex = conditions.findIndex(condition => this.isJoinKey(condition, node.key));
+    if (keyIndex === -1) {
+      throw new UnsupportedQueryError('JOIN clause', `condition "${formatExpression(join.on)}" (expected ${node.key}.column = other_table.column)`);
+    }
+
+    const { left, right } = conditions[keyIndex];
+    const [own, other] = left.table === node.key ? [left, right] : [right, left];
+    const parent = this.nodes.get(other.table);
+
+    node.parent = parent.key;
+    node.joinColumn = assertIdentifier(own.name, 'JOIN clause');
+    node.hint = assertIdentifier(own.name === 'id' && other.name !== 'id' ? other.name : own.name, 'JOIN clause');
+    parent.children.push(node);
+    this.nodes.set(node.key, node);
+
+    const rest = conditions.filter((_, index) => index !== keyIndex);
+    if (join.type === 'inner') {
+      this.markInner(node.key);
+      this.conditions.push(...rest);
+    } else if (rest.length > 0) {
+      throw new UnsupportedQueryError('JOIN clause', `LEFT JOIN condition "${formatExpression(join.on)}" beyond a single column equality`);
+    }
+  }
+
+  isJoinKey(condition, key) {
+    if (condition.type !== 'comparison' || condition.operator !== '=') return false;
+    const { left, right } = condition;
+    if (left.type !== 'column' || right.type !== 'column' || !left.table || !right.table) return false;
+    return (left.table === key && this.nodes.has(right.table))
+      || (right.table === key && this.nodes.has(left.table));
+  }
+
+  // An embedded resource filtered as !inner drops parents without a match,
+  // which only holds if every embed on the path to it is inner as well
+  markInner(key) {
+    for (let node = this.nodes.get(key); node && node.parent; node = this.nodes.get(node.parent)) {
+      node.inner = true;
+    }
+  }
+
+  node(key, clause) {
+    const node = this.nodes.get(key);
+    if (!node) {
+      throw new UnsupportedQueryError(clause, `reference to unknown table "${key}"`);
+    }
+    return node;
+  }
+
+  resolveColumn(node, clause) {
+    if (!node.table) {
+      throw new UnsupportedQueryError(clause, `unqualified column "${node.name}" in a query with JOIN (qualify it as table.column)`);
+    }
+    this.node(node.table, clause);
+    return `${node.table}.${assertIdentifier(node.name, clause)}`;
+  }
+
+  // Embedded columns are filtered by their resource path (c.name)
+  filterColumn(node, clause) {
+    this.resolveColumn(node, clause);
+    const path = [node.name];
+    for (let current = this.nodes.get(node.table); current.parent; current = this.nodes.get(current.parent)) {
+      path.unshift(current.key);
+    }
+    return path.join('.');
+  }
+
+  useColumn(node, clause) {
+    const key = this.resolveColumn(node, clause);
+    this.nodes.get(node.table).columns.add(node.name);
+    return key;
+  }
+
+  coerce(node, value) {
+    return coerceValue(value, findColumn(this.nodes.get(node.table)?.schema, node.name));
+  }
+
+  useStar(key, clause) {
+    const nodes = key ? [this.node(key, clause)] : [...this.nodes.values()];
+    nodes.forEach(node => { node.star = true; });
+  }
+
+  tablesIn(expr, clause) {
+    const keys = new Set();
+    const visit = (node) => {
+      if (node.type === 'column') {
+        this.resolveColumn(node, clause);
+        keys.add(node.table);
+      }
+      childExpressions(node).forEach(visit);
+    };
+    visit(expr);
+    return keys;
+  }
+
+  selectString(node = this.root) {
+    const parts = node.star ? ['*'] : [...node.columns];
+    if (node.parent && parts.length === 0) {
+      // An embed needs at least one column to tell a match from no match
+      parts.push(node.joinColumn);
+    }
+    node.children.forEach(child => {
+      parts.push(`${child.key}:${child.table}!${child.hint}${child.inner ? '!inner' : ''}(${this.selectString(child)})`);
+    });
+    return parts.length > 0 ? parts.join(',') : '*';
+  }
+
+  // Plain description of the embed tree for the plan
+  describe(node = this.root) {
+    return {
+      key: node.key,
+      table: node.table,
+      inner: node.inner,
+      children: node.children.map(child => this.describe(child))
+    };
+  }
+}
+
+const splitConjuncts = (node) => {
+  if (!node) return [];
+  if (node.type === 'logical' && node.operator === 'AND') {
+    return node.operands.flatMap(splitConjuncts);
+  }
+  return [node];
+};
+
+const findColumn = (schema, name) => schema?.columnDetails?.find(column => column.name === name) || null;
+
+const NUMERIC_TYPE = /^(smallint|integer|bigint|int|int2|int4|int8|tinyint|mediumint|numeric|decimal|real|double|float|float4|float8|money|serial|bigserial|smallserial)\b/i;
+const BOOLEAN_TYPE = /^(boolean|bool)\b/i;
+const TEXT_TYPE = /^(text|character|char|varchar|nchar|nvarchar|citext|uuid|tinytext|mediumtext|longtext)\b/i;
+const TRUE_STRINGS = ['true', 't', 'yes', 'y', 'on', '1'];
+const FALSE_STRINGS = ['false', 'f', 'no', 'n', 'off', '0'];
+
+/**
+ * Coerce Value
+ *
+ * Converts a WHERE value to the column's introspected type the way
+ * PostgreSQL would read the literal: '42' becomes a number for numeric
+ * columns, 'true' a boolean for boolean columns, 5 a string for text
+ * columns. Values that the column type cannot accept, including labels
+ * outside an enum, raise the error PostgreSQL would.
+ *
+ * @param {*} value - Constant from the query
+ * @param {Object|null} column - Column details from the schema
+ * @returns {*} Coerced value
+ */
+const coerceValue = (value, column) => {
+  if (!column || value === null) return value;
+
+  if (column.enumValues) {
+    if (!column.enumValues.includes(String(value))) {
+      throw new Error(`invalid input value for enum ${column.udtName || column.type}: "${value}"`);
+    }
+    return String(value);
+  }
+
+  if (NUMERIC_TYPE.test(column.type)) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+    throw new Error(`invalid input syntax for type ${column.type.replace(/\(.*\)$/, '')}: "${value}"`);
+  }
+
+  if (BOOLEAN_TYPE.test(column.type)) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_STRINGS.includes(text)) return true;
+    if (FALSE_STRINGS.includes(text)) return false;
+    throw new Error(`invalid input syntax for type boolean: "${value}"`);
+  }
+
+  if (TEXT_TYPE.test(column.type) && typeof value !== 'string') {
+    return String(value);
+  }
+
+  return value;
+};
+
+const assertIdentifier = (name, clause) => {
+  if (!SAFE_IDENTIFIER.test(name)) {
+    throw new UnsupportedQueryError(clause, `identifier "${name}" (only letters, digits and underscores are allowed)`);
+  }
+  return name;
+};
+
+/**
+ * Resolve a literal or bound parameter to a JavaScript value.
+ * Returns undefined when the node is not a constant.
+ */
+const resolveValue = (node, params) => {
+  if (node.type === 'literal') {
+    return { value: node.value };
+  }
+  if (node.type === 'parameter') {
+    if (node.index < 1 || node.index > params.length) {
+      throw new Error(`No value supplied for parameter $${node.index}`);
+    }
+    return { value: params[node.index - 1] };
+  }
+  if (node.type === 'cast' && node.expr.type === 'literal') {
+    return { value: node.expr.value };
+  }
+  return undefined;
+};
+
+const compareConstants = (operator, left, right) => {
+  switch (operator) {
+  case 'eq': return left === right;
+  case 'neq': return left !== right;
+  case 'lt': return left < right;
+  case 'gt': return left > right;
+  case 'lte': return left <= right;
+  case 'gte': return left >= right;
+  default: return undefined;
+  }
+};
+
+/**
+ * Negate Filter
+ *
+ * Pushes a NOT down to the leaves using De Morgan's laws, so the result
+ * only needs negated single conditions (col.not.eq.x), which PostgREST
+ * supports everywhere. Three-valued logic is preserved: NOT over a NULL
+ * comparison stays NULL and the row is still excluded.
+ */
+const negateFilter = (filter) => {
+  if (typeof filter === 'boolean') {
+    return !filter;
+  }
+  if (filter.group) {
+    return {
+      group: filter.group === 'and' ? 'or' : 'and',
+      conditions: filter.conditions.map(negateFilter)
+    };
+  }
+  return { ...filter, negated: !filter.negated };
+};
+
+/**
+ * Combine the translated operands of AND/OR, folding constants and
+ * flattening nested groups of the same kind.
+ */
+const combineFilters = (group, filters) => {
+  const absorbing = group === 'or';
+  const conditions = [];
+
+  for (const filter of filters) {
+    if (typeof filter === 'boolean') {
+      // TRUE absorbs an OR, FALSE absorbs an AND; the other value is neutral
+      if (filter === absorbing) return absorbing;
+      continue;
+    }
+    if (filter.group === group) {
+      conditions.push(...filter.conditions);
+    } else {
+      conditions.push(filter);
+    }
+  }
+
+  if (conditions.length === 0) return !absorbing;
+  if (conditions.length === 1) return conditions[0];
+  return { group, conditions };
+};
+
+/**
+ * Translate WHERE Condition
+ *
+ * Compiles a WHERE expression into a filter tree:
+ * - condition: { column, operator, value, negated }
+ * - group:     { group: 'and' | 'or', conditions: [...] }
+ * - true/false for conditions that fold to a constant (e.g. 1=1)
+ *
+ * Operators: eq, neq, lt, gt, lte, gte, like, ilike, is, in
+ */
+const translateCondition = (node, scope, params) => {
+  const clause = 'WHERE clause';
+  const reject = (detail = 'condition') => {
+    throw new UnsupportedQueryError(clause, `${detail} "${formatExpression(node)}"`);
+  };
+
+  switch (node.type) {
+  case 'logical':
+    return combineFilters(
+      node.operator === 'AND' ? 'and' : 'or',
+      node.operands.map(operand => translateCondition(operand, scope, params))
+    );
+
+  case 'not':
+    return negateFilter(translateCondition(node.operand, scope, params));
+
+  case 'comparison': {
+    const operator = COMPARISON_OPERATORS[node.operator];
+    const leftValue = resolveValue(node.left, params);
+    const rightValue = resolveValue(node.right, params);
+
+    if (leftValue?.value === null || rightValue?.value === null) {
+      reject('comparison with NULL (use IS NULL / IS NOT NULL) in');
+    }
+
+    if (leftValue && rightValue) {
+      return compareConstants(operator, leftValue.value, rightValue.value);
+    }
+
+    if (node.left.type === 'column' && rightValue) {
+      return { column: scope.filterColumn(node.left, clause), operator, value: scope.coerce(node.left, rightValue.value), negated: false };
+    }
+
+    if (node.right.type === 'column' && leftValue) {
+      return {
+        column: scope.filterColumn(node.right, clause),
+        operator: FLIPPED_OPERATORS[operator],
+        value: scope.coerce(node.right, leftValue.value),
+        negated: false
+      };
+    }
+
+    return reject('comparison (expected a column compared to a value)');
+  }
+
+  case 'between': {
+    const low = resolveValue(node.low, params);
+    const high = resolveValue(node.high, params);
+    if (node.expr.type !== 'column' || !low || !high) {
+      reject();
+    }
+    const column = scope.filterColumn(node.expr, clause);
+    const range = combineFilters('and', [
+      { column, operator: 'gte', value: scope.coerce(node.expr, low.value), negated: false },
+      { column, operator: 'lte', value: scope.coerce(node.expr, high.value), negated: false }
+    ]);
+    return node.not ? negateFilter(range) : range;
+  }
+
+  case 'in': {
+    const values = node.values.map(value => resolveValue(value, params));
+    if (node.expr.type !== 'column' || values.some(value => !value)) {
+      reject('IN list (expected a column and constant values) in');
+    }
+    if (values.some(({ value }) => value === null)) {
+      reject('NULL inside IN list in');
+    }
+    return {
+      column: scope.filterColumn(node.expr, clause),
+      operator: 'in',
+      value: values.map(({ value }) => scope.coerce(node.expr, value)),
+      negated: node.not
+    };
+  }
+
+  case 'like': {
+    const pattern = resolveValue(node.pattern, params);
+    if (node.expr.type !== 'column' || !pattern || typeof pattern.value !== 'string') {
+      reject();
+    }
+    return {
+      column: scope.filterColumn(node.expr, clause),
+      operator: node.caseInsensitive ? 'ilike' : 'like',
+      value: pattern.value,
+      negated: node.not
+    };
+  }
+
+  case 'isNull':
+  case 'isBoolean':
+    if (node.expr.type !== 'column') {
+      reject();
+    }
+    return {
+      column: scope.filterColumn(node.expr, clause),
+      operator: 'is',
+      value: node.type === 'isNull' ? null : node.value,
+      negated: node.not
+    };
+
+  case 'column':
+    // Bare boolean column: WHERE is_active
+    return { column: scope.filterColumn(node, clause), operator: 'eq', value: true, negated: false };
+
+  case 'literal':
+    if (node.dataType === 'boolean') {
+      return node.value;
+    }
+    return reject();
+
+  default:
+    return reject();
+  }
+};
+
+/**
+ * Translate the SELECT list into a PostgREST select string.
+ */
+const translateSelectList = (ast, scope, plan) => {
+  const clause = 'SELECT list';
+  const { columns } = ast;
+
+  const parts = [];
+  plan.columnAliases = {};
+
+  columns.forEach(({ expr, alias }) => {
+    if (expr.type === 'star') {
+      if (expr.table && expr.table !== scope.table && expr.table !== scope.alias) {
+        throw new UnsupportedQueryError(clause, `reference to unknown table "${expr.table}"`);
+      }
+      parts.push('*');
+      return;
+    }
+
+    if (expr.type === 'column') {
+      const column = scope.resolveColumn(expr, clause);
+      if (alias && alias !== column) {
+        assertIdentifier(alias, clause);
+        plan.columnAliases[alias] = column;
+        parts.push(`${alias}:${column}`);
+      } else {
+        parts.push(column);
+      }
+      return;
+    }
+
+    throw new UnsupportedQueryError(clause, `expression ${formatExpression(expr)} outside an aggregate query`);
+  });
+
+  plan.select = parts.join(',');
+};
+
+const containsAggregate = (node) => isAggregateCall(node) || childExpressions(node).some(containsAggregate);
+
+/**
+ * Resolve Expression
+ *
+ * Returns a copy of an expression with column references resolved to
+ * row keys, recording every column used in the scope so only those are
+ * fetched. Functions must be known aggregates or evaluable scalars.
+ */
+const resolveExpression = (node, scope, clause, { allowAggregates, insideAggregate = false } = {}) => {
+  const recurse = (child) => resolveExpression(child, scope, clause, { allowAggregates, insideAggregate });
+
+  if (node.type === 'column') {
+    return { type: 'column', table: null, name: scope.useColumn(node, clause) };
+  }
+
+  if (node.type === 'star') {
+    throw new UnsupportedQueryError(clause, `${formatExpression(node)} inside an expression`);
+  }
+
+  if (node.type === 'function') {
+    if (isAggregateCall(node)) {
+      if (!allowAggregates) {
+        throw new Error(`Aggregate functions are not allowed in ${clause}: ${formatExpression(node)}`);
+      }
+      if (insideAggregate) {
+        throw new Error(`Aggregate function calls cannot be nested: ${formatExpression(node)}`);
+      }
+      if (node.args.length > 1 || (!node.star && node.args.length === 0)) {
+        throw new UnsupportedQueryError(clause, `${formatExpression(node)} (expected a single argument)`);
+      }
+      if (node.star && node.name !== 'count') {
+        throw new UnsupportedQueryError(clause, formatExpression(node));
+      }
+      return {
+        ...node,
+        args: node.args.map(arg => resolveExpression(arg, scope, clause, { allowAggregates, insideAggregate: true }))
+      };
+    }
+
+    if (!isScalarFunction(node.name) || node.star || node.distinct) {
+      throw new UnsupportedQueryError(clause, `function ${formatExpression(node)}`);
+    }
+  }
+
+  return mapChildExpressions(node, recurse);
+};
+
+/**
+ * PostgreSQL's default output name for an unaliased select expression.
+ */
+const defaultColumnName = (expr) => {
+  if (expr.type === 'column') return expr.name;
+  if (expr.type === 'function') return expr.name;
+  if (expr.type === 'cast') return defaultColumnName(expr.expr);
+  return '?column?';
+};
+
+/**
+ * Name output columns the way PostgreSQL would. Result rows are objects,
+ * so repeated names (two COUNTs) get a suffix.
+ */
+const nameOutputColumns = (columns) => {
+  const usedNames = new Map();
+  return columns.map(column => {
+    let name = column.name;
+    const seen = usedNames.get(name) || 0;
+    usedNames.set(name, seen + 1);
+    if (seen > 0) name = `${name}_${seen + 1}`;
+    return { ...column, name };
+  });
+};
+
+/**
+ * Translate an ORDER BY evaluated in process over result rows.
+ * Entries sort either on an output column or on an expression.
+ */
+const translateOutputOrder = (ast, scope, columns, { allowAggregates, check = () => {} }) => ast.orderBy.map(({ expr, direction, nulls }) => {
+  const order = {
+    ascending: direction === 'asc',
+    nullsFirst: nulls ? nulls === 'first' : direction === 'desc'
+  };
+
+  // ORDER BY 2 or ORDER BY output_name sorts on a result column
+  if (expr.type === 'literal' && expr.dataType === 'number') {
+    const column = columns[expr.value - 1];
+    if (!column || column.star) {
+      throw new Error(`ORDER BY position ${expr.value} is not in select list`);
+    }
+    return { ...order, outputName: column.name };
+  }
+  if (expr.type === 'column' && !expr.table && columns.some(col => col.name === expr.name)) {
+    return { ...order, outputName: expr.name };
+  }
+
+  const resolved = resolveExpression(expr, scope, 'ORDER BY clause', { allowAggregates });
+  check(resolved);
+  return { ...order, expr: resolved };
+});
+
+/**
+ * Translate Aggregate Query
+ *
+ * Builds the aggregate section of the plan for queries with GROUP BY,
+ * HAVING or aggregate functions. Every non-aggregated expression must be
+ * covered by GROUP BY, as in PostgreSQL.
+ */
+const translateAggregate = (ast, scope, plan) => {
+  const columns = nameOutputColumns(ast.columns.map(({ expr, alias }) => {
+    if (expr.type === 'star') {
+      throw new UnsupportedQueryError('SELECT list', `${formatExpression(expr)} in a query with GROUP BY or aggregates`);
+    }
+    return {
+      expr: resolveExpression(expr, scope, 'SELECT list', { allowAggregates: true }),
+      name: alias || defaultColumnName(expr)
+    };
+  }));
+
+  const groupBy = ast.groupBy.map(expr => {
+    // GROUP BY 1 refers to the first select-list expression
+    if (expr.type === 'literal' && expr.dataType === 'number') {
+      const column = columns[expr.value - 1];
+      if (!column || containsAggregate(column.expr)) {
+        throw new Error(`GROUP BY position ${expr.value} is not a valid non-aggregate select-list item`);
+      }
+      return column.expr;
+    }
+
+    // GROUP BY may name a select-list alias
+    if (expr.type === 'column' && !expr.table) {
+      const index = ast.columns.findIndex(col => col.alias === expr.name);
+      if (index !== -1 && !containsAggregate(columns[index].expr)) {
+        return columns[index].expr;
+      }
+    }
+
+    return resolveExpression(expr, scope, 'GROUP BY clause', { allowAggregates: false });
+  });
+
+  const groupKeys = new Set(groupBy.map(formatExpression));
+  const assertGrouped = (node) => {
+    if (groupKeys.has(formatExpression(node)) || isAggregateCall(node)) return;
+    if (node.type === 'column') {
+      throw new Error(`Column "${node.name}" must appear in the GROUP BY clause or be used in an aggregate function`);
+    }
+    childExpressions(node).forEach(assertGrouped);
+  };
+
+  columns.forEach(({ expr }) => assertGrouped(expr));
+
+  const having = ast.having
+    ? resolveExpression(ast.having, scope, 'HAVING clause', { allowAggregates: true })
+    : null;
+  if (having) assertGrouped(having);
+
+  const orderBy = translateOutputOrder(ast, scope, columns, { allowAggregates: true, check: assertGrouped });
+
+  plan.select = scope.selectString();
+  plan.aggregate = {
+    groupBy,
+    columns,
+    having,
+    orderBy,
+    distinct: ast.distinct,
+    limit: null,
+    offset: null
+  };
+};
+
+const translateOrderBy = (ast, scope, plan) => {
+  const clause = 'ORDER BY clause';
+
+  plan.orders = ast.orderBy.map(({ expr, direction, nulls }) => {
+    if (expr.type !== 'column') {
+      throw new UnsupportedQueryError(clause, `expression ${formatExpression(expr)}`);
+    }
+
+    // ORDER BY may refer to a select-list alias
+    const column = !expr.table && plan.columnAliases?.[expr.name]
+      ? plan.columnAliases[expr.name]
+      : scope.resolveColumn(expr, clause);
+
+    return {
+      column,
+      ascending: direction === 'asc',
+      // PostgreSQL default: NULLS LAST for ASC, NULLS FIRST for DESC
+      nullsFirst: nulls ? nulls === 'first' : direction === 'desc'
+    };
+  });
+};
+
+const translateLimit = (node, params, clause) => {
+  if (!node) return null;
+  const resolved = resolveValue(node, params);
+  const value = Number(resolved?.value);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UnsupportedQueryError(clause, `value ${formatExpression(node)} (expected a non-negative integer)`);
+  }
+  return value;
+};
+
+/**
+ * Evaluate a FROM-less select list made of constants (e.g. SELECT 1).
+ */
+const translateConstantSelect = (ast, params) => {
+  const row = {};
+  ast.columns.forEach(({ expr, alias }) => {
+    const resolved = resolveValue(expr, params);
+    if (!resolved) {
+      throw new UnsupportedQueryError('SELECT list', `${formatExpression(expr)} without a FROM clause`);
+    }
+    row[alias || '?column?'] = resolved.value;
+  });
+  return row;
+};
+
+/**
+ * Translate the select list of a non-aggregate query evaluated in process.
+ */
+const translateProjection = (ast, scope, plan) => {
+  const columns = nameOutputColumns(ast.columns.map(({ expr, alias }) => {
+    if (expr.type === 'star') {
+      scope.useStar(expr.table, 'SELECT list');
+      return { star: true, table: expr.table };
+    }
+    return {
+      expr: resolveExpression(expr, scope, 'SELECT list', { allowAggregates: false }),
+      name: alias || defaultColumnName(expr)
+    };
+  }));
+
+  plan.projection = {
+    columns,
+    orderBy: translateOutputOrder(ast, scope, columns, { allowAggregates: false }),
+    distinct: ast.distinct,
+    limit: null,
+    offset: null
+  };
+};
+
+/**
+ * Translate Join Query
+ *
+ * Fetches the FROM table with its joined tables embedded, then flattens
+ * the result into one row per joined combination (see flattenEmbeddedRows).
+ * WHERE conditions on a single table are pushed down to PostgREST when
+ * that is exact; the rest is kept as a residual condition evaluated over
+ * the flattened rows, together with the select list, grouping and ORDER BY.
+ */
+const translateJoinQuery = (ast, params, plan, isAggregateQuery, tableSchemas) => {
+  const scope = new JoinScope(ast, tableSchemas);
+  const residual = [];
+
+  [...splitConjuncts(ast.where), ...scope.conditions].forEach(condition => {
+    const [key, ...others] = scope.tablesIn(condition, 'WHERE clause');
+    if (others.length === 0) {
+      try {
+        const filter = translateCondition(condition, scope, params);
+        if (filter === true) return;
+        if (filter === false) {
+          plan.alwaysEmpty = true;
+          return;
+        }
+        if (key === undefined || key === scope.root.key) {
+          plan.filters.push(...(filter.group === 'and' ? filter.conditions : [filter]));
+          return;
+        }
+        // A condition on an embedded table can only be pushed down when it
+        // rejects NULLs, since filtering the embed also drops unmatched parents
+        const acceptsNull = filter.operator === 'is' && (filter.value === null) !== filter.negated;
+        if (!filter.group && !acceptsNull) {
+          scope.markInner(key);
+          plan.filters.push(filter);
+          return;
+        }
+      } catch (error) {
+        if (!(error instanceof UnsupportedQueryError)) throw error;
+      }
+    }
+    residual.push(resolveExpression(condition, scope, 'WHERE clause', { allowAggregates: false }));
+  });
+
+  if (isAggregateQuery) {
+    translateAggregate(ast, scope, plan);
+  } else {
+    translateProjection(ast, scope, plan);
+  }
+
+  plan.table = scope.root.table;
+  plan.select = scope.selectString();
+  plan.join = {
+    root: scope.describe(),
+    residual: residual.length === 0 ? null
+      : residual.length === 1 ? residual[0]
+        : { type: 'logical', operator: 'AND', operands: residual },
+    params
+  };
+};
+
+/**
+ * Translate a query over a single table, pushing as much as possible to PostgREST.
+ */
+const translateSingleTable = (ast, params, plan, isAggregateQuery, tableSchemas) => {
+  if (ast.from.schema && ast.from.schema !== 'public') {
+    throw new UnsupportedQueryError('FROM clause', `table outside the public schema (${ast.from.schema}.${ast.from.name})`);
+  }
+
+  plan.table = assertIdentifier(ast.from.name, 'FROM clause');
+  const scope = new Scope(ast.from, tableSchemas);
+
+  const isCountOnly = ast.columns.length === 1
+    && isAggregateCall(ast.columns[0].expr)
+    && ast.columns[0].expr.name === 'count'
+    && ast.columns[0].expr.star
+    && ast.groupBy.length === 0
+    && !ast.having
+    && !ast.distinct;
+
+  if (isCountOnly) {
+    // SELECT COUNT(*) [AS alias] FROM ... is answered by PostgREST's exact count
+    plan.countOnly = { alias: ast.columns[0].alias || 'count' };
+  } else if (isAggregateQuery) {
+    translateAggregate(ast, scope, plan);
+  } else {
+    translateSelectList(ast, scope, plan);
+  }
+
+  if (ast.where) {
+    const filter = translateCondition(ast.where, scope, params);
+    if (filter === false) {
+      plan.alwaysEmpty = true;
+    } else if (filter !== true) {
+      // Top-level AND conditions become separate filters; anything else is one filter
+      plan.filters = filter.group === 'and' ? filter.conditions : [filter];
+    }
+  }
+
+  if (!plan.aggregate && !plan.countOnly) {
+    translateOrderBy(ast, scope, plan);
+  }
+};
+
+/**
+ * Translate Select Statement
+ *
+ * Compiles a SELECT AST into a query plan for the Supabase query builder.
+ *
+ * @param {Object} ast - Select statement AST from parseSQL()
+ * @param {Object} options - Translation options
+ * @param {Array} options.params - Values for $1, $2 ... placeholders
+ * @param {Array} options.schema - Introspected table schemas, used to coerce
+ *   WHERE values to column types (optional)
+ * @returns {Object} Query plan
+ * @throws {UnsupportedQueryError} When the statement cannot be translated exactly
+ */
+export const translateSelect = (ast, { params = [], schema = [] } = {}) => {
+  const tableSchemas = new Map(schema.map(table => [table.table, table]));
+  const plan = {
+    table: null,
+    select: '*',
+    filters: [],
+    orders: [],
+    limit: null,
+    offset: null,
+    countOnly: null,
+    aggregate: null,
+    join: null,
+    projection: null,
+    distinct: ast.distinct,
+    constantRow: null,
+    alwaysEmpty: false
+  };
+
+  if (!ast.from) {
+    plan.constantRow = translateConstantSelect(ast, params);
+    return plan;
+  }
+
+  const isAggregateQuery = ast.groupBy.length > 0
+    || ast.having !== null
+    || ast.columns.some(({ expr }) => containsAggregate(expr));
+
+  if (ast.joins.length > 0) {
+    translateJoinQuery(ast, params, plan, isAggregateQuery, tableSchemas);
+  } else {
+    translateSingleTable(ast, params, plan, isAggregateQuery, tableSchemas);
+  }
+
+  plan.limit = translateLimit(ast.limit, params, 'LIMIT clause');
+  plan.offset = translateLimit(ast.offset, params, 'OFFSET clause');
+
+  if (plan.offset !== null && plan.limit === null) {
+    throw new UnsupportedQueryError('OFFSET clause', 'OFFSET without LIMIT');
+  }
+
+  // Rows evaluated in process are paginated after evaluation
+  const inProcess = plan.aggregate || plan.projection;
+  if (inProcess) {
+    inProcess.params = params;
+    inProcess.limit = plan.limit;
+    inProcess.offset = plan.offset;
+  } else if (plan.limit === 0) {
+    plan.alwaysEmpty = true;
+  }
+
+  return plan;
+};
+
+/**
+ * Format a value for use inside a PostgREST filter string.
+ * Strings containing reserved characters are double-quoted and escaped.
+ * Only logic trees (.or()) and in (...) lists are parsed that way: a single
+ * value passed to .not() or .filter() is compared literally, quotes included.
+ */
+const formatFilterValue = (value) => {
+  if (value === null) return 'null';
+  if (typeof value !== 'string') return String(value);
+  if (!RESERVED_FILTER_CHARS.test(value)) return value;
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+};
+
+const formatOperand = (filter) => (filter.operator === 'in'
+  ? `(${filter.value.map(formatFilterValue).join(',')})`
+  : formatFilterValue(filter.value));
+
+/**
+ * Format Filter
+ *
+ * Renders a filter tree in PostgREST logic-tree syntax, as accepted by
+ * .or(): price.lt.20,and(category.eq.Books,rating.gte.4)
+ *
+ * @param {Object} filter - Condition or group
+ * @returns {string} PostgREST filter expression
+ */
+export const formatFilter = (filter) => {
+  if (filter.group) {
+    return `${filter.group}(${filter.conditions.map(formatFilter).join(',')})`;
+  }
+  return `${filter.column}.${filter.negated ? 'not.' : ''}${filter.operator}.${formatOperand(filter)}`;
+};
+
+/**
+ * Apply Plan Filters
+ *
+ * Applies WHERE filters from a plan to a Supabase query builder.
+ * Each top-level filter is ANDed; OR groups become a single .or() call.
+ *
+ * @param {Object} query - Supabase filter builder
+ * @param {Array} filters - Plan filters
+ * @returns {Object} Filter builder with conditions applied
+ */
+export const applyFilters = (query, filters) => {
+  filters.forEach(filter => {
+    if (filter.group === 'or') {
+      query = query.or(filter.conditions.map(formatFilter).join(','));
+    } else if (filter.negated) {
+      query = query.not(filter.column, filter.operator, filter.operator === 'in' ? formatOperand(filter) : filter.value);
+    } else if (filter.operator === 'in' || filter.operator === 'is') {
+      query = query.filter(filter.column, filter.operator, formatOperand(filter));
+    } else {
+      query = query[filter.operator](filter.column, filter.value);
+    }
+  });
+  return query;
+};
+
+/**
+ * Build Supabase Query
+ *
+ * Turns a query plan into a Supabase query builder ready to be awaited.
+ *
+ * @param {Object} client - Supabase client
+ * @param {Object} plan - Query plan from translateSelect()
+ * @param {Object} options - Build options
+ * @param {boolean} options.paginate - Apply LIMIT/OFFSET (default: true)
+ * @param {boolean} options.count - Request an exact row count with the rows
+ * @returns {Object} Supabase query builder
+ */
+export const buildSupabaseQuery = (client, plan, { paginate = true, count = false } = {}) => {
+  let query = plan.countOnly
+    ? client.from(plan.table).select('*', { count: 'exact', head: true })
+    : client.from(plan.table).select(plan.select, count ? { count: 'exact' } : undefined);
+
+  query = applyFilters(query, plan.filters);
+
+  plan.orders.forEach(({ column, ascending, nullsFirst }) => {
+    query = query.order(column, { ascending, nullsFirst });
+  });
+
+  if (paginate && plan.limit !== null) {
+    if (plan.offset !== null) {
+      query = query.range(plan.offset, plan.offset + plan.limit - 1);
+    } else {
+      query = query.limit(plan.limit);
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Flatten Embedded Rows
+ *
+ * Turns rows fetched with embedded resources into flat join rows keyed
+ * "alias.column", one per combination of matching embedded records, as
+ * a SQL join would return them. A LEFT JOIN without a match contributes
+ * no columns, which reads as NULL.
+ *
+ * @param {Array} rows - Rows returned for a join plan
+ * @param {Object} join - plan.join from translateSelect()
+ * @returns {Array} Flattened rows
+ */
+export const flattenEmbeddedRows = (rows, join) => {
+  const flatten = (record, node) => {
+    const childKeys = new Set(node.children.map(child => child.key));
+    const base = {};
+    Object.entries(record).forEach(([column, value]) => {
+      if (!childKeys.has(column)) base[`${node.key}.${column}`] = value;
+    });
+
+    let combinations = [base];
+    node.children.forEach(child => {
+      const value = record[child.key];
+      const records = Array.isArray(value) ? value : value ? [value] : [];
+      const childRows = records.flatMap(item => flatten(item, child));
+      if (childRows.length === 0) {
+        if (child.inner) combinations = [];
+        return;
+      }
+      combinations = combinations.flatMap(combination => childRows.map(childRow => ({ ...combination, ...childRow })));
+    });
+    return combinations;
+  };
+
+  return rows.flatMap(row => flatten(row, join.root));
+};
+
+export default {
+  translateSelect,
+  flattenEmbeddedRows,
+  formatFilter,
+  applyFilters,
+  buildSupabaseQuery
+};
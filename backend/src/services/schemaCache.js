@@ -0,0 +1,148 @@
+// How long a loaded schema is served before it is fetched again (0 disables caching)
+export const SCHEMA_CACHE_TTL_MS = parseInt(process.env.SCHEMA_CACHE_TTL_MS ?? '300000', 10) || 0;
+
+// Tables described at the same time when the cache is cold
+export const SCHEMA_FETCH_CONCURRENCY = parseInt(process.env.SCHEMA_FETCH_CONCURRENCY, 10) || 5;
+
+/**
+ * Schema Cache
+ *
+ * Keeps the result of a schema load for a TTL. Concurrent callers share
+ * one load, and a load that was started before an invalidation is not
+ * stored, so a DDL change is never overwritten by an older read. When a
+ * reload fails, the previous schema is served until the next attempt.
+ */
+export class SchemaCache {
+  /**
+   * @param {Function} load - Async function returning the schema
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - Time to live in milliseconds (0 disables caching)
+   */
+  constructor(load, { ttlMs = SCHEMA_CACHE_TTL_MS } = {}) {
+    this.load = load;
+    this.ttlMs = ttlMs;
+    this.entry = null;
+    this.pending = null;
+    this.generation = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.lastInvalidation = null;
+  }
+
+  isFresh() {
+    return Boolean(this.entry) && Date.now() < this.entry.expiresAt;
+  }
+
+  /**
+   * Get Schema
+   *
+   * @param {Object} options - { refresh }: ignore the cached value
+   * @returns {Promise<*>} Cached or freshly loaded schema
+   */
+  async get({ refresh = false } = {}) {
+    if (!refresh && this.isFresh()) {
+      this.hits++;
+      return this.entry.value;
+    }
+
+    this.misses++;
+
+    if (!this.pending) {
+      const generation = this.generation;
+      const startedAt = Date.now();
+
+      const pending = this.load().then(value => {
+        if (generation === this.generation && this.ttlMs > 0) {
+          this.entry = {
+            value,
+            loadedAt: Date.now(),
+            expiresAt: Date.now() + this.ttlMs,
+            loadMs: Date.now() - startedAt
+          };
+        }
+        return value;
+      });
+
+      const settle = () => {
+        if (this.pending === pending) {
+          this.pending = null;
+        }
+      };
+      pending.then(settle, settle);
+      this.pending = pending;
+    }
+
+    try {
+      return await this.pending;
+    } catch (error) {
+      if (this.entry) {
+        console.error('⚠️ Schema reload failed, serving the previous schema:', error.message);
+        return this.entry.value;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invalidate
+   *
+   * Drops the cached schema; the next get() loads it again.
+   *
+   * @param {string} reason - Why the cache was invalidated (logged and reported in stats)
+   */
+  invalidate(reason = 'manual') {
+    this.generation++;
+    this.entry = null;
+    this.pending = null;
+    this.lastInvalidation = { reason, at: new Date().toISOString() };
+    console.log(`🧹 Schema cache invalidated (${reason})`);
+  }
+
+  /**
+   * Get Cache Statistics
+   *
+   * @returns {Object} Cache state for the admin API
+   */
+  getStats() {
+    return {
+      enabled: this.ttlMs > 0,
+      ttlMs: this.ttlMs,
+      cached: this.isFresh(),
+      loadedAt: this.entry ? new Date(this.entry.loadedAt).toISOString() : null,
+      expiresAt: this.entry ? new Date(this.entry.expiresAt).toISOString() : null,
+      loadMs: this.entry?.loadMs ?? null,
+      loading: Boolean(this.pending),
+      hits: this.hits,
+      misses: this.misses,
+      lastInvalidation: this.lastInvalidation
+    };
+  }
+}
+
+/**
+ * Map With Concurrency
+ *
+ * Like Promise.all over items.map(fn), with at most `limit` calls running
+ * at once. Results keep the order of the items.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in item order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+};
+
+export default SchemaCache;
@@ -0,0 +1,362 @@
+// Tables ranked by relevance that are sent to the model
+export const SCHEMA_TOP_K = parseInt(process.env.SCHEMA_TOP_K, 10) || 8;
+
+// Upper bound on tables in the prompt, foreign key neighbours included
+export const SCHEMA_MAX_TABLES = parseInt(process.env.SCHEMA_MAX_TABLES, 10) || 20;
+
+// Optional local embedding endpoint (Ollama /api/embed or an OpenAI-compatible /v1/embeddings)
+const SCHEMA_EMBEDDING_URL = process.env.SCHEMA_EMBEDDING_URL || null;
+const SCHEMA_EMBEDDING_MODEL = process.env.SCHEMA_EMBEDDING_MODEL || 'nomic-embed-text';
+const SCHEMA_EMBEDDING_WEIGHT = Math.min(Math.max(parseFloat(process.env.SCHEMA_EMBEDDING_WEIGHT ?? '0.5') || 0, 0), 1);
+const SCHEMA_EMBEDDING_TIMEOUT_MS = parseInt(process.env.SCHEMA_EMBEDDING_TIMEOUT_MS, 10) || 10000;
+// Table embeddings kept in memory, least recently used dropped first
+const SCHEMA_EMBEDDING_CACHE_SIZE = parseInt(process.env.SCHEMA_EMBEDDING_CACHE_SIZE, 10) || 1000;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Table names count more than column names, comments and enum values
+const TABLE_NAME_WEIGHT = 3;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does',
+  'each', 'for', 'from', 'get', 'give', 'had', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its',
+  'list', 'many', 'me', 'much', 'my', 'of', 'on', 'or', 'our', 'please', 'show', 'tell', 'than',
+  'that', 'the', 'their', 'them', 'there', 'these', 'this', 'those', 'to', 'us', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'whose', 'why', 'with', 'you', 'your'
+]);
+
+/**
+ * Stem
+ *
+ * Reduces plural forms so "orders" matches "order" and "categories"
+ * matches "category". Deliberately minimal: table and column names are
+ * short and mostly nouns.
+ */
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.length > 4 && /(?:s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Tokenize Text
+ *
+ * Splits identifiers and prose into stemmed terms: snake_case, camelCase
+ * and punctuation are word boundaries, stop words are dropped.
+ *
+ * @param {string} text - Question, identifier or comment
+ * @returns {Array<string>} Terms
+ */
+export const tokenizeText = (text) => String(text ?? '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  .map(stem);
+
+/**
+ * Describe a table as weighted terms: its name and synonyms, comment and
+ * description, column names, comments, descriptions, synonyms and
+ * allowed or enum values, and the table's metrics.
+ */
+const tableTerms = (schema) => {
+  const terms = [];
+  const nameTerms = [schema.table, ...(schema.synonyms || [])].flatMap(tokenizeText);
+  for (let i = 0; i < TABLE_NAME_WEIGHT; i++) {
+    terms.push(...nameTerms);
+  }
+  terms.push(...tokenizeText(schema.comment));
+  terms.push(...tokenizeText(schema.description));
+
+  const columns = schema.columnDetails || Object.keys(schema.columns || {}).map(name => ({ name }));
+  columns.forEach(column => {
+    [column.name, column.comment, column.description, ...(column.synonyms || [])]
+      .forEach(text => terms.push(...tokenizeText(text)));
+    (column.allowedValues || column.enumValues || []).forEach(value => terms.push(...tokenizeText(value)));
+  });
+
+  (schema.metrics || []).forEach(metric => {
+    [metric.name, metric.description, ...(metric.synonyms || [])].forEach(text => terms.push(...tokenizeText(text)));
+  });
+
+  return terms;
+};
+
+/**
+ * Text sent to the embedding model for a table.
+ */
+const tableText = (schema) => {
+  const columns = schema.columnDetails || Object.keys(schema.columns || {}).map(name => ({ name }));
+  const describe = (name, entry) => [name, entry.description || entry.comment, ...(entry.synonyms || [])]
+    .filter(Boolean).join(': ');
+  return [
+    `Table ${describe(schema.table, schema)}`,
+    ...columns.map(column => describe(column.name, column)),
+    ...(schema.metrics || []).map(metric => `Metric ${describe(metric.name, metric)}`)
+  ].join('\n');
+};
+
+// BM25 index per schema array; the schema cache returns the same array until it is invalidated
+const indexCache = new WeakMap();
+
+const buildIndex = (schemas) => {
+  const documents = schemas.map(schema => {
+    const frequencies = new Map();
+    const terms = tableTerms(schema);
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { frequencies, length: terms.length };
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach(document => {
+    document.frequencies.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / (documents.length || 1);
+
+  return { documents, documentFrequency, averageLength };
+};
+
+const getIndex = (schemas) => {
+  if (!indexCache.has(schemas)) {
+    indexCache.set(schemas, buildIndex(schemas));
+  }
+  return indexCache.get(schemas);
+};
+
+/**
+ * Score Tables With BM25
+ *
+ * @param {string} question - User question
+ * @param {Array} schemas - Table schemas
+ * @returns {Array<number>} Score per table, in schema order
+ */
+export const scoreTablesBM25 = (question, schemas) => {
+  const { documents, documentFrequency, averageLength } = getIndex(schemas);
+  const queryTerms = [...new Set(tokenizeText(question))];
+  const total = documents.length;
+
+  return documents.map(document => queryTerms.reduce((score, term) => {
+    const frequency = document.frequencies.get(term) || 0;
+    if (frequency === 0) return score;
+
+    const df = documentFrequency.get(term);
+    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+    const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * document.length / (averageLength || 1));
+    return score + idf * (frequency * (BM25_K1 + 1)) / norm;
+  }, 0));
+};
+
+// Table embeddings by model and text, so unchanged tables are embedded
+// once; Map order is recency order, oldest first
+const embeddingCache = new Map();
+
+const cachedEmbedding = (key) => {
+  const vector = embeddingCache.get(key);
+  if (vector) {
+    embeddingCache.delete(key);
+    embeddingCache.set(key, vector);
+  }
+  return vector;
+};
+
+const cacheEmbedding = (key, vector) => {
+  embeddingCache.delete(key);
+  embeddingCache.set(key, vector);
+  while (embeddingCache.size > SCHEMA_EMBEDDING_CACHE_SIZE) {
+    embeddingCache.delete(embeddingCache.keys().next().value);
+  }
+};
+
+/**
+ * Clear Embedding Cache
+ *
+ * Drops every cached table embedding; called when the schema cache is
+ * invalidated, since the embedded table texts are then out of date.
+ */
+export const clearEmbeddingCache = () => {
+  embeddingCache.clear();
+};
+
+const requestEmbeddings = async (texts) => {
+  const response = await fetch(SCHEMA_EMBEDDING_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: SCHEMA_EMBEDDING_MODEL, input: texts }),
+    signal: AbortSignal.timeout(SCHEMA_EMBEDDING_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Embedding request failed with HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  // Ollama returns { embeddings }, OpenAI-compatible servers { data: [{ embedding }] }
+  const vectors = body.embeddings || body.data?.map(item => item.embedding);
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error('Unexpected embedding response');
+  }
+  return vectors;
+};
+
+/**
+ * Embed the question together with the tables missing from the cache,
+ * in a single request.
+ */
+const embedQuestionAndTables = async (question, tableTexts) => {
+  const keys = tableTexts.map(text => `${SCHEMA_EMBEDDING_MODEL}\n${text}`);
+  const known = new Map(keys.map(key => [key, cachedEmbedding(key)]).filter(([, vector]) => vector));
+  const missing = [...new Set(tableTexts.filter((text, i) => !known.has(keys[i])))];
+
+  const [questionVector, ...vectors] = await requestEmbeddings([question, ...missing]);
+  missing.forEach((text, i) => {
+    const key = `${SCHEMA_EMBEDDING_MODEL}\n${text}`;
+    known.set(key, vectors[i]);
+    cacheEmbedding(key, vectors[i]);
+  });
+
+  return { questionVector, tableVectors: keys.map(key => known.get(key)) };
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Score Tables With Embeddings
+ *
+ * @param {string} question - User question
+ * @param {Array} schemas - Table schemas
+ * @returns {Promise<Array<number>|null>} Cosine similarity per table, null when embeddings are not configured or failed
+ */
+export const scoreTablesByEmbedding = async (question, schemas) => {
+  if (!SCHEMA_EMBEDDING_URL) {
+    return null;
+  }
+
+  try {
+    const { questionVector, tableVectors } = await embedQuestionAndTables(question, schemas.map(tableText));
+    return tableVectors.map(vector => cosineSimilarity(questionVector, vector));
+  } catch (error) {
+    console.error('⚠️ Embedding scoring failed, using keyword ranking only:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Foreign key neighbours of a table: tables it references and tables
+ * referencing it.
+ */
+const foreignKeyNeighbours = (schema, byName, schemas) => {
+  const neighbours = new Set((schema.foreignKeys || [])
+    .map(fk => fk.referencedTable)
+    .filter(table => byName.has(table)));
+
+  schemas.forEach(other => {
+    if ((other.foreignKeys || []).some(fk => fk.referencedTable === schema.table)) {
+      neighbours.add(other.table);
+    }
+  });
+
+  neighbours.delete(schema.table);
+  return [...neighbours];
+};
+
+/**
+ * Select Relevant Tables
+ *
+ * Ranks tables by relevance to the question (BM25 over table and column
+ * names, comments and enum values, blended with embedding similarity
+ * when SCHEMA_EMBEDDING_URL is set), keeps the top `topK` that match,
+ * then adds their foreign key neighbours so joins stay possible, up to
+ * `maxTables`. Databases with no more than `topK` tables are sent whole.
+ *
+ * @param {string} question - User question
+ * @param {Array} schemas - Table schemas from DatabaseService
+ * @param {Object} options - Selection options
+ * @param {number} options.topK - Ranked tables to keep
+ * @param {number} options.maxTables - Maximum tables including neighbours
+ * @returns {Promise<Object>} { schemas, selection: { strategy, totalTables, selected, considered } }
+ */
+export const selectRelevantTables = async (question, schemas, { topK = SCHEMA_TOP_K, maxTables = SCHEMA_MAX_TABLES } = {}) => {
+  const bm25Scores = scoreTablesBM25(question, schemas);
+  const embeddingScores = schemas.length > topK ? await scoreTablesByEmbedding(question, schemas) : null;
+
+  const maxBM25 = Math.max(0, ...bm25Scores);
+  const candidates = schemas.map((schema, i) => {
+    const keyword = maxBM25 > 0 ? bm25Scores[i] / maxBM25 : 0;
+    const embedding = embeddingScores ? embeddingScores[i] : null;
+    const score = embedding === null
+      ? keyword
+      : (1 - SCHEMA_EMBEDDING_WEIGHT) * keyword + SCHEMA_EMBEDDING_WEIGHT * Math.max(embedding, 0);
+
+    return { table: schema.table, score, bm25: bm25Scores[i], embedding, selected: false, reason: null };
+  });
+
+  const ranked = [...candidates].sort((a, b) => b.score - a.score);
+  const strategy = embeddingScores ? 'bm25+embedding' : 'bm25';
+
+  // Selected tables, most relevant first, then neighbours
+  const selected = [];
+  const select = (candidate, reason) => {
+    candidate.selected = true;
+    candidate.reason = reason;
+    selected.push(candidate);
+  };
+
+  if (schemas.length <= topK) {
+    ranked.forEach(candidate => select(candidate, 'all'));
+  } else {
+    // Without any match, the top-k by schema order are as good a guess as any
+    const matching = ranked.filter(candidate => candidate.score > 0);
+    (matching.length > 0 ? matching : ranked).slice(0, topK)
+      .forEach(candidate => select(candidate, candidate.score > 0 ? 'ranked' : 'fallback'));
+
+    const byName = new Map(schemas.map(schema => [schema.table, schema]));
+    const candidateByName = new Map(candidates.map(candidate => [candidate.table, candidate]));
+
+    selected.slice().forEach(candidate => {
+      foreignKeyNeighbours(byName.get(candidate.table), byName, schemas)
+        .map(table => candidateByName.get(table))
+        .sort((a, b) => b.score - a.score)
+        .forEach(neighbour => {
+          if (!neighbour.selected && selected.length < maxTables) {
+            select(neighbour, `foreign key (${candidate.table})`);
+          }
+        });
+    });
+  }
+
+  const byName = new Map(schemas.map(schema => [schema.table, schema]));
+
+  return {
+    schemas: selected.map(candidate => byName.get(candidate.table)),
+    selection: {
+      strategy,
+      totalTables: schemas.length,
+      selected: selected.map(candidate => candidate.table),
+      considered: ranked.map(candidate => ({
+        table: candidate.table,
+        score: Number(candidate.score.toFixed(4)),
+        bm25: Number(candidate.bm25.toFixed(4)),
+        ...(candidate.embedding !== null && { embedding: Number(candidate.embedding.toFixed(4)) }),
+        selected: candidate.selected,
+        reason: candidate.reason
+      }))
+    }
+  };
+};
+
+export default selectRelevantTables;
@@ -0,0 +1,421 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { dirname, extname, isAbsolute, join } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import dotenv from 'dotenv';
+import { parseSQL, childExpressions } from './sqlParser.js';
+import { isAggregateCall } from './aggregationEngine.js';
+import { PII_TAGS } from './piiRedaction.js';
+
+// Load environment variables
+dotenv.config();
+
+const backendRoot = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Semantic model file (.yaml, .yml or .json), relative paths are resolved from backend/
+const SEMANTIC_MODEL_PATH = (() => {
+  const path = process.env.SEMANTIC_MODEL_PATH || 'semantic-model.yaml';
+  return isAbsolute(path) ? path : join(backendRoot, path);
+})();
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const EMPTY_MODEL = { tables: {}, metrics: {} };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Check the optional description / synonyms fields shared by tables,
+ * columns and metrics.
+ */
+const checkDescribed = (entry, path, errors) => {
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    errors.push({ path: `${path}.description`, message: 'must be a string' });
+  }
+  if (entry.synonyms !== undefined
+    && (!Array.isArray(entry.synonyms) || entry.synonyms.some(synonym => typeof synonym !== 'string' || !synonym.trim()))) {
+    errors.push({ path: `${path}.synonyms`, message: 'must be a list of non-empty strings' });
+  }
+};
+
+/**
+ * Column references in an expression, as [table|null, name] pairs.
+ */
+const columnReferences = (node, references = []) => {
+  if (node?.type === 'column') {
+    references.push([node.table, node.name]);
+  }
+  childExpressions(node || {}).forEach(child => columnReferences(child, references));
+  return references;
+};
+
+const containsAggregate = (node) => isAggregateCall(node) || childExpressions(node || {}).some(containsAggregate);
+
+/**
+ * Validate Semantic Model
+ *
+ * Checks the model's structure and, when table schemas are given, that
+ * every table, column and metric refers to something that exists in the
+ * live database. Errors make the model invalid; warnings are reported but
+ * accepted.
+ *
+ * @param {Object} model - Semantic model
+ * @param {Array} schemas - Table schemas from DatabaseService (empty to skip live checks)
+ * @returns {Object} { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+export const validateSemanticModel = (model, schemas = []) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(model)) {
+    return { valid: false, errors: [{ path: '', message: 'must be an object with "tables" and "metrics"' }], warnings };
+  }
+
+  Object.keys(model).filter(key => key !== 'tables' && key !== 'metrics')
+    .forEach(key => warnings.push({ path: key, message: 'unknown key, ignored' }));
+
+  const liveTables = new Map(schemas.map(schema => [schema.table, schema]));
+  const checkLive = liveTables.size > 0;
+  if (!checkLive) {
+    warnings.push({ path: '', message: 'database schema unavailable, tables and columns were not checked' });
+  }
+
+  const tables = model.tables ?? {};
+  if (!isPlainObject(tables)) {
+    errors.push({ path: 'tables', message: 'must be an object keyed by table name' });
+  } else {
+    Object.entries(tables).forEach(([tableName, table]) => {
+      const path = `tables.${tableName}`;
+      if (!isPlainObject(table)) {
+        errors.push({ path, message: 'must be an object' });
+        return;
+      }
+
+      const live = liveTables.get(tableName);
+      if (checkLive && !live) {
+        errors.push({ path, message: `table "${tableName}" does not exist` });
+      }
+      checkDescribed(table, path, errors);
+
+      const columns = table.columns ?? {};
+      if (!isPlainObject(columns)) {
+        errors.push({ path: `${path}.columns`, message: 'must be an object keyed by column name' });
+        return;
+      }
+
+      const synonymOwners = new Map();
+      Object.entries(columns).forEach(([columnName, column]) => {
+        const columnPath = `${path}.columns.${columnName}`;
+        if (!isPlainObject(column)) {
+          errors.push({ path: columnPath, message: 'must be an object' });
+          return;
+        }
+
+        const liveColumn = live?.columnDetails?.find(detail => detail.name === columnName)
+          || (live?.columns?.[columnName] ? { name: columnName } : null);
+        if (live && !liveColumn) {
+          errors.push({ path: columnPath, message: `column "${columnName}" does not exist in "${tableName}"` });
+        }
+        checkDescribed(column, columnPath, errors);
+
+        if (column.allowedValues !== undefined) {
+          if (!Array.isArray(column.allowedValues) || column.allowedValues.length === 0 || !column.allowedValues.every(isScalar)) {
+            errors.push({ path: `${columnPath}.allowedValues`, message: 'must be a non-empty list of strings, numbers or booleans' });
+          } else if (liveColumn?.enumValues) {
+            column.allowedValues.filter(value => !liveColumn.enumValues.includes(String(value))).forEach(value => {
+              errors.push({ path: `${columnPath}.allowedValues`, message: `"${value}" is not a value of the column's enum type` });
+            });
+          }
+        }
+
+        if (column.pii !== undefined && !PII_TAGS.includes(column.pii)) {
+          errors.push({ path: `${columnPath}.pii`, message: `must be one of ${PII_TAGS.join(', ')}` });
+        }
+
+        (Array.isArray(column.synonyms) ? column.synonyms : []).forEach(synonym => {
+          const key = String(synonym).toLowerCase();
+          if (synonymOwners.has(key)) {
+            warnings.push({ path: `${columnPath}.synonyms`, message: `"${synonym}" is also a synonym of ${synonymOwners.get(key)}` });
+          }
+          synonymOwners.set(key, columnName);
+        });
+      });
+    });
+  }
+
+  const metrics = model.metrics ?? {};
+  if (!isPlainObject(metrics)) {
+    errors.push({ path: 'metrics', message: 'must be an object keyed by metric name' });
+  } else {
+    Object.entries(metrics).forEach(([metricName, metric]) => {
+      const path = `metrics.${metricName}`;
+      if (!IDENTIFIER.test(metricName)) {
+        errors.push({ path, message: 'metric names must be identifiers (letters, digits and underscores)' });
+      }
+      if (!isPlainObject(metric)) {
+        errors.push({ path, message: 'must be an object' });
+        return;
+      }
+      checkDescribed(metric, path, errors);
+
+      if (typeof metric.table !== 'string' || !metric.table) {
+        errors.push({ path: `${path}.table`, message: 'is required' });
+      } else if (checkLive && !liveTables.has(metric.table)) {
+        errors.push({ path: `${path}.table`, message: `table "${metric.table}" does not exist` });
+      }
+
+      if (typeof metric.expression !== 'string' || !metric.expression.trim()) {
+        errors.push({ path: `${path}.expression`, message: 'is required' });
+        return;
+      }
+
+      let expression;
+      try {
+        const ast = parseSQL(`SELECT ${metric.expression} FROM ${IDENTIFIER.test(metric.table || '') ? metric.table : 'metric_table'}`);
+        // Anything past a single expression (FROM, WHERE, a second column ...) changes the statement shape
+        const extraClauses = ast.columns.length !== 1 || ast.joins.length > 0 || ast.where || ast.groupBy.length > 0
+          || ast.having || ast.orderBy.length > 0 || ast.limit !== null || ast.offset !== null;
+        if (extraClauses) {
+          errors.push({ path: `${path}.expression`, message: 'must be a single SQL expression' });
+          return;
+        }
+        expression = ast.columns[0].expr;
+      } catch (error) {
+        errors.push({ path: `${path}.expression`, message: `is not a valid SQL expression: ${error.message}` });
+        return;
+      }
+
+      if (!containsAggregate(expression)) {
+        warnings.push({ path: `${path}.expression`, message: 'does not use an aggregate function (SUM, AVG, COUNT, MIN, MAX)' });
+      }
+
+      const live = liveTables.get(metric.table);
+      if (live) {
+        columnReferences(expression)
+          .filter(([table, name]) => (!table || table === metric.table) && !(name in live.columns))
+          .forEach(([, name]) => errors.push({ path: `${path}.expression`, message: `column "${name}" does not exist in "${metric.table}"` }));
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Normalize a parsed model: missing sections become empty objects.
+ */
+const normalizeModel = (model) => ({
+  tables: model?.tables || {},
+  metrics: model?.metrics || {}
+});
+
+// Annotated copies of schema arrays, see SemanticLayer.applyToSchemas()
+const annotatedSchemas = new WeakMap();
+
+const isJSONPath = (path) => extname(path).toLowerCase() === '.json';
+
+/**
+ * Semantic Layer
+ *
+ * Business vocabulary curated by admins: table and column descriptions,
+ * synonyms ("stock" -> quantity), allowed values and named metrics
+ * ("inventory value" = SUM(price * quantity)). Loaded from
+ * SEMANTIC_MODEL_PATH at startup, merged into the table schemas the SQL
+ * prompt is built from, and editable through /api/admin/semantic-model.
+ *
+ * Example (YAML):
+ *
+ *   tables:
+ *     items:
+ *       description: Products in the catalogue
+ *       columns:
+ *         quantity:
+ *           description: Units in stock
+ *           synonyms: [stock, inventory]
+ *         category:
+ *           allowedValues: [Electronics, Books]
+ *         email:
+ *           pii: email
+ *   metrics:
+ *     inventory_value:
+ *       table: items
+ *       expression: SUM(price * quantity)
+ *       synonyms: [inventory value]
+ */
+export class SemanticLayer {
+  static model = EMPTY_MODEL;
+
+  static loaded = false;
+
+  static loadedAt = null;
+
+  static path = SEMANTIC_MODEL_PATH;
+
+  /**
+   * Load Semantic Model
+   *
+   * Reads the model file. A missing file means an empty model; a file
+   * that cannot be parsed keeps the previous model and throws.
+   *
+   * @returns {Promise<Object>} Loaded model
+   */
+  static async load() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.model = EMPTY_MODEL;
+      this.loaded = true;
+      this.loadedAt = new Date().toISOString();
+      return this.model;
+    }
+
+    const parsed = isJSONPath(this.path) ? JSON.parse(text) : yaml.load(text);
+    const { valid, errors } = validateSemanticModel(parsed);
+    if (!valid) {
+      throw new Error(`Invalid semantic model in ${this.path}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+    }
+
+    this.model = normalizeModel(parsed);
+    this.loaded = true;
+    this.loadedAt = new Date().toISOString();
+    console.log(`📚 Loaded semantic model: ${Object.keys(this.model.tables).length} tables, ${Object.keys(this.model.metrics).length} metrics`);
+    return this.model;
+  }
+
+  /**
+   * Get Semantic Model
+   *
+   * @returns {Promise<Object>} Current model, loaded on first use
+   */
+  static async getModel() {
+    if (!this.loaded) {
+      try {
+        await this.load();
+      } catch (error) {
+        console.error('❌ Could not load semantic model:', error.message);
+        this.loaded = true;
+      }
+    }
+    return this.model;
+  }
+
+  /**
+   * Update Semantic Model
+   *
+   * Validates a new model against the live schema and, when valid,
+   * replaces the current one and writes it to SEMANTIC_MODEL_PATH.
+   *
+   * @param {Object} model - New semantic model
+   * @param {Array} schemas - Live table schemas to validate against
+   * @param {Object} options - { dryRun }: validate only
+   * @returns {Promise<Object>} Validation result, with `saved`
+   */
+  static async update(model, schemas, { dryRun = false } = {}) {
+    const validation = validateSemanticModel(model, schemas);
+    if (!validation.valid || dryRun) {
+      return { ...validation, saved: false };
+    }
+
+    const normalized = normalizeModel(model);
+    const text = isJSONPath(this.path)
+      ? `${JSON.stringify(normalized, null, 2)}\n`
+      : yaml.dump(normalized, { lineWidth: 120, noRefs: true });
+
+    // Write then rename, so a crash never leaves a half-written model behind
+    const temporaryPath = `${this.path}.tmp`;
+    await writeFile(temporaryPath, text, 'utf8');
+    await rename(temporaryPath, this.path);
+
+    this.model = normalized;
+    this.loaded = true;
+    this.loadedAt = new Date().toISOString();
+    console.log('📚 Semantic model updated');
+    return { ...validation, saved: true };
+  }
+
+  /**
+   * Validate Current Model
+   *
+   * @param {Array} schemas - Live table schemas
+   * @returns {Object} Validation result (see validateSemanticModel)
+   */
+  static validate(schemas) {
+    return validateSemanticModel(this.model, schemas);
+  }
+
+  /**
+   * Get Allowed Values
+   *
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {Array|null} Allowed values curated for the column, null if none
+   */
+  static getAllowedValues(table, column) {
+    return this.model.tables[table]?.columns?.[column]?.allowedValues || null;
+  }
+
+  /**
+   * Apply To Schemas
+   *
+   * Returns copies of the table schemas annotated with the model:
+   * `description` and `synonyms` on tables and columns, `allowedValues`
+   * and `pii` on columns and the table's `metrics`. Tables the model does not
+   * mention are returned unchanged.
+   *
+   * @param {Array} schemas - Table schemas from DatabaseService
+   * @returns {Array} Annotated schemas
+   */
+  static applyToSchemas(schemas) {
+    // Same input and model, same array: keeps the retrieval index cached
+    const cached = annotatedSchemas.get(schemas);
+    if (cached?.model === this.model) {
+      return cached.schemas;
+    }
+
+    const { tables, metrics } = this.model;
+    const metricsByTable = new Map();
+    Object.entries(metrics).forEach(([name, metric]) => {
+      if (!metricsByTable.has(metric.table)) metricsByTable.set(metric.table, []);
+      metricsByTable.get(metric.table).push({ name, ...metric });
+    });
+
+    const annotated = schemas.map(schema => {
+      const table = tables[schema.table];
+      const tableMetrics = metricsByTable.get(schema.table);
+      if (!table && !tableMetrics) {
+        return schema;
+      }
+
+      const details = schema.columnDetails
+        || Object.entries(schema.columns).map(([name, type]) => ({ name, type, nullable: true }));
+
+      return {
+        ...schema,
+        description: table?.description || null,
+        synonyms: table?.synonyms || [],
+        columnDetails: details.map(column => {
+          const semantic = table?.columns?.[column.name];
+          return semantic
+            ? {
+              ...column,
+              description: semantic.description || null,
+              synonyms: semantic.synonyms || [],
+              allowedValues: semantic.allowedValues || null,
+              pii: semantic.pii || null
+            }
+            : column;
+        }),
+        metrics: tableMetrics || []
+      };
+    });
+
+    annotatedSchemas.set(schemas, { model: this.model, schemas: annotated });
+    return annotated;
+  }
+}
+
+export default SemanticLayer;
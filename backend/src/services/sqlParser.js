@@ -0,0 +1,1349 @@
+/**
+ * SQL Parser
+ *
+ * Tokenizer and recursive-descent parser for the SELECT subset the chat
+ * interface executes. AI-generated SQL is turned into a plain-object AST
+ * that the query translator compiles into Supabase query builder calls.
+ *
+ * Key features:
+ * - String literals, quoted identifiers and comments are tokenized properly,
+ *   so keywords inside them never influence parsing
+ * - Full boolean expression grammar with correct operator precedence
+ * - Errors name the exact clause and construct that was rejected
+ * - An extended mode that also accepts CTEs, subqueries, set operations,
+ *   window functions and table functions, for the query safety policy
+ */
+
+/**
+ * SQL Syntax Error
+ *
+ * Raised when the statement cannot be tokenized or parsed.
+ */
+export class SQLSyntaxError extends Error {
+  constructor(message, position = null) {
+    super(position !== null ? `${message} (at position ${position})` : message);
+    this.name = 'SQLSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Unsupported Query Error
+ *
+ * Raised when the statement is valid SQL but uses a construct that the
+ * executor cannot translate. The clause property names where it was found.
+ */
+export class UnsupportedQueryError extends Error {
+  constructor(clause, construct) {
+    super(`Unsupported construct in ${clause}: ${construct}`);
+    this.name = 'UnsupportedQueryError';
+    this.clause = clause;
+    this.construct = construct;
+  }
+}
+
+// Words that can never be used as a bare alias
+const RESERVED_WORDS = new Set([
+  'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DESC', 'DISTINCT',
+  'ELSE', 'END', 'EXCEPT', 'FALSE', 'FETCH', 'FOR', 'FROM', 'FULL', 'GROUP', 'HAVING',
+  'ILIKE', 'IN', 'INNER', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'LATERAL', 'LEFT', 'LIKE', 'LIMIT',
+  'NATURAL', 'NOT', 'NULL', 'NULLS', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'OVER', 'RIGHT',
+  'SELECT', 'THEN', 'TRUE', 'UNION', 'USING', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+]);
+
+const COMPARISON_OPERATORS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+
+// Longest operators first so '<=' wins over '<'
+const OPERATORS = ['!~*', '!~', '~*', '~', '<>', '!=', '<=', '>=', '::', '||', '=', '<', '>', '+', '-', '*', '/', '%'];
+
+/**
+ * Read a quoted token starting at `start`, where a doubled quote
+ * character escapes itself. Returns the unescaped value and the index
+ * just past the closing quote.
+ */
+const readQuoted = (sql, start, quote, errorMessage) => {
+  let value = '';
+  let i = start + 1;
+
+  while (i < sql.length) {
+    if (sql[i] === quote) {
+      if (sql[i + 1] !== quote) {
+        return { value, end: i + 1 };
+      }
+      i++;
+    }
+    value += sql[i];
+    i++;
+  }
+
+  throw new SQLSyntaxError(errorMessage, start);
+};
+
+/**
+ * Tokenize SQL
+ *
+ * Splits a SQL string into tokens. Each token has a type, a value and the
+ * character position it started at.
+ *
+ * Token types: word, identifier (double-quoted), string, number,
+ * parameter ($1), operator, punctuation, eof
+ *
+ * @param {string} sql - SQL query string
+ * @returns {Array<Object>} Token list terminated by an eof token
+ */
+export const tokenize = (sql) => {
+  if (typeof sql !== 'string') {
+    throw new SQLSyntaxError('Query must be a string');
+  }
+
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    // Whitespace
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if (char === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+
+    // Block comments
+    if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw new SQLSyntaxError('Unterminated block comment', i);
+      }
+      i = end + 2;
+      continue;
+    }
+
+    // String literals ('' escapes a quote)
+    if (char === '\'') {
+      const { value, end } = readQuoted(sql, i, '\'', 'Unterminated string literal');
+      tokens.push({ type: 'string', value, position: i });
+      i = end;
+      continue;
+    }
+
+    // Quoted identifiers ("" escapes a quote)
+    if (char === '"') {
+      const { value, end } = readQuoted(sql, i, '"', 'Unterminated quoted identifier');
+      tokens.push({ type: 'identifier', value, position: i });
+      i = end;
+      continue;
+    }
+
+    // Numbers: 12, 12.5, .5, 1e3
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+      const match = sql.slice(i).match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), raw: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Positional parameters: $1, $2 ...
+    if (char === '$' && /[0-9]/.test(sql[i + 1] || '')) {
+      const match = sql.slice(i + 1).match(/^\d+/);
+      tokens.push({ type: 'parameter', value: parseInt(match[0], 10), position: i });
+      i += match[0].length + 1;
+      continue;
+    }
+
+    // Words (keywords and bare identifiers)
+    if (/[A-Za-z_]/.test(char)) {
+      const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_$]*/);
+      tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase(), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Operators
+    const operator = OPERATORS.find(op => sql.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    // Punctuation
+    if ('(),.;'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new SQLSyntaxError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: sql.length });
+  return tokens;
+};
+
+/**
+ * Render a JavaScript value as a SQL literal.
+ */
+const toSQLLiteral = (value) => {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new SQLSyntaxError(`Parameter value ${value} is not a finite number`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, '\'\'')}'`;
+  }
+  throw new SQLSyntaxError(`Unsupported parameter type: ${typeof value}`);
+};
+
+/**
+ * Inline Parameters
+ *
+ * Replaces $1, $2 ... placeholders with quoted SQL literals, for backends
+ * that take a complete statement rather than a prepared one. Placeholders
+ * inside strings and quoted identifiers are left alone.
+ *
+ * @param {string} sql - SQL query string
+ * @param {Array} params - Values for the placeholders
+ * @returns {string} SQL with the values inlined
+ */
+export const inlineParameters = (sql, params = []) => {
+  let result = '';
+  let last = 0;
+
+  tokenize(sql)
+    .filter(token => token.type === 'parameter')
+    .forEach(token => {
+      if (token.value < 1 || token.value > params.length) {
+        throw new Error(`No value supplied for parameter $${token.value}`);
+      }
+      result += sql.slice(last, token.position) + toSQLLiteral(params[token.value - 1]);
+      last = token.position + sql.slice(token.position).match(/^\$\d+/)[0].length;
+    });
+
+  return result + sql.slice(last);
+};
+
+/**
+ * Parser
+ *
+ * Recursive-descent parser over the token stream. Operator precedence,
+ * from loosest to tightest: OR, AND, NOT, predicates (comparison, IS,
+ * IN, BETWEEN, LIKE), additive (+ - ||), multiplicative (* / %),
+ * unary minus, :: casts.
+ */
+class Parser {
+  /**
+   * @param {Array} tokens - Tokens from tokenize()
+   * @param {Object} options - { extended }: accept the full SELECT syntax
+   *   instead of the subset the query translator can execute
+   */
+  constructor(tokens, { extended = false } = {}) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.extended = extended;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.index++;
+    return token;
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && token.upper === word;
+  }
+
+  isPunctuation(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punctuation' && token.value === value;
+  }
+
+  isOperator(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'operator' && token.value === value;
+  }
+
+  acceptWord(word) {
+    if (this.isWord(word)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  expectWord(word) {
+    if (!this.acceptWord(word)) {
+      this.fail(`Expected ${word}`);
+    }
+  }
+
+  expectPunctuation(value) {
+    if (!this.isPunctuation(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+    this.next();
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const found = token.type === 'eof' ? 'end of query' : `"${token.raw ?? token.value}"`;
+    throw new SQLSyntaxError(`${message} but found ${found}`, token.position);
+  }
+
+  /**
+   * Parse a complete statement, allowing trailing semicolons only.
+   */
+  parseStatement() {
+    let statement;
+
+    if (this.extended) {
+      statement = this.parseQuery();
+    } else {
+      if (this.isWord('WITH')) {
+        throw new UnsupportedQueryError('statement', 'WITH (common table expressions)');
+      }
+      if (!this.isWord('SELECT')) {
+        this.fail('Expected SELECT');
+      }
+
+      statement = this.parseSelect();
+
+      if (this.isWord('UNION') || this.isWord('INTERSECT') || this.isWord('EXCEPT')) {
+        throw new UnsupportedQueryError('statement', `${this.peek().upper} of multiple SELECTs`);
+      }
+    }
+
+    while (this.isPunctuation(';')) this.next();
+
+    if (this.peek().type !== 'eof') {
+      if (this.tokens.slice(0, this.index).some(t => t.type === 'punctuation' && t.value === ';')) {
+        throw new UnsupportedQueryError('statement', 'multiple statements');
+      }
+      this.fail('Unexpected token');
+    }
+
+    return statement;
+  }
+
+  /**
+   * Parse a query in extended mode: an optional WITH clause, then SELECTs
+   * combined with UNION / INTERSECT / EXCEPT. Returns a select node or a
+   * compound node { type: 'compound', operator, all, left, right }; the
+   * WITH clause is attached as `with: { recursive, ctes }`.
+   */
+  parseQuery() {
+    const withClause = this.acceptWord('WITH') ? this.parseWithClause() : null;
+
+    let query = this.parseQueryTerm();
+    while (this.isWord('UNION') || this.isWord('INTERSECT') || this.isWord('EXCEPT')) {
+      const operator = this.next().upper.toLowerCase();
+      const all = this.acceptWord('ALL');
+      if (!all) this.acceptWord('DISTINCT');
+      query = {
+        type: 'compound',
+        operator,
+        all,
+        left: query,
+        right: this.parseQueryTerm(),
+        orderBy: [],
+        limit: null,
+        offset: null
+      };
+    }
+
+    if (query.type === 'compound') {
+      // ORDER BY and LIMIT after the last SELECT apply to the whole compound
+      const last = query.right;
+      if (last.type === 'select' && !last.parenthesized) {
+        ['orderBy', 'limit', 'offset'].forEach(key => {
+          query[key] = last[key];
+          last[key] = key === 'orderBy' ? [] : null;
+        });
+      }
+    }
+
+    if (query.parenthesized || query.type === 'compound') {
+      this.parseQueryTail(query);
+    }
+
+    if (withClause) {
+      query.with = withClause;
+    }
+    return query;
+  }
+
+  parseQueryTerm() {
+    if (this.isPunctuation('(')) {
+      this.next();
+      const query = this.parseQuery();
+      this.expectPunctuation(')');
+      query.parenthesized = true;
+      return query;
+    }
+    if (!this.isWord('SELECT')) {
+      this.fail('Expected SELECT');
+    }
+    return this.parseSelect();
+  }
+
+  parseWithClause() {
+    const recursive = this.acceptWord('RECURSIVE');
+    const ctes = [];
+
+    do {
+      const name = this.parseIdentifier('CTE name');
+      const columns = this.isPunctuation('(') ? this.parseColumnAliases() : null;
+      this.expectWord('AS');
+      if (this.acceptWord('NOT')) {
+        this.expectWord('MATERIALIZED');
+      } else {
+        this.acceptWord('MATERIALIZED');
+      }
+
+      this.expectPunctuation('(');
+      const token = this.peek();
+      if (token.type === 'word' && ['INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(token.upper)) {
+        throw new UnsupportedQueryError('WITH clause', `data-modifying ${token.upper}`);
+      }
+      const query = this.parseQuery();
+      this.expectPunctuation(')');
+
+      ctes.push({ name, columns, query });
+    } while (this.isPunctuation(',') && this.next());
+
+    return { recursive, ctes };
+  }
+
+  parseColumnAliases() {
+    this.expectPunctuation('(');
+    const columns = [];
+    do {
+      columns.push(this.parseIdentifier('column name'));
+      // Column definition lists of record-returning functions: AS t(a int)
+      if (!this.isPunctuation(',') && !this.isPunctuation(')')) {
+        this.parseTypeName();
+      }
+    } while (this.isPunctuation(',') && this.next());
+    this.expectPunctuation(')');
+    return columns;
+  }
+
+  parseSelect() {
+    this.expectWord('SELECT');
+
+    const select = {
+      type: 'select',
+      distinct: false,
+      columns: [],
+      from: null,
+      joins: [],
+      where: null,
+      groupBy: [],
+      having: null,
+      orderBy: [],
+      limit: null,
+      offset: null
+    };
+
+    if (this.acceptWord('DISTINCT')) {
+      if (this.isWord('ON')) {
+        if (!this.extended) {
+          throw new UnsupportedQueryError('SELECT list', 'DISTINCT ON');
+        }
+        this.next();
+        this.expectPunctuation('(');
+        select.distinctOn = this.parseExpressionList();
+        this.expectPunctuation(')');
+      }
+      select.distinct = true;
+    } else {
+      this.acceptWord('ALL');
+    }
+
+    select.columns = this.parseSelectList();
+
+    if (this.isWord('INTO')) {
+      throw new UnsupportedQueryError('SELECT list', 'SELECT INTO (creates a table)');
+    }
+
+    if (this.acceptWord('FROM')) {
+      select.from = this.parseTableReference();
+      select.joins = this.parseJoins();
+    }
+
+    if (this.acceptWord('WHERE')) {
+      select.where = this.parseExpression();
+    }
+
+    if (this.isWord('GROUP')) {
+      this.next();
+      this.expectWord('BY');
+      select.groupBy = this.parseExpressionList();
+    }
+
+    if (this.acceptWord('HAVING')) {
+      select.having = this.parseExpression();
+    }
+
+    if (this.isWord('WINDOW')) {
+      if (!this.extended) {
+        throw new UnsupportedQueryError('statement', 'WINDOW clause');
+      }
+      this.next();
+      select.windows = [];
+      do {
+        const name = this.parseIdentifier('window name');
+        this.expectWord('AS');
+        select.windows.push({ name, spec: this.parseWindowSpec() });
+      } while (this.isPunctuation(',') && this.next());
+    }
+
+    this.parseQueryTail(select);
+    return select;
+  }
+
+  /**
+   * Parse ORDER BY, LIMIT / OFFSET (and FETCH FIRST in extended mode)
+   * into a select or compound node, and reject locking clauses.
+   */
+  parseQueryTail(query) {
+    if (this.isWord('ORDER')) {
+      this.next();
+      this.expectWord('BY');
+      query.orderBy = this.parseOrderList();
+    }
+
+    // LIMIT and OFFSET may appear in either order
+    for (let i = 0; i < 2; i++) {
+      if (this.acceptWord('LIMIT')) {
+        if (this.acceptWord('ALL')) continue;
+        query.limit = this.parseLimitValue('LIMIT');
+      } else if (this.acceptWord('OFFSET')) {
+        query.offset = this.parseLimitValue('OFFSET');
+        // Optional noise word: OFFSET n ROWS
+        if (!this.acceptWord('ROWS')) this.acceptWord('ROW');
+      }
+    }
+
+    if (this.isWord('FETCH')) {
+      if (!this.extended) {
+        throw new UnsupportedQueryError('statement', 'FETCH FIRST (use LIMIT instead)');
+      }
+      // FETCH FIRST|NEXT [n] ROW|ROWS ONLY
+      this.next();
+      if (!this.acceptWord('FIRST')) this.expectWord('NEXT');
+      query.limit = this.isWord('ROW') || this.isWord('ROWS')
+        ? { type: 'literal', value: 1, dataType: 'number' }
+        : this.parseLimitValue('FETCH FIRST');
+      if (!this.acceptWord('ROWS')) this.expectWord('ROW');
+      this.expectWord('ONLY');
+    }
+
+    if (this.isWord('FOR')) {
+      throw new UnsupportedQueryError('statement', 'FOR UPDATE/SHARE locking clause');
+    }
+  }
+
+  /**
+   * Parse a window: OVER name, or OVER ([name] [PARTITION BY ...]
+   * [ORDER BY ...] [frame]). Extended mode only.
+   */
+  parseWindowSpec() {
+    if (!this.isPunctuation('(')) {
+      return { name: this.parseIdentifier('window name'), partitionBy: [], orderBy: [], frame: null };
+    }
+
+    this.expectPunctuation('(');
+    const spec = { name: null, partitionBy: [], orderBy: [], frame: null };
+
+    if (this.peek().type === 'word' && !['PARTITION', 'ORDER', 'ROWS', 'RANGE', 'GROUPS'].includes(this.peek().upper)) {
+      spec.name = this.parseIdentifier('window name');
+    }
+    if (this.isWord('PARTITION')) {
+      this.next();
+      this.expectWord('BY');
+      spec.partitionBy = this.parseExpressionList();
+    }
+    if (this.isWord('ORDER')) {
+      this.next();
+      this.expectWord('BY');
+      spec.orderBy = this.parseOrderList();
+    }
+    if (this.isWord('ROWS') || this.isWord('RANGE') || this.isWord('GROUPS')) {
+      spec.frame = { unit: this.next().upper.toLowerCase(), start: null, end: null };
+      if (this.acceptWord('BETWEEN')) {
+        spec.frame.start = this.parseFrameBound();
+        this.expectWord('AND');
+        spec.frame.end = this.parseFrameBound();
+      } else {
+        spec.frame.start = this.parseFrameBound();
+      }
+    }
+
+    this.expectPunctuation(')');
+    return spec;
+  }
+
+  parseFrameBound() {
+    if (this.acceptWord('CURRENT')) {
+      this.expectWord('ROW');
+      return { type: 'current' };
+    }
+    const offset = this.acceptWord('UNBOUNDED') ? null : this.parseAdditive();
+    if (this.acceptWord('PRECEDING')) {
+      return { type: 'preceding', offset };
+    }
+    this.expectWord('FOLLOWING');
+    return { type: 'following', offset };
+  }
+
+  /**
+   * Parse JOIN clauses following the first FROM table.
+   * Comma-separated tables are recorded as implicit cross joins.
+   */
+  parseJoins() {
+    const joins = [];
+    let join = this.parseJoin();
+    while (join) {
+      joins.push(join);
+      join = this.parseJoin();
+    }
+    return joins;
+  }
+
+  parseJoin() {
+    if (this.isPunctuation(',')) {
+      this.next();
+      return { type: 'cross', implicit: true, table: this.parseTableReference(), on: null, using: null };
+    }
+
+    if (this.isWord('NATURAL')) {
+      throw new UnsupportedQueryError('FROM clause', 'NATURAL JOIN');
+    }
+
+    let type;
+    if (this.isWord('JOIN')) {
+      type = 'inner';
+    } else if (['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'].some(word => this.isWord(word))) {
+      type = this.next().upper.toLowerCase();
+      if (type !== 'inner' && type !== 'cross') this.acceptWord('OUTER');
+    } else {
+      return null;
+    }
+    this.expectWord('JOIN');
+
+    const join = { type, implicit: false, table: this.parseTableReference(), on: null, using: null };
+
+    if (type !== 'cross') {
+      if (this.acceptWord('USING')) {
+        this.expectPunctuation('(');
+        join.using = [];
+        do {
+          join.using.push(this.parseIdentifier('column name'));
+        } while (this.isPunctuation(',') && this.next());
+        this.expectPunctuation(')');
+      } else {
+        this.expectWord('ON');
+        join.on = this.parseExpression();
+      }
+    }
+
+    return join;
+  }
+
+  parseLimitValue(clause) {
+    const token = this.next();
+    if (token.type === 'number' && Number.isInteger(token.value) && token.value >= 0) {
+      return { type: 'literal', value: token.value, dataType: 'number' };
+    }
+    if (token.type === 'parameter') {
+      return { type: 'parameter', index: token.value };
+    }
+    this.index--;
+    this.fail(`Expected a non-negative integer after ${clause}`);
+  }
+
+  parseSelectList() {
+    const columns = [];
+    do {
+      if (this.isOperator('*')) {
+        const { position } = this.next();
+        columns.push({ expr: { type: 'star', table: null, position, end: position + 1 }, alias: null });
+        continue;
+      }
+      const expr = this.parseExpression();
+      columns.push({ expr, alias: this.parseAlias() });
+    } while (this.isPunctuation(',') && this.next());
+    return columns;
+  }
+
+  parseAlias() {
+    if (this.acceptWord('AS')) {
+      const token = this.next();
+      if (token.type === 'word' || token.type === 'identifier' || token.type === 'string') {
+        return token.value;
+      }
+      this.index--;
+      this.fail('Expected alias after AS');
+    }
+    const token = this.peek();
+    if (token.type === 'identifier' || (token.type === 'word' && !RESERVED_WORDS.has(token.upper))) {
+      this.next();
+      return token.value;
+    }
+    return null;
+  }
+
+  parseTableReference() {
+    const lateral = this.extended && this.acceptWord('LATERAL');
+
+    if (this.isPunctuation('(')) {
+      const isQuery = this.isWord('SELECT', 1) || this.isWord('WITH', 1);
+      if (!this.extended || !isQuery) {
+        throw new UnsupportedQueryError('FROM clause', isQuery ? 'subquery' : 'parenthesized join');
+      }
+      this.next();
+      const query = this.parseQuery();
+      this.expectPunctuation(')');
+      const alias = this.parseAlias();
+      const columns = alias && this.isPunctuation('(') ? this.parseColumnAliases() : null;
+      return { type: 'subquery', query, alias, columns, lateral };
+    }
+
+    const first = this.parseIdentifier('table name');
+    let schema = null;
+    let name = first;
+
+    if (this.isPunctuation('.')) {
+      this.next();
+      schema = first;
+      name = this.parseIdentifier('table name');
+    }
+
+    if (this.isPunctuation('(')) {
+      if (!this.extended) {
+        throw new UnsupportedQueryError('FROM clause', `table function ${name}()`);
+      }
+      const call = this.parseFunctionCall(name);
+      if (this.acceptWord('WITH')) {
+        this.expectWord('ORDINALITY');
+      }
+      const alias = this.parseAlias();
+      const columns = alias && this.isPunctuation('(') ? this.parseColumnAliases() : null;
+      return { type: 'tableFunction', schema, name: call.name, args: call.args, alias, columns, lateral };
+    }
+
+    const alias = this.parseAlias();
+    if (this.extended && alias && this.isPunctuation('(')) {
+      return { type: 'table', schema, name, alias, columns: this.parseColumnAliases() };
+    }
+    return { type: 'table', schema, name, alias };
+  }
+
+  parseIdentifier(what) {
+    const token = this.next();
+    if (token.type === 'identifier') return token.value;
+    if (token.type === 'word' && !RESERVED_WORDS.has(token.upper)) return token.value;
+    this.index--;
+    this.fail(`Expected ${what}`);
+  }
+
+  parseExpressionList() {
+    const list = [];
+    do {
+      list.push(this.parseExpression());
+    } while (this.isPunctuation(',') && this.next());
+    return list;
+  }
+
+  parseOrderList() {
+    const list = [];
+    do {
+      const expr = this.parseExpression();
+      let direction = 'asc';
+      let nulls = null;
+      if (this.acceptWord('DESC')) {
+        direction = 'desc';
+      } else {
+        this.acceptWord('ASC');
+      }
+      if (this.acceptWord('NULLS')) {
+        if (this.acceptWord('FIRST')) {
+          nulls = 'first';
+        } else {
+          this.expectWord('LAST');
+          nulls = 'last';
+        }
+      }
+      list.push({ expr, direction, nulls });
+    } while (this.isPunctuation(',') && this.next());
+    return list;
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+    while (this.acceptWord('OR')) {
+      operands.push(this.parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'logical', operator: 'OR', operands };
+  }
+
+  parseAnd() {
+    const operands = [this.parseNot()];
+    while (this.acceptWord('AND')) {
+      operands.push(this.parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'logical', operator: 'AND', operands };
+  }
+
+  parseNot() {
+    if (this.acceptWord('NOT')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    const left = this.parseAdditive();
+
+    const token = this.peek();
+    if (token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+      this.next();
+      if (this.isWord('ANY') || this.isWord('ALL') || this.isWord('SOME')) {
+        if (!this.extended) {
+          throw new UnsupportedQueryError('expression', `${token.value} ${this.peek().upper}(...)`);
+        }
+        // x = ANY (subquery or array)
+        const quantifier = this.next().upper.toLowerCase();
+        this.expectPunctuation('(');
+        const node = { type: 'quantified', operator: token.value, quantifier, left, query: null, expr: null };
+        if (this.isWord('SELECT') || this.isWord('WITH')) {
+          node.query = this.parseQuery();
+        } else {
+          node.expr = this.parseExpression();
+        }
+        this.expectPunctuation(')');
+        return node;
+      }
+      return { type: 'comparison', operator: token.value, left, right: this.parseAdditive() };
+    }
+
+    if (this.acceptWord('IS')) {
+      const not = this.acceptWord('NOT');
+      if (this.acceptWord('NULL')) {
+        return { type: 'isNull', not, expr: left };
+      }
+      if (this.isWord('TRUE') || this.isWord('FALSE')) {
+        const value = this.next().upper === 'TRUE';
+        return { type: 'isBoolean', not, expr: left, value };
+      }
+      if (this.isWord('DISTINCT')) {
+        throw new UnsupportedQueryError('expression', 'IS DISTINCT FROM');
+      }
+      this.fail('Expected NULL, TRUE or FALSE after IS');
+    }
+
+    // Optional NOT before IN / BETWEEN / LIKE / ILIKE
+    let not = false;
+    if (this.isWord('NOT') && ['IN', 'BETWEEN', 'LIKE', 'ILIKE'].some(w => this.isWord(w, 1))) {
+      this.next();
+      not = true;
+    }
+
+    if (this.acceptWord('IN')) {
+      this.expectPunctuation('(');
+      if (this.isWord('SELECT') || this.isWord('WITH')) {
+        if (!this.extended) {
+          throw new UnsupportedQueryError('expression', 'IN (subquery)');
+        }
+        const query = this.parseQuery();
+        this.expectPunctuation(')');
+        return { type: 'in', not, expr: left, values: [], query };
+      }
+      const values = this.parseExpressionList();
+      this.expectPunctuation(')');
+      return { type: 'in', not, expr: left, values };
+    }
+
+    if (this.acceptWord('BETWEEN')) {
+      if (this.isWord('SYMMETRIC')) {
+        throw new UnsupportedQueryError('expression', 'BETWEEN SYMMETRIC');
+      }
+      const low = this.parseAdditive();
+      this.expectWord('AND');
+      const high = this.parseAdditive();
+      return { type: 'between', not, expr: left, low, high };
+    }
+
+    if (this.isWord('LIKE') || this.isWord('ILIKE')) {
+      const caseInsensitive = this.next().upper === 'ILIKE';
+      const pattern = this.parseAdditive();
+      if (this.isWord('ESCAPE')) {
+        throw new UnsupportedQueryError('expression', 'LIKE ... ESCAPE');
+      }
+      return { type: 'like', not, caseInsensitive, expr: left, pattern };
+    }
+
+    if (this.isWord('SIMILAR')) {
+      throw new UnsupportedQueryError('expression', 'SIMILAR TO');
+    }
+
+    if (token.type === 'operator' && (token.value.startsWith('~') || token.value.startsWith('!~'))) {
+      if (!this.extended) {
+        throw new UnsupportedQueryError('expression', `regular expression operator ${token.value}`);
+      }
+      this.next();
+      return { type: 'comparison', operator: token.value, left, right: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator('+') || this.isOperator('-') || this.isOperator('||')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOperator('*') || this.isOperator('/') || this.isOperator('%')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-') || this.isOperator('+')) {
+      const operator = this.next().value;
+      const operand = this.parseUnary();
+      if (operand.type === 'literal' && operand.dataType === 'number') {
+        return { ...operand, value: operator === '-' ? -operand.value : operand.value };
+      }
+      return { type: 'unary', operator, operand };
+    }
+    return this.parseCast();
+  }
+
+  parseCast() {
+    let expr = this.parsePrimary();
+    while (this.isOperator('::')) {
+      this.next();
+      expr = { type: 'cast', expr, dataType: this.parseTypeName() };
+    }
+    return expr;
+  }
+
+  parseTypeName() {
+    let name = this.parseIdentifier('type name').toLowerCase();
+    // Multi-word types such as "double precision" or "timestamp with time zone"
+    while (this.peek().type === 'word' && ['PRECISION', 'VARYING', 'WITH', 'WITHOUT', 'TIME', 'ZONE'].includes(this.peek().upper)) {
+      name += ` ${this.next().value.toLowerCase()}`;
+    }
+    if (this.isPunctuation('(')) {
+      this.next();
+      const args = [];
+      do {
+        const token = this.next();
+        if (token.type !== 'number') {
+          this.index--;
+          this.fail('Expected type modifier');
+        }
+        args.push(token.raw);
+      } while (this.isPunctuation(',') && this.next());
+      this.expectPunctuation(')');
+      name += `(${args.join(',')})`;
+    }
+    return name;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'number') {
+      this.next();
+      return { type: 'literal', value: token.value, dataType: 'number' };
+    }
+
+    if (token.type === 'string') {
+      this.next();
+      return { type: 'literal', value: token.value, dataType: 'string' };
+    }
+
+    if (token.type === 'parameter') {
+      this.next();
+      return { type: 'parameter', index: token.value };
+    }
+
+    if (this.isPunctuation('(')) {
+      this.next();
+      if (this.isWord('SELECT') || this.isWord('WITH')) {
+        if (!this.extended) {
+          throw new UnsupportedQueryError('expression', 'subquery');
+        }
+        const query = this.parseQuery();
+        this.expectPunctuation(')');
+        return { type: 'subquery', query };
+      }
+      const expr = this.parseExpression();
+      this.expectPunctuation(')');
+      return expr;
+    }
+
+    if (token.type === 'word') {
+      switch (token.upper) {
+      case 'NULL':
+        this.next();
+        return { type: 'literal', value: null, dataType: 'null' };
+      case 'TRUE':
+      case 'FALSE':
+        this.next();
+        return { type: 'literal', value: token.upper === 'TRUE', dataType: 'boolean' };
+      case 'CASE':
+        return this.parseCase();
+      case 'CAST':
+        if (this.isPunctuation('(', 1)) {
+          this.next();
+          this.next();
+          const expr = this.parseExpression();
+          this.expectWord('AS');
+          const dataType = this.parseTypeName();
+          this.expectPunctuation(')');
+          return { type: 'cast', expr, dataType };
+        }
+        break;
+      case 'EXISTS':
+        if (!this.extended) {
+          throw new UnsupportedQueryError('expression', 'EXISTS (subquery)');
+        }
+        this.next();
+        this.expectPunctuation('(');
+        {
+          const query = this.parseQuery();
+          this.expectPunctuation(')');
+          return { type: 'exists', query };
+        }
+      case 'EXTRACT':
+        // EXTRACT(field FROM expr) -> extract('field', expr)
+        if (this.extended && this.isPunctuation('(', 1)) {
+          this.next();
+          this.next();
+          const field = this.next();
+          this.expectWord('FROM');
+          const expr = this.parseExpression();
+          this.expectPunctuation(')');
+          return {
+            type: 'function',
+            name: 'extract',
+            args: [{ type: 'literal', value: String(field.value).toLowerCase(), dataType: 'string' }, expr],
+            distinct: false,
+            star: false
+          };
+        }
+        break;
+      case 'INTERVAL':
+      case 'DATE':
+      case 'TIMESTAMP':
+        // Typed literals: DATE '2024-01-01'
+        if (this.peek(1).type === 'string') {
+          this.next();
+          const literal = this.next();
+          return { type: 'cast', expr: { type: 'literal', value: literal.value, dataType: 'string' }, dataType: token.upper.toLowerCase() };
+        }
+        break;
+      default:
+        break;
+      }
+    }
+
+    if (token.type === 'word' || token.type === 'identifier') {
+      if (token.type === 'word' && RESERVED_WORDS.has(token.upper)) {
+        this.fail('Expected an expression');
+      }
+      this.next();
+
+      // Function call
+      if (this.isPunctuation('(') && token.type === 'word') {
+        return this.parseFunctionCall(token.value);
+      }
+
+      // Qualified names: table.column or table.*
+      if (this.isPunctuation('.')) {
+        this.next();
+        if (this.isOperator('*')) {
+          const { position } = this.next();
+          return { type: 'star', table: token.value, position: token.position, end: position + 1 };
+        }
+        const column = this.parseIdentifier('column name');
+        if (this.extended && this.isPunctuation('(')) {
+          // schema.function(...)
+          return { ...this.parseFunctionCall(column), schema: token.value };
+        }
+        if (this.isPunctuation('.')) {
+          if (!this.extended) {
+            throw new UnsupportedQueryError('expression', `schema-qualified column ${token.value}.${column}`);
+          }
+          this.next();
+          return { type: 'column', schema: token.value, table: column, name: this.parseIdentifier('column name') };
+        }
+        return { type: 'column', table: token.value, name: column };
+      }
+
+      return { type: 'column', table: null, name: token.value };
+    }
+
+    this.fail('Expected an expression');
+  }
+
+  parseFunctionCall(name) {
+    this.expectPunctuation('(');
+    const call = { type: 'function', name: name.toLowerCase(), args: [], distinct: false, star: false };
+
+    if (this.isOperator('*')) {
+      this.next();
+      call.star = true;
+    } else if (!this.isPunctuation(')')) {
+      if (this.acceptWord('DISTINCT')) {
+        call.distinct = true;
+      }
+      call.args = this.parseExpressionList();
+    }
+
+    if (this.isWord('ORDER')) {
+      if (!this.extended) {
+        throw new UnsupportedQueryError('expression', `ORDER BY inside ${call.name}()`);
+      }
+      this.next();
+      this.expectWord('BY');
+      call.orderBy = this.parseOrderList();
+    }
+
+    this.expectPunctuation(')');
+
+    if (this.extended && this.isWord('WITHIN')) {
+      // percentile_cont(0.5) WITHIN GROUP (ORDER BY x)
+      this.next();
+      this.expectWord('GROUP');
+      this.expectPunctuation('(');
+      this.expectWord('ORDER');
+      this.expectWord('BY');
+      call.withinGroup = this.parseOrderList();
+      this.expectPunctuation(')');
+    }
+    if (this.isWord('FILTER')) {
+      if (!this.extended) {
+        throw new UnsupportedQueryError('expression', `FILTER clause on ${call.name}()`);
+      }
+      this.next();
+      this.expectPunctuation('(');
+      this.expectWord('WHERE');
+      call.filter = this.parseExpression();
+      this.expectPunctuation(')');
+    }
+    if (this.isWord('OVER')) {
+      if (!this.extended) {
+        throw new UnsupportedQueryError('SELECT list', `window function ${call.name}() OVER (...)`);
+      }
+      this.next();
+      call.over = this.parseWindowSpec();
+    }
+
+    return call;
+  }
+
+  parseCase() {
+    this.expectWord('CASE');
+    const node = { type: 'case', operand: null, whens: [], else: null };
+
+    if (!this.isWord('WHEN')) {
+      node.operand = this.parseExpression();
+    }
+
+    while (this.acceptWord('WHEN')) {
+      const condition = this.parseExpression();
+      this.expectWord('THEN');
+      node.whens.push({ condition, result: this.parseExpression() });
+    }
+
+    if (node.whens.length === 0) {
+      this.fail('Expected WHEN');
+    }
+
+    if (this.acceptWord('ELSE')) {
+      node.else = this.parseExpression();
+    }
+
+    this.expectWord('END');
+    return node;
+  }
+}
+
+/**
+ * Parse SQL
+ *
+ * Parses a single SELECT statement into an AST.
+ *
+ * By default only the subset the query translator can execute is
+ * accepted. With { extended: true } the parser also accepts WITH,
+ * UNION / INTERSECT / EXCEPT, subqueries (FROM, IN, EXISTS, scalar,
+ * ANY / ALL), window functions, FILTER, table functions in FROM and
+ * schema-qualified names, producing the additional node types subquery,
+ * exists, quantified, compound and tableFunction.
+ *
+ * @param {string} sql - SQL query string
+ * @param {Object} options - { extended }
+ * @returns {Object} Select statement AST
+ * @throws {SQLSyntaxError|UnsupportedQueryError}
+ */
+export const parseSQL = (sql, options = {}) => {
+  const parser = new Parser(tokenize(sql), options);
+  return parser.parseStatement();
+};
+
+// Properties of expression nodes that hold child expressions
+const CHILD_KEYS = ['left', 'right', 'operand', 'expr', 'low', 'high', 'pattern', 'else'];
+const CHILD_LIST_KEYS = ['operands', 'values', 'args'];
+
+/**
+ * Map Child Expressions
+ *
+ * Returns a shallow copy of an expression node with every direct child
+ * expression replaced by fn(child). Used to rewrite or validate ASTs
+ * without knowing every node shape.
+ *
+ * @param {Object} node - Expression AST node
+ * @param {Function} fn - Mapping function for child nodes
+ * @returns {Object} New node
+ */
+export const mapChildExpressions = (node, fn) => {
+  const copy = { ...node };
+  CHILD_KEYS.forEach(key => {
+    if (node[key]) copy[key] = fn(node[key]);
+  });
+  CHILD_LIST_KEYS.forEach(key => {
+    if (Array.isArray(node[key])) copy[key] = node[key].map(fn);
+  });
+  if (Array.isArray(node.whens)) {
+    copy.whens = node.whens.map(({ condition, result }) => ({ condition: fn(condition), result: fn(result) }));
+  }
+  return copy;
+};
+
+/**
+ * Child Expressions
+ *
+ * @param {Object} node - Expression AST node
+ * @returns {Array<Object>} Direct child expression nodes
+ */
+export const childExpressions = (node) => {
+  const children = [];
+  mapChildExpressions(node, child => {
+    children.push(child);
+    return child;
+  });
+  return children;
+};
+
+const quoteIdentifier = (name) => (/^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED_WORDS.has(name.toUpperCase())
+  ? name
+  : `"${name.replace(/"/g, '""')}"`);
+
+/**
+ * Format Expression
+ *
+ * Renders an AST expression back to SQL text. Used for error messages
+ * and for describing queries to the user.
+ *
+ * @param {Object} node - Expression AST node
+ * @returns {string} SQL fragment
+ */
+export const formatExpression = (node) => {
+  if (!node) return '';
+
+  switch (node.type) {
+  case 'column':
+    return node.table ? `${quoteIdentifier(node.table)}.${quoteIdentifier(node.name)}` : quoteIdentifier(node.name);
+  case 'star':
+    return node.table ? `${quoteIdentifier(node.table)}.*` : '*';
+  case 'literal':
+    if (node.dataType === 'string') return `'${String(node.value).replace(/'/g, '\'\'')}'`;
+    if (node.dataType === 'null') return 'NULL';
+    if (node.dataType === 'boolean') return node.value ? 'TRUE' : 'FALSE';
+    return String(node.value);
+  case 'parameter':
+    return `$${node.index}`;
+  case 'logical':
+    return node.operands.map(operand => (operand.type === 'logical'
+      ? `(${formatExpression(operand)})`
+      : formatExpression(operand))).join(` ${node.operator} `);
+  case 'not':
+    return `NOT ${node.operand.type === 'logical' ? `(${formatExpression(node.operand)})` : formatExpression(node.operand)}`;
+  case 'comparison':
+    return `${formatExpression(node.left)} ${node.operator} ${formatExpression(node.right)}`;
+  case 'isNull':
+    return `${formatExpression(node.expr)} IS ${node.not ? 'NOT ' : ''}NULL`;
+  case 'isBoolean':
+    return `${formatExpression(node.expr)} IS ${node.not ? 'NOT ' : ''}${node.value ? 'TRUE' : 'FALSE'}`;
+  case 'in':
+    return `${formatExpression(node.expr)} ${node.not ? 'NOT ' : ''}IN (${node.values.map(formatExpression).join(', ')})`;
+  case 'between':
+    return `${formatExpression(node.expr)} ${node.not ? 'NOT ' : ''}BETWEEN ${formatExpression(node.low)} AND ${formatExpression(node.high)}`;
+  case 'like':
+    return `${formatExpression(node.expr)} ${node.not ? 'NOT ' : ''}${node.caseInsensitive ? 'ILIKE' : 'LIKE'} ${formatExpression(node.pattern)}`;
+  case 'binary':
+    return `(${formatExpression(node.left)} ${node.operator} ${formatExpression(node.right)})`;
+  case 'unary':
+    return `${node.operator}${formatExpression(node.operand)}`;
+  case 'cast':
+    return `CAST(${formatExpression(node.expr)} AS ${node.dataType})`;
+  case 'function': {
+    const args = node.star ? '*' : `${node.distinct ? 'DISTINCT ' : ''}${node.args.map(formatExpression).join(', ')}`;
+    return `${node.name.toUpperCase()}(${args})`;
+  }
+  case 'case': {
+    const parts = ['CASE'];
+    if (node.operand) parts.push(formatExpression(node.operand));
+    node.whens.forEach(({ condition, result }) => {
+      parts.push(`WHEN ${formatExpression(condition)} THEN ${formatExpression(result)}`);
+    });
+    if (node.else) parts.push(`ELSE ${formatExpression(node.else)}`);
+    parts.push('END');
+    return parts.join(' ');
+  }
+  default:
+    return `<${node.type}>`;
+  }
+};
+
+export default {
+  tokenize,
+  inlineParameters,
+  parseSQL,
+  formatExpression,
+  mapChildExpressions,
+  childExpressions,
+  SQLSyntaxError,
+  UnsupportedQueryError
+};
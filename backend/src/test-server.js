@@ -14,7 +14,8 @@ console.log('🧪 Starting server tests...\n');
 
 // Test 1: Environment Variables
 console.log('📋 Testing environment variables...');
-const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'GEMINI_API_KEY'];
+const llmProvider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_ANON_KEY', ...(llmProvider === 'gemini' ? ['GEMINI_API_KEY'] : [])];
 let envTestsPassed = 0;
 
 requiredEnvVars.forEach(varName => {
@@ -64,9 +65,9 @@ try {
 
 try {
   const geminiService = await import('./services/geminiService.js');
-  console.log('✅ Gemini service: Configuration loaded');
+  console.log(`✅ AI service: Configuration loaded (LLM_PROVIDER=${llmProvider})`);
 } catch (error) {
-  console.log(`❌ Gemini service: Configuration failed - ${error.message}`);
+  console.log(`❌ AI service: Configuration failed - ${error.message}`);
 }
 
 try {
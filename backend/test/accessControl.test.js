@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import AccessControl from '../src/services/accessControl.js';
+import { parseSQL } from '../src/services/sqlParser.js';
+
+const POLICY = `
+defaultRole: public
+roles:
+  public:
+    tables:
+      items:
+        exclude: [email, phone]
+  support:
+    inherits: public
+    tables:
+      items: '*'
+      orders: [id, total]
+`;
+
+const schemas = [
+  {
+    table: 'items',
+    columns: { id: 'integer', name: 'text', price: 'numeric', email: 'text', phone: 'text' },
+    sampleData: [{ id: 1, name: 'Lamp', price: 20, email: 'a@example.com', phone: '+1 555 0100' }]
+  },
+  { table: 'orders', columns: { id: 'integer', total: 'numeric', note: 'text' } }
+];
+
+const enforce = (sql, role) => AccessControl.enforce(sql, parseSQL(sql, { extended: true }),
+  AccessControl.getAccess({ clientId: null, role }), schemas, { dialect: 'PostgreSQL' });
+
+const rules = (sql, role = 'public') => enforce(sql, role).violations.map(violation => violation.rule);
+
+describe('AccessControl', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'access-policy-'));
+    AccessControl.path = join(directory, 'access-policy.yaml');
+    await writeFile(AccessControl.path, POLICY, 'utf8');
+    await AccessControl.load();
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('lets a role read its columns', () => {
+    assert.deepEqual(rules('SELECT name, price FROM items WHERE price < 20 LIMIT 5'), []);
+  });
+
+  it('refuses excluded columns', () => {
+    assert.deepEqual(rules('SELECT email FROM items LIMIT 5'), ['column_not_allowed']);
+    assert.deepEqual(rules('SELECT name FROM items WHERE phone IS NOT NULL LIMIT 5'), ['column_not_allowed']);
+  });
+
+  it('refuses excluded columns whatever their case', () => {
+    const result = enforce('SELECT EMAIL, Phone FROM items LIMIT 2', 'public');
+    assert.deepEqual(result.violations.map(violation => violation.rule), ['column_not_allowed', 'column_not_allowed']);
+    assert.deepEqual(rules('SELECT I.Email FROM ITEMS i LIMIT 1'), ['column_not_allowed']);
+  });
+
+  it('matches table names and aliases whatever their case', () => {
+    assert.deepEqual(rules('SELECT I.name FROM ITEMS i LIMIT 1'), []);
+  });
+
+  it('refuses tables outside the role', () => {
+    assert.deepEqual(rules('SELECT id FROM orders LIMIT 1'), ['table_not_allowed']);
+  });
+
+  it('rewrites SELECT * to the readable columns', () => {
+    const result = enforce('SELECT * FROM Items LIMIT 5', 'public');
+    assert.deepEqual(result.violations, []);
+    assert.equal(result.rewritten, true);
+    assert.match(result.sql, /SELECT\s+id,\s*name,\s*price\s+FROM Items/i);
+  });
+
+  it('applies inherited and own table rules', () => {
+    assert.deepEqual(rules('SELECT email FROM items LIMIT 5', 'support'), []);
+    assert.deepEqual(rules('SELECT total FROM orders LIMIT 5', 'support'), []);
+    assert.deepEqual(rules('SELECT note FROM orders LIMIT 5', 'support'), ['column_not_allowed']);
+  });
+
+  it('removes hidden tables, columns and sample values from the prompt schemas', () => {
+    const visible = AccessControl.filterSchemas(schemas, AccessControl.getAccess({ clientId: null, role: 'public' }));
+    assert.deepEqual(visible.map(schema => schema.table), ['items']);
+    assert.deepEqual(Object.keys(visible[0].columns), ['id', 'name', 'price']);
+    assert.deepEqual(Object.keys(visible[0].sampleData[0]), ['id', 'name', 'price']);
+  });
+});
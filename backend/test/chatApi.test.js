@@ -0,0 +1,148 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { once } from 'events';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Starts the whole API offline: the mock LLM provider over a SQLite copy
+// of scripts/test_database.sql, with every store in a temporary directory
+const Database = (await import('better-sqlite3').catch(() => null))?.default;
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+const freePort = async () => {
+  const probe = createServer().listen(0);
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, 'close');
+  return port;
+};
+
+describe('chat API', { skip: !Database && 'better-sqlite3 is not installed' }, () => {
+  let directory;
+  let server;
+  let baseUrl;
+
+  const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  const createKey = async (quotas = {}) => {
+    const response = await post('/admin/api-keys', { name: 'test', scopes: ['chat'], quotas }, { Authorization: `Bearer ${ADMIN_TOKEN}` });
+    assert.equal(response.status, 201);
+    return { 'X-API-Key': (await response.json()).key };
+  };
+
+  before(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'chat-api-'));
+    const database = new Database(join(directory, 'test.db'));
+    database.exec(readFileSync(new URL('../scripts/test_database.sql', import.meta.url), 'utf8')
+      .replace('SERIAL PRIMARY KEY', 'INTEGER PRIMARY KEY'));
+    database.close();
+
+    const port = await freePort();
+    server = spawn(process.execPath, ['src/server.js'], {
+      cwd: new URL('..', import.meta.url),
+      env: {
+        ...process.env,
+        PORT: String(port),
+        NODE_ENV: 'test',
+        LLM_PROVIDER: 'mock',
+        DATABASE_ADAPTER: 'sqlite',
+        SQLITE_PATH: join(directory, 'test.db'),
+        API_KEY_AUTH: 'required',
+        ADMIN_API_TOKEN: ADMIN_TOKEN,
+        API_KEYS_PATH: join(directory, 'api-keys.json'),
+        CONVERSATIONS_PATH: join(directory, 'conversations.json'),
+        LLM_USAGE_PATH: join(directory, 'llm-usage.json'),
+        ACCESS_POLICY_PATH: join(directory, 'access-policy.yaml'),
+        SEMANTIC_MODEL_PATH: join(directory, 'semantic-model.yaml')
+      },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    // Ready once it logs the port it listens on
+    let output = '';
+    server.stdout.setEncoding('utf8');
+    await new Promise((resolve, reject) => {
+      server.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes(`Server running on port ${port}`)) resolve();
+      });
+      server.once('exit', code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+    });
+    server.stdout.resume();
+    baseUrl = `http://localhost:${port}/api`;
+  });
+
+  after(async () => {
+    if (server?.exitCode === null) {
+      server.kill();
+      await once(server, 'exit');
+    }
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('requires an API key', async () => {
+    const response = await post('/chat', { message: 'Show me some items' });
+    assert.equal(response.status, 401);
+  });
+
+  it('answers a question with the generated SQL, its rows and an answer', async () => {
+    const response = await post('/chat', { message: 'Show me some items' }, await createKey());
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.generatedSql, 'SELECT * FROM items LIMIT 10;');
+    assert.equal(body.results.success, true);
+    assert.equal(body.results.count, 10);
+    assert.equal(body.results.data.length, 10);
+    assert.ok(body.results.data.every(row => typeof row.name === 'string' && typeof row.price === 'number'));
+    assert.equal(typeof body.response, 'string');
+    assert.ok(body.response.length > 0);
+    assert.equal(body.usage.calls, 2);
+  });
+
+  it('counts with an aggregate query', async () => {
+    const response = await post('/chat', { message: 'How many items are there?' }, await createKey());
+    const body = await response.json();
+    assert.equal(body.generatedSql, 'SELECT COUNT(*) AS total FROM items;');
+    assert.deepEqual(body.results.data, [{ total: 100 }]);
+  });
+
+  it('keeps a conversation across turns', async () => {
+    const key = await createKey();
+    const { conversation } = await (await post('/conversations', {}, key)).json();
+    await post('/chat', { message: 'Show me some items', conversationId: conversation.id }, key);
+    const followUp = await (await post('/chat', { message: 'And how many are there?', conversationId: conversation.id }, key)).json();
+    assert.equal(followUp.conversationId, conversation.id);
+
+    const stored = (await (await fetch(`${baseUrl}/conversations/${conversation.id}`, { headers: key })).json()).conversation;
+    const queries = stored.messages.filter(message => message.query).map(message => message.query.generatedSql);
+    assert.deepEqual(queries, ['SELECT * FROM items LIMIT 10;', 'SELECT COUNT(*) AS total FROM items;']);
+  });
+
+  it('streams progress, then the answer', async () => {
+    const response = await post('/chat/stream', { message: 'How many items are there?' }, await createKey());
+    const events = [...(await response.text()).matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+    assert.deepEqual([...new Set(events)], ['schema_loaded', 'sql_generated', 'rows_fetched', 'token', 'done']);
+  });
+
+  it('charges the calls made and refuses keys without enough quota', async () => {
+    // Questions the SQL cache has not seen, so each needs both calls
+    const key = await createKey({ gemini: 3 });
+    const first = await post('/chat', { message: 'Show me the first items' }, key);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-quota-gemini-remaining'), '1');
+
+    const second = await post('/chat', { message: 'Show me more items' }, key);
+    assert.equal(second.status, 429);
+    assert.equal((await second.json()).error, 'Quota exceeded');
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Providers and stores are configured from the environment on import
+const directory = mkdtempSync(join(tmpdir(), 'llm-quota-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_USAGE_PATH = join(directory, 'llm-usage.json');
+
+const { generate } = await import('../src/llm/index.js');
+const { usageContext, LLMQuotaError } = await import('../src/services/llmUsage.js');
+
+const request = { messages: [{ role: 'user', content: 'Hello' }] };
+
+describe('generate', () => {
+  after(() => rmSync(directory, { recursive: true, force: true }));
+
+  it('stops at the quota the API key had left', async () => {
+    const usage = usageContext({ apiKey: { id: 'key' }, apiKeyQuota: { gemini: { limit: 10, remaining: 2 } } });
+    await generate('answer', request, { usage });
+    await generate('answer', request, { usage });
+    await assert.rejects(generate('answer', request, { usage }), LLMQuotaError);
+    assert.equal(usage.calls.length, 2);
+  });
+
+  it('does not limit requests without a quota', async () => {
+    const usage = usageContext({ apiKey: { id: 'key' }, apiKeyQuota: { gemini: { limit: null, remaining: null } } });
+    for (let call = 0; call < 3; call++) await generate('answer', request, { usage });
+    assert.equal(usage.calls.length, 3);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { columnPiiTags, redactRows, redactSchemaSamples, REDACTION_POLICIES } from '../src/services/piiRedaction.js';
+
+const schemas = [
+  {
+    table: 'users',
+    columns: { id: 'integer', full_name: 'text', contact: 'text', nickname: 'text', email: 'text' },
+    columnDetails: [
+      { name: 'id' },
+      { name: 'full_name', pii: 'personal' },
+      { name: 'contact', pii: 'phone' },
+      { name: 'nickname', pii: 'none' },
+      { name: 'email' }
+    ]
+  },
+  {
+    table: 'orders',
+    columns: { id: 'integer', contact: 'text', user_id: 'integer', note: 'text' },
+    columnDetails: [{ name: 'id' }, { name: 'contact', pii: 'none' }, { name: 'user_id' }, { name: 'note' }]
+  }
+];
+
+const redact = (sql, rows) => redactRows(rows, columnPiiTags(schemas, sql), REDACTION_POLICIES.client);
+
+describe('redactRows', () => {
+  it('keeps the tag of a column read under an alias', () => {
+    const { rows, redactions } = redact('SELECT full_name AS n FROM users LIMIT 5', [{ n: 'Ada Lovelace' }]);
+    assert.notEqual(rows[0].n, 'Ada Lovelace');
+    assert.deepEqual(redactions.map(({ column, type, source }) => ({ column, type, source })),
+      [{ column: 'n', type: 'personal', source: 'tag' }]);
+  });
+
+  it('tags same-named columns of different tables separately', () => {
+    const { rows } = redact('SELECT u.contact, o.contact AS order_contact FROM users u JOIN orders o ON o.user_id = u.id LIMIT 5',
+      [{ contact: '5550100', order_contact: 'front desk' }]);
+    assert.notEqual(rows[0].contact, '5550100');
+    assert.equal(rows[0].order_contact, 'front desk');
+  });
+
+  it('tags expressions, CTEs and subqueries from the columns they read', () => {
+    assert.notEqual(redact('SELECT id, upper(full_name) FROM users LIMIT 5', [{ id: 1, upper: 'ADA' }]).rows[0].upper, 'ADA');
+    assert.notEqual(redact('WITH people AS (SELECT full_name FROM users) SELECT full_name AS who FROM people LIMIT 5',
+      [{ who: 'Ada' }]).rows[0].who, 'Ada');
+    assert.notEqual(redact('SELECT * FROM (SELECT full_name FROM users) s LIMIT 5', [{ full_name: 'Ada' }]).rows[0].full_name, 'Ada');
+    assert.notEqual(redact('SELECT (SELECT full_name FROM users LIMIT 1) AS who', [{ who: 'Ada' }]).rows[0].who, 'Ada');
+  });
+
+  it('leaves columns tagged none alone', () => {
+    const { rows, redactions } = redact('SELECT nickname FROM users LIMIT 5', [{ nickname: 'ada@example.com' }]);
+    assert.equal(rows[0].nickname, 'ada@example.com');
+    assert.deepEqual(redactions, []);
+  });
+
+  it('falls back to the column name', () => {
+    const { rows, redactions } = redact('SELECT email FROM users LIMIT 5', [{ email: 'ada@example.com' }]);
+    assert.notEqual(rows[0].email, 'ada@example.com');
+    assert.equal(redactions[0].source, 'column name');
+  });
+
+  it('finds personal data inside text', () => {
+    const { rows, redactions } = redact('SELECT note FROM orders LIMIT 5', [{ note: 'Call back at ada@example.com' }]);
+    assert.doesNotMatch(rows[0].note, /ada@example\.com/);
+    assert.deepEqual(redactions.map(({ type, source }) => ({ type, source })), [{ type: 'email', source: 'content' }]);
+  });
+
+  it('checks phone numbers stored as numbers, but not ids or timestamps', () => {
+    const { rows, redactions } = redact('SELECT id, 15550100123 AS callback, 1700000000123 AS created_at FROM orders LIMIT 5',
+      [{ id: 4155501234, callback: 15550100123, created_at: 1700000000123 }]);
+    assert.equal(rows[0].id, 4155501234);
+    assert.notEqual(rows[0].callback, 15550100123);
+    assert.equal(rows[0].created_at, 1700000000123);
+    assert.deepEqual(redactions.map(({ column, type }) => ({ column, type })), [{ column: 'callback', type: 'phone' }]);
+  });
+
+  it('matches result columns by name without a query', () => {
+    const { rows } = redact(null, [{ full_name: 'Ada', contact: '5550100' }]);
+    assert.notEqual(rows[0].full_name, 'Ada');
+    assert.notEqual(rows[0].contact, '5550100');
+  });
+});
+
+describe('redactSchemaSamples', () => {
+  it('redacts the sample rows sent in the prompt', () => {
+    const [users] = redactSchemaSamples([{ ...schemas[0], sampleData: [{ id: 1, full_name: 'Ada', nickname: 'ada' }] }]);
+    assert.notEqual(users.sampleData[0].full_name, 'Ada');
+    assert.equal(users.sampleData[0].nickname, 'ada');
+  });
+});
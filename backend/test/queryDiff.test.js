@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffQueries } from '../src/services/queryDiff.js';
+
+const changes = (previousSql, sql) => diffQueries(previousSql, sql).map(({ clause, change, from, to }) => ({ clause, change, from, to }));
+
+describe('diffQueries', () => {
+  it('lists added clauses', () => {
+    assert.deepEqual(changes('SELECT * FROM items LIMIT 10', 'SELECT * FROM items WHERE price < 20 ORDER BY price LIMIT 10'), [
+      { clause: 'where', change: 'added', from: null, to: 'price < 20' },
+      { clause: 'orderBy', change: 'added', from: null, to: 'price' }
+    ]);
+  });
+
+  it('lists a replaced filter as added and removed', () => {
+    assert.deepEqual(changes('SELECT * FROM items WHERE price < 20 LIMIT 10', 'SELECT * FROM items WHERE price < 50 LIMIT 10'), [
+      { clause: 'where', change: 'added', from: null, to: 'price < 50' },
+      { clause: 'where', change: 'removed', from: 'price < 20', to: null }
+    ]);
+  });
+
+  it('reports nothing for the same query', () => {
+    assert.deepEqual(changes('SELECT * FROM items LIMIT 10', 'SELECT * FROM items LIMIT 10;'), []);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateQueryPolicy, assertQueryAllowed, QueryPolicyError } from '../src/services/queryPolicy.js';
+
+const rules = (sql, overrides) => evaluateQueryPolicy(sql, overrides).violations.map(violation => violation.rule);
+
+describe('evaluateQueryPolicy', () => {
+  it('allows a single SELECT with a LIMIT', () => {
+    const result = evaluateQueryPolicy('SELECT name, price FROM items WHERE price < 20 LIMIT 5');
+    assert.equal(result.allowed, true);
+    assert.deepEqual(result.violations, []);
+    assert.equal(result.ast.type, 'select');
+  });
+
+  it('rejects a second statement', () => {
+    assert.deepEqual(rules('SELECT name FROM items LIMIT 5; DROP TABLE items'), ['single_statement']);
+  });
+
+  it('rejects statements that are not SELECT', () => {
+    assert.deepEqual(rules('DELETE FROM items'), ['select_only']);
+    assert.deepEqual(rules('WITH gone AS (DELETE FROM items RETURNING *) SELECT * FROM gone LIMIT 1'), ['select_only']);
+  });
+
+  it('ignores keywords inside string literals', () => {
+    assert.equal(evaluateQueryPolicy('SELECT name FROM items WHERE name = \'x; DROP TABLE items\' LIMIT 5').allowed, true);
+  });
+
+  it('denies system schemas, qualified or not', () => {
+    assert.deepEqual(rules('SELECT usename FROM pg_catalog.pg_user LIMIT 1'), ['denied_schema']);
+    assert.deepEqual(rules('SELECT * FROM pg_shadow LIMIT 1'), ['denied_schema']);
+  });
+
+  it('allows a CTE whose name starts with pg_', () => {
+    assert.equal(evaluateQueryPolicy('WITH pg_recent AS (SELECT id FROM items) SELECT id FROM pg_recent LIMIT 5').allowed, true);
+  });
+
+  it('rejects functions outside the allow-list', () => {
+    assert.deepEqual(rules('SELECT pg_sleep(10)'), ['function_not_allowed']);
+  });
+
+  it('requires a LIMIT within the maximum unless the query returns one row', () => {
+    assert.deepEqual(rules('SELECT name FROM items'), ['limit_required']);
+    assert.deepEqual(rules('SELECT name FROM items LIMIT 5000'), ['limit_too_large']);
+    assert.deepEqual(rules('SELECT count(*) FROM items'), []);
+    assert.deepEqual(rules('SELECT name FROM items', { requireLimit: false }), []);
+  });
+
+  it('limits how deeply subqueries nest', () => {
+    const sql = 'SELECT id FROM items WHERE id IN (SELECT id FROM items WHERE id IN (SELECT id FROM items'
+      + ' WHERE id IN (SELECT id FROM items WHERE id IN (SELECT id FROM items)))) LIMIT 1';
+    assert.deepEqual(rules(sql), ['subquery_depth']);
+  });
+});
+
+describe('assertQueryAllowed', () => {
+  it('throws a QueryPolicyError listing the violations', () => {
+    assert.throws(() => assertQueryAllowed('DELETE FROM items'), error => {
+      assert.ok(error instanceof QueryPolicyError);
+      assert.deepEqual(error.violations.map(violation => violation.rule), ['select_only']);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSQL, UnsupportedQueryError } from '../src/services/sqlParser.js';
+import { translateSelect, formatFilter, applyFilters, flattenEmbeddedRows } from '../src/services/queryTranslator.js';
+import { aggregateRows, projectRows } from '../src/services/aggregationEngine.js';
+
+const translate = (sql, options) => translateSelect(parseSQL(sql), options);
+
+// Records the postgrest-js filter calls a plan makes
+const recordingQuery = () => {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (target, method) => (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    }
+  });
+  return { query, calls };
+};
+
+const applied = (sql) => {
+  const { query, calls } = recordingQuery();
+  applyFilters(query, translate(sql).filters);
+  return calls;
+};
+
+describe('translateSelect', () => {
+  it('maps > and >= to different PostgREST operators', () => {
+    assert.deepEqual(translate('SELECT name FROM items WHERE price > 20').filters,
+      [{ column: 'price', operator: 'gt', value: 20, negated: false }]);
+    assert.deepEqual(translate('SELECT name FROM items WHERE price >= 20').filters,
+      [{ column: 'price', operator: 'gte', value: 20, negated: false }]);
+  });
+
+  it('flips the operator when the column is on the right', () => {
+    assert.deepEqual(translate('SELECT name FROM items WHERE 20 < price').filters,
+      [{ column: 'price', operator: 'gt', value: 20, negated: false }]);
+  });
+
+  it('keeps a string literal containing SQL as the filter value', () => {
+    const plan = translate('SELECT name FROM items WHERE name = \'a OR b >= c\' LIMIT 5');
+    assert.deepEqual(plan.filters, [{ column: 'name', operator: 'eq', value: 'a OR b >= c', negated: false }]);
+    assert.equal(plan.limit, 5);
+  });
+
+  it('builds the select list, order and page', () => {
+    const plan = translate('SELECT name, price FROM items ORDER BY price DESC LIMIT 10 OFFSET 20');
+    assert.equal(plan.table, 'items');
+    assert.equal(plan.select, 'name,price');
+    assert.deepEqual(plan.orders.map(({ column, ascending }) => ({ column, ascending })), [{ column: 'price', ascending: false }]);
+    assert.equal(plan.limit, 10);
+    assert.equal(plan.offset, 20);
+  });
+
+  it('rejects what it cannot translate instead of dropping it', () => {
+    assert.throws(() => translate('SELECT name FROM items WHERE price > (SELECT avg(price) FROM items)'), UnsupportedQueryError);
+    assert.throws(() => translate('SELECT i.name FROM items i FULL JOIN orders o ON o.item_id = i.id'), UnsupportedQueryError);
+    assert.throws(() => translate('SELECT name FROM items OFFSET 5'), error => {
+      assert.ok(error instanceof UnsupportedQueryError);
+      assert.equal(error.clause, 'OFFSET clause');
+      return true;
+    });
+  });
+});
+
+describe('boolean filters', () => {
+  it('keeps AND/OR precedence and parentheses', () => {
+    assert.deepEqual(translate('SELECT name FROM items WHERE price >= 20 AND (category = \'Books\' OR rating > 4)').filters.map(formatFilter),
+      ['price.gte.20', 'or(category.eq.Books,rating.gt.4)']);
+    assert.deepEqual(translate('SELECT name FROM items WHERE price > 20 OR category = \'Books\' AND rating >= 4').filters.map(formatFilter),
+      ['or(price.gt.20,and(category.eq.Books,rating.gte.4))']);
+  });
+
+  it('quotes reserved characters inside logic trees and lists', () => {
+    assert.deepEqual(applied('SELECT name FROM items WHERE category = \'Home Goods\' OR category IN (\'a,b\', \'c\')'),
+      [['or', 'category.eq."Home Goods",category.in.("a,b",c)']]);
+  });
+
+  it('passes the raw value to a negated filter', () => {
+    assert.deepEqual(applied('SELECT name FROM items WHERE name NOT ILIKE \'%smart phone%\''),
+      [['not', 'name', 'ilike', '%smart phone%']]);
+    assert.deepEqual(applied('SELECT name FROM items WHERE NOT category = \'Home Goods\''),
+      [['not', 'category', 'eq', 'Home Goods']]);
+    assert.deepEqual(applied('SELECT name FROM items WHERE category NOT IN (\'Home Goods\', \'Books\')'),
+      [['not', 'category', 'in', '("Home Goods",Books)']]);
+    assert.deepEqual(applied('SELECT name FROM items WHERE rating IS NOT NULL'),
+      [['not', 'rating', 'is', null]]);
+  });
+});
+
+describe('aggregate queries', () => {
+  const rows = [
+    { category: 'Books', price: 10 },
+    { category: 'Books', price: 30 },
+    { category: 'Books', price: 20 },
+    { category: 'Garden', price: 5 },
+    { category: 'Toys', price: 8 },
+    { category: 'Toys', price: 12 }
+  ];
+
+  it('fetches the grouped columns and groups them in process', () => {
+    const plan = translate('SELECT category, count(*) AS n, avg(price) AS average FROM items WHERE price > 1 GROUP BY category HAVING count(*) >= 2 ORDER BY n DESC, category LIMIT 5');
+    assert.equal(plan.select, 'category,price');
+    assert.deepEqual(plan.filters, [{ column: 'price', operator: 'gt', value: 1, negated: false }]);
+    assert.deepEqual(plan.orders, []);
+    assert.equal(plan.limit, 5);
+    assert.deepEqual(aggregateRows(rows, plan.aggregate), [
+      { category: 'Books', n: 3, average: 20 },
+      { category: 'Toys', n: 2, average: 10 }
+    ]);
+  });
+
+  it('aggregates the whole table without GROUP BY', () => {
+    const plan = translate('SELECT sum(price) AS total, max(price) AS top FROM items');
+    assert.deepEqual(aggregateRows(rows, plan.aggregate), [{ total: 85, top: 30 }]);
+  });
+
+  it('rejects columns that are neither grouped nor aggregated', () => {
+    assert.throws(() => translate('SELECT category, price FROM items GROUP BY category'), /"price" must appear in the GROUP BY clause/);
+  });
+});
+
+describe('join queries', () => {
+  const fetched = [
+    { name: 'Lamp', c: { name: 'Home' } },
+    { name: 'Kite', c: null }
+  ];
+
+  it('embeds an INNER JOIN and filters on the embedded table', () => {
+    const plan = translate('SELECT i.name, c.name AS category FROM items i JOIN categories c ON c.id = i.category_id WHERE c.name = \'Home\' LIMIT 5');
+    assert.equal(plan.table, 'items');
+    assert.equal(plan.select, 'name,c:categories!category_id!inner(name)');
+    assert.deepEqual(plan.filters, [{ column: 'c.name', operator: 'eq', value: 'Home', negated: false }]);
+    assert.deepEqual(projectRows(flattenEmbeddedRows(fetched, plan.join), plan.projection),
+      [{ name: 'Lamp', category: 'Home' }]);
+  });
+
+  it('keeps rows without a match for a LEFT JOIN', () => {
+    const plan = translate('SELECT i.name, c.name AS category FROM items i LEFT JOIN categories c ON c.id = i.category_id LIMIT 5');
+    assert.equal(plan.select, 'name,c:categories!category_id(name)');
+    assert.deepEqual(projectRows(flattenEmbeddedRows(fetched, plan.join), plan.projection),
+      [{ name: 'Lamp', category: 'Home' }, { name: 'Kite', category: null }]);
+  });
+
+  it('rejects join conditions it cannot embed', () => {
+    assert.throws(() => translate('SELECT i.name FROM items i JOIN categories c ON c.id > i.category_id LIMIT 5'), UnsupportedQueryError);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, parseSQL, formatExpression, SQLSyntaxError, UnsupportedQueryError } from '../src/services/sqlParser.js';
+
+const column = (name, table = null) => ({ type: 'column', table, name });
+const literal = (value) => ({ type: 'literal', value, dataType: typeof value });
+
+describe('tokenize', () => {
+  it('reads two-character operators as one token', () => {
+    const operators = tokenize('SELECT a FROM t WHERE b >= 2 AND c > 3 AND d <> 4')
+      .filter(token => token.type === 'operator')
+      .map(token => token.value);
+    assert.deepEqual(operators, ['>=', '>', '<>']);
+  });
+
+  it('keeps keywords and operators inside string literals as text', () => {
+    const tokens = tokenize('SELECT a FROM t WHERE d = \'x >= y; OR it\'\'s\'');
+    assert.deepEqual(tokens.at(-2), { type: 'string', value: 'x >= y; OR it\'s', position: 26 });
+    assert.equal(tokens.at(-1).type, 'eof');
+  });
+
+  it('rejects an unterminated string', () => {
+    assert.throws(() => tokenize('SELECT a FROM t WHERE d = \'open'), SQLSyntaxError);
+  });
+});
+
+describe('parseSQL', () => {
+  it('tells > and >= apart', () => {
+    assert.deepEqual(parseSQL('SELECT name FROM items WHERE price > 20').where,
+      { type: 'comparison', operator: '>', left: column('price'), right: literal(20) });
+    assert.deepEqual(parseSQL('SELECT name FROM items WHERE price >= 20').where,
+      { type: 'comparison', operator: '>=', left: column('price'), right: literal(20) });
+  });
+
+  it('binds AND tighter than OR', () => {
+    const where = parseSQL('SELECT name FROM items WHERE price > 20 OR category = \'Books\' AND rating >= 4').where;
+    assert.equal(where.operator, 'OR');
+    assert.equal(where.operands[0].operator, '>');
+    assert.equal(where.operands[1].operator, 'AND');
+  });
+
+  it('groups conditions in parentheses', () => {
+    const where = parseSQL('SELECT name FROM items WHERE price >= 2 AND (category = \'A\' OR rating > 4)').where;
+    assert.equal(where.operator, 'AND');
+    assert.equal(where.operands[0].operator, '>=');
+    assert.equal(where.operands[1].operator, 'OR');
+    assert.equal(formatExpression(where), 'price >= 2 AND (category = \'A\' OR rating > 4)');
+  });
+
+  it('parses a string literal containing SQL as one value', () => {
+    const ast = parseSQL('SELECT name FROM items WHERE name = \'a OR b >= c; DROP TABLE items\' LIMIT 5');
+    assert.deepEqual(ast.where.right, literal('a OR b >= c; DROP TABLE items'));
+    assert.equal(ast.limit.value, 5);
+  });
+
+  it('parses GROUP BY, HAVING and ORDER BY', () => {
+    const ast = parseSQL('SELECT category, count(*) AS n FROM items GROUP BY category HAVING count(*) > 2 ORDER BY n DESC');
+    assert.deepEqual(ast.groupBy, [column('category')]);
+    assert.equal(ast.having.operator, '>');
+    assert.equal(ast.having.left.name, 'count');
+    assert.equal(ast.columns[1].alias, 'n');
+    assert.equal(ast.orderBy[0].direction, 'desc');
+  });
+
+  it('reports where the syntax breaks', () => {
+    assert.throws(() => parseSQL('SELECT name FROM items WHERE'), error => {
+      assert.ok(error instanceof SQLSyntaxError);
+      assert.equal(error.position, 28);
+      return true;
+    });
+    assert.throws(() => parseSQL('UPDATE items SET price = 1'), SQLSyntaxError);
+  });
+
+  it('rejects constructs the executor cannot run', () => {
+    assert.throws(() => parseSQL('SELECT name FROM items UNION SELECT name FROM items'), UnsupportedQueryError);
+    assert.throws(() => parseSQL('SELECT name FROM items FOR UPDATE'), UnsupportedQueryError);
+    assert.throws(() => parseSQL('SELECT name FROM items NATURAL JOIN orders'), error => {
+      assert.ok(error instanceof UnsupportedQueryError);
+      assert.equal(error.clause, 'FROM clause');
+      return true;
+    });
+  });
+});
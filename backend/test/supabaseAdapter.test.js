@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SupabaseAdapter } from '../src/adapters/supabaseAdapter.js';
+
+// A Supabase client whose queries record their builder calls and answer
+// with the next page of rows
+const recordingClient = (pages) => {
+  const queries = [];
+  const client = {
+    from: (table) => {
+      const calls = [['from', table]];
+      queries.push(calls);
+      const builder = new Proxy({}, {
+        get: (target, method) => {
+          if (method === 'then') {
+            const data = pages[queries.length - 1] || [];
+            return (resolve) => resolve({ data, error: null, count: pages.flat().length });
+          }
+          return (...args) => {
+            calls.push([method, ...args]);
+            return builder;
+          };
+        }
+      });
+      return builder;
+    }
+  };
+  return { client, queries };
+};
+
+const orderedBy = (calls) => calls.filter(([method]) => method === 'order').map(([, column]) => column);
+
+const page = (size) => Array.from({ length: size }, (row, index) => ({ category: `c${index % 3}`, price: index }));
+
+describe('SupabaseAdapter scans', () => {
+  it('orders every page of a grouped scan by the primary key', async () => {
+    const { client, queries } = recordingClient([page(1000), page(10)]);
+    const adapter = new SupabaseAdapter(client);
+    const schema = [{ table: 'items', primaryKey: ['id'], columnDetails: [{ name: 'id' }, { name: 'category' }, { name: 'price' }] }];
+
+    const result = await adapter.executeReadOnly('SELECT category, count(*) AS n FROM items GROUP BY category', [], { schema });
+
+    assert.equal(queries.length, 2);
+    queries.forEach(calls => assert.deepEqual(orderedBy(calls), ['id']));
+    assert.deepEqual(queries.map(calls => calls.find(([method]) => method === 'range').slice(1)), [[0, 999], [1000, 1999]]);
+    assert.equal(result.data.reduce((total, row) => total + row.n, 0), 1010);
+  });
+
+  it('orders by the selected columns when there is no primary key', async () => {
+    const { client, queries } = recordingClient([page(10)]);
+    const adapter = new SupabaseAdapter(client);
+    const schema = [{ table: 'items', primaryKey: [], columnDetails: [{ name: 'category' }, { name: 'price' }, { name: 'name' }] }];
+
+    await adapter.executeReadOnly('SELECT DISTINCT category, price FROM items ORDER BY price LIMIT 5', [], { schema });
+
+    assert.deepEqual(orderedBy(queries[0]), ['price', 'category']);
+  });
+});
+
+describe('SupabaseAdapter.testConnection', () => {
+  const clientAnswering = (error) => ({
+    rpc: (name, args) => {
+      assert.equal(name, 'introspect_schema');
+      assert.equal(args.target_table, '');
+      return Promise.resolve({ data: error ? null : [], error });
+    },
+    from: () => assert.fail('the connection check must not read a table')
+  });
+
+  it('passes without reading any table', async () => {
+    assert.equal(await new SupabaseAdapter(clientAnswering(null)).testConnection(), true);
+  });
+
+  it('passes when introspect_schema() is not installed', async () => {
+    assert.equal(await new SupabaseAdapter(clientAnswering({ code: 'PGRST202', message: 'not found' })).testConnection(), true);
+  });
+
+  it('fails when PostgREST cannot be reached or refuses the key', async () => {
+    assert.equal(await new SupabaseAdapter(clientAnswering({ code: '', message: 'fetch failed' })).testConnection(), false);
+    assert.equal(await new SupabaseAdapter(clientAnswering({ code: 'PGRST301', message: 'JWT invalid' })).testConnection(), false);
+  });
+});